@@ -34,6 +34,7 @@ module.exports = {
     "no-prototype-builtins": "off",
     "no-dupe-class-members": "off",
     "@typescript-eslint/no-floating-promises": "error",
-    "no-unused-vars": "warn"
+    "no-unused-vars": "off",
+    "@typescript-eslint/no-unused-vars": "warn"
   }
 };
@@ -3,7 +3,7 @@
  * Represents a parameter for a request.
  * @type {Object} RequestParameter
  * @property {string} Name - The name of the parameter.
- * @property {'Boolean' | 'DateTime' | 'Decimal' | 'Entity' | 'EntityCollection' | 'EntityReference' | 'Float' | 'Integer' | 'Money' | 'Picklist' | 'String'} Type - The type of the parameter.
+ * @property {'Boolean' | 'DateTime' | 'Decimal' | 'Entity' | 'EntityCollection' | 'EntityReference' | 'Float' | 'Guid' | 'Integer' | 'Money' | 'Picklist' | 'String'} Type - The type of the parameter.
  * @property {*} Value - The value of the parameter.
  */
 type RequestParameter = {
@@ -16,6 +16,7 @@ type RequestParameter = {
     | "EntityCollection"
     | "EntityReference"
     | "Float"
+    | "Guid"
     | "Integer"
     | "Money"
     | "Picklist"
@@ -36,10 +37,10 @@ export namespace XrmEx {
   /**
    * Throws an error with the given error message.
    * @param {string} errorMessage - The error message to throw.
-   * @throws {Error} - Always throws an error with the given error message.
+   * @throws {XrmExError} - Always throws an error with the given error message.
    */
   export function throwError(errorMessage: string): never {
-    throw new Error(errorMessage);
+    throw new XrmExError(errorMessage);
   }
   /**
    * Returns the name of the calling function.
@@ -58,7 +59,7 @@ export namespace XrmEx {
 
       return functionName;
     } catch (error: any) {
-      throw new Error(`XrmEx.getFunctionName:\n${error.message}`);
+      throw XrmExError.from(error, "getFunctionName");
     }
   }
   /**
@@ -96,35 +97,197 @@ export namespace XrmEx {
     }
     return msg;
   }
+  /**
+   * Options of an {@link XrmExError}.
+   * @property {string} [code] - The Dataverse error code as hexadecimal string, f.e. 0x80040237.
+   * @property {number} [status] - The HTTP status code of the failed request.
+   * @property {any} [innerError] - The inner error returned by Dataverse.
+   * @property {string} [method] - The XrmEx method which raised the error, f.e. Form.addOnSave.
+   * @property {number} [retryAfter] - The number of seconds to wait before retrying a throttled request.
+   * @property {any} [cause] - The original error.
+   */
+  export type XrmExErrorOptions = {
+    code?: string;
+    status?: number;
+    innerError?: any;
+    method?: string;
+    retryAfter?: number;
+    cause?: any;
+  };
+  /**
+   * Collects the error code, HTTP status, inner error and Retry-After of an error
+   * from the error itself, its raw response, its error property and its causes.
+   */
+  const getErrorDetails = (error: any): XrmExErrorOptions => {
+    const candidates = [];
+    const seen = new Set();
+    let current = error;
+    while (
+      current &&
+      typeof current === "object" &&
+      !seen.has(current) &&
+      seen.size < 20
+    ) {
+      seen.add(current);
+      candidates.push(current);
+      if (current.error && typeof current.error === "object")
+        candidates.push(current.error);
+      if (typeof current.raw === "string") {
+        try {
+          const raw = JSON.parse(current.raw);
+          candidates.push(raw, raw?.error);
+        } catch {
+          // The raw response is not JSON
+        }
+      }
+      current = current.cause;
+    }
+    const details: XrmExErrorOptions = {};
+    for (const candidate of candidates.filter(
+      (c) => c && typeof c === "object"
+    )) {
+      if (!details.code) {
+        if (
+          typeof candidate.code === "string" &&
+          /^0x[0-9a-f]+$/i.test(candidate.code)
+        )
+          details.code = candidate.code.toLowerCase();
+        else if (typeof candidate.errorCode === "number")
+          details.code = `0x${(candidate.errorCode >>> 0).toString(16)}`;
+      }
+      if (!details.status) {
+        const status = Number(
+          candidate.status ?? candidate.statusCode ?? candidate.httpStatusCode
+        );
+        if (status >= 100 && status < 600) details.status = status;
+      }
+      details.innerError ??= candidate.innerError ?? candidate.innererror;
+      if (details.retryAfter === undefined) {
+        const retryAfter = Number(
+          candidate.retryAfter ??
+            candidate.headers?.["Retry-After"] ??
+            candidate.headers?.["retry-after"] ??
+            candidate.headers?.get?.("Retry-After")
+        );
+        if (retryAfter >= 0) details.retryAfter = retryAfter;
+      }
+    }
+    return details;
+  };
+  /**
+   * An error raised by XrmEx, carrying the Dataverse error code, the HTTP status, the inner error,
+   * the XrmEx method which raised it and the original error as cause.
+   * @example
+   * try {
+   *   await XrmEx.executeAction("new_DoSomething", {});
+   * } catch (error) {
+   *   if (XrmEx.isPrivilegeError(error)) return;
+   *   console.log(error.code, error.status, error.method, error.cause);
+   * }
+   */
+  export class XrmExError extends Error {
+    /**The Dataverse error code as hexadecimal string, f.e. 0x80040237*/
+    public readonly code?: string;
+    /**The HTTP status code of the failed request*/
+    public readonly status?: number;
+    /**The inner error returned by Dataverse*/
+    public readonly innerError?: any;
+    /**The XrmEx method which raised the error*/
+    public readonly method?: string;
+    /**The number of seconds to wait before retrying a throttled request*/
+    public readonly retryAfter?: number;
+    /**The original error*/
+    public readonly cause?: any;
+    /**
+     * @param message The error message. It is prefixed with the method if one is provided.
+     * @param options The error code, HTTP status, inner error, method and original error.
+     */
+    constructor(message: string, options?: XrmExErrorOptions) {
+      super(options?.method ? `XrmEx.${options.method}:\n${message}` : message);
+      this.name = "XrmExError";
+      this.code = options?.code;
+      this.status = options?.status;
+      this.innerError = options?.innerError;
+      this.method = options?.method;
+      this.retryAfter = options?.retryAfter;
+      this.cause = options?.cause;
+    }
+    /**The error code as number, as expected by Xrm.Navigation.openErrorDialog*/
+    get errorCode(): number {
+      return this.code ? parseInt(this.code, 16) : undefined;
+    }
+    /**
+     * Creates an XrmExError from any error, keeping its code, status and inner error.
+     * @param error The original error, f.e. from Xrm.WebApi.
+     * @param method (Optional) The XrmEx method which raised the error.
+     */
+    static from(error: any, method?: string): XrmExError {
+      let message: any = getErrorMessage(error);
+      if (typeof message !== "string")
+        message =
+          message?.error?.message ?? error?.message ?? JSON.stringify(message);
+      return new XrmExError(message, {
+        ...getErrorDetails(error),
+        method,
+        cause: error,
+      });
+    }
+  }
+  const hasErrorCode = (error: any, codes: string[], statuses: number[]) => {
+    const { code, status } = getErrorDetails(error);
+    return codes.includes(code) || statuses.includes(status);
+  };
+  /**
+   * Returns true if the error was raised because a duplicate record or key was detected.
+   * @param error Any error, f.e. an {@link XrmExError} or an error of Xrm.WebApi.
+   */
+  export function isDuplicateError(error: any): boolean {
+    return hasErrorCode(error, ["0x80040237", "0x80040333", "0x80060892"], []);
+  }
+  /**
+   * Returns true if the error was raised because the user is missing a privilege.
+   * @param error Any error, f.e. an {@link XrmExError} or an error of Xrm.WebApi.
+   */
+  export function isPrivilegeError(error: any): boolean {
+    return hasErrorCode(error, ["0x80040220", "0x80042f09"], [403]);
+  }
+  /**
+   * Returns true if the error was raised because the record was changed by someone else (optimistic concurrency).
+   * @param error Any error, f.e. an {@link XrmExError} or an error of Xrm.WebApi.
+   */
+  export function isConcurrencyError(error: any): boolean {
+    return hasErrorCode(error, ["0x80060882", "0x80060883"], [412]);
+  }
+  /**The levels of Xrm.App.addGlobalNotification*/
+  const notificationLevels = {
+    SUCCESS: 1,
+    ERROR: 2,
+    WARNING: 3,
+    INFO: 4,
+  };
   /**
    * Displays a notification for an app with the given message and level, and lets you specify whether to show a close button.
-   * @param {string} message - The message to display in the notification.
+   * @param {string | ResourceString} message - The message to display in the notification.
    * @param {'SUCCESS' | 'ERROR' | 'WARNING' | 'INFO'} level - The level of the notification. Can be 'SUCCESS', 'ERROR', 'WARNING', or 'INFO'.
    * @param {boolean} [showCloseButton=false] - Whether to show a close button on the notification. Defaults to false.
    * @returns {Promise<string>} - A promise that resolves with the ID of the created notification.
    */
   export async function addGlobalNotification(
-    message: string,
+    message: string | ResourceString,
     level: "SUCCESS" | "ERROR" | "WARNING" | "INFO",
     showCloseButton = false
   ): Promise<string> {
-    const levelMap = {
-      SUCCESS: 1,
-      ERROR: 2,
-      WARNING: 3,
-      INFO: 4,
-    };
-    const messageLevel = levelMap[level] || levelMap.INFO;
+    const messageLevel = notificationLevels[level] || notificationLevels.INFO;
     const notification = {
       type: 2,
       level: messageLevel,
-      message,
+      message: resolveMessage(message),
       showCloseButton,
     };
     try {
       return await Xrm.App.addGlobalNotification(notification);
     } catch (error: any) {
-      throw new Error(`XrmEx.${getFunctionName()}:\n${error.message}`);
+      throw XrmExError.from(error, getFunctionName());
     }
   }
   /**
@@ -138,7 +301,216 @@ export namespace XrmEx {
     try {
       return await Xrm.App.clearGlobalNotification(uniqueId);
     } catch (error: any) {
-      throw new Error(`XrmEx.${getFunctionName()}:\n${error.message}`);
+      throw XrmExError.from(error, getFunctionName());
+    }
+  }
+  /**
+   * An action button of a notification of {@link Notifications}.
+   * @property {string | ResourceString} actionLabel - The label of the button.
+   * @property {Function} eventHandler - The callback when the button is clicked.
+   */
+  export type NotificationAction = {
+    actionLabel: string | ResourceString;
+    eventHandler: () => void;
+  };
+  /**
+   * The options of a notification of {@link Notifications}.
+   * @property {string} [level] - SUCCESS, ERROR, WARNING or INFO. Default: INFO. Form notifications show SUCCESS as INFO.
+   * @property {number} [timeout] - The milliseconds after which the notification is removed. Default: it stays until it is removed.
+   * @property {string} [owner] - The script which owns the notification, see {@link Notifications.clear}.
+   * @property {boolean} [showCloseButton] - Shows a close button. Only for app notifications.
+   * @property {NotificationAction} [action] - An action button. Only for app notifications.
+   */
+  export type NotificationOptions = {
+    level?: "SUCCESS" | "ERROR" | "WARNING" | "INFO";
+    timeout?: number;
+    owner?: string;
+    showCloseButton?: boolean;
+    action?: NotificationAction;
+  };
+  type ActiveNotification = {
+    scope: "app" | "form";
+    id: Promise<string>;
+    signature: string;
+    owner?: string;
+    timer?: ReturnType<typeof setTimeout>;
+  };
+  /**
+   * Tracks app and form notifications by key.
+   * Showing a notification with the key of an active notification replaces it, so handlers which run repeatedly do not show duplicates.
+   * @example
+   * await XrmEx.Notifications.show("credit", "The credit limit is exceeded.", {
+   *   level: "WARNING",
+   *   owner: "account",
+   *   action: { actionLabel: "Open account", eventHandler: () => Xrm.Navigation.openForm({ entityName: "account", entityId: accountId }) },
+   * });
+   * XrmEx.Notifications.showOnForm("saved", "The record was synchronized.", { level: "INFO", timeout: 5000 });
+   * await XrmEx.Notifications.clear("account");
+   */
+  export class Notifications {
+    protected static active = new Map<string, ActiveNotification>();
+    /**
+     * Shows an app notification below the navigation bar.
+     * An active notification with the same key is replaced. If it has the same message, level and action and no close button, it is kept and only its timeout restarts.
+     * @param key The logical key of the notification.
+     * @param message The message.
+     * @param options (Optional) The level, timeout, owner, close button and action.
+     * @returns The ID of the notification in the app.
+     */
+    static async show(
+      key: string,
+      message: string | ResourceString,
+      options?: NotificationOptions
+    ): Promise<string> {
+      let id: Promise<string>;
+      try {
+        const text = resolveMessage(message);
+        const action = options?.action && {
+          actionLabel: resolveMessage(options.action.actionLabel),
+          eventHandler: options.action.eventHandler,
+        };
+        const signature = JSON.stringify([
+          "app",
+          text,
+          options?.level,
+          action?.actionLabel,
+          options?.showCloseButton ?? false,
+        ]);
+        const existing = Notifications.active.get(key);
+        if (existing?.signature === signature && !options?.showCloseButton) {
+          Notifications.track(
+            key,
+            { ...existing, owner: options?.owner ?? existing.owner },
+            options?.timeout
+          );
+          return await existing.id;
+        }
+        if (existing) Notifications.active.delete(key);
+        id = (
+          existing ? Notifications.dismiss(key, existing) : Promise.resolve()
+        ).then(() =>
+          Xrm.App.addGlobalNotification({
+            type: 2,
+            level:
+              notificationLevels[options?.level] ?? notificationLevels.INFO,
+            message: text,
+            showCloseButton: options?.showCloseButton ?? false,
+            ...(action && { action }),
+          })
+        );
+        // Tracked before the previous notification is cleared, so a concurrent call replaces this one
+        Notifications.track(
+          key,
+          { scope: "app", id, signature, owner: options?.owner },
+          options?.timeout
+        );
+        return await id;
+      } catch (error: any) {
+        if (id && Notifications.active.get(key)?.id === id)
+          Notifications.active.delete(key);
+        throw XrmExError.from(error, "Notifications.show");
+      }
+    }
+    /**
+     * Shows a form notification, which replaces an active notification with the same key.
+     * @param key The logical key of the notification, also used as the unique ID of the form notification.
+     * @param message The message.
+     * @param options (Optional) The level, timeout and owner.
+     */
+    static showOnForm(
+      key: string,
+      message: string | ResourceString,
+      options?: Omit<NotificationOptions, "showCloseButton" | "action">
+    ): void {
+      try {
+        const existing = Notifications.active.get(key);
+        if (existing?.scope === "app")
+          Notifications.remove(key).catch((error) =>
+            console.error(error.message)
+          );
+        const level = options?.level === "SUCCESS" ? "INFO" : options?.level;
+        Form.addFormNotification(message, level ?? "INFO", key);
+        Notifications.track(
+          key,
+          {
+            scope: "form",
+            id: Promise.resolve(key),
+            signature: "",
+            owner: options?.owner,
+          },
+          options?.timeout
+        );
+      } catch (error: any) {
+        throw XrmExError.from(error, "Notifications.showOnForm");
+      }
+    }
+    /**
+     * Removes a notification.
+     * @param key The logical key of the notification.
+     */
+    static async remove(key: string): Promise<void> {
+      const notification = Notifications.active.get(key);
+      if (!notification) return;
+      Notifications.active.delete(key);
+      try {
+        await Notifications.dismiss(key, notification);
+      } catch (error: any) {
+        throw XrmExError.from(error, "Notifications.remove");
+      }
+    }
+    /**
+     * Removes all notifications, or all notifications of an owner.
+     * @param owner (Optional) The script which owns the notifications.
+     */
+    static async clear(owner?: string): Promise<void> {
+      const keys = [...Notifications.active.entries()]
+        .filter(([, notification]) => !owner || notification.owner === owner)
+        .map(([key]) => key);
+      await Promise.all(keys.map((key) => Notifications.remove(key)));
+    }
+    /**
+     * Returns true if a notification with the key is active.
+     * @param key The logical key of the notification.
+     */
+    static has(key: string): boolean {
+      return Notifications.active.has(key);
+    }
+    /**The keys of the active notifications*/
+    static get keys(): string[] {
+      return [...Notifications.active.keys()];
+    }
+    /**
+     * Hides a notification which is no longer tracked.
+     */
+    protected static async dismiss(
+      key: string,
+      notification: ActiveNotification
+    ): Promise<void> {
+      clearTimeout(notification.timer);
+      if (notification.scope === "form") Form.removeFormNotification(key);
+      else await Xrm.App.clearGlobalNotification(await notification.id);
+    }
+    /**
+     * Stores an active notification and restarts its timeout.
+     */
+    protected static track(
+      key: string,
+      notification: ActiveNotification,
+      timeout?: number
+    ) {
+      clearTimeout(Notifications.active.get(key)?.timer);
+      notification.timer =
+        timeout > 0
+          ? setTimeout(
+              () =>
+                Notifications.active.get(key) === notification &&
+                Notifications.remove(key).catch((error) =>
+                  console.error(error.message)
+                ),
+              timeout
+            )
+          : undefined;
+      Notifications.active.set(key, notification);
     }
   }
   /**
@@ -206,26 +578,218 @@ export namespace XrmEx {
       structuralProperty: 1,
       jsType: "number",
     },
+    Guid: { typeName: "Edm.Guid", structuralProperty: 1, jsType: "string" },
+  };
+  /**
+   * A request parameter value with an explicit Web API type, created with the {@link Types} helpers.
+   * It is recognized by {@link buildRequestObject} and all execute functions.
+   */
+  export class TypedValue {
+    public readonly value: any;
+    public readonly typeName: string;
+    public readonly structuralProperty: number;
+    constructor(value: any, typeName: string, structuralProperty: number) {
+      this.value = value;
+      this.typeName = typeName;
+      this.structuralProperty = structuralProperty;
+    }
+  }
+  /**
+   * Helpers to pass request parameters with an explicit type when the type cannot be inferred from the value.
+   * @example
+   * await XrmEx.executeAction("new_Invoice", {
+   *   Amount: XrmEx.Types.money(12.5),
+   *   ExternalId: XrmEx.Types.guid("{0B7F3C8E-6A63-4C07-9C0A-7E3A5F5C8D11}"),
+   *   Tags: XrmEx.Types.stringArray(["a", "b"]),
+   *   Account: XrmEx.Types.entityRef("account", accountId),
+   * });
+   */
+  export class Types {
+    protected static number(
+      helper: string,
+      value: number,
+      typeName: string
+    ): TypedValue {
+      if (typeof value !== "number" || !isFinite(value))
+        throw new XrmExError(`'${value}' is not a number`, {
+          method: `Types.${helper}`,
+        });
+      return new TypedValue(value, typeName, 1);
+    }
+    /**A Money value (Edm.Decimal)*/
+    static money(value: number): TypedValue {
+      return Types.number("money", value, "Edm.Decimal");
+    }
+    /**A Decimal value (Edm.Decimal)*/
+    static decimal(value: number): TypedValue {
+      return Types.number("decimal", value, "Edm.Decimal");
+    }
+    /**A Float value (Edm.Double)*/
+    static float(value: number): TypedValue {
+      return Types.number("float", value, "Edm.Double");
+    }
+    /**A whole number or choice value (Edm.Int32)*/
+    static integer(value: number): TypedValue {
+      if (!Number.isInteger(value))
+        throw new XrmExError(`'${value}' is not an integer`, {
+          method: "Types.integer",
+        });
+      return new TypedValue(value, "Edm.Int32", 1);
+    }
+    /**A string value (Edm.String), f.e. for strings that look like a GUID*/
+    static string(value: string): TypedValue {
+      if (typeof value !== "string")
+        throw new XrmExError(`'${value}' is not a string`, {
+          method: "Types.string",
+        });
+      return new TypedValue(value, "Edm.String", 1);
+    }
+    /**A GUID value (Edm.Guid). Braces are removed.*/
+    static guid(value: string): TypedValue {
+      if (!isGuid(value))
+        throw new XrmExError(`'${value}' is not a GUID`, {
+          method: "Types.guid",
+        });
+      return new TypedValue(normalizeGuid(value), "Edm.Guid", 1);
+    }
+    /**A date and time value (Edm.DateTimeOffset)*/
+    static dateTime(value: Date | string): TypedValue {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime()))
+        throw new XrmExError(`'${value}' is not a date`, {
+          method: "Types.dateTime",
+        });
+      return new TypedValue(date, "Edm.DateTimeOffset", 1);
+    }
+    /**
+     * A reference to a record of the given entity.
+     * @param entityType The logical name of the entity.
+     * @param id The ID of the record.
+     */
+    static entityRef(entityType: string, id: string): TypedValue {
+      if (!entityType || !isGuid(id))
+        throw new XrmExError(
+          `'${entityType}' and '${id}' are not a valid reference`,
+          { method: "Types.entityRef" }
+        );
+      return new TypedValue(
+        { entityType, id: normalizeGuid(id) },
+        `mscrm.${entityType}`,
+        5
+      );
+    }
+    /**
+     * A record of the given entity.
+     * @param entityType The logical name of the entity.
+     * @param record The attributes of the record.
+     */
+    static entity(
+      entityType: string,
+      record: { [key: string]: any }
+    ): TypedValue {
+      if (!entityType || !record || typeof record !== "object")
+        throw new XrmExError(`'${record}' is not a record`, {
+          method: "Types.entity",
+        });
+      return new TypedValue(
+        { "@odata.type": `Microsoft.Dynamics.CRM.${entityType}`, ...record },
+        `mscrm.${entityType}`,
+        5
+      );
+    }
+    /**
+     * A collection of records.
+     * @param records The records.
+     * @param entityType (Optional) The logical name of the entity of all records.
+     */
+    static entityCollection(
+      records: { [key: string]: any }[],
+      entityType?: string
+    ): TypedValue {
+      return Types.collection(
+        entityType ? `mscrm.${entityType}` : "mscrm.crmbaseentity",
+        records
+      );
+    }
+    /**A collection of strings (Collection(Edm.String))*/
+    static stringArray(values: string[]): TypedValue {
+      return Types.collection("Edm.String", values);
+    }
+    /**A collection of whole numbers (Collection(Edm.Int32))*/
+    static integerArray(values: number[]): TypedValue {
+      return Types.collection("Edm.Int32", values);
+    }
+    /**A collection of GUIDs (Collection(Edm.Guid))*/
+    static guidArray(values: string[]): TypedValue {
+      return Types.collection(
+        "Edm.Guid",
+        values?.map((value) => Types.guid(value).value)
+      );
+    }
+    /**
+     * A collection of values of the given type.
+     * @param typeName The type name of the items, f.e. Edm.String or mscrm.account
+     * @param values The values.
+     */
+    static collection(typeName: string, values: any[]): TypedValue {
+      if (!Array.isArray(values))
+        throw new XrmExError(`'${values}' is not an Array`, {
+          method: "Types.collection",
+        });
+      return new TypedValue(values, `Collection(${typeName})`, 4);
+    }
+  }
+  /**
+   * Returns the type name of the items of an array, if all items are primitives of the same type.
+   */
+  const getCollectionItemTypeName = (values: any[]): string => {
+    if (values.length === 0) return null;
+    if (values.every((value) => typeof value === "string"))
+      return values.every(isGuid) ? "Edm.Guid" : "Edm.String";
+    if (values.every((value) => Number.isInteger(value))) return "Edm.Int32";
+    if (values.every((value) => typeof value === "number"))
+      return "Edm.Decimal";
+    if (values.every((value) => typeof value === "boolean"))
+      return "Edm.Boolean";
+    return null;
   };
+  /**
+   * Returns the structural property of a request parameter value: 1 for primitives, 4 for collections and 5 for entities.
+   * @param value The value or a {@link TypedValue}.
+   */
   export function getStructuralProperty(value: any): number {
+    if (value instanceof TypedValue) return value.structuralProperty;
     const type = typeof value;
     if (type == "string" || type == "number" || type == "boolean") return 1;
     if (value instanceof Date) return 1;
     if (Array.isArray(value)) return 4;
     return 5;
   }
+  /**
+   * Returns the Web API type name of a request parameter value.
+   * Whole numbers are Edm.Int32, other numbers Edm.Decimal, GUID strings Edm.Guid and
+   * arrays of primitives collections of the primitive type. Use the {@link Types} helpers for any other type.
+   * @param value The value or a {@link TypedValue}.
+   */
   export function getTypeName(value: any): string {
+    if (value instanceof TypedValue) return value.typeName;
     const type = typeof value;
     if (type === "string") {
       if (isGuid(value)) {
-        return "mscrm.crmbaseentity";
+        return "Edm.Guid";
       }
       return "Edm.String";
     }
-    if (type === "number") return "Edm.Int32"; // Default to Int32 for numbers
+    if (type === "number")
+      return Number.isInteger(value) ? "Edm.Int32" : "Edm.Decimal";
     if (type === "boolean") return "Edm.Boolean";
     if (value instanceof Date) return "Edm.DateTimeOffset";
-    if (Array.isArray(value)) return "Collection(mscrm.crmbaseentity)";
+    if (Array.isArray(value)) {
+      const itemTypeName = getCollectionItemTypeName(value);
+      return itemTypeName
+        ? `Collection(${itemTypeName})`
+        : "Collection(mscrm.crmbaseentity)";
+    }
     return "mscrm.crmbaseentity"; // Default for objects and unknown types
   }
 
@@ -235,7 +799,7 @@ export namespace XrmEx {
    * This function extracts the logic to prepare parameters and create
    * the request object without executing it. You can:
    * - Directly execute the returned request object using `Xrm.WebApi.online.execute()`.
-   * - Use the request object later with `Xrm.WebApi.online.executeMultiple()`.
+   * - Use the request object later with `Xrm.WebApi.online.executeMultiple()` or {@link executeBatch}.
    *
    * @param {string} actionName - The unique name of the request (action/function/CRUD operation).
    * @param {RequestParameter[] | {[key: string]: any}} requestParameters - An array of request parameters or an object representing key-value pairs of request parameters.
@@ -274,10 +838,16 @@ export namespace XrmEx {
 
       if (Array.isArray(p)) {
         p.forEach((param) => {
-          parameterDefinition[param.Name] = {
-            typeName: typeMap[param.Type].typeName,
-            structuralProperty: typeMap[param.Type].structuralProperty,
-          };
+          parameterDefinition[param.Name] =
+            param.Value instanceof TypedValue
+              ? {
+                  typeName: param.Value.typeName,
+                  structuralProperty: param.Value.structuralProperty,
+                }
+              : {
+                  typeName: typeMap[param.Type].typeName,
+                  structuralProperty: typeMap[param.Type].structuralProperty,
+                };
         });
       } else {
         Object.keys(p).forEach((key) => {
@@ -303,7 +873,11 @@ export namespace XrmEx {
       };
       const mergedParams = Array.isArray(params)
         ? Object.assign({}, ...params.map((p) => ({ [p.Name]: p.Value })))
-        : params;
+        : { ...params };
+      Object.keys(mergedParams).forEach((key) => {
+        if (mergedParams[key] instanceof TypedValue)
+          mergedParams[key] = mergedParams[key].value;
+      });
 
       return Object.assign({ getMetadata: () => metadata }, mergedParams);
     };
@@ -324,12 +898,100 @@ export namespace XrmEx {
     return request;
   }
 
+  /**
+   * Controls how requests are retried when Dataverse throttles them or fails temporarily.
+   * Requests are not retried unless the global policy or the policy of a call allows more than one attempt.
+   * @property {number} [maxAttempts] - The maximum number of attempts, including the first one. Default: 1, which disables retries.
+   * @property {number} [baseDelay] - The delay in milliseconds before the first retry. It doubles with every further retry.
+   * @property {number} [maxDelay] - The maximum delay in milliseconds between two attempts. Requests whose Retry-After is longer are not retried.
+   * @property {boolean} [jitter] - Whether to randomize the delays, so that parallel requests do not retry at the same time.
+   * @property {boolean} [idempotent] - Whether the request can safely be sent twice. Idempotent requests are also retried on
+   *   network and server (5xx) errors, all other requests only when they were throttled. Defaults to true for functions and retrieves.
+   */
+  export type RetryPolicy = {
+    maxAttempts?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    jitter?: boolean;
+    idempotent?: boolean;
+  };
+  let globalRetryPolicy: RetryPolicy = {
+    maxAttempts: 1,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: true,
+  };
+  /**
+   * Sets the retry policy for all requests, merged with the current one.
+   * @param policy The retry policy.
+   * @example
+   * XrmEx.setRetryPolicy({ maxAttempts: 6, maxDelay: 60000 });
+   */
+  export function setRetryPolicy(policy: RetryPolicy): void {
+    globalRetryPolicy = { ...globalRetryPolicy, ...policy };
+  }
+  /**
+   * Returns the current retry policy for all requests.
+   */
+  export function getRetryPolicy(): RetryPolicy {
+    return { ...globalRetryPolicy };
+  }
+  /**The error codes of the Dataverse service protection limits*/
+  const throttlingErrorCodes = ["0x80072321", "0x80072322", "0x80072326"];
+  /**
+   * Returns true if the error was raised because Dataverse throttled the request (service protection limits).
+   * @param error Any error, f.e. an {@link XrmExError} or an error of Xrm.WebApi.
+   */
+  export function isThrottlingError(error: any): boolean {
+    return hasErrorCode(error, throttlingErrorCodes, [429]);
+  }
+  const isTransientError = (error: any): boolean => {
+    const { status } = getErrorDetails(error);
+    return status >= 500 || (!status && error?.name === "TypeError");
+  };
+  /**
+   * Runs an operation and retries it according to the retry policy.
+   * Throttled requests wait for the Retry-After of Dataverse, all others for an exponential backoff of at most maxDelay.
+   * A throttled request fails with its error, which holds the Retry-After, if Dataverse asks to wait longer than maxDelay.
+   * @param operation The operation to run.
+   * @param idempotent Whether the operation can safely be run twice, if not set in the policy.
+   * @param policy (Optional) The retry policy of the call, merged with the global one.
+   */
+  const withRetry = async <T>(
+    operation: () => PromiseLike<T>,
+    idempotent: boolean,
+    policy?: RetryPolicy
+  ): Promise<T> => {
+    const { maxAttempts, baseDelay, maxDelay, jitter, ...rest } = {
+      idempotent,
+      ...globalRetryPolicy,
+      ...policy,
+    };
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error: any) {
+        const retryable =
+          isThrottlingError(error) ||
+          (rest.idempotent && isTransientError(error));
+        if (!retryable || attempt >= maxAttempts) throw error;
+        const { retryAfter } = getErrorDetails(error);
+        if (retryAfter * 1000 > maxDelay) throw error;
+        let delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+        if (jitter) delay = delay / 2 + (Math.random() * delay) / 2;
+        if (retryAfter !== undefined) delay = retryAfter * 1000;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  };
+
   /**
    * Executes a request.
    * @param {string} actionName - The unique name of the request.
    * @param {RequestParameter[] | object} requestParameters - An array of objects with the parameter name, type, and value.
    * @param {EntityReference} [boundEntity] - An optional EntityReference of the bound entity.
    * @param {number} [operationType=1] - The type of the request. 0 for actions, 1 for functions, 2 for CRUD operations.
+   * @param {RetryPolicy} [retryPolicy] - An optional retry policy for this call. Only functions are retried on server errors by default.
    * @returns {Promise<any>} - A Promise with the request response.
    * @throws {Error} - Throws an error if the request parameter is not of a supported type or has an invalid value.
    */
@@ -337,7 +999,8 @@ export namespace XrmEx {
     actionName: string,
     requestParameters: RequestParameter[] | { [key: string]: any },
     boundEntity?: EntityReference,
-    operationType: number = 1
+    operationType: number = 1,
+    retryPolicy?: RetryPolicy
   ): Promise<any> {
     const request = buildRequestObject(
       actionName,
@@ -345,8 +1008,16 @@ export namespace XrmEx {
       operationType,
       boundEntity
     );
-    const result = await Xrm.WebApi.online.execute(request);
-    if (result.ok) return result.json().catch(() => result);
+    try {
+      const result = await withRetry(
+        () => Xrm.WebApi.online.execute(request),
+        operationType === 1,
+        retryPolicy
+      );
+      if (result.ok) return await result.json().catch(() => result);
+    } catch (error: any) {
+      throw XrmExError.from(error, "execute");
+    }
   }
 
   /**
@@ -354,15 +1025,23 @@ export namespace XrmEx {
    * @param {string} actionName - The unique name of the action.
    * @param {RequestParameter[] | object} requestParameters - An array of objects with the parameter name, type, and value.
    * @param {EntityReference} [boundEntity] - An optional EntityReference of the bound entity.
+   * @param {RetryPolicy} [retryPolicy] - An optional retry policy for this call.
    * @returns {Promise<any>} - A Promise with the request response.
    * @throws {Error} - Throws an error if the request parameter is not of a supported type or has an invalid value.
    */
   export async function executeAction(
     functionName: string,
     requestParameters: RequestParameter[] | object,
-    boundEntity?: EntityReference
+    boundEntity?: EntityReference,
+    retryPolicy?: RetryPolicy
   ): Promise<any> {
-    return await execute(functionName, requestParameters, boundEntity, 0);
+    return await execute(
+      functionName,
+      requestParameters,
+      boundEntity,
+      0,
+      retryPolicy
+    );
   }
 
   /**
@@ -370,15 +1049,23 @@ export namespace XrmEx {
    * @param {string} functionName - The unique name of the function.
    * @param {RequestParameter[] | object} requestParameters - An array of objects with the parameter name, type and value.
    * @param {EntityReference} [boundEntity] - An optional EntityReference of the bound entity.
+   * @param {RetryPolicy} [retryPolicy] - An optional retry policy for this call.
    * @returns {Promise<any>} - A Promise with the request response.
    * @throws {Error} - Throws an error if the request parameter is not of a supported type or has an invalid value.
    */
   export async function executeFunction(
     functionName: string,
     requestParameters: RequestParameter[] | object,
-    boundEntity?: EntityReference
+    boundEntity?: EntityReference,
+    retryPolicy?: RetryPolicy
   ): Promise<any> {
-    return await execute(functionName, requestParameters, boundEntity, 1);
+    return await execute(
+      functionName,
+      requestParameters,
+      boundEntity,
+      1,
+      retryPolicy
+    );
   }
 
   /**
@@ -386,785 +1073,5717 @@ export namespace XrmEx {
    * @param {string} messageName - The unique name of the request.
    * @param {RequestParameter[] | object} requestParameters - An array of objects with the parameter name, type, and value.
    * @param {EntityReference} [boundEntity] - An optional EntityReference of the bound entity.
+   * @param {RetryPolicy} [retryPolicy] - An optional retry policy for this call.
    * @returns {Promise<any>} - A Promise with the request response.
    * @throws {Error} - Throws an error if the request parameter is not of a supported type or has an invalid value.
    */
   export async function executeCRUD(
     functionName: string,
     requestParameters: RequestParameter[] | object,
-    boundEntity?: EntityReference
+    boundEntity?: EntityReference,
+    retryPolicy?: RetryPolicy
   ): Promise<any> {
-    return await execute(functionName, requestParameters, boundEntity, 2);
+    return await execute(
+      functionName,
+      requestParameters,
+      boundEntity,
+      2,
+      retryPolicy
+    );
   }
 
   /**
-   * Makes a GUID lowercase and removes brackets.
-   * @param {string} guid - The GUID to normalize.
-   * @returns {string} - The normalized GUID.
+   * Describes a create, update or delete operation for {@link executeBatch}.
+   * @property {'create' | 'update' | 'delete'} operation - The type of the operation.
+   * @property {string} entityName - The logical name of the entity.
+   * @property {string} [id] - The ID of the record to update or delete.
+   * @property {object} [data] - The attributes to create or update.
    */
-  export function normalizeGuid(guid: string): string {
-    if (typeof guid !== "string")
-      throw new Error(`XrmEx.normalizeGuid:\n'${guid}' is not a string`);
-    return guid.toLowerCase().replace(/[{}]/g, "");
-  }
-
+  export type BatchOperation =
+    | {
+        operation: "create";
+        entityName: string;
+        data: { [key: string]: any };
+      }
+    | {
+        operation: "update";
+        entityName: string;
+        id: string;
+        data: { [key: string]: any };
+      }
+    | { operation: "delete"; entityName: string; id: string };
   /**
-   * Wraps a function that takes a callback as its last parameter and returns a Promise.
-   * @param {Function} fn the function to wrap
-   * @param context the parent property of the function f.e. formContext.data.process for formContext.data.process.getEnabledProcesses
-   * @param args the arguments to pass to the function
-   * @returns {Promise<any>} a Promise that resolves with the callback response
+   * A request for {@link executeBatch}: an object from {@link buildRequestObject} or a {@link BatchOperation}.
    */
-  export function asPromise<T>(fn: Function, context, ...args): Promise<T> {
-    return new Promise<T>((resolve, reject) => {
-      const callback = (response: T) => {
-        resolve(response);
-      };
-      try {
-        // Call the function with the arguments and the callback at the end
-        fn.call(context, ...args, callback);
-      } catch (error) {
-        reject(error);
-      }
+  export type BatchRequest =
+    | BatchOperation
+    | { getMetadata: () => any; [key: string]: any };
+  /**
+   * The result of a single request executed by {@link executeBatch}.
+   * @property {number} index - The position of the request in the flattened list of requests.
+   * @property {boolean} ok - Whether the request succeeded.
+   * @property {number} [status] - The HTTP status code of the response.
+   * @property {any} [data] - The parsed JSON body of the response.
+   * @property {any} [error] - The error if the request failed.
+   */
+  export type BatchResult = {
+    index: number;
+    ok: boolean;
+    status?: number;
+    data?: any;
+    error?: any;
+  };
+  const toBatchRequest = (request: BatchRequest) => {
+    if (!request || typeof request !== "object")
+      throw new Error(`'${request}' is not a valid request`);
+    if ("getMetadata" in request && typeof request.getMetadata === "function")
+      return request;
+    const crud = request as BatchOperation;
+    if (!crud.entityName)
+      throw new Error(`no entityName was provided for the ${crud.operation}.`);
+    const metadata = (operationName: string) => () => ({
+      boundParameter: null,
+      operationType: 2,
+      operationName,
+      parameterTypes: {},
     });
-  }
+    switch (crud.operation) {
+      case "create":
+        return {
+          etn: crud.entityName,
+          payload: crud.data ?? {},
+          getMetadata: metadata("Create"),
+        };
+      case "update":
+        return {
+          etn: crud.entityName,
+          id: normalizeGuid(crud.id),
+          payload: crud.data ?? {},
+          getMetadata: metadata("Update"),
+        };
+      case "delete":
+        return {
+          entityReference: {
+            entityType: crud.entityName,
+            id: normalizeGuid(crud.id),
+          },
+          getMetadata: metadata("Delete"),
+        };
+      default:
+        throw new Error(
+          `'${(crud as any).operation}' is not a supported operation`
+        );
+    }
+  };
   /**
-   * Opens a dialog with dynamic height and width based on text content.
-   * @param {string} title - The title of the dialog.
-   * @param {string} text - The text content of the dialog.
-   * @returns {Promise<any>} - A Promise with the dialog response.
+   * Executes multiple requests in a single batch and returns the result of every request in order.
+   * Nested arrays are executed as changesets, which run in a transaction.
+   * Functions cannot be part of a changeset.
+   * @param {(BatchRequest | BatchRequest[])[]} requests - Objects from {@link buildRequestObject}, create/update/delete descriptors or arrays of them as changesets.
+   * @param {object} [options] - Options for the batch.
+   * @param {boolean} [options.transactional=false] - If true, all requests are executed in one changeset.
+   * @returns {Promise<BatchResult[]>} - A promise with one result per request in the order of the flattened requests.
+   * @example
+   * const results = await XrmEx.executeBatch(
+   *   [
+   *     { operation: "create", entityName: "contact", data: { lastname: "Doe" } },
+   *     { operation: "delete", entityName: "contact", id: contactId },
+   *     XrmEx.buildRequestObject("new_DoSomething", { Amount: 5 }, 0),
+   *   ],
+   *   { transactional: true }
+   * );
+   * results.filter((r) => !r.ok).forEach((r) => console.error(r.error));
    */
-  export async function openAlertDialog(
-    title: string,
-    text: string
-  ): Promise<any> {
+  export async function executeBatch(
+    requests: (BatchRequest | BatchRequest[])[],
+    options?: { transactional?: boolean }
+  ): Promise<BatchResult[]> {
+    let batch: any[];
     try {
-      const rows = text.split(/\r\n|\r|\n/);
-      let additionalRows = 0;
-      rows.forEach((row) => {
-        let width = getTextWidth(
-          row,
-          "1rem Segoe UI Regular, SegoeUI, Segoe UI"
-        );
-        if (width > 940) {
-          additionalRows += width / 940;
-        }
-      });
-      const longestRow = rows.reduce(
-        (acc, row) => (row.length > acc.length ? row : acc),
-        ""
-      );
-      const width = Math.min(
-        getTextWidth(longestRow, "1rem Segoe UI Regular, SegoeUI, Segoe UI"),
-        1000
-      );
-      const height = 109 + (rows.length + additionalRows) * 20;
-      return await Xrm.Navigation.openAlertDialog(
-        {
-          confirmButtonLabel: "Ok",
-          text,
-          title,
-        },
-        {
-          height,
-          width,
-        }
+      if (!Array.isArray(requests)) throw new Error(`requests is not an Array`);
+      batch = requests.map((request) =>
+        Array.isArray(request)
+          ? request.map(toBatchRequest)
+          : toBatchRequest(request)
       );
+      if (options?.transactional) batch = [batch.flat()];
+      batch
+        .filter((request) => Array.isArray(request))
+        .flat()
+        .forEach((request) => {
+          if (request.getMetadata().operationType === 1)
+            throw new Error(
+              `the function '${
+                request.getMetadata().operationName
+              }' cannot be part of a changeset`
+            );
+        });
     } catch (error: any) {
-      console.error(error.message);
-      throw new Error(`XrmEx.${getFunctionName()}:\n${error.message}`);
+      throw XrmExError.from(error, getFunctionName());
     }
-    /**
-     * Uses canvas.measureText to compute and return the width of the given text of given font in pixels.
-     *
-     * @param {String} text The text to be rendered.
-     * @param {String} font The css font descriptor that text is to be rendered with (e.g. "bold 14px verdana").
-     *
-     * @see https://stackoverflow.com/questions/118241/calculate-text-width-with-javascript/21015393#21015393
-     */
-    function getTextWidth(text: string, font: string) {
-      const canvas = document.createElement("canvas");
-      const context = canvas.getContext("2d");
-      context.font = font;
-      const metrics = context.measureText(text);
-      return metrics.width;
+    const count = batch.flat().length;
+    if (count === 0) return [];
+    let responses: Xrm.ExecuteResponse[];
+    try {
+      responses = await Xrm.WebApi.online.executeMultiple(batch);
+    } catch (error: any) {
+      return Array.from({ length: count }, (_, index) => ({
+        index,
+        ok: false,
+        error: XrmExError.from(error, "executeBatch"),
+      }));
     }
+    return await Promise.all(
+      Array.from({ length: count }, async (_, index): Promise<BatchResult> => {
+        const response = responses?.[index];
+        if (!response)
+          return {
+            index,
+            ok: false,
+            error: new XrmExError(`no response`, { method: "executeBatch" }),
+          };
+        const data =
+          response.status === 204
+            ? undefined
+            : await response.json().catch(() => undefined);
+        return response.ok
+          ? { index, ok: true, status: response.status, data }
+          : {
+              index,
+              ok: false,
+              status: response.status,
+              error: XrmExError.from(
+                { ...data, status: response.status },
+                "executeBatch"
+              ),
+            };
+      })
+    );
   }
 
   /**
-   * Opens an error dialog with the specified error information.
-   * @param error The error object containing details about the error.
+   * The data types supported by {@link defineApi}.
    */
-  export async function openErrorDialog(error: any): Promise<void> {
-    try {
-      return await Xrm.Navigation.openErrorDialog({
-        message: getErrorMessage(error),
-        details: JSON.stringify(error, null, 4),
-        errorCode: error?.errorCode,
-      });
-    } catch (error: any) {
-      console.error(error.message);
-      throw new Error(`XrmEx.${getFunctionName()}:\n${error.message}`);
+  export type ApiType = RequestParameter["Type"];
+  /**
+   * The definition of a parameter or response property of a custom API.
+   * Either the type name or an object with the type, whether it is required and the entity type of entity parameters.
+   */
+  export type ApiParameterDefinition =
+    | ApiType
+    | { type: ApiType; required?: boolean; entityType?: string };
+  type ApiValue<T> = T extends "Boolean"
+    ? boolean
+    : T extends "DateTime"
+    ? Date
+    : T extends "Decimal" | "Float" | "Integer" | "Money" | "Picklist"
+    ? number
+    : T extends "String" | "Guid"
+    ? string
+    : T extends "EntityReference"
+    ? EntityReference
+    : T extends "Entity"
+    ? { [key: string]: any }
+    : T extends "EntityCollection"
+    ? { [key: string]: any }[]
+    : any;
+  type ApiDefinitionValue<D> = D extends { type: infer T }
+    ? ApiValue<T>
+    : ApiValue<D>;
+  type ApiRequiredKeys<P> = {
+    [K in keyof P]: P[K] extends { required: true } ? K : never;
+  }[keyof P];
+  /**The parameters of a custom API defined with {@link defineApi}*/
+  export type ApiParameters<P> = {
+    [K in ApiRequiredKeys<P>]: ApiDefinitionValue<P[K]>;
+  } & {
+    [K in Exclude<keyof P, ApiRequiredKeys<P>>]?: ApiDefinitionValue<P[K]>;
+  };
+  /**The response of a custom API defined with {@link defineApi}*/
+  export type ApiResponse<R> = { [K in keyof R]: ApiDefinitionValue<R[K]> };
+  /**
+   * The definition of a custom API, action or function.
+   * @property {string} name - The unique name of the custom API.
+   * @property {'action' | 'function'} [operation='action'] - Whether the API is an action or a function.
+   * @property {string} [binding] - The logical name of the entity the API is bound to. Omit for unbound APIs.
+   * @property {object} [params] - The request parameters by name.
+   * @property {object} [response] - The response properties by name.
+   */
+  export type ApiDefinition<
+    Params extends { [key: string]: ApiParameterDefinition },
+    Response extends { [key: string]: ApiParameterDefinition }
+  > = {
+    name: string;
+    operation?: "action" | "function";
+    binding?: string;
+    params?: Params;
+    response?: Response;
+  };
+  /**
+   * A callable custom API created by {@link defineApi}.
+   */
+  export type Api<
+    Params extends { [key: string]: ApiParameterDefinition },
+    Response extends { [key: string]: ApiParameterDefinition }
+  > = {
+    (
+      parameters?: ApiParameters<Params>,
+      boundEntity?: EntityReference
+    ): Promise<
+      { [key: string]: ApiParameterDefinition } extends Response
+        ? any
+        : ApiResponse<Response>
+    >;
+    /**The definition the API was created with*/
+    readonly definition: ApiDefinition<Params, Response>;
+    /**Validates the parameters and returns the request object, f.e. for {@link executeBatch}*/
+    buildRequest(
+      parameters?: ApiParameters<Params>,
+      boundEntity?: EntityReference
+    ): { getMetadata: () => any; [key: string]: any };
+  };
+  const toApiParameterDefinition = (definition: ApiParameterDefinition) =>
+    typeof definition === "string" ? { type: definition } : definition;
+  const isEntityReference = (value: any): boolean =>
+    !!value &&
+    typeof value === "object" &&
+    typeof value.entityType === "string" &&
+    typeof value.id === "string" &&
+    isGuid(value.id);
+  /**
+   * Validates a value against the declared type and converts it to the value sent to the Web API.
+   */
+  const toApiValue = (
+    name: string,
+    value: any,
+    definition: { type: ApiType; entityType?: string }
+  ): any => {
+    const fail = (): never => {
+      throw new Error(
+        `'${name}' is not a valid ${definition.type}: '${value}'`
+      );
+    };
+    switch (definition.type) {
+      case "Boolean":
+        return typeof value === "boolean" ? value : fail();
+      case "Integer":
+      case "Picklist":
+        return Number.isInteger(value) ? value : fail();
+      case "Decimal":
+      case "Float":
+      case "Money":
+        return typeof value === "number" && isFinite(value) ? value : fail();
+      case "String":
+        return typeof value === "string" ? value : fail();
+      case "Guid":
+        return typeof value === "string" && isGuid(value)
+          ? normalizeGuid(value)
+          : fail();
+      case "DateTime": {
+        const date = value instanceof Date ? value : new Date(value);
+        return typeof value !== "boolean" && !isNaN(date.getTime())
+          ? date
+          : fail();
+      }
+      case "EntityReference":
+        if (!isEntityReference(value)) fail();
+        if (definition.entityType && value.entityType !== definition.entityType)
+          throw new Error(
+            `'${name}' must reference '${definition.entityType}' but references '${value.entityType}'`
+          );
+        return { ...value, id: normalizeGuid(value.id) };
+      case "Entity":
+        return value && typeof value === "object" && !Array.isArray(value)
+          ? value
+          : fail();
+      case "EntityCollection":
+        return Array.isArray(value) &&
+          value.every((item) => item && typeof item === "object")
+          ? value
+          : fail();
+      default:
+        throw new Error(`'${definition.type}' is not a supported type`);
+    }
+  };
+  /**
+   * Converts a property of the Web API response to the declared type.
+   */
+  const fromApiValue = (value: any, type: ApiType): any => {
+    if (value === null || value === undefined) return null;
+    switch (type) {
+      case "DateTime":
+        return new Date(value);
+      case "Integer":
+      case "Picklist":
+      case "Decimal":
+      case "Float":
+      case "Money":
+        return Number(value);
+      case "Guid":
+        return normalizeGuid(value);
+      case "EntityReference": {
+        const entityType = String(value["@odata.type"] ?? "").replace(
+          /^#?Microsoft\.Dynamics\.CRM\./,
+          ""
+        );
+        const id = value[`${entityType}id`] ?? value.id;
+        return entityType && id
+          ? { entityType, id: normalizeGuid(id), name: value.name }
+          : value;
+      }
+      default:
+        return value;
     }
+  };
+  /**
+   * Defines a custom API, action or function once and returns a typed callable.
+   * The parameters are validated against the declared types before the request is sent,
+   * and the response is converted into the declared properties.
+   * @param {ApiDefinition} definition - The definition of the API.
+   * @returns {Api} - A function that validates the parameters, executes the API and returns the shaped response.
+   * @example
+   * const calculatePrice = XrmEx.defineApi({
+   *   name: "new_CalculatePrice",
+   *   binding: "opportunity",
+   *   params: {
+   *     Amount: { type: "Money", required: true },
+   *     Product: { type: "EntityReference", entityType: "product" },
+   *     ValidUntil: "DateTime",
+   *   },
+   *   response: { Price: "Decimal", CalculatedOn: "DateTime" },
+   * });
+   * const { Price } = await calculatePrice({ Amount: 12.5 }, XrmEx.Form.entityReference);
+   */
+  export function defineApi<
+    const Params extends { [key: string]: ApiParameterDefinition } = {},
+    const Response extends { [key: string]: ApiParameterDefinition } = {}
+  >(definition: ApiDefinition<Params, Response>): Api<Params, Response> {
+    if (!definition?.name)
+      throw new XrmExError(`no name was provided.`, { method: "defineApi" });
+    const operationType = definition.operation === "function" ? 1 : 0;
+    const params = Object.fromEntries(
+      Object.entries(definition.params ?? {}).map(([name, parameter]) => [
+        name,
+        toApiParameterDefinition(parameter),
+      ])
+    );
+    Object.entries(params).forEach(([name, parameter]) => {
+      if (!(parameter.type in typeMap))
+        throw new XrmExError(
+          `'${parameter.type}' of '${name}' is not a supported type`,
+          { method: "defineApi" }
+        );
+    });
+    const buildRequest = (
+      parameters?: { [key: string]: any },
+      boundEntity?: EntityReference
+    ) => {
+      try {
+        parameters ??= {};
+        Object.keys(parameters).forEach((name) => {
+          if (!params[name]) throw new Error(`'${name}' is not a parameter`);
+        });
+        if (definition.binding) {
+          if (!isEntityReference(boundEntity))
+            throw new Error(
+              `a bound entity of '${definition.binding}' is required`
+            );
+          if (boundEntity.entityType !== definition.binding)
+            throw new Error(
+              `the bound entity must be '${definition.binding}' but is '${boundEntity.entityType}'`
+            );
+        }
+        const values: { [key: string]: any } = {};
+        const parameterTypes: { [key: string]: any } = {};
+        Object.entries(params).forEach(([name, parameter]) => {
+          const value = parameters[name];
+          if (value === null || value === undefined) {
+            if (parameter.required) throw new Error(`'${name}' is required`);
+            return;
+          }
+          values[name] = toApiValue(name, value, parameter);
+          parameterTypes[name] = {
+            typeName:
+              parameter.entityType &&
+              (parameter.type === "EntityReference" ||
+                parameter.type === "Entity")
+                ? `mscrm.${parameter.entityType}`
+                : typeMap[parameter.type].typeName,
+            structuralProperty: typeMap[parameter.type].structuralProperty,
+          };
+        });
+        if (definition.binding) {
+          values["entity"] = {
+            entityType: boundEntity.entityType,
+            id: normalizeGuid(boundEntity.id),
+          };
+          parameterTypes["entity"] = {
+            typeName: `mscrm.${definition.binding}`,
+            structuralProperty: 5,
+          };
+        }
+        const metadata = {
+          boundParameter: definition.binding ? "entity" : null,
+          operationType,
+          operationName: definition.name,
+          parameterTypes,
+        };
+        return Object.assign({ getMetadata: () => metadata }, values);
+      } catch (error: any) {
+        throw XrmExError.from(error, definition.name);
+      }
+    };
+    const api = async (
+      parameters?: { [key: string]: any },
+      boundEntity?: EntityReference
+    ) => {
+      const request = buildRequest(parameters, boundEntity);
+      const result = await Xrm.WebApi.online.execute(request);
+      if (!result.ok) return undefined;
+      const body = await result.json().catch(() => undefined);
+      if (!definition.response || !body) return body;
+      return Object.fromEntries(
+        Object.entries(definition.response).map(([name, property]) => [
+          name,
+          fromApiValue(body[name], toApiParameterDefinition(property).type),
+        ])
+      );
+    };
+    return Object.assign(api, { definition, buildRequest }) as any;
   }
 
-  export class Process {
-    static get data() {
-      return Form.formContext.data.process;
+  /**
+   * Makes a GUID lowercase and removes brackets.
+   * @param {string} guid - The GUID to normalize.
+   * @returns {string} - The normalized GUID.
+   */
+  export function normalizeGuid(guid: string): string {
+    if (typeof guid !== "string")
+      throw new XrmExError(`'${guid}' is not a string`, {
+        method: "normalizeGuid",
+      });
+    return guid.toLowerCase().replace(/[{}]/g, "");
+  }
+
+  /**
+   * Formats a value as an OData literal.
+   * Strings are quoted and escaped, dates are serialized as ISO strings and GUIDs are only left unquoted when they are passed as {@link Types.guid}.
+   * @param value The value to format.
+   * @returns {string} - The OData literal.
+   */
+  const toODataLiteral = (value: any): string => {
+    if (value === null || value === undefined) return "null";
+    if (value instanceof TypedValue)
+      return value.typeName === "Edm.Guid"
+        ? value.value
+        : toODataLiteral(value.value);
+    if (value instanceof Date) {
+      if (isNaN(value.getTime()))
+        throw new Error(`'${value}' is not a valid date`);
+      return value.toISOString();
     }
-    static get ui() {
-      return Form.formContext.ui.process;
+    if (typeof value === "number" || typeof value === "boolean")
+      return String(value);
+    if (typeof value === "string") return `'${value.replace(/'/g, "''")}'`;
+    throw new Error(`'${value}' cannot be used as a filter value`);
+  };
+  /**
+   * A condition of a {@link QueryFilter}. The literal is kept apart so it can be URL encoded when the query string is built.
+   */
+  type FilterCondition = { prefix: string; literal: string; suffix: string };
+
+  /**
+   * Represents a group of conditions in an OData $filter expression.
+   * Conditions within a group are combined with the group's operator.
+   * @example
+   * new XrmEx.QueryFilter("or")
+   *   .eq("statecode", 0)
+   *   .and((f) => f.startsWith("name", "Contoso").ne("_parentaccountid_value", null))
+   *   .eq("accountid", XrmEx.Types.guid(accountId));
+   */
+  export class QueryFilter {
+    public readonly type: "and" | "or";
+    protected _conditions: (string | FilterCondition | QueryFilter)[] = [];
+    constructor(type: "and" | "or" = "and") {
+      this.type = type;
     }
-    /**
-     * Use this to add a function as an event handler for the OnPreProcessStatusChange event so that it will be called before the
-     * business process flow status changes.
-     * @param handler The function will be added to the bottom of the event
-     *                handler pipeline. The execution context is automatically
-     *                set to be the first parameter passed to the event handler.
-     *                Use a reference to a named function rather than an
-     *                anonymous function if you may later want to remove the
-     *                event handler.
-     */
-    static addOnPreProcessStatusChange(
-      handler: Xrm.Events.ProcessStatusChangeHandler
-    ) {
-      Form.formContext.data.process.removeOnPreProcessStatusChange(handler);
-      return Form.formContext.data.process.addOnPreProcessStatusChange(handler);
+    /**Returns true if the filter contains no conditions*/
+    get isEmpty(): boolean {
+      return this._conditions.every((condition) =>
+        condition instanceof QueryFilter ? condition.isEmpty : !condition
+      );
     }
-    /**
-     * Use this to add a function as an event handler for the OnPreStageChange event so that it will be called before the
-     * business process flow stage changes.
-     * @param handler The function will be added to the bottom of the event
-     *                handler pipeline. The execution context is automatically
-     *                set to be the first parameter passed to the event handler.
-     *                Use a reference to a named function rather than an
-     *                anonymous function if you may later want to remove the
-     *                event handler.
-     */
-    static addOnPreStageChange(handler: Xrm.Events.StageChangeEventHandler) {
-      Form.formContext.data.process.removeOnPreStageChange(handler);
-      return Form.formContext.data.process.addOnPreStageChange(handler);
+    protected compare(attribute: string, operator: string, value: any): this {
+      try {
+        if (!attribute) throw new Error(`no attribute was provided.`);
+        if (
+          /^_\w+_value$/.test(attribute) &&
+          typeof value === "string" &&
+          isGuid(value)
+        )
+          value = Types.guid(value);
+        this._conditions.push({
+          prefix: `${attribute} ${operator} `,
+          literal: toODataLiteral(value),
+          suffix: "",
+        });
+        return this;
+      } catch (error: any) {
+        throw XrmExError.from(error, `QueryFilter.${operator}`);
+      }
     }
-    /**
-     * Use this to add a function as an event handler for the OnPreProcessStatusChange event so that it will be called when the
-     * business process flow status changes.
-     * @param handler The function will be added to the bottom of the event
-     *                handler pipeline. The execution context is automatically
-     *                set to be the first parameter passed to the event handler.
-     *                Use a reference to a named function rather than an
-     *                anonymous function if you may later want to remove the
-     *                event handler.
-     */
-    static addOnProcessStatusChange(
-      handler: Xrm.Events.ProcessStatusChangeHandler
-    ) {
-      Form.formContext.data.process.removeOnProcessStatusChange(handler);
-      return Form.formContext.data.process.addOnProcessStatusChange(handler);
+    protected call(method: string, attribute: string, value: string): this {
+      try {
+        if (!attribute) throw new Error(`no attribute was provided.`);
+        this._conditions.push({
+          prefix: `${method}(${attribute},`,
+          literal: toODataLiteral(value),
+          suffix: ")",
+        });
+        return this;
+      } catch (error: any) {
+        throw XrmExError.from(error, `QueryFilter.${method}`);
+      }
     }
-    /**
-     * Use this to add a function as an event handler for the OnStageChange event so that it will be called when the
-     * business process flow stage changes.
-     * @param handler The function will be added to the bottom of the event
-     *                handler pipeline. The execution context is automatically
-     *                set to be the first parameter passed to the event handler.
-     *                Use a reference to a named function rather than an
-     *                anonymous function if you may later want to remove the
-     *                event handler.
-     */
-    static addOnStageChange(handler: Xrm.Events.StageChangeEventHandler) {
-      Form.formContext.data.process.removeOnStageChange(handler);
-      return Form.formContext.data.process.addOnStageChange(handler);
+    /**Adds an equal condition. GUIDs are only compared unquoted for lookup values (_name_value) or when they are passed as {@link Types.guid}.*/
+    eq(attribute: string, value: any): this {
+      return this.compare(attribute, "eq", value);
+    }
+    /**Adds a not equal condition*/
+    ne(attribute: string, value: any): this {
+      return this.compare(attribute, "ne", value);
+    }
+    /**Adds a greater than condition*/
+    gt(attribute: string, value: any): this {
+      return this.compare(attribute, "gt", value);
+    }
+    /**Adds a greater than or equal condition*/
+    ge(attribute: string, value: any): this {
+      return this.compare(attribute, "ge", value);
+    }
+    /**Adds a less than condition*/
+    lt(attribute: string, value: any): this {
+      return this.compare(attribute, "lt", value);
+    }
+    /**Adds a less than or equal condition*/
+    le(attribute: string, value: any): this {
+      return this.compare(attribute, "le", value);
+    }
+    /**Adds a condition that checks whether the attribute contains the value*/
+    contains(attribute: string, value: string): this {
+      return this.call("contains", attribute, value);
+    }
+    /**Adds a condition that checks whether the attribute starts with the value*/
+    startsWith(attribute: string, value: string): this {
+      return this.call("startswith", attribute, value);
+    }
+    /**Adds a condition that checks whether the attribute ends with the value*/
+    endsWith(attribute: string, value: string): this {
+      return this.call("endswith", attribute, value);
+    }
+    /**Adds a condition that checks whether the attribute equals one of the values*/
+    in(attribute: string, values: any[]): this {
+      if (!Array.isArray(values) || values.length === 0)
+        throw new XrmExError(`values is not a non-empty Array`, {
+          method: "QueryFilter.in",
+        });
+      return this.or((f) => values.forEach((value) => f.eq(attribute, value)));
+    }
+    /**Adds a condition that checks whether the attribute is null*/
+    isNull(attribute: string): this {
+      return this.compare(attribute, "eq", null);
+    }
+    /**Adds a condition that checks whether the attribute is not null*/
+    isNotNull(attribute: string): this {
+      return this.compare(attribute, "ne", null);
+    }
+    /**Adds a raw OData filter expression. The expression is not escaped.*/
+    raw(expression: string): this {
+      if (expression) this._conditions.push(expression);
+      return this;
     }
     /**
-     * Use this to add a function as an event handler for the OnStageSelected event so that it will be called
-     * when a business process flow stage is selected.
-     * @param handler The function will be added to the bottom of the event
-     *                handler pipeline. The execution context is automatically
-     *                set to be the first parameter passed to the event handler.
-     *                Use a reference to a named function rather than an
-     *                anonymous function if you may later want to remove the
-     *                event handler.
+     * Adds an existing filter as a nested group.
+     * @param filter The filter to add.
      */
-    static addOnStageSelected(handler: Xrm.Events.ContextSensitiveHandler) {
-      Form.formContext.data.process.removeOnStageSelected(handler);
-      return Form.formContext.data.process.addOnStageSelected(handler);
+    add(filter: QueryFilter): this {
+      if (!(filter instanceof QueryFilter))
+        throw new XrmExError(`'${filter}' is not a filter`, {
+          method: "QueryFilter.add",
+        });
+      this._conditions.push(filter);
+      return this;
     }
     /**
-     * Use this to remove a function as an event handler for the OnPreProcessStatusChange event.
-     * @param handler If an anonymous function is set using the addOnPreProcessStatusChange method it
-     *                cannot be removed using this method.
+     * Adds a nested group whose conditions are combined with "and".
+     * @param build A function that receives the nested group to add conditions to.
      */
-    static removeOnPreProcessStatusChange(
-      handler: Xrm.Events.ProcessStatusChangeHandler
-    ) {
-      return Form.formContext.data.process.removeOnPreProcessStatusChange(
-        handler
-      );
+    and(build: (filter: QueryFilter) => void): this {
+      return this.group("and", build);
     }
     /**
-     * Use this to remove a function as an event handler for the OnPreStageChange event.
-     * @param handler If an anonymous function is set using the addOnPreStageChange method it
-     *                cannot be removed using this method.
+     * Adds a nested group whose conditions are combined with "or".
+     * @param build A function that receives the nested group to add conditions to.
      */
-    static removeOnPreStageChange(handler: Xrm.Events.StageChangeEventHandler) {
-      return Form.formContext.data.process.removeOnPreStageChange(handler);
+    or(build: (filter: QueryFilter) => void): this {
+      return this.group("or", build);
+    }
+    protected group(
+      type: "and" | "or",
+      build: (filter: QueryFilter) => void
+    ): this {
+      const filter = new QueryFilter(type);
+      build(filter);
+      this._conditions.push(filter);
+      return this;
     }
     /**
-     * Use this to remove a function as an event handler for the OnProcessStatusChange event.
-     * @param handler If an anonymous function is set using the addOnProcessStatusChange method it
-     *                cannot be removed using this method.
+     * Serializes the filter as an OData $filter expression without the $filter= prefix.
+     * @param encode (Optional) URL encodes the literals, as done by {@link Query}. Defaults to false.
      */
-    static removeOnProcessStatusChange(
-      handler: Xrm.Events.ProcessStatusChangeHandler
-    ) {
-      return Form.formContext.data.process.removeOnProcessStatusChange(handler);
+    toString(encode = false): string {
+      const parts = this._conditions
+        .map((condition) => {
+          if (typeof condition === "string") return condition;
+          if (!(condition instanceof QueryFilter))
+            return `${condition.prefix}${
+              encode ? encodeURIComponent(condition.literal) : condition.literal
+            }${condition.suffix}`;
+          if (condition.isEmpty) return "";
+          const expression = condition.toString(encode);
+          return condition._conditions.length > 1
+            ? `(${expression})`
+            : expression;
+        })
+        .filter((part) => part);
+      return parts.join(` ${this.type} `);
     }
+  }
+
+  /**
+   * A fluent builder for OData system query options used by the Xrm.WebApi methods.
+   * @example
+   * const options = new XrmEx.Query()
+   *   .select("name", "revenue")
+   *   .filter((f) => f.eq("statecode", 0).or((o) => o.contains("name", "O'Neil").gt("revenue", 1000)))
+   *   .expand("primarycontactid", (q) => q.select("fullname"))
+   *   .orderBy("name")
+   *   .top(10);
+   * await XrmEx.retrieveMultiple("account", options);
+   * //?$select=name,revenue&$filter=statecode eq 0 and (contains(name,'O''Neil') or revenue gt 1000)&$expand=primarycontactid($select=fullname)&$orderby=name asc&$top=10
+   */
+  export class Query {
+    protected _select: string[] = [];
+    protected _filter = new QueryFilter("and");
+    protected _expand: { navigationProperty: string; query?: Query }[] = [];
+    protected _orderBy: string[] = [];
+    protected _top?: number;
+    protected _count = false;
     /**
-     * Use this to remove a function as an event handler for the OnStageChange event.
-     * @param handler If an anonymous function is set using the addOnStageChange method it
-     *                cannot be removed using this method.
+     * Adds attributes to the $select option.
+     * @param attributes The logical names of the attributes to retrieve.
      */
-    static removeOnStageChange(handler: Xrm.Events.StageChangeEventHandler) {
-      return Form.formContext.data.process.removeOnStageChange(handler);
+    select(...attributes: string[]): this {
+      attributes
+        .filter((attribute) => attribute && !this._select.includes(attribute))
+        .forEach((attribute) => this._select.push(attribute));
+      return this;
     }
     /**
-     * Use this to remove a function as an event handler for the OnStageChange event.
-     * @param handler If an anonymous function is set using the addOnStageChange method it
-     *                cannot be removed using this method.
+     * Adds conditions to the $filter option. Multiple calls are combined with "and".
+     * @param filter A function that receives the filter to add conditions to, or an existing QueryFilter.
      */
-    static removeOnStageSelected(handler: Xrm.Events.ContextSensitiveHandler) {
-      return Form.formContext.data.process.removeOnStageSelected(handler);
+    filter(filter: QueryFilter | ((filter: QueryFilter) => void)): this {
+      if (filter instanceof QueryFilter) {
+        this._filter.add(filter);
+      } else if (typeof filter === "function") filter(this._filter);
+      else
+        throw new XrmExError(`'${filter}' is not a filter`, {
+          method: "Query.filter",
+        });
+      return this;
     }
-
     /**
-     * Use this method to asynchronously retrieve the enabled business process flows that the user can switch to for an entity.
-     * @returns returns callback response as Promise
+     * Adds a navigation property to the $expand option.
+     * @param navigationProperty The name of the navigation property.
+     * @param build (Optional) A function that receives a nested query to limit the related data, f.e. with select.
      */
-    static getEnabledProcesses() {
-      return asPromise<Xrm.ProcessFlow.ProcessDictionary>(
-        Form.formContext.data.process.getEnabledProcesses,
-        Form.formContext.data.process
-      );
+    expand(navigationProperty: string, build?: (query: Query) => void): this {
+      if (!navigationProperty)
+        throw new XrmExError(`no navigationProperty was provided.`, {
+          method: "Query.expand",
+        });
+      let query: Query;
+      if (build) {
+        query = new Query();
+        build(query);
+      }
+      this._expand.push({ navigationProperty, query });
+      return this;
     }
     /**
-     * Returns all process instances for the entity record that the calling user has access to.
-     * @returns returns callback response as Promise
+     * Adds an attribute to the $orderby option.
+     * @param attribute The logical name of the attribute.
+     * @param direction The sort direction. Defaults to "asc".
      */
-    static getProcessInstances() {
-      return asPromise<Xrm.ProcessFlow.GetProcessInstancesDelegate>(
-        Form.formContext.data.process.getProcessInstances,
-        Form.formContext.data.process
-      );
+    orderBy(attribute: string, direction: "asc" | "desc" = "asc"): this {
+      if (!attribute)
+        throw new XrmExError(`no attribute was provided.`, {
+          method: "Query.orderBy",
+        });
+      this._orderBy.push(`${attribute} ${direction}`);
+      return this;
     }
     /**
-     * Progresses to the next stage.
-     * @returns returns callback response as Promise
+     * Sets the $top option.
+     * @param count The maximum number of records to return.
      */
-    static moveNext() {
-      return asPromise<Xrm.ProcessFlow.ProcessCallbackDelegate>(
-        Form.formContext.data.process.moveNext,
-        Form.formContext.data.process
-      );
+    top(count: number): this {
+      if (!Number.isInteger(count) || count <= 0)
+        throw new XrmExError(`'${count}' is not a positive integer`, {
+          method: "Query.top",
+        });
+      this._top = count;
+      return this;
     }
     /**
-     * Moves to the previous stage.
-     * @returns returns callback response as Promise
+     * Sets the $count option to include the total record count in the response.
+     * @param enabled Defaults to true.
      */
-    static movePrevious() {
-      return asPromise<Xrm.ProcessFlow.ProcessCallbackDelegate>(
-        Form.formContext.data.process.movePrevious,
-        Form.formContext.data.process
-      );
+    count(enabled = true): this {
+      this._count = enabled;
+      return this;
+    }
+    protected getOptions(nested: boolean): string[] {
+      const options: string[] = [];
+      if (this._select.length)
+        options.push(`$select=${this._select.join(",")}`);
+      if (!this._filter.isEmpty)
+        options.push(`$filter=${this._filter.toString(true)}`);
+      if (this._expand.length)
+        options.push(
+          `$expand=${this._expand
+            .map(({ navigationProperty, query }) => {
+              const nestedOptions = query ? query.getOptions(true) : [];
+              return nestedOptions.length
+                ? `${navigationProperty}(${nestedOptions.join(";")})`
+                : navigationProperty;
+            })
+            .join(",")}`
+        );
+      if (this._orderBy.length)
+        options.push(`$orderby=${this._orderBy.join(",")}`);
+      if (this._top) options.push(`$top=${this._top}`);
+      if (this._count && !nested) options.push(`$count=true`);
+      return options;
     }
     /**
-     * Set a Process as the active process.
-     * @param processId The Id of the process to make the active process.
-     * @returns returns callback response as Promise
+     * Serializes the query as an options string, f.e. ?$select=name&$top=10
      */
-    static setActiveProcess(processId: string) {
-      return asPromise<Xrm.ProcessFlow.ProcessCallbackDelegate>(
-        Form.formContext.data.process.setActiveProcess,
-        Form.formContext.data.process,
-        processId
-      );
+    toString(): string {
+      const options = this.getOptions(false);
+      return options.length ? `?${options.join("&")}` : "";
     }
-    /**
+  }
+
+  /**
+   * Retrieves a collection of entity records.
+   * @param {string} entityLogicalName - The logical name of the entity.
+   * @param {string | Query} [options] - OData system query options or a Query, f.e. ?$select=name&$top=3
+   * @param {number} [maxPageSize] - The number of records to be returned per page.
+   * @returns {Promise<Xrm.RetrieveMultipleResult>} - A promise containing the retrieved records and the nextLink if there are more records.
+   * @see {@link https://learn.microsoft.com/en-us/power-apps/developer/model-driven-apps/clientapi/reference/xrm-webapi/retrievemultiplerecords External Link: retrieveMultipleRecords (Client API reference)}
+   */
+  export async function retrieveMultiple(
+    entityLogicalName: string,
+    options?: string | Query,
+    maxPageSize?: number
+  ): Promise<Xrm.RetrieveMultipleResult> {
+    try {
+      return await Xrm.WebApi.retrieveMultipleRecords(
+        entityLogicalName,
+        options?.toString(),
+        maxPageSize
+      );
+    } catch (error: any) {
+      throw XrmExError.from(error, getFunctionName());
+    }
+  }
+
+  /**
+   * Represents an element of a parsed XML document.
+   */
+  type XmlElement = {
+    name: string;
+    attributes: { [key: string]: string };
+    children: XmlElement[];
+    text: string;
+  };
+  const xmlEntities = {
+    lt: "<",
+    gt: ">",
+    amp: "&",
+    quot: '"',
+    apos: "'",
+  };
+  const decodeXml = (value: string): string =>
+    value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity: string) => {
+      if (entity.startsWith("#x"))
+        return String.fromCodePoint(parseInt(entity.substring(2), 16));
+      if (entity.startsWith("#"))
+        return String.fromCodePoint(parseInt(entity.substring(1), 10));
+      return xmlEntities[entity] ?? match;
+    });
+  const escapeXml = (value: string): string =>
+    value.replace(
+      /[<>&"']/g,
+      (char) =>
+        `&${Object.keys(xmlEntities).find((k) => xmlEntities[k] === char)};`
+    );
+  /**
+   * Parses an XML string into a tree of elements.
+   * Comments and processing instructions are ignored.
+   * @param xml The XML string to parse.
+   * @returns {XmlElement} - The root element of the document.
+   * @throws {Error} - Throws an error if the XML is not well-formed.
+   */
+  const parseXml = (xml: string): XmlElement => {
+    if (typeof xml !== "string" || !xml.trim())
+      throw new Error(`no xml was provided.`);
+    const document: XmlElement = {
+      name: "",
+      attributes: {},
+      children: [],
+      text: "",
+    };
+    const stack = [document];
+    const tokens =
+      /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let position = 0;
+    let match: RegExpExecArray;
+    while ((match = tokens.exec(xml)) !== null) {
+      if (match.index !== position)
+        throw new Error(`invalid xml at position ${position}.`);
+      position = tokens.lastIndex;
+      const [, cdata, closingTag, openingTag, attributes, selfClosing, text] =
+        match;
+      const current = stack[stack.length - 1];
+      if (cdata !== undefined) current.text += cdata;
+      else if (text !== undefined) current.text += decodeXml(text);
+      else if (closingTag) {
+        if (stack.length === 1 || current.name !== closingTag)
+          throw new Error(`unexpected closing tag '${closingTag}'.`);
+        current.text = current.text.trim();
+        stack.pop();
+      } else if (openingTag) {
+        const element: XmlElement = {
+          name: openingTag,
+          attributes: {},
+          children: [],
+          text: "",
+        };
+        const attributeTokens = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let attribute: RegExpExecArray;
+        while ((attribute = attributeTokens.exec(attributes)) !== null) {
+          element.attributes[attribute[1]] = decodeXml(
+            attribute[2] ?? attribute[3]
+          );
+        }
+        current.children.push(element);
+        if (!selfClosing) stack.push(element);
+      }
+    }
+    if (position !== xml.length)
+      throw new Error(`invalid xml at position ${position}.`);
+    if (stack.length > 1)
+      throw new Error(`missing closing tag '${stack[stack.length - 1].name}'.`);
+    if (document.children.length !== 1)
+      throw new Error(`the xml must have exactly one root element.`);
+    return document.children[0];
+  };
+
+  /**
+   * Represents a condition of a FetchXML filter.
+   */
+  export interface FetchXmlCondition {
+    attribute: string;
+    operator: string;
+    value?: string;
+    values?: string[];
+    entityName?: string;
+    valueOfAttribute?: string;
+    /**Attributes of the node which are not modeled, f.e. uiname and uitype*/
+    otherAttributes?: { [name: string]: string };
+  }
+  /**
+   * Represents a FetchXML filter with its conditions and nested filters.
+   */
+  export interface FetchXmlFilter {
+    type: "and" | "or";
+    conditions: FetchXmlCondition[];
+    filters: FetchXmlFilter[];
+    /**Attributes of the node which are not modeled, f.e. hint*/
+    otherAttributes?: { [name: string]: string };
+  }
+  /**
+   * Represents an attribute of a FetchXML entity or link-entity.
+   */
+  export interface FetchXmlAttribute {
+    name: string;
+    alias?: string;
+    aggregate?: string;
+    groupBy?: boolean;
+    /**Attributes of the node which are not modeled, f.e. dategrouping*/
+    otherAttributes?: { [name: string]: string };
+  }
+  /**
+   * Represents an order of a FetchXML entity or link-entity.
+   */
+  export interface FetchXmlOrder {
+    attribute?: string;
+    alias?: string;
+    descending: boolean;
+    /**Attributes of the node which are not modeled, f.e. entityname*/
+    otherAttributes?: { [name: string]: string };
+  }
+  /**
+   * Represents the entity of a FetchXML query.
+   */
+  export interface FetchXmlEntity {
+    name: string;
+    allAttributes: boolean;
+    attributes: FetchXmlAttribute[];
+    filters: FetchXmlFilter[];
+    orders: FetchXmlOrder[];
+    links: FetchXmlLinkEntity[];
+    /**Attributes of the node which are not modeled, f.e. enableprefiltering*/
+    otherAttributes?: { [name: string]: string };
+  }
+  /**
+   * Represents a link-entity of a FetchXML query.
+   */
+  export interface FetchXmlLinkEntity extends FetchXmlEntity {
+    from: string;
+    to: string;
+    alias?: string;
+    linkType?: string;
+    intersect?: boolean;
+    visible?: boolean;
+  }
+  const toFetchXmlValue = (value: any): string => {
+    if (value === null || value === undefined) return undefined;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === "boolean") return value ? "1" : "0";
+    return String(value);
+  };
+  const xmlAttributes = (attributes: { [key: string]: any }): string =>
+    Object.keys(attributes)
+      .filter(
+        (key) => attributes[key] !== undefined && attributes[key] !== null
+      )
+      .map((key) => ` ${key}="${escapeXml(String(attributes[key]))}"`)
+      .join("");
+  /**Returns the attributes of a parsed node which the model does not know, so they are serialized again*/
+  const otherXmlAttributes = (
+    element: XmlElement,
+    known: string[]
+  ): { [name: string]: string } => {
+    const other = Object.keys(element.attributes).filter(
+      (name) => !known.includes(name)
+    );
+    return other.length
+      ? Object.fromEntries(
+          other.map((name) => [name, element.attributes[name]])
+        )
+      : undefined;
+  };
+  const serializeFetchXmlFilter = (filter: FetchXmlFilter): string => {
+    const conditions = filter.conditions.map((condition) => {
+      const attributes = xmlAttributes({
+        entityname: condition.entityName,
+        attribute: condition.attribute,
+        operator: condition.operator,
+        value: condition.value,
+        valueof: condition.valueOfAttribute,
+        ...condition.otherAttributes,
+      });
+      return condition.values?.length
+        ? `<condition${attributes}>${condition.values
+            .map((value) => `<value>${escapeXml(value)}</value>`)
+            .join("")}</condition>`
+        : `<condition${attributes} />`;
+    });
+    const filters = filter.filters.map(serializeFetchXmlFilter);
+    return `<filter${xmlAttributes({
+      type: filter.type,
+      ...filter.otherAttributes,
+    })}>${conditions.join("")}${filters.join("")}</filter>`;
+  };
+  const serializeFetchXmlEntity = (
+    entity: FetchXmlEntity | FetchXmlLinkEntity
+  ): string => {
+    const isLink = "from" in entity;
+    const tag = isLink ? "link-entity" : "entity";
+    const attributes = isLink
+      ? xmlAttributes({
+          name: entity.name,
+          from: entity.from,
+          to: entity.to,
+          alias: entity.alias,
+          "link-type": entity.linkType,
+          intersect: entity.intersect,
+          visible: entity.visible,
+          ...entity.otherAttributes,
+        })
+      : xmlAttributes({ name: entity.name, ...entity.otherAttributes });
+    const children = [
+      entity.allAttributes ? "<all-attributes />" : "",
+      ...entity.attributes.map(
+        (attribute) =>
+          `<attribute${xmlAttributes({
+            name: attribute.name,
+            alias: attribute.alias,
+            aggregate: attribute.aggregate,
+            groupby: attribute.groupBy,
+            ...attribute.otherAttributes,
+          })} />`
+      ),
+      ...entity.orders.map(
+        (order) =>
+          `<order${xmlAttributes({
+            attribute: order.attribute,
+            alias: order.alias,
+            descending: order.descending || undefined,
+            ...order.otherAttributes,
+          })} />`
+      ),
+      ...entity.filters.map(serializeFetchXmlFilter),
+      ...entity.links.map(serializeFetchXmlEntity),
+    ];
+    return `<${tag}${attributes}>${children.join("")}</${tag}>`;
+  };
+  const parseFetchXmlFilter = (element: XmlElement): FetchXmlFilter => ({
+    type: element.attributes.type === "or" ? "or" : "and",
+    conditions: element.children
+      .filter((child) => child.name === "condition")
+      .map((child) => {
+        const values = child.children
+          .filter((value) => value.name === "value")
+          .map((value) => value.text);
+        return {
+          attribute: child.attributes.attribute,
+          operator: child.attributes.operator,
+          value: child.attributes.value,
+          values: values.length ? values : undefined,
+          entityName: child.attributes.entityname,
+          valueOfAttribute: child.attributes.valueof,
+          otherAttributes: otherXmlAttributes(child, [
+            "attribute",
+            "operator",
+            "value",
+            "entityname",
+            "valueof",
+          ]),
+        };
+      }),
+    filters: element.children
+      .filter((child) => child.name === "filter")
+      .map(parseFetchXmlFilter),
+    otherAttributes: otherXmlAttributes(element, ["type"]),
+  });
+  const parseFetchXmlEntity = (element: XmlElement): FetchXmlEntity => ({
+    name: element.attributes.name,
+    allAttributes: element.children.some(
+      (child) => child.name === "all-attributes"
+    ),
+    attributes: element.children
+      .filter((child) => child.name === "attribute")
+      .map((child) => ({
+        name: child.attributes.name,
+        alias: child.attributes.alias,
+        aggregate: child.attributes.aggregate,
+        groupBy:
+          child.attributes.groupby === undefined
+            ? undefined
+            : child.attributes.groupby === "true",
+        otherAttributes: otherXmlAttributes(child, [
+          "name",
+          "alias",
+          "aggregate",
+          "groupby",
+        ]),
+      })),
+    filters: element.children
+      .filter((child) => child.name === "filter")
+      .map(parseFetchXmlFilter),
+    orders: element.children
+      .filter((child) => child.name === "order")
+      .map((child) => ({
+        attribute: child.attributes.attribute,
+        alias: child.attributes.alias,
+        descending: child.attributes.descending === "true",
+        otherAttributes: otherXmlAttributes(child, [
+          "attribute",
+          "alias",
+          "descending",
+        ]),
+      })),
+    links: element.children
+      .filter((child) => child.name === "link-entity")
+      .map(
+        (child): FetchXmlLinkEntity => ({
+          ...parseFetchXmlEntity(child),
+          from: child.attributes.from,
+          to: child.attributes.to,
+          alias: child.attributes.alias,
+          linkType: child.attributes["link-type"],
+          intersect:
+            child.attributes.intersect === undefined
+              ? undefined
+              : child.attributes.intersect === "true",
+          visible:
+            child.attributes.visible === undefined
+              ? undefined
+              : child.attributes.visible === "true",
+          otherAttributes: otherXmlAttributes(child, [
+            "name",
+            "from",
+            "to",
+            "alias",
+            "link-type",
+            "intersect",
+            "visible",
+          ]),
+        })
+      ),
+    otherAttributes: otherXmlAttributes(element, ["name"]),
+  });
+
+  /**
+   * A fluent builder for a FetchXML filter.
+   */
+  export class FetchXmlFilterBuilder {
+    public readonly filter: FetchXmlFilter;
+    constructor(filter: FetchXmlFilter | "and" | "or" = "and") {
+      this.filter =
+        typeof filter === "string"
+          ? { type: filter, conditions: [], filters: [] }
+          : filter;
+    }
+    /**
+     * Adds a condition to the filter.
+     * @param attribute The logical name of the attribute.
+     * @param operator The FetchXML condition operator, f.e. eq, like, in or not-null.
+     * @param value (Optional) The value or an array of values for operators like in.
+     * @param entityName (Optional) The alias of a link-entity the attribute belongs to.
+     */
+    condition(
+      attribute: string,
+      operator: string,
+      value?: any,
+      entityName?: string
+    ): this {
+      if (!attribute)
+        throw new XrmExError(`no attribute was provided.`, {
+          method: "FetchXmlFilterBuilder.condition",
+        });
+      if (!operator)
+        throw new XrmExError(`no operator was provided.`, {
+          method: "FetchXmlFilterBuilder.condition",
+        });
+      this.filter.conditions.push({
+        attribute,
+        operator,
+        entityName,
+        ...(Array.isArray(value)
+          ? { values: value.map(toFetchXmlValue) }
+          : { value: toFetchXmlValue(value) }),
+      });
+      return this;
+    }
+    /**
+     * Adds a nested filter.
+     * @param type The filter type, "and" or "or".
+     * @param build A function that receives the nested filter to add conditions to.
+     */
+    nested(
+      type: "and" | "or",
+      build: (filter: FetchXmlFilterBuilder) => void
+    ): this {
+      const builder = new FetchXmlFilterBuilder(type);
+      build(builder);
+      this.filter.filters.push(builder.filter);
+      return this;
+    }
+    /**Serializes the filter as a FetchXML filter node*/
+    toString(): string {
+      return serializeFetchXmlFilter(this.filter);
+    }
+  }
+
+  /**
+   * A fluent builder for the entity or a link-entity of a FetchXML query.
+   */
+  export class FetchXmlEntityBuilder<
+    Entity extends FetchXmlEntity = FetchXmlEntity
+  > {
+    public readonly entity: Entity;
+    constructor(entity: Entity) {
+      this.entity = entity;
+    }
+    /**
+     * Adds attributes to retrieve.
+     * @param attributes The logical names of the attributes.
+     */
+    select(...attributes: string[]): this {
+      attributes
+        .filter(
+          (name) =>
+            name &&
+            !this.entity.attributes.some((attribute) => attribute.name === name)
+        )
+        .forEach((name) => this.entity.attributes.push({ name }));
+      return this;
+    }
+    /**Retrieves all attributes*/
+    selectAll(): this {
+      this.entity.allAttributes = true;
+      return this;
+    }
+    /**
+     * Adds a condition to the first filter, which is created with type "and" if it does not exist.
+     * @param attribute The logical name of the attribute.
+     * @param operator The FetchXML condition operator, f.e. eq, like, in or not-null.
+     * @param value (Optional) The value or an array of values for operators like in.
+     */
+    where(attribute: string, operator: string, value?: any): this {
+      if (!this.entity.filters.length)
+        this.entity.filters.push({ type: "and", conditions: [], filters: [] });
+      new FetchXmlFilterBuilder(this.entity.filters[0]).condition(
+        attribute,
+        operator,
+        value
+      );
+      return this;
+    }
+    /**
+     * Adds a filter.
+     * @param type The filter type, "and" or "or".
+     * @param build A function that receives the filter to add conditions to.
+     */
+    filter(
+      type: "and" | "or",
+      build: (filter: FetchXmlFilterBuilder) => void
+    ): this {
+      const builder = new FetchXmlFilterBuilder(type);
+      build(builder);
+      this.entity.filters.push(builder.filter);
+      return this;
+    }
+    /**
+     * Adds a link-entity.
+     * @param name The logical name of the related entity.
+     * @param from The attribute of the related entity to join on.
+     * @param to The attribute of this entity to join on.
+     * @param build (Optional) A function that receives the link-entity to add attributes, filters and links to.
+     * @param options (Optional) The alias and link-type of the link-entity.
+     */
+    link(
+      name: string,
+      from: string,
+      to: string,
+      build?: (link: FetchXmlEntityBuilder<FetchXmlLinkEntity>) => void,
+      options?: { alias?: string; linkType?: "inner" | "outer" | string }
+    ): this {
+      if (!name || !from || !to)
+        throw new XrmExError(`name, from and to are required.`, {
+          method: "FetchXmlEntityBuilder.link",
+        });
+      const builder = new FetchXmlEntityBuilder<FetchXmlLinkEntity>({
+        name,
+        from,
+        to,
+        alias: options?.alias,
+        linkType: options?.linkType,
+        allAttributes: false,
+        attributes: [],
+        filters: [],
+        orders: [],
+        links: [],
+      });
+      build?.(builder);
+      this.entity.links.push(builder.entity);
+      return this;
+    }
+    /**
+     * Adds an order.
+     * @param attribute The logical name of the attribute.
+     * @param descending true to sort descending. Defaults to false.
+     */
+    orderBy(attribute: string, descending = false): this {
+      if (!attribute)
+        throw new XrmExError(`no attribute was provided.`, {
+          method: "FetchXmlEntityBuilder.orderBy",
+        });
+      this.entity.orders.push({ attribute, descending });
+      return this;
+    }
+  }
+
+  /**
+   * Builds and parses FetchXML queries.
+   * @example
+   * const fetchXml = new XrmEx.FetchXml("contact")
+   *   .select("fullname", "parentcustomerid")
+   *   .where("lastname", "like", "%Test%")
+   *   .link("account", "accountid", "parentcustomerid", (l) =>
+   *     l.where("address1_country", "eq", "Switzerland")
+   *   );
+   * fetchXml.toString();
+   * //Parse existing FetchXML
+   * XrmEx.FetchXml.parse(xml).entityName;
+   */
+  export class FetchXml extends FetchXmlEntityBuilder {
+    /**The attributes of the fetch node, f.e. top, count, page or distinct*/
+    public readonly options: { [key: string]: string };
+    constructor(entityName: string, options?: { [key: string]: any }) {
+      super({
+        name: entityName,
+        allAttributes: false,
+        attributes: [],
+        filters: [],
+        orders: [],
+        links: [],
+      });
+      if (!entityName)
+        throw new XrmExError(`no entityName was provided.`, {
+          method: "FetchXml",
+        });
+      this.options = {};
+      Object.keys(options ?? {}).forEach((key) =>
+        this.setOption(key, options[key])
+      );
+    }
+    /**The logical name of the entity*/
+    get entityName(): string {
+      return this.entity.name;
+    }
+    /**
+     * Parses a FetchXML string into a FetchXml object.
+     * @param fetchXml The FetchXML string.
+     * @returns {FetchXml} - The parsed FetchXml.
+     */
+    static parse(fetchXml: string): FetchXml {
+      try {
+        const root = parseXml(fetchXml);
+        if (root.name !== "fetch")
+          throw new Error(`the root element must be 'fetch'.`);
+        const entity = root.children.find((child) => child.name === "entity");
+        if (!entity?.attributes.name)
+          throw new Error(`Could not extract entity name from fetchXml`);
+        const result = new FetchXml(entity.attributes.name, root.attributes);
+        Object.assign(result.entity, parseFetchXmlEntity(entity));
+        return result;
+      } catch (error: any) {
+        throw XrmExError.from(error, "FetchXml.parse");
+      }
+    }
+    /**
+     * Sets an attribute of the fetch node. A value of null or undefined removes it.
+     * @param name The name of the attribute, f.e. top, count, page, paging-cookie or distinct.
+     * @param value The value.
+     */
+    setOption(name: string, value: any): this {
+      if (value === null || value === undefined) delete this.options[name];
+      else this.options[name] = toFetchXmlValue(value);
+      return this;
+    }
+    /**
+     * Sets the maximum number of records to return.
+     * @param count The number of records.
+     */
+    top(count: number): this {
+      return this.setOption("top", count);
+    }
+    /**
+     * Sets whether duplicate rows are removed.
+     * @param distinct Defaults to true.
+     */
+    distinct(distinct = true): this {
+      return this.setOption("distinct", distinct ? "true" : "false");
+    }
+    /**Returns all link-entities of the query including nested ones*/
+    getLinkEntities(): FetchXmlLinkEntity[] {
+      const links: FetchXmlLinkEntity[] = [];
+      const collect = (entity: FetchXmlEntity) =>
+        entity.links.forEach((link) => {
+          links.push(link);
+          collect(link);
+        });
+      collect(this.entity);
+      return links;
+    }
+    /**Returns the filters of the entity serialized as FetchXML filter nodes*/
+    getFilterXml(): string {
+      return this.entity.filters.map(serializeFetchXmlFilter).join("");
+    }
+    /**Serializes the query as FetchXML*/
+    toString(): string {
+      return `<fetch${xmlAttributes(this.options)}>${serializeFetchXmlEntity(
+        this.entity
+      )}</fetch>`;
+    }
+  }
+
+  /**
+   * Options to control the paging of {@link retrieveAll} and {@link retrieveAllIterator}.
+   * @property {number} [maxRecords] - The maximum number of records to retrieve over all pages.
+   * @property {number} [maxPageSize] - The number of records to be returned per page. Defaults to 5000.
+   */
+  export type RetrieveAllOptions = {
+    maxRecords?: number;
+    maxPageSize?: number;
+  };
+  /**Returns the FetchXML of the options, or null for OData options*/
+  const toFetchXmlQuery = (options: string | Query | FetchXml): string => {
+    if (options instanceof FetchXml) return options.toString();
+    if (typeof options !== "string") return null;
+    let query = options.trim();
+    if (/^\??fetchXml=/i.test(query)) {
+      query = query.substring(query.indexOf("=") + 1);
+      try {
+        query = decodeURIComponent(query);
+      } catch {
+        // The FetchXML was not encoded
+      }
+    }
+    return query.startsWith("<") ? query : null;
+  };
+  /**
+   * Sets attributes of the fetch element and leaves the rest of the FetchXML as it is.
+   * Attributes with the value null are removed.
+   */
+  const setFetchAttributes = (
+    fetchXml: string,
+    attributes: { [name: string]: string | number | null }
+  ): string =>
+    fetchXml.replace(/<fetch\b([^>]*?)(\/?)>/, (_, existing: string, end) => {
+      Object.entries(attributes).forEach(([name, value]) => {
+        existing = existing.replace(
+          new RegExp(`\\s${name}\\s*=\\s*("[^"]*"|'[^']*')`),
+          ""
+        );
+        if (value !== null && value !== undefined)
+          existing += ` ${name}="${escapeXml(String(value))}"`;
+      });
+      return `<fetch${existing}${end}>`;
+    });
+  /**
+   * Retrieves all records of a query page by page.
+   * OData queries follow the nextLink of each page, FetchXML queries are paged with the paging cookie.
+   * @param {string} entityLogicalName - The logical name of the entity.
+   * @param {string | Query | FetchXml} [options] - OData system query options, a Query, FetchXML or a FetchXml.
+   * @param {RetrieveAllOptions} [settings] - The maximum number of records and the page size.
+   * @returns {AsyncGenerator<any>} - An async iterator over the retrieved records.
+   * @example
+   * for await (const contact of XrmEx.retrieveAllIterator("contact", "?$select=fullname")) {
+   *   console.log(contact.fullname);
+   * }
+   */
+  export async function* retrieveAllIterator(
+    entityLogicalName: string,
+    options?: string | Query | FetchXml,
+    settings?: RetrieveAllOptions
+  ): AsyncGenerator<any, void, undefined> {
+    try {
+      const maxRecords = settings?.maxRecords ?? Infinity;
+      if (maxRecords <= 0) return;
+      let retrieved = 0;
+      let fetchXml = toFetchXmlQuery(options);
+      if (fetchXml) {
+        // The options are read from a parsed copy, the query itself is only changed in its fetch element
+        const { options: fetchOptions } = FetchXml.parse(fetchXml);
+        const pageSize = settings?.maxPageSize ?? Number(fetchOptions.count);
+        if (pageSize > 0 && !fetchOptions.top)
+          fetchXml = setFetchAttributes(fetchXml, { count: pageSize });
+        let page = Number(fetchOptions.page) || 1;
+        while (true) {
+          fetchXml = setFetchAttributes(fetchXml, { page });
+          const result: any = await Xrm.WebApi.retrieveMultipleRecords(
+            entityLogicalName,
+            `?fetchXml=${encodeURIComponent(fetchXml)}`
+          );
+          for (const entity of result.entities) {
+            yield entity;
+            if (++retrieved >= maxRecords) return;
+          }
+          const cookie: string = result.fetchXmlPagingCookie;
+          if (!cookie || !result.entities.length || fetchOptions.top) return;
+          const pagingCookie = parseXml(cookie).attributes;
+          fetchXml = setFetchAttributes(fetchXml, {
+            "paging-cookie": pagingCookie.pagingcookie
+              ? decodeURIComponent(
+                  decodeURIComponent(pagingCookie.pagingcookie)
+                )
+              : null,
+          });
+          page = Number(pagingCookie.pagenumber) || page + 1;
+        }
+      }
+      let query = options?.toString();
+      while (true) {
+        const result = await Xrm.WebApi.retrieveMultipleRecords(
+          entityLogicalName,
+          query,
+          settings?.maxPageSize
+        );
+        for (const entity of result.entities) {
+          yield entity;
+          if (++retrieved >= maxRecords) return;
+        }
+        if (!result.nextLink || !result.entities.length) return;
+        query = result.nextLink.substring(result.nextLink.indexOf("?"));
+      }
+    } catch (error: any) {
+      throw XrmExError.from(error, "retrieveAllIterator");
+    }
+  }
+  /**
+   * Retrieves all records of a query by following every page.
+   * OData queries follow the nextLink of each page, FetchXML queries are paged with the paging cookie.
+   * @param {string} entityLogicalName - The logical name of the entity.
+   * @param {string | Query | FetchXml} [options] - OData system query options, a Query, FetchXML or a FetchXml.
+   * @param {RetrieveAllOptions} [settings] - The maximum number of records and the page size.
+   * @returns {Promise<any[]>} - A promise containing all retrieved records.
+   * @example
+   * const contacts = await XrmEx.retrieveAll("contact", fetchXml, { maxRecords: 20000 });
+   */
+  export async function retrieveAll(
+    entityLogicalName: string,
+    options?: string | Query | FetchXml,
+    settings?: RetrieveAllOptions
+  ): Promise<any[]> {
+    const records = [];
+    for await (const record of retrieveAllIterator(
+      entityLogicalName,
+      options,
+      settings
+    )) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Wraps a function that takes a callback as its last parameter and returns a Promise.
+   * @param {Function} fn the function to wrap
+   * @param context the parent property of the function f.e. formContext.data.process for formContext.data.process.getEnabledProcesses
+   * @param args the arguments to pass to the function
+   * @returns {Promise<any>} a Promise that resolves with the callback response
+   */
+  export function asPromise<T>(fn: Function, context, ...args): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      const callback = (response: T) => {
+        resolve(response);
+      };
+      try {
+        // Call the function with the arguments and the callback at the end
+        fn.call(context, ...args, callback);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+  const dialogFont = "1rem Segoe UI Regular, SegoeUI, Segoe UI";
+  /**
+   * Uses canvas.measureText to compute and return the width of the given text of given font in pixels.
+   *
+   * @param {String} text The text to be rendered.
+   * @param {String} font The css font descriptor that text is to be rendered with (e.g. "bold 14px verdana").
+   *
+   * @see https://stackoverflow.com/questions/118241/calculate-text-width-with-javascript/21015393#21015393
+   */
+  const getTextWidth = (text: string, font: string) => {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    context.font = font;
+    const metrics = context.measureText(text);
+    return metrics.width;
+  };
+  /**
+   * Computes the height and width of a dialog from the rows of its text.
+   * @param text The text of the dialog.
+   * @param additionalHeight (Optional) The pixels to add for the content below the text.
+   * @param minWidth (Optional) The minimum width in pixels.
+   */
+  const getDialogSize = (text: string, additionalHeight = 0, minWidth = 0) => {
+    const rows = text.split(/\r\n|\r|\n/);
+    let additionalRows = 0;
+    rows.forEach((row) => {
+      let width = getTextWidth(row, dialogFont);
+      if (width > 940) {
+        additionalRows += width / 940;
+      }
+    });
+    const longestRow = rows.reduce(
+      (acc, row) => (row.length > acc.length ? row : acc),
+      ""
+    );
+    const width = Math.max(
+      Math.min(getTextWidth(longestRow, dialogFont), 1000),
+      minWidth
+    );
+    const height = 109 + (rows.length + additionalRows) * 20 + additionalHeight;
+    return { height, width };
+  };
+  /**
+   * Opens a dialog with dynamic height and width based on text content.
+   * @param {string | ResourceString} title - The title of the dialog.
+   * @param {string | ResourceString} text - The text content of the dialog.
+   * @returns {Promise<any>} - A Promise with the dialog response.
+   */
+  export async function openAlertDialog(
+    title: string | ResourceString,
+    text: string | ResourceString
+  ): Promise<any> {
+    try {
+      title = resolveMessage(title);
+      text = resolveMessage(text);
+      const { height, width } = getDialogSize(text);
+      return await Xrm.Navigation.openAlertDialog(
+        {
+          confirmButtonLabel: Resources.get("XrmEx.Dialog.ok"),
+          text,
+          title,
+        },
+        {
+          height,
+          width,
+        }
+      );
+    } catch (error: any) {
+      console.error(error.message);
+      throw XrmExError.from(error, getFunctionName());
+    }
+  }
+
+  /**
+   * Opens an error dialog with the specified error information.
+   * @param error The error object containing details about the error.
+   */
+  export async function openErrorDialog(error: any): Promise<void> {
+    try {
+      return await Xrm.Navigation.openErrorDialog({
+        message: getErrorMessage(error),
+        details: JSON.stringify(error, null, 4),
+        errorCode: error?.errorCode ?? XrmExError.from(error).errorCode,
+      });
+    } catch (error: any) {
+      console.error(error.message);
+      throw XrmExError.from(error, getFunctionName());
+    }
+  }
+
+  /**
+   * The parameters of a resource: values for named placeholders like {name}, or an array for {0}, {1}.
+   * A count selects the plural form.
+   */
+  export type ResourceParams = { [name: string]: any; count?: number } | any[];
+  /**
+   * A resource text, or its plural forms by Intl.PluralRules category (zero, one, two, few, many, other)
+   * or exact count, f.e. { "=0": "No records", one: "{count} record", other: "{count} records" }.
+   */
+  export type ResourceValue = string | { [form: string]: string };
+  const pluralForms = ["zero", "one", "two", "few", "many", "other"];
+  const isPluralValue = (value: any): value is { [form: string]: string } =>
+    typeof value === "object" &&
+    value !== null &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(
+      (key) => pluralForms.includes(key) || /^=\d+$/.test(key)
+    );
+  /**The locales of common language codes (LCID), used for plural rules and formatting*/
+  const lcidLocales: { [languageId: number]: string } = {
+    1025: "ar-SA",
+    1028: "zh-TW",
+    1029: "cs-CZ",
+    1030: "da-DK",
+    1031: "de-DE",
+    1032: "el-GR",
+    1033: "en-US",
+    1035: "fi-FI",
+    1036: "fr-FR",
+    1037: "he-IL",
+    1038: "hu-HU",
+    1040: "it-IT",
+    1041: "ja-JP",
+    1042: "ko-KR",
+    1043: "nl-NL",
+    1044: "nb-NO",
+    1045: "pl-PL",
+    1046: "pt-BR",
+    1049: "ru-RU",
+    1053: "sv-SE",
+    1055: "tr-TR",
+    2052: "zh-CN",
+    2055: "de-CH",
+    2057: "en-GB",
+    2070: "pt-PT",
+    3079: "de-AT",
+    3082: "es-ES",
+    4108: "fr-CH",
+  };
+  const toLocale = (languageId: number): string =>
+    lcidLocales[languageId] ?? "en-US";
+  /**
+   * A message which is translated when it is shown. Accepted wherever XrmEx takes a message.
+   * @see {@link Resources.string}
+   */
+  export class ResourceString {
+    public readonly key!: string;
+    public readonly params?: ResourceParams;
+    constructor(key: string, params?: ResourceParams) {
+      this.key = key;
+      this.params = params;
+    }
+    /**Gets the text in the language of the user*/
+    toString(): string {
+      return Resources.get(this.key, this.params);
+    }
+  }
+  const resolveMessage = (message: string | ResourceString): string =>
+    message instanceof ResourceString ? message.toString() : message;
+  /**
+   * Texts in multiple languages, loaded from RESX or JSON web resources.
+   * Texts are looked up in the language of the user, then in the fallback language, and XrmEx's own texts last.
+   * XrmEx's own texts are those shown to users: dialog buttons, the loading message and the validation and process messages.
+   * Error messages, which are meant for developers, are in English.
+   * @example
+   * // new_/strings/messages.1033.resx, new_/strings/messages.1031.resx
+   * await XrmEx.Resources.load("new_/strings/messages.{languageId}.resx");
+   * fields.Email.setNotification(XrmEx.Resources.string("EmailMissing"), "email");
+   * XrmEx.Resources.get("OpenOrders", { count: 2 }); // "2 open orders" with { one: "{count} open order", other: "{count} open orders" }
+   */
+  export class Resources {
+    protected static resources = new Map<
+      number,
+      { [key: string]: ResourceValue }
+    >();
+    protected static _languageId?: number;
+    /**The language used when a text is missing in the language of the user. Default: 1033.*/
+    static fallbackLanguageId = 1033;
+    /**XrmEx's own texts*/
+    protected static builtIn: {
+      [languageId: number]: { [key: string]: string };
+    } = {
+      1033: {
+        "XrmEx.Dialog.ok": "Ok",
+        "XrmEx.Dialog.cancel": "Cancel",
+        "XrmEx.Form.loading": "Loading...",
+        "XrmEx.Process.missingFields": "Fill in {fields} to move to {stage}.",
+        "XrmEx.Validation.required": "This field is required.",
+        "XrmEx.Validation.format": "The value has an invalid format.",
+        "XrmEx.Validation.max": "The value must not be greater than {max}.",
+        "XrmEx.Validation.min": "The value must not be less than {min}.",
+        "XrmEx.Validation.range": "The value must be between {min} and {max}.",
+        "XrmEx.Validation.dateAfter": "The date must be after {field}.",
+      },
+      1031: {
+        "XrmEx.Dialog.ok": "OK",
+        "XrmEx.Dialog.cancel": "Abbrechen",
+        "XrmEx.Form.loading": "Wird geladen...",
+        "XrmEx.Process.missingFields":
+          "Füllen Sie {fields} aus, um zu {stage} zu wechseln.",
+        "XrmEx.Validation.required": "Dieses Feld ist erforderlich.",
+        "XrmEx.Validation.format": "Der Wert hat ein ungültiges Format.",
+        "XrmEx.Validation.max": "Der Wert darf nicht größer als {max} sein.",
+        "XrmEx.Validation.min": "Der Wert darf nicht kleiner als {min} sein.",
+        "XrmEx.Validation.range":
+          "Der Wert muss zwischen {min} und {max} liegen.",
+        "XrmEx.Validation.dateAfter": "Das Datum muss nach {field} liegen.",
+      },
+      1036: {
+        "XrmEx.Dialog.ok": "OK",
+        "XrmEx.Dialog.cancel": "Annuler",
+        "XrmEx.Form.loading": "Chargement...",
+        "XrmEx.Process.missingFields":
+          "Renseignez {fields} pour passer à {stage}.",
+        "XrmEx.Validation.required": "Ce champ est obligatoire.",
+        "XrmEx.Validation.format": "La valeur a un format non valide.",
+        "XrmEx.Validation.max":
+          "La valeur ne doit pas être supérieure à {max}.",
+        "XrmEx.Validation.min":
+          "La valeur ne doit pas être inférieure à {min}.",
+        "XrmEx.Validation.range":
+          "La valeur doit être comprise entre {min} et {max}.",
+        "XrmEx.Validation.dateAfter":
+          "La date doit être postérieure à {field}.",
+      },
+    };
+    /**Gets the language of the texts, by default the language of the user*/
+    static get languageId(): number {
+      return (
+        Resources._languageId ??
+        (typeof Xrm !== "undefined"
+          ? Xrm.Utility.getGlobalContext().userSettings.languageId
+          : undefined) ??
+        Resources.fallbackLanguageId
+      );
+    }
+    /**Sets the language of the texts. Set undefined to use the language of the user.*/
+    static set languageId(languageId: number | undefined) {
+      Resources._languageId = languageId;
+    }
+    /**
+     * Adds texts for a language. Nested objects are flattened to keys with dots, f.e. { Errors: { Missing: "" } } to Errors.Missing.
+     * @param languageId The language code, f.e. 1031.
+     * @param resources The texts by key.
+     */
+    static add(languageId: number, resources: { [key: string]: any }): void {
+      const flat = { ...Resources.resources.get(languageId) };
+      const flatten = (values: { [key: string]: any }, prefix: string) =>
+        Object.entries(values).forEach(([key, value]) => {
+          if (
+            typeof value === "object" &&
+            value !== null &&
+            !isPluralValue(value)
+          )
+            flatten(value, `${prefix}${key}.`);
+          else
+            flat[`${prefix}${key}`] = isPluralValue(value)
+              ? value
+              : String(value);
+        });
+      flatten(resources, "");
+      Resources.resources.set(languageId, flat);
+    }
+    /**
+     * Loads texts from a RESX or JSON web resource.
+     * A {languageId} placeholder in the name loads one web resource for the language of the user and one for the fallback language.
+     * Without the placeholder, a JSON web resource may contain the texts by language code, f.e. { "1033": {...}, "1031": {...} },
+     * otherwise the texts are added for the language of the user.
+     * Missing web resources are ignored.
+     * @param webResourceName The name of the web resource, f.e. new_/strings/messages.{languageId}.resx
+     * @param languageIds (Optional) The languages to load. Default: the language of the user and the fallback language.
+     */
+    static async load(
+      webResourceName: string,
+      languageIds: number[] = [
+        Resources.languageId,
+        Resources.fallbackLanguageId,
+      ]
+    ): Promise<void> {
+      try {
+        const ids = [...new Set(languageIds)];
+        const names = webResourceName.includes("{languageId}")
+          ? ids.map(
+              (id) =>
+                [id, webResourceName.replace("{languageId}", `${id}`)] as const
+            )
+          : [[Resources.languageId, webResourceName] as const];
+        await Promise.all(
+          names.map(async ([languageId, name]) => {
+            const response = await fetch(
+              `${Xrm.Utility.getGlobalContext().getClientUrl()}/WebResources/${name}`
+            );
+            if (response.status === 404) return;
+            if (!response.ok)
+              throw new XrmExError(
+                `${response.status} ${response.statusText}`,
+                {
+                  status: response.status,
+                }
+              );
+            Resources.parse(await response.text(), languageId, name);
+          })
+        );
+      } catch (error: any) {
+        throw XrmExError.from(error, "Resources.load");
+      }
+    }
+    /**
+     * Gets a text in the language of the user.
+     * @param key The key of the text.
+     * @param params (Optional) The values of the placeholders. A count selects the plural form.
+     * @returns The text, or the key if the text does not exist.
+     */
+    static get(key: string, params?: ResourceParams): string {
+      const languageId = Resources.languageId;
+      const value =
+        Resources.resources.get(languageId)?.[key] ??
+        Resources.resources.get(Resources.fallbackLanguageId)?.[key] ??
+        Resources.builtIn[languageId]?.[key] ??
+        Resources.builtIn[1033][key] ??
+        key;
+      const count = Array.isArray(params) ? undefined : params?.count;
+      let text: string;
+      if (isPluralValue(value)) {
+        const form =
+          typeof count === "number"
+            ? new Intl.PluralRules(toLocale(languageId)).select(count)
+            : "other";
+        text = value[`=${count}`] ?? value[form] ?? value.other ?? key;
+      } else text = value as string;
+      return text.replace(/\{(\w+)\}/g, (match, name) => {
+        const param = params?.[name];
+        return param === undefined || param === null ? match : String(param);
+      });
+    }
+    /**
+     * Creates a message which is translated when it is shown, f.e. to pass it to setNotification.
+     * @param key The key of the text.
+     * @param params (Optional) The values of the placeholders. A count selects the plural form.
+     */
+    static string(key: string, params?: ResourceParams): ResourceString {
+      return new ResourceString(key, params);
+    }
+    /**
+     * Returns true if a text exists in the language of the user or the fallback language.
+     * @param key The key of the text.
+     */
+    static has(key: string): boolean {
+      return (
+        key in (Resources.resources.get(Resources.languageId) ?? {}) ||
+        key in (Resources.resources.get(Resources.fallbackLanguageId) ?? {})
+      );
+    }
+    /**Removes all loaded texts*/
+    static clear(): void {
+      Resources.resources.clear();
+    }
+    protected static parse(content: string, languageId: number, name: string) {
+      if (/\.resx$/i.test(name) || content.trimStart().startsWith("<")) {
+        const values: { [key: string]: string } = {};
+        parseXml(content)
+          .children.filter((child) => child.name === "data")
+          .forEach((data) => {
+            const value = data.children.find((child) => child.name === "value");
+            values[data.attributes.name] = value?.text ?? "";
+          });
+        const plurals: { [key: string]: { [form: string]: string } } = {};
+        Object.entries(values).forEach(([key, value]) => {
+          const match = key.match(/^(.+)\.(zero|one|two|few|many|other|=\d+)$/);
+          if (match) (plurals[match[1]] ??= {})[match[2]] = value;
+          else Resources.add(languageId, { [key]: value });
+        });
+        Resources.add(languageId, plurals);
+        return;
+      }
+      const json = JSON.parse(content.replace(/^\uFEFF/, ""));
+      const byLanguage = Object.keys(json).every((key) => /^\d+$/.test(key));
+      if (byLanguage)
+        Object.entries(json).forEach(([id, values]) =>
+          Resources.add(Number(id), values as { [key: string]: any })
+        );
+      else Resources.add(languageId, json);
+    }
+  }
+
+  /**
+   * The button labels of {@link Dialogs}.
+   * @property {string | ResourceString} [confirmLabel] - The label of the confirm button.
+   * @property {string | ResourceString} [cancelLabel] - The label of the cancel button.
+   */
+  export type DialogButtonOptions = {
+    confirmLabel?: string | ResourceString;
+    cancelLabel?: string | ResourceString;
+  };
+  /**
+   * An option of {@link Dialogs.choose}.
+   * @property {string | ResourceString} label - The label of the button.
+   * @property value - The value returned when the option is chosen.
+   */
+  export type DialogChoice<T> = { label: string | ResourceString; value: T };
+  /**The values returned by {@link Dialogs.prompt} by input type*/
+  export type PromptValues = {
+    text: string;
+    multiline: string;
+    number: number;
+    date: Date;
+    lookup: Xrm.LookupValue[];
+  };
+  /**
+   * The options of {@link Dialogs.prompt}.
+   * @property {string} [type] - The input: text, multiline, number, date or lookup. Default: "text".
+   * @property {string | ResourceString} [label] - The label of the input.
+   * @property [defaultValue] - The initial value of the input.
+   * @property {boolean} [required] - The confirm button is disabled while the input is empty.
+   * @property {number} [min] - The minimum of a number.
+   * @property {number} [max] - The maximum of a number.
+   * @property {number} [precision] - The decimal places of a number. Default: 0.
+   * @property {string[]} [entityTypes] - The tables of a lookup.
+   * @property {boolean} [allowMultiSelect] - Allows to select multiple records in a lookup.
+   * @property {string} [defaultViewId] - The view of a lookup.
+   * @property {Xrm.LookupOptions["filters"]} [filters] - The filters of a lookup.
+   */
+  export type PromptOptions<Type extends keyof PromptValues = "text"> =
+    DialogButtonOptions & {
+      type?: Type;
+      label?: string | ResourceString;
+      defaultValue?: PromptValues[Type];
+      required?: boolean;
+      min?: number;
+      max?: number;
+      precision?: number;
+      entityTypes?: string[];
+      allowMultiSelect?: boolean;
+      defaultViewId?: string;
+      filters?: Xrm.LookupOptions["filters"];
+    };
+  /**The height in pixels of the inputs of {@link Dialogs}*/
+  const dialogInputHeights = {
+    text: 64,
+    multiline: 136,
+    number: 64,
+    date: 64,
+    choice: 44,
+  };
+  /**Formats a date as yyyy-MM-dd in local time, the value of a date input*/
+  const toDateInputValue = (date: Date) =>
+    [
+      date.getFullYear(),
+      `${date.getMonth() + 1}`.padStart(2, "0"),
+      `${date.getDate()}`.padStart(2, "0"),
+    ].join("-");
+  /**
+   * Confirm, choice and input dialogs which are sized to their text and resolve to typed results.
+   * Choice and input dialogs are rendered by the web resource dialog.html of xrm-ex, see {@link Dialogs.webResourceName}.
+   * @example
+   * if (await XrmEx.Dialogs.confirm("Deactivate", "Deactivate the contact?")) fields.Status.Value = 1;
+   * const priority = await XrmEx.Dialogs.choose("Priority", "Choose the priority.", [
+   *   { label: "High", value: 1 },
+   *   { label: "Low", value: 2 },
+   * ]);
+   * const amount = await XrmEx.Dialogs.prompt("Discount", "Enter the discount.", { type: "number", min: 0, max: 100 });
+   */
+  export class Dialogs {
+    /**The name of the web resource xrm-ex/src/webresources/dialog.html in Dynamics 365. Default: "xrmex_/dialog.html".*/
+    static webResourceName = "xrmex_/dialog.html";
+    /**
+     * Opens a confirm dialog.
+     * @param title The title of the dialog.
+     * @param text The text of the dialog.
+     * @param options (Optional) The labels of the buttons.
+     * @returns true if the user confirmed, false if the user cancelled or closed the dialog.
+     */
+    static async confirm(
+      title: string | ResourceString,
+      text: string | ResourceString,
+      options?: DialogButtonOptions
+    ): Promise<boolean> {
+      try {
+        const message = resolveMessage(text);
+        const result = await Xrm.Navigation.openConfirmDialog(
+          {
+            title: resolveMessage(title),
+            text: message,
+            confirmButtonLabel: Resources.get("XrmEx.Dialog.ok"),
+            cancelButtonLabel: Resources.get("XrmEx.Dialog.cancel"),
+            ...Dialogs.getLabels(options),
+          },
+          getDialogSize(message)
+        );
+        return result?.confirmed === true;
+      } catch (error: any) {
+        throw XrmExError.from(error, "Dialogs.confirm");
+      }
+    }
+    /**
+     * Opens a dialog with a button for each option.
+     * @param title The title of the dialog.
+     * @param text The text of the dialog.
+     * @param choices The options.
+     * @param options (Optional) The label of the cancel button.
+     * @returns The value of the chosen option, or null if the user cancelled or closed the dialog.
+     */
+    static async choose<T>(
+      title: string | ResourceString,
+      text: string | ResourceString,
+      choices: DialogChoice<T>[],
+      options?: Pick<DialogButtonOptions, "cancelLabel">
+    ): Promise<T | null> {
+      try {
+        if (!choices?.length) throw new Error(`no choices were provided.`);
+        const result = await Dialogs.open(
+          title,
+          text,
+          {
+            type: "choice",
+            choices: choices.map((choice) => resolveMessage(choice.label)),
+            ...Dialogs.getLabels(options),
+          },
+          choices.length * dialogInputHeights.choice
+        );
+        return typeof result?.index === "number" && choices[result.index]
+          ? choices[result.index].value
+          : null;
+      } catch (error: any) {
+        throw XrmExError.from(error, "Dialogs.choose");
+      }
+    }
+    /**
+     * Opens a dialog which asks for a text, number, date or records.
+     * Lookups open the lookup dialog of Dynamics 365, which shows neither title nor text.
+     * @param title The title of the dialog.
+     * @param text The text of the dialog.
+     * @param options (Optional) The input.
+     * @returns The value of the input, or null if the user cancelled or closed the dialog or left a number, date or lookup empty.
+     * @example
+     * const dueDate = await XrmEx.Dialogs.prompt("Follow up", "When is the follow up due?", { type: "date", required: true });
+     * const [account] = (await XrmEx.Dialogs.prompt("Account", "", { type: "lookup", entityTypes: ["account"] })) ?? [];
+     */
+    static async prompt<Type extends keyof PromptValues = "text">(
+      title: string | ResourceString,
+      text: string | ResourceString,
+      options?: PromptOptions<Type>
+    ): Promise<PromptValues[Type] | null> {
+      try {
+        const type: keyof PromptValues = options?.type ?? "text";
+        if (type === "lookup") {
+          if (!options?.entityTypes?.length)
+            throw new Error(`no entityTypes were provided.`);
+          const records = await Xrm.Utility.lookupObjects({
+            entityTypes: options.entityTypes,
+            defaultEntityType: options.entityTypes[0],
+            allowMultiSelect: options.allowMultiSelect ?? false,
+            defaultViewId: options.defaultViewId,
+            filters: options.filters,
+          });
+          return records?.length
+            ? (records.map((record) => ({
+                ...record,
+                id: normalizeGuid(record.id),
+              })) as PromptValues[Type])
+            : null;
+        }
+        const defaultValue: any = options?.defaultValue;
+        const result = await Dialogs.open(
+          title,
+          text,
+          {
+            type,
+            label: options?.label && resolveMessage(options.label),
+            value:
+              defaultValue instanceof Date
+                ? toDateInputValue(defaultValue)
+                : defaultValue ?? "",
+            required: options?.required ?? false,
+            min: options?.min,
+            max: options?.max,
+            step:
+              type === "number"
+                ? 1 / 10 ** (options?.precision ?? 0)
+                : undefined,
+            ...Dialogs.getLabels(options),
+          },
+          dialogInputHeights[type]
+        );
+        const value: string = result?.value;
+        if (value === undefined || value === null) return null;
+        if (type === "number")
+          return (value === "" ? null : Number(value)) as PromptValues[Type];
+        if (type === "date")
+          return (
+            value === "" ? null : new Date(`${value}T00:00:00`)
+          ) as PromptValues[Type];
+        return value as PromptValues[Type];
+      } catch (error: any) {
+        throw XrmExError.from(error, "Dialogs.prompt");
+      }
+    }
+    /**
+     * Opens the web resource dialog and returns the returnValue it was closed with.
+     */
+    protected static async open(
+      title: string | ResourceString,
+      text: string | ResourceString,
+      data: { [key: string]: any },
+      inputHeight: number
+    ): Promise<any> {
+      const message = resolveMessage(text);
+      const { height, width } = getDialogSize(message, inputHeight, 400);
+      const result = await Xrm.Navigation.navigateTo(
+        {
+          pageType: "webresource",
+          webresourceName: Dialogs.webResourceName,
+          data: JSON.stringify({
+            confirmButtonLabel: Resources.get("XrmEx.Dialog.ok"),
+            cancelButtonLabel: Resources.get("XrmEx.Dialog.cancel"),
+            ...data,
+            text: message,
+          }),
+        },
+        {
+          target: 2,
+          position: 1,
+          title: resolveMessage(title),
+          height: { value: Math.ceil(height), unit: "px" },
+          width: { value: Math.ceil(width) + 48, unit: "px" },
+        }
+      );
+      return result?.returnValue;
+    }
+    /**
+     * Resolves the button labels which were provided.
+     */
+    protected static getLabels(options?: DialogButtonOptions) {
+      const labels: {
+        confirmButtonLabel?: string;
+        cancelButtonLabel?: string;
+      } = {};
+      if (options?.confirmLabel)
+        labels.confirmButtonLabel = resolveMessage(options.confirmLabel);
+      if (options?.cancelLabel)
+        labels.cancelButtonLabel = resolveMessage(options.cancelLabel);
+      return labels;
+    }
+  }
+
+  /**
+   * The options of {@link Format}.
+   * @property {string} [behavior] - The behavior of a date: UserLocal, DateOnly, TimeZoneIndependent or UTC. Default: UserLocal.
+   * @property {boolean} [time] - Shows the time of a date. Default: true, false for DateOnly.
+   * @property {number} [precision] - The decimal places of a number. Default: the precision of the field, 2 for currencies.
+   * @property {string} [currencySymbol] - The symbol of a currency. Default: the symbol loaded with {@link Format.getCurrencySymbol}.
+   */
+  export type FormatOptions = {
+    behavior?: "UserLocal" | "DateOnly" | "TimeZoneIndependent" | "UTC";
+    time?: boolean;
+    precision?: number;
+    currencySymbol?: string;
+  };
+  type DateParts = {
+    year: number;
+    month: number;
+    day: number;
+    hours: number;
+    minutes: number;
+    seconds: number;
+  };
+  /**Formats date parts with a .NET date pattern like the ShortDatePattern of the user settings*/
+  const formatDatePattern = (
+    pattern: string,
+    parts: DateParts,
+    info: Xrm.DateFormattingInfo
+  ): string => {
+    const pad = (value: number, length = 2) => `${value}`.padStart(length, "0");
+    const weekday = new Date(
+      Date.UTC(parts.year, parts.month, parts.day)
+    ).getUTCDay();
+    const hours12 = parts.hours % 12 || 12;
+    const tokens: { [token: string]: () => string } = {
+      yyyy: () => pad(parts.year, 4),
+      yy: () => pad(parts.year % 100),
+      y: () => `${parts.year % 100}`,
+      MMMM: () => info.MonthNames[parts.month],
+      MMM: () => info.AbbreviatedMonthNames[parts.month],
+      MM: () => pad(parts.month + 1),
+      M: () => `${parts.month + 1}`,
+      dddd: () => info.DayNames[weekday],
+      ddd: () => info.AbbreviatedDayNames[weekday],
+      dd: () => pad(parts.day),
+      d: () => `${parts.day}`,
+      HH: () => pad(parts.hours),
+      H: () => `${parts.hours}`,
+      hh: () => pad(hours12),
+      h: () => `${hours12}`,
+      mm: () => pad(parts.minutes),
+      m: () => `${parts.minutes}`,
+      ss: () => pad(parts.seconds),
+      s: () => `${parts.seconds}`,
+      tt: () => (parts.hours < 12 ? info.AmDesignator : info.PmDesignator),
+      "/": () => info.DateSeparator,
+      ":": () => info.TimeSeparator,
+    };
+    return pattern.replace(
+      /'[^']*'|"[^"]*"|\\.|yyyy|yy|y|MMMM|MMM|MM|M|dddd|ddd|dd|d|HH|H|hh|h|mm|m|ss|s|tt|\/|:/g,
+      (token) =>
+        tokens[token]?.() ??
+        (token.startsWith("\\") ? token.slice(1) : token.slice(1, -1))
+    );
+  };
+  /**
+   * Formats and parses values in the language, time zone and date format of the user.
+   * @example
+   * XrmEx.Format.date(fields.Birthday.Value, { time: false }); // "11/22/2000"
+   * XrmEx.Format.number(1234.5, 2); // "1,234.50"
+   * XrmEx.Format.currency(1234.5, "€"); // "€1,234.50"
+   * XrmEx.Format.parseNumber("1.234,5"); // 1234.5 for a German user
+   * fields.Birthday.getFormattedValue(); // "11/22/2000"
+   */
+  export class Format {
+    protected static _locale?: string;
+    protected static currencySymbols = new Map<string, string>();
+    /**Gets the locale of numbers and of dates without a date format in the user settings, by default the locale of the language of the user*/
+    static get locale(): string {
+      return Format._locale ?? toLocale(Resources.languageId);
+    }
+    /**Sets the locale of numbers. Set undefined to use the locale of the language of the user.*/
+    static set locale(locale: string | undefined) {
+      Format._locale = locale;
+    }
+    /**
+     * Formats a date with the date and time format of the user.
+     * Date objects are shown as they are, f.e. the values of date fields, which are already in the time zone of the user.
+     * Strings of the Web API are converted from UTC to the time zone of the user if their behavior is UserLocal.
+     * The client API only provides the current offset of the user's time zone, which is used for every date.
+     * Dates on the other side of a daylight saving time change are therefore off by the DST shift, usually an hour.
+     * Use the formatted value of the Web API (the OData.Community.Display.V1.FormattedValue annotation) where that matters.
+     * @param value The date, or a string like 2024-01-31T08:00:00Z or 2024-01-31.
+     * @param options (Optional) The behavior and whether to show the time.
+     */
+    static date(
+      value: Date | string,
+      options?: Pick<FormatOptions, "behavior" | "time">
+    ): string {
+      try {
+        if (value === null || value === undefined || value === "") return "";
+        const behavior = options?.behavior ?? "UserLocal";
+        const dateOnly =
+          typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const time = options?.time ?? !(dateOnly || behavior === "DateOnly");
+        const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+        if (isNaN(date.getTime()))
+          throw new Error(`'${value}' is not a valid date`);
+        let parts: DateParts;
+        if (typeof value === "string" || behavior === "UTC") {
+          const offset =
+            typeof value === "string" && behavior === "UserLocal" && !dateOnly
+              ? Xrm.Utility.getGlobalContext().userSettings.getTimeZoneOffsetMinutes()
+              : 0;
+          const shifted = new Date(date.getTime() + offset * 60000);
+          parts = {
+            year: shifted.getUTCFullYear(),
+            month: shifted.getUTCMonth(),
+            day: shifted.getUTCDate(),
+            hours: shifted.getUTCHours(),
+            minutes: shifted.getUTCMinutes(),
+            seconds: shifted.getUTCSeconds(),
+          };
+        } else
+          parts = {
+            year: date.getFullYear(),
+            month: date.getMonth(),
+            day: date.getDate(),
+            hours: date.getHours(),
+            minutes: date.getMinutes(),
+            seconds: date.getSeconds(),
+          };
+        const info = Format.getDateFormattingInfo();
+        if (!info?.ShortDatePattern)
+          return new Intl.DateTimeFormat(Format.locale, {
+            dateStyle: "short",
+            timeStyle: time ? "short" : undefined,
+            timeZone: "UTC",
+          }).format(
+            Date.UTC(
+              parts.year,
+              parts.month,
+              parts.day,
+              parts.hours,
+              parts.minutes
+            )
+          );
+        const pattern = time
+          ? `${info.ShortDatePattern} ${info.ShortTimePattern}`
+          : info.ShortDatePattern;
+        return formatDatePattern(pattern, parts, info);
+      } catch (error: any) {
+        throw XrmExError.from(error, "Format.date");
+      }
+    }
+    /**
+     * Formats a number with the decimal and group separators of the user.
+     * @param value The number.
+     * @param precision (Optional) The decimal places. Default: up to 10 decimal places as needed.
+     */
+    static number(value: number, precision?: number): string {
+      if (value === null || value === undefined) return "";
+      return new Intl.NumberFormat(Format.locale, {
+        minimumFractionDigits: precision ?? 0,
+        maximumFractionDigits: precision ?? 10,
+      }).format(value);
+    }
+    /**
+     * Formats an amount with a currency symbol, placed as usual in the language of the user.
+     * @param value The amount.
+     * @param symbol (Optional) The currency symbol, f.e. from {@link Format.getCurrencySymbol}. Default: no symbol.
+     * @param precision (Optional) The decimal places. Default: 2.
+     */
+    static currency(value: number, symbol?: string, precision = 2): string {
+      if (value === null || value === undefined) return "";
+      if (!symbol) return Format.number(value, precision);
+      return new Intl.NumberFormat(Format.locale, {
+        style: "currency",
+        currency: "XXX",
+        minimumFractionDigits: precision,
+        maximumFractionDigits: precision,
+      })
+        .formatToParts(value)
+        .map((part) => (part.type === "currency" ? symbol : part.value))
+        .join("")
+        .trim();
+    }
+    /**
+     * Formats the value of an attribute by its type: dates and numbers as by {@link Format.date} and {@link Format.number},
+     * money with the currency symbol, choices with their labels and lookups with their names.
+     * @param attribute The attribute.
+     * @param value (Optional) The value. Default: the value of the attribute.
+     * @param options (Optional) The options of dates and numbers.
+     */
+    static value(
+      attribute: Xrm.Attributes.Attribute,
+      value: any = attribute.getValue(),
+      options?: FormatOptions
+    ): string {
+      try {
+        if (value === null || value === undefined) return "";
+        const precision =
+          options?.precision ??
+          (attribute as Xrm.Attributes.NumberAttribute).getPrecision?.();
+        switch (attribute.getAttributeType()) {
+          case "datetime":
+            return Format.date(value, {
+              time: attribute.getFormat() !== "date",
+              ...options,
+            });
+          case "integer":
+            return Format.number(value, 0);
+          case "decimal":
+          case "double":
+            return Format.number(value, precision);
+          case "money":
+            return Format.currency(
+              value,
+              options?.currencySymbol ??
+                Format.currencySymbols.get(Format.getCurrencyId()),
+              precision ?? 2
+            );
+          default:
+            return getAttributeText(attribute, value);
+        }
+      } catch (error: any) {
+        throw XrmExError.from(error, "Format.value");
+      }
+    }
+    /**
+     * Parses a number entered by the user, with the decimal and group separators of the user.
+     * @param text The text, f.e. "1.234,5" for a German user.
+     * @returns The number, or null if the text is empty or not a number.
+     */
+    static parseNumber(text: string): number | null {
+      if (typeof text !== "string" || !text.trim()) return null;
+      const parts = new Intl.NumberFormat(Format.locale).formatToParts(
+        1234567.5
+      );
+      const group = parts.find((part) => part.type === "group")?.value;
+      const decimal =
+        parts.find((part) => part.type === "decimal")?.value ?? ".";
+      let normalized = text.replace(/\s/g, "");
+      if (group) normalized = normalized.split(group).join("");
+      normalized = normalized
+        .split(decimal)
+        .join(".")
+        .replace(/^[^\d\-.]+|[^\d.]+$/g, "");
+      return /^-?(\d+\.?\d*|\.\d+)$/.test(normalized)
+        ? Number(normalized)
+        : null;
+    }
+    /**
+     * Parses a date entered by the user, in the order of day, month and year of the date format of the user.
+     * @param text The text, f.e. "22.11.2000 14:30" for a German user. ISO dates like 2000-11-22 are accepted as well.
+     * @param options (Optional) The behavior: the date is returned in local time, or in UTC for UTC.
+     * @returns The date, or null if the text is empty or not a valid date.
+     */
+    static parseDate(
+      text: string,
+      options?: Pick<FormatOptions, "behavior">
+    ): Date | null {
+      if (typeof text !== "string" || !text.trim()) return null;
+      const numbers = (text.match(/\d+/g) ?? []).map(Number);
+      const order = /^\s*\d{4}-\d{1,2}-\d{1,2}/.test(text)
+        ? ["y", "M", "d"]
+        : Format.getDateOrder();
+      if (numbers.length < 3) return null;
+      const value = (token: string) => numbers[order.indexOf(token)];
+      let year = value("y");
+      if (year < 100) year += 2000;
+      const month = value("M") - 1;
+      const day = value("d");
+      let [hours = 0, minutes = 0, seconds = 0] = numbers.slice(3);
+      const info = Format.getDateFormattingInfo();
+      const lower = text.toLowerCase();
+      const designator = (name?: string) =>
+        !!name && lower.includes(name.toLowerCase());
+      if (designator(info?.PmDesignator ?? "PM") && hours < 12) hours += 12;
+      else if (designator(info?.AmDesignator ?? "AM") && hours === 12)
+        hours = 0;
+      const date =
+        options?.behavior === "UTC"
+          ? new Date(Date.UTC(year, month, day, hours, minutes, seconds))
+          : new Date(year, month, day, hours, minutes, seconds);
+      const valid =
+        options?.behavior === "UTC"
+          ? date.getUTCFullYear() === year &&
+            date.getUTCMonth() === month &&
+            date.getUTCDate() === day
+          : date.getFullYear() === year &&
+            date.getMonth() === month &&
+            date.getDate() === day;
+      return valid && hours < 24 && minutes < 60 && seconds < 60 ? date : null;
+    }
+    /**
+     * Loads the symbol of a currency and keeps it for the formatted values of money fields.
+     * @param currencyId (Optional) The ID of the currency. Default: the currency of the record, otherwise of the user.
+     * @returns The currency symbol.
+     */
+    static async getCurrencySymbol(currencyId?: string): Promise<string> {
+      try {
+        const id = normalizeGuid(currencyId ?? Format.getCurrencyId());
+        if (!Format.currencySymbols.has(id)) {
+          const currency = await Xrm.WebApi.retrieveRecord(
+            "transactioncurrency",
+            id,
+            "?$select=currencysymbol"
+          );
+          Format.currencySymbols.set(id, currency.currencysymbol);
+        }
+        return Format.currencySymbols.get(id);
+      } catch (error: any) {
+        throw XrmExError.from(error, "Format.getCurrencySymbol");
+      }
+    }
+    /**The ID of the currency of the record, otherwise of the user*/
+    protected static getCurrencyId(): string | undefined {
+      const currency =
+        Form.formContext
+          ?.getAttribute?.("transactioncurrencyid")
+          ?.getValue?.()?.[0] ??
+        Xrm.Utility.getGlobalContext().userSettings.transactionCurrency;
+      return currency?.id && normalizeGuid(currency.id);
+    }
+    protected static getDateFormattingInfo():
+      | Xrm.DateFormattingInfo
+      | undefined {
+      return typeof Xrm !== "undefined"
+        ? Xrm.Utility.getGlobalContext().userSettings.dateFormattingInfo
+        : undefined;
+    }
+    /**The order of day, month and year in the date format of the user*/
+    protected static getDateOrder(): string[] {
+      const pattern = Format.getDateFormattingInfo()?.ShortDatePattern;
+      if (pattern)
+        return (pattern.match(/y+|M+|d+/g) ?? []).map((token) => token[0]);
+      return new Intl.DateTimeFormat(Format.locale)
+        .formatToParts(new Date(2000, 10, 22))
+        .filter((part) => ["year", "month", "day"].includes(part.type))
+        .map((part) => ({ year: "y", month: "M", day: "d" }[part.type]));
+    }
+  }
+
+  /**
+   * An option of a choice column, returned by {@link Metadata}.
+   * @property {number} value - The value of the option.
+   * @property {string} label - The label in the language of the user.
+   * @property {object} labels - The labels by language code.
+   */
+  export type OptionInfo = {
+    value: number;
+    label: string;
+    labels: { [languageCode: number]: string };
+  };
+  /**
+   * The metadata of an attribute, returned by {@link Metadata}.
+   * @property {string} attributeType - The type of the attribute, f.e. String, Lookup or Picklist.
+   * @property {string[]} targets - The entities a lookup can refer to.
+   * @property {OptionInfo[]} options - The options of a choice column.
+   * @property {boolean} [isValidForCreate] - Whether a value can be set when a record is created.
+   */
+  export type AttributeInfo = {
+    logicalName: string;
+    displayName: string;
+    attributeType: string;
+    targets: string[];
+    options: OptionInfo[];
+    defaultValue?: number;
+    isValidForCreate?: boolean;
+  };
+  /**
+   * The metadata of an entity with the attributes loaded so far, returned by {@link Metadata}.
+   * @property {object} [navigationProperties] - The navigation properties of the lookups by attribute and target entity.
+   */
+  export type EntityInfo = {
+    logicalName: string;
+    displayName: string;
+    entitySetName: string;
+    primaryIdAttribute: string;
+    primaryNameAttribute: string;
+    objectTypeCode: number;
+    attributes: { [logicalName: string]: AttributeInfo };
+    navigationProperties?: {
+      [attribute: string]: { [target: string]: string };
+    };
+  };
+  /**The names of XrmEnum.AttributeTypeCode*/
+  const attributeTypeNames = [
+    "Boolean",
+    "Customer",
+    "DateTime",
+    "Decimal",
+    "Double",
+    "Integer",
+    "Lookup",
+    "Memo",
+    "Money",
+    "Owner",
+    "PartyList",
+    "Picklist",
+    "State",
+    "Status",
+    "String",
+    "Uniqueidentifier",
+    "CalendarRules",
+    "Virtual",
+    "BigInt",
+    "ManagedProperty",
+    "EntityName",
+  ];
+  const getLabel = (label: any): string =>
+    typeof label === "string" ? label : label?.UserLocalizedLabel?.Label;
+  /**
+   * Converts the option set of Xrm.Utility.getEntityMetadata, which is an array of OptionMetadata,
+   * an object of options by value or the TrueOption and FalseOption of a two options column.
+   */
+  const toOptionInfos = (optionSet: any): OptionInfo[] => {
+    if (!optionSet) return [];
+    const options: any[] = Array.isArray(optionSet)
+      ? optionSet
+      : optionSet.TrueOption || optionSet.FalseOption
+      ? [optionSet.FalseOption, optionSet.TrueOption].filter(Boolean)
+      : Object.values(optionSet);
+    return options.map((option) => ({
+      value: option.Value ?? option.value,
+      label: getLabel(option.Label) ?? option.text,
+      labels: Object.fromEntries(
+        (option.Label?.LocalizedLabels ?? []).map((label: any) => [
+          label.LanguageCode,
+          label.Label,
+        ])
+      ),
+    }));
+  };
+  const toAttributeInfo = (attribute: any): AttributeInfo => ({
+    logicalName: attribute.LogicalName,
+    displayName: getLabel(attribute.DisplayName),
+    attributeType:
+      typeof attribute.AttributeType === "number"
+        ? attributeTypeNames[attribute.AttributeType]
+        : attribute.AttributeType,
+    targets: attribute.Targets ?? [],
+    options: toOptionInfos(attribute.OptionSet),
+    defaultValue: attribute.DefaultFormValue ?? undefined,
+    isValidForCreate: attribute.IsValidForCreate ?? undefined,
+  });
+  /**
+   * Metadata of entities, attributes and option sets, loaded with Xrm.Utility.getEntityMetadata.
+   * The metadata is cached in memory and in the sessionStorage, for the current cache version.
+   * @example
+   * const entitySetName = await XrmEx.Metadata.getEntitySetName("contact");
+   * const targets = await XrmEx.Metadata.getTargets("contact", "parentcustomerid"); // ["account", "contact"]
+   * const label = await XrmEx.Metadata.getOptionLabel("contact", "preferredcontactmethodcode", 2, 1031);
+   */
+  export class Metadata {
+    protected static entities = new Map<string, EntityInfo>();
+    protected static pending = new Map<string, Promise<EntityInfo>>();
+    protected static _version = "";
+    /**The prefix of the sessionStorage keys*/
+    static readonly storagePrefix = "XrmEx.Metadata";
+    /**The version of the cached metadata, f.e. the version of your solution*/
+    static get version(): string {
+      return Metadata._version;
+    }
+    /**
+     * Sets the version of the cached metadata. Cached metadata of other versions is removed.
+     * @param version The version, f.e. the version of your solution.
+     */
+    static setVersion(version: string): void {
+      if (version === Metadata._version) return;
+      Metadata._version = version ?? "";
+      Metadata.clear(true);
+    }
+    /**
+     * Uses the version of a solution as version of the cached metadata,
+     * so the cache is invalidated whenever a new version of the solution is imported.
+     * @param uniqueName The unique name of the solution.
+     * @returns The version of the solution.
+     */
+    static async useSolutionVersion(uniqueName: string): Promise<string> {
+      try {
+        const result = await retrieveMultiple(
+          "solution",
+          new Query()
+            .select("version")
+            .filter((f) => f.eq("uniquename", uniqueName))
+            .top(1)
+        );
+        const version = result.entities[0]?.version;
+        if (!version) throw new Error(`solution '${uniqueName}' not found`);
+        Metadata.setVersion(`${uniqueName}@${version}`);
+        return version;
+      } catch (error: any) {
+        throw XrmExError.from(error, "Metadata.useSolutionVersion");
+      }
+    }
+    /**
+     * Clears the cached metadata.
+     * @param otherVersionsOnly (Optional) Only removes the metadata of other versions from the sessionStorage.
+     */
+    static clear(otherVersionsOnly?: boolean): void {
+      Metadata.entities.clear();
+      Metadata.pending.clear();
+      const storage = Metadata.storage;
+      if (!storage) return;
+      const current = `${Metadata.storagePrefix}.${Metadata._version}.`;
+      for (let i = storage.length - 1; i >= 0; i--) {
+        const key = storage.key(i);
+        if (!key?.startsWith(`${Metadata.storagePrefix}.`)) continue;
+        if (!otherVersionsOnly || !key.startsWith(current))
+          storage.removeItem(key);
+      }
+    }
+    /**
+     * Returns the metadata of an entity, with at least the given attributes.
+     * @param entityName The logical name of the entity.
+     * @param attributes (Optional) The logical names of the attributes to load.
+     */
+    static async getEntity(
+      entityName: string,
+      attributes: string[] = []
+    ): Promise<EntityInfo> {
+      try {
+        const cached =
+          Metadata.entities.get(entityName) ?? Metadata.load(entityName);
+        const missing = attributes.filter(
+          (attribute) => !cached?.attributes[attribute]
+        );
+        if (cached && missing.length === 0) return cached;
+        const key = `${entityName}|${missing.join(",")}`;
+        let request = Metadata.pending.get(key);
+        if (!request) {
+          request = Promise.resolve(
+            Xrm.Utility.getEntityMetadata(entityName, missing)
+          ).then((metadata) => Metadata.store(entityName, metadata));
+          Metadata.pending.set(key, request);
+        }
+        try {
+          return await request;
+        } finally {
+          Metadata.pending.delete(key);
+        }
+      } catch (error: any) {
+        throw XrmExError.from(error, "Metadata.getEntity");
+      }
+    }
+    /**
+     * Returns the metadata of an attribute.
+     * @param entityName The logical name of the entity.
+     * @param attributeName The logical name of the attribute.
+     */
+    static async getAttribute(
+      entityName: string,
+      attributeName: string
+    ): Promise<AttributeInfo> {
+      const entity = await Metadata.getEntity(entityName, [attributeName]);
+      const attribute = entity.attributes[attributeName];
+      if (!attribute)
+        throw new XrmExError(
+          `'${attributeName}' is not an attribute of '${entityName}'`,
+          { method: "Metadata.getAttribute" }
+        );
+      return attribute;
+    }
+    /**
+     * Returns the type of an attribute, f.e. String, Lookup, Customer or Picklist.
+     * @param entityName The logical name of the entity.
+     * @param attributeName The logical name of the attribute.
+     */
+    static async getAttributeType(
+      entityName: string,
+      attributeName: string
+    ): Promise<string> {
+      return (await Metadata.getAttribute(entityName, attributeName))
+        .attributeType;
+    }
+    /**
+     * Returns the entities a lookup can refer to. Polymorphic lookups have more than one target.
+     * @param entityName The logical name of the entity.
+     * @param attributeName The logical name of the lookup.
+     */
+    static async getTargets(
+      entityName: string,
+      attributeName: string
+    ): Promise<string[]> {
+      return (await Metadata.getAttribute(entityName, attributeName)).targets;
+    }
+    /**
+     * Returns the options of a choice column.
+     * @param entityName The logical name of the entity.
+     * @param attributeName The logical name of the choice column.
+     * @param languageCode (Optional) The language of the labels. Defaults to the language of the user.
+     */
+    static async getOptions(
+      entityName: string,
+      attributeName: string,
+      languageCode?: number
+    ): Promise<{ value: number; label: string }[]> {
+      const { options } = await Metadata.getAttribute(
+        entityName,
+        attributeName
+      );
+      return options.map((option) => ({
+        value: option.value,
+        label: (languageCode && option.labels[languageCode]) ?? option.label,
+      }));
+    }
+    /**
+     * Returns the label of an option of a choice column.
+     * @param entityName The logical name of the entity.
+     * @param attributeName The logical name of the choice column.
+     * @param value The value of the option.
+     * @param languageCode (Optional) The language of the label. Defaults to the language of the user.
+     */
+    static async getOptionLabel(
+      entityName: string,
+      attributeName: string,
+      value: number,
+      languageCode?: number
+    ): Promise<string> {
+      const options = await Metadata.getOptions(
+        entityName,
+        attributeName,
+        languageCode
+      );
+      return options.find((option) => option.value === value)?.label;
+    }
+    /**
+     * Returns the single-valued navigation property of a lookup, used to set it with @odata.bind.
+     * Customer and other polymorphic lookups have one navigation property per target entity.
+     * @param entityName The logical name of the entity.
+     * @param attributeName The logical name of the lookup.
+     * @param target (Optional) The logical name of the target entity.
+     * @example
+     * await XrmEx.Metadata.getNavigationProperty("contact", "parentcustomerid", "account"); // parentcustomerid_account
+     */
+    static async getNavigationProperty(
+      entityName: string,
+      attributeName: string,
+      target?: string
+    ): Promise<string> {
+      try {
+        const entity = await Metadata.getEntity(entityName);
+        if (!entity.navigationProperties) {
+          const relationships = await Metadata.request(
+            `EntityDefinitions(LogicalName='${entityName}')/ManyToOneRelationships?$select=ReferencingAttribute,ReferencedEntity,ReferencingEntityNavigationPropertyName`
+          );
+          entity.navigationProperties = {};
+          for (const relationship of relationships.value ?? []) {
+            (entity.navigationProperties[relationship.ReferencingAttribute] ??=
+              {})[relationship.ReferencedEntity] =
+              relationship.ReferencingEntityNavigationPropertyName;
+          }
+          Metadata.save(entityName, entity);
+        }
+        const properties = entity.navigationProperties[attributeName] ?? {};
+        return (
+          properties[target] ?? Object.values(properties)[0] ?? attributeName
+        );
+      } catch (error: any) {
+        throw XrmExError.from(error, "Metadata.getNavigationProperty");
+      }
+    }
+    /**Returns the name of the entity set of an entity, used in Web API URLs*/
+    static async getEntitySetName(entityName: string): Promise<string> {
+      return (await Metadata.getEntity(entityName)).entitySetName;
+    }
+    /**Returns the logical name of the primary id attribute of an entity*/
+    static async getPrimaryIdAttribute(entityName: string): Promise<string> {
+      return (await Metadata.getEntity(entityName)).primaryIdAttribute;
+    }
+    /**Returns the logical name of the primary name attribute of an entity*/
+    static async getPrimaryNameAttribute(entityName: string): Promise<string> {
+      return (await Metadata.getEntity(entityName)).primaryNameAttribute;
+    }
+    protected static get storage(): Storage {
+      try {
+        return typeof sessionStorage === "undefined" ? null : sessionStorage;
+      } catch {
+        return null;
+      }
+    }
+    /**
+     * Sends a GET request to the metadata endpoints of the Web API, in the version of the organization.
+     * Used for metadata which Xrm.Utility.getEntityMetadata does not return, f.e. relationships.
+     */
+    protected static async request(path: string): Promise<any> {
+      const context = Xrm.Utility.getGlobalContext();
+      const [major, minor] = context.getVersion().split(".");
+      const url = `${context.getClientUrl()}/api/data/v${major}.${minor}/${path}`;
+      return withRetry(async () => {
+        const response = await fetch(url, {
+          headers: {
+            Accept: "application/json",
+            "OData-MaxVersion": "4.0",
+            "OData-Version": "4.0",
+          },
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok)
+          throw XrmExError.from({
+            ...body,
+            status: response.status,
+            retryAfter: response.headers.get("Retry-After") ?? undefined,
+          });
+        return body;
+      }, true);
+    }
+    protected static storageKey(entityName: string) {
+      return `${Metadata.storagePrefix}.${Metadata._version}.${entityName}`;
+    }
+    /**Loads the metadata of an entity from the sessionStorage*/
+    protected static load(entityName: string): EntityInfo {
+      try {
+        const json = Metadata.storage?.getItem(Metadata.storageKey(entityName));
+        if (!json) return undefined;
+        const entity: EntityInfo = JSON.parse(json);
+        Metadata.entities.set(entityName, entity);
+        return entity;
+      } catch {
+        return undefined;
+      }
+    }
+    /**Merges loaded metadata into the cache*/
+    protected static store(
+      entityName: string,
+      metadata: Xrm.Metadata.EntityMetadata
+    ): EntityInfo {
+      const cached = Metadata.entities.get(entityName);
+      const attributes: any = metadata.Attributes;
+      const items: any[] =
+        typeof attributes?.getAll === "function"
+          ? attributes.getAll()
+          : Array.isArray(attributes)
+          ? attributes
+          : Object.values(attributes ?? {});
+      const entity: EntityInfo = {
+        logicalName: metadata.LogicalName ?? entityName,
+        displayName: getLabel(metadata.DisplayName),
+        entitySetName: metadata.EntitySetName,
+        primaryIdAttribute: metadata.PrimaryIdAttribute,
+        primaryNameAttribute: metadata.PrimaryNameAttribute,
+        objectTypeCode: metadata.ObjectTypeCode,
+        attributes: { ...cached?.attributes },
+        navigationProperties: cached?.navigationProperties,
+      };
+      items
+        .filter((item) => item?.LogicalName)
+        .forEach(
+          (item) =>
+            (entity.attributes[item.LogicalName] = toAttributeInfo(item))
+        );
+      Metadata.save(entityName, entity);
+      return entity;
+    }
+    /**Saves the metadata of an entity in the cache*/
+    protected static save(entityName: string, entity: EntityInfo) {
+      Metadata.entities.set(entityName, entity);
+      try {
+        Metadata.storage?.setItem(
+          Metadata.storageKey(entityName),
+          JSON.stringify(entity)
+        );
+      } catch {
+        // The sessionStorage is full or not available
+      }
+    }
+  }
+
+  export class Process {
+    static get data() {
+      return Form.formContext.data.process;
+    }
+    static get ui() {
+      return Form.formContext.ui.process;
+    }
+    /**
+     * Use this to add a function as an event handler for the OnPreProcessStatusChange event so that it will be called before the
+     * business process flow status changes.
+     * @param handler The function will be added to the bottom of the event
+     *                handler pipeline. The execution context is automatically
+     *                set to be the first parameter passed to the event handler.
+     *                Use a reference to a named function rather than an
+     *                anonymous function if you may later want to remove the
+     *                event handler.
+     */
+    static addOnPreProcessStatusChange(
+      handler: Xrm.Events.ProcessStatusChangeHandler
+    ) {
+      Form.formContext.data.process.removeOnPreProcessStatusChange(handler);
+      return Form.formContext.data.process.addOnPreProcessStatusChange(handler);
+    }
+    /**
+     * Use this to add a function as an event handler for the OnPreStageChange event so that it will be called before the
+     * business process flow stage changes.
+     * @param handler The function will be added to the bottom of the event
+     *                handler pipeline. The execution context is automatically
+     *                set to be the first parameter passed to the event handler.
+     *                Use a reference to a named function rather than an
+     *                anonymous function if you may later want to remove the
+     *                event handler.
+     */
+    static addOnPreStageChange(handler: Xrm.Events.StageChangeEventHandler) {
+      Form.formContext.data.process.removeOnPreStageChange(handler);
+      return Form.formContext.data.process.addOnPreStageChange(handler);
+    }
+    /**
+     * Use this to add a function as an event handler for the OnPreProcessStatusChange event so that it will be called when the
+     * business process flow status changes.
+     * @param handler The function will be added to the bottom of the event
+     *                handler pipeline. The execution context is automatically
+     *                set to be the first parameter passed to the event handler.
+     *                Use a reference to a named function rather than an
+     *                anonymous function if you may later want to remove the
+     *                event handler.
+     */
+    static addOnProcessStatusChange(
+      handler: Xrm.Events.ProcessStatusChangeHandler
+    ) {
+      Form.formContext.data.process.removeOnProcessStatusChange(handler);
+      return Form.formContext.data.process.addOnProcessStatusChange(handler);
+    }
+    /**
+     * Use this to add a function as an event handler for the OnStageChange event so that it will be called when the
+     * business process flow stage changes.
+     * @param handler The function will be added to the bottom of the event
+     *                handler pipeline. The execution context is automatically
+     *                set to be the first parameter passed to the event handler.
+     *                Use a reference to a named function rather than an
+     *                anonymous function if you may later want to remove the
+     *                event handler.
+     */
+    static addOnStageChange(handler: Xrm.Events.StageChangeEventHandler) {
+      Form.formContext.data.process.removeOnStageChange(handler);
+      return Form.formContext.data.process.addOnStageChange(handler);
+    }
+    /**
+     * Use this to add a function as an event handler for the OnStageSelected event so that it will be called
+     * when a business process flow stage is selected.
+     * @param handler The function will be added to the bottom of the event
+     *                handler pipeline. The execution context is automatically
+     *                set to be the first parameter passed to the event handler.
+     *                Use a reference to a named function rather than an
+     *                anonymous function if you may later want to remove the
+     *                event handler.
+     */
+    static addOnStageSelected(handler: Xrm.Events.ContextSensitiveHandler) {
+      Form.formContext.data.process.removeOnStageSelected(handler);
+      return Form.formContext.data.process.addOnStageSelected(handler);
+    }
+    /**
+     * Use this to remove a function as an event handler for the OnPreProcessStatusChange event.
+     * @param handler If an anonymous function is set using the addOnPreProcessStatusChange method it
+     *                cannot be removed using this method.
+     */
+    static removeOnPreProcessStatusChange(
+      handler: Xrm.Events.ProcessStatusChangeHandler
+    ) {
+      return Form.formContext.data.process.removeOnPreProcessStatusChange(
+        handler
+      );
+    }
+    /**
+     * Use this to remove a function as an event handler for the OnPreStageChange event.
+     * @param handler If an anonymous function is set using the addOnPreStageChange method it
+     *                cannot be removed using this method.
+     */
+    static removeOnPreStageChange(handler: Xrm.Events.StageChangeEventHandler) {
+      return Form.formContext.data.process.removeOnPreStageChange(handler);
+    }
+    /**
+     * Use this to remove a function as an event handler for the OnProcessStatusChange event.
+     * @param handler If an anonymous function is set using the addOnProcessStatusChange method it
+     *                cannot be removed using this method.
+     */
+    static removeOnProcessStatusChange(
+      handler: Xrm.Events.ProcessStatusChangeHandler
+    ) {
+      return Form.formContext.data.process.removeOnProcessStatusChange(handler);
+    }
+    /**
+     * Use this to remove a function as an event handler for the OnStageChange event.
+     * @param handler If an anonymous function is set using the addOnStageChange method it
+     *                cannot be removed using this method.
+     */
+    static removeOnStageChange(handler: Xrm.Events.StageChangeEventHandler) {
+      return Form.formContext.data.process.removeOnStageChange(handler);
+    }
+    /**
+     * Use this to remove a function as an event handler for the OnStageChange event.
+     * @param handler If an anonymous function is set using the addOnStageChange method it
+     *                cannot be removed using this method.
+     */
+    static removeOnStageSelected(handler: Xrm.Events.ContextSensitiveHandler) {
+      return Form.formContext.data.process.removeOnStageSelected(handler);
+    }
+
+    /**
+     * Use this method to asynchronously retrieve the enabled business process flows that the user can switch to for an entity.
+     * @returns returns callback response as Promise
+     */
+    static getEnabledProcesses() {
+      return asPromise<Xrm.ProcessFlow.ProcessDictionary>(
+        Form.formContext.data.process.getEnabledProcesses,
+        Form.formContext.data.process
+      );
+    }
+    /**
+     * Returns all process instances for the entity record that the calling user has access to.
+     * @returns returns callback response as Promise
+     */
+    static getProcessInstances() {
+      return asPromise<Xrm.ProcessFlow.GetProcessInstancesDelegate>(
+        Form.formContext.data.process.getProcessInstances,
+        Form.formContext.data.process
+      );
+    }
+    /**
+     * Progresses to the next stage.
+     * @returns returns callback response as Promise
+     */
+    static moveNext() {
+      return asPromise<string>(
+        Form.formContext.data.process.moveNext,
+        Form.formContext.data.process
+      );
+    }
+    /**
+     * Moves to the previous stage.
+     * @returns returns callback response as Promise
+     */
+    static movePrevious() {
+      return asPromise<string>(
+        Form.formContext.data.process.movePrevious,
+        Form.formContext.data.process
+      );
+    }
+    /**
+     * Set a Process as the active process.
+     * @param processId The Id of the process to make the active process.
+     * @returns returns callback response as Promise
+     */
+    static setActiveProcess(processId: string) {
+      return asPromise<Xrm.ProcessFlow.ProcessCallbackDelegate>(
+        Form.formContext.data.process.setActiveProcess,
+        Form.formContext.data.process,
+        processId
+      );
+    }
+    /**
      * Sets a process instance as the active instance
      * @param processInstanceId The Id of the process instance to make the active instance.
      * @returns returns callback response as Promise
      */
-    static setActiveProcessInstance(processInstanceId: string) {
-      return asPromise<Xrm.ProcessFlow.SetProcessInstanceDelegate>(
-        Form.formContext.data.process.setActiveProcessInstance,
-        Form.formContext.data.process,
-        processInstanceId
-      );
+    static setActiveProcessInstance(processInstanceId: string) {
+      return asPromise<Xrm.ProcessFlow.SetProcessInstanceDelegate>(
+        Form.formContext.data.process.setActiveProcessInstance,
+        Form.formContext.data.process,
+        processInstanceId
+      );
+    }
+    /**
+     * Set a stage as the active stage.
+     * @param stageId the Id of the stage to make the active stage.
+     * @returns returns callback response as Promise
+     */
+    static setActiveStage(stageId: string) {
+      return asPromise<Xrm.ProcessFlow.SetProcessInstanceDelegate>(
+        Form.formContext.data.process.setActiveStage,
+        Form.formContext.data.process,
+        stageId
+      );
+    }
+    /**
+     * Use this method to set the current status of the process instance
+     * @param status The new status for the process
+     * @returns returns callback response as Promise
+     */
+    static setStatus(status: Xrm.ProcessFlow.ProcessStatus) {
+      return asPromise<Xrm.ProcessFlow.SetProcessInstanceDelegate>(
+        Form.formContext.data.process.setStatus,
+        Form.formContext.data.process,
+        status
+      );
+    }
+    /**The unique id of the notifications of {@link Process.setStageRequirements}*/
+    static readonly requirementNotificationId = "XrmEx.Process.requirements";
+    protected static requirements = new Map<
+      string,
+      { fields: Class.Field[]; message?: string | ResourceString }
+    >();
+    /**
+     * Gets the stages of the active path of the process.
+     */
+    static getActivePath(): Xrm.ProcessFlow.Stage[] {
+      const stages: Xrm.ProcessFlow.Stage[] = [];
+      Form.formContext.data.process
+        .getActivePath()
+        .forEach((stage) => stages.push(stage));
+      return stages;
+    }
+    /**
+     * Gets a stage of the active process by name.
+     * @param stageName The name of the stage. The case is ignored.
+     * @returns The stage or undefined if the process has no stage with this name.
+     */
+    static getStage(stageName: string): Xrm.ProcessFlow.Stage | undefined {
+      const stages: Xrm.ProcessFlow.Stage[] = [];
+      Form.formContext.data.process
+        .getActiveProcess()
+        ?.getStages()
+        .forEach((stage) => stages.push(stage));
+      return stages.find(
+        (stage) => stage.getName().toLowerCase() === stageName.toLowerCase()
+      );
+    }
+    /**
+     * Gets a step of the active process by name.
+     * @param stepName The name of the step. The case is ignored.
+     * @param stageName (Optional) The name of the stage to search in. Default: all stages.
+     * @returns The step or undefined if no step with this name was found.
+     */
+    static getStep(
+      stepName: string,
+      stageName?: string
+    ): Xrm.ProcessFlow.Step | undefined {
+      const stages: Xrm.ProcessFlow.Stage[] = [];
+      if (stageName) stages.push(Process.getStage(stageName));
+      else
+        Form.formContext.data.process
+          .getActiveProcess()
+          ?.getStages()
+          .forEach((stage) => stages.push(stage));
+      for (const stage of stages.filter(Boolean)) {
+        const step = stage
+          .getSteps()
+          .find(
+            (step) => step.getName().toLowerCase() === stepName.toLowerCase()
+          );
+        if (step) return step;
+      }
+      return undefined;
+    }
+    /**
+     * Moves to a stage of the active path by name, using moveNext or movePrevious for each stage in between,
+     * so handlers of OnPreStageChange run for each of them.
+     * @param stageName The name of the stage.
+     * @returns The result of the last move, "success" if the stage was reached.
+     * @throws If a move succeeds without changing the active stage.
+     */
+    static async moveToStage(stageName: string): Promise<string> {
+      const path = Process.getActivePath().map((stage) => stage.getId());
+      const target = Process.getStage(stageName);
+      if (!target || !path.includes(target.getId()))
+        throw new XrmExError(
+          `The stage '${stageName}' is not in the active path.`,
+          { method: "Process.moveToStage" }
+        );
+      const index = path.indexOf(target.getId());
+      let result = "success";
+      let previous: number;
+      while (result === "success") {
+        const stage = Form.formContext.data.process.getActiveStage();
+        const current = path.indexOf(stage.getId());
+        if (current === index) break;
+        if (current === previous)
+          throw new XrmExError(
+            `The process did not move from the stage '${stage.getName()}'.`,
+            { method: "Process.moveToStage" }
+          );
+        previous = current;
+        result = await (index > current
+          ? Process.moveNext()
+          : Process.movePrevious());
+      }
+      return result;
+    }
+    /**
+     * Requires fields to have a value before the process moves to a stage.
+     * Moving on is prevented and the missing fields are shown with a notification.
+     * @param stageName The name of the stage.
+     * @param fields The fields which require a value.
+     * @param message (Optional) The message of the field notifications. Default: the text "XrmEx.Validation.required" of {@link Resources}.
+     * @example
+     * XrmEx.Process.setStageRequirements("Propose", [fields.Budget, fields.PurchaseTimeframe]);
+     */
+    static setStageRequirements(
+      stageName: string,
+      fields: Class.Field[],
+      message?: string | ResourceString
+    ): void {
+      try {
+        Process.requirements.set(stageName.toLowerCase(), { fields, message });
+        Process.addOnPreStageChange(Process.enforceRequirements);
+        Form.addOnChange(fields, Process.clearRequirement);
+      } catch (error: any) {
+        throw XrmExError.from(error, "Process.setStageRequirements");
+      }
+    }
+    /**
+     * Removes the requirements of a stage.
+     * @param stageName The name of the stage.
+     */
+    static removeStageRequirements(stageName: string): void {
+      Process.requirements.delete(stageName.toLowerCase());
+    }
+    protected static enforceRequirements(
+      executionContext: Xrm.Events.StageChangeEventContext
+    ) {
+      const eventArgs = executionContext.getEventArgs();
+      const stage = eventArgs.getStage();
+      const requirement = Process.requirements.get(
+        stage?.getName().toLowerCase()
+      );
+      Form.removeFormNotification(Process.requirementNotificationId);
+      if (eventArgs.getDirection() !== "Next" || !requirement) return;
+      const missing = requirement.fields.filter(
+        (field) => !hasFieldValue(field.Value)
+      );
+      requirement.fields.forEach((field) =>
+        field.removeNotification(Process.requirementNotificationId)
+      );
+      if (!missing.length) return;
+      eventArgs.preventDefault();
+      missing.forEach((field) =>
+        field.setNotification(
+          requirement.message ?? Resources.get("XrmEx.Validation.required"),
+          Process.requirementNotificationId
+        )
+      );
+      Form.addFormNotification(
+        Resources.get("XrmEx.Process.missingFields", {
+          fields: missing
+            .map((field) => field.controls.get(0)?.getLabel() ?? field.Name)
+            .join(", "),
+          stage: stage.getName(),
+        }),
+        "ERROR",
+        Process.requirementNotificationId
+      );
+    }
+    protected static clearRequirement(
+      executionContext: Xrm.Events.EventContext
+    ) {
+      const attribute =
+        executionContext.getEventSource() as Xrm.Attributes.Attribute;
+      if (hasFieldValue(attribute.getValue()))
+        attribute.controls.forEach((control) =>
+          control.clearNotification(Process.requirementNotificationId)
+        );
+    }
+  }
+
+  export class Fields {
+    /**
+     * Adds a handler or an array of handlers to be called when the attribute's value is changed.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param handlers The function reference or an array of function references.
+     */
+    static addOnChange(
+      fields: Class.Field[],
+      handler: Xrm.Events.Attribute.ChangeEventHandler
+    ): void {
+      fields.forEach((field) => {
+        field.addOnChange(handler);
+      });
+    }
+    /**
+     * Fire all "on change" event handlers.
+     * @param fields An array of fields to on which this method should be applied.
+     */
+    static fireOnChange(fields: Class.Field[]): void {
+      fields.forEach((field) => {
+        field.fireOnChange();
+      });
+    }
+    /**
+     * Removes the handler from the "on change" event.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param handler The handler.
+     */
+    static removeOnChange(
+      fields: Class.Field[],
+      handler: Xrm.Events.Attribute.ChangeEventHandler
+    ): void {
+      fields.forEach((field) => {
+        field.removeOnChange(handler);
+      });
+    }
+    /**
+     * Sets the required level.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param requirementLevel The requirement level, as either "none", "required", or "recommended"
+     */
+    static setRequiredLevel(
+      fields: Class.Field[],
+      requirementLevel: Xrm.Attributes.RequirementLevel
+    ): void {
+      fields.forEach((field) => {
+        field.setRequiredLevel(requirementLevel);
+      });
+    }
+    /**
+     * Sets the submit mode.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param submitMode The submit mode, as either "always", "never", or "dirty".
+     * @default submitMode "dirty"
+     * @see {@link XrmEnum.AttributeRequirementLevel}
+     */
+    static setSubmitMode(
+      fields: Class.Field[],
+      submitMode: Xrm.SubmitMode
+    ): void {
+      fields.forEach((field) => {
+        field.setSubmitMode(submitMode);
+      });
+    }
+    /**
+     * Sets the value.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param value The value.
+     * @remarks Attributes on Quick Create Forms will not save values set with this method.
+     */
+    static setValue(fields: Class.Field[], value: any): void {
+      fields.forEach((field) => {
+        field.setValue(value);
+      });
+    }
+    /**
+     * Sets a value for a column to determine whether it is valid or invalid with a message
+     * @param fields An array of fields to on which this method should be applied.
+     * @param isValid Specify false to set the column value to invalid and true to set the value to valid.
+     * @param message The message to display.
+     * @see {@link https://learn.microsoft.com/en-us/power-apps/developer/model-driven-apps/clientapi/reference/attributes/setisvalid External Link: setIsValid (Client API reference)}
+     */
+    static setIsValid(
+      fields: Class.Field[],
+      isValid: boolean,
+      message?: string | ResourceString
+    ): void {
+      fields.forEach((field) => {
+        field.setIsValid(isValid, message);
+      });
+    }
+    /**
+     * Sets the required level.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param required The requirement level, as either false for "none" or true for "required"
+     */
+    static setRequired(fields: Class.Field[], required: boolean): void {
+      fields.forEach((field) => {
+        field.setRequired(required);
+      });
+    }
+    /**
+     * Sets the state of the control to either enabled, or disabled.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param disabled true to disable, false to enable.
+     */
+    static setDisabled(fields: Class.Field[], disabled: boolean): void {
+      fields.forEach((field) => {
+        field.setDisabled(disabled);
+      });
+    }
+    /**
+     * Sets the visibility state.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param visible true to show, false to hide.
+     */
+    static setVisible(fields: Class.Field[], visible: boolean): void {
+      fields.forEach((field) => {
+        field.setVisible(visible);
+      });
+    }
+    /**
+     * Sets a control-local notification message.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param message The message.
+     * @param uniqueId Unique identifier.
+     * @returns true if it succeeds, false if it fails.
+     * @remarks     When this method is used on Microsoft Dynamics CRM for tablets a red "X" icon
+     *              appears next to the control. Tapping on the icon will display the message.
+     */
+    static setNotification(
+      fields: Class.Field[],
+      message: string | ResourceString,
+      uniqueId: string
+    ): void {
+      fields.forEach((field) => {
+        field.setNotification(message, uniqueId);
+      });
+    }
+    /**
+     * Displays an error or recommendation notification for a control, and lets you specify actions to execute based on the notification.
+     * @param fields An array of fields to on which this method should be applied.
+     */
+    static addNotification(
+      fields: Class.Field[],
+      message: string | ResourceString,
+      notificationLevel: "ERROR" | "RECOMMENDATION",
+      uniqueId: string,
+      actions?: Xrm.Controls.ControlNotificationAction[]
+    ): void {
+      fields.forEach((field) => {
+        field.addNotification(message, notificationLevel, uniqueId, actions);
+      });
+    }
+    /**
+     * Clears the notification identified by uniqueId.
+     * @param fields An array of fields to on which this method should be applied.
+     * @param uniqueId (Optional) Unique identifier.
+     * @returns true if it succeeds, false if it fails.
+     * @remarks If the uniqueId parameter is not used, the current notification shown will be removed.
+     */
+    static removeNotification(fields: Class.Field[], uniqueId: string): void {
+      fields.forEach((field) => {
+        field.removeNotification(uniqueId);
+      });
+    }
+  }
+
+  /**
+   * Options of the related records copied by {@link Form.cloneRecord}.
+   * @property {string} entityName - The logical name of the related (child) entity, f.e. salesorderdetail.
+   * @property {string} lookup - The lookup of the child entity to the cloned record, f.e. salesorderid.
+   * @property {string[]} [include] - The only attributes to copy.
+   * @property {string[]} [exclude] - Additional attributes not to copy.
+   * @property {object} [values] - Values to set on every copy.
+   */
+  export type CloneChildOptions = {
+    entityName: string;
+    lookup: string;
+    include?: string[];
+    exclude?: string[];
+    values?: { [attribute: string]: any };
+  };
+  /**
+   * Options of {@link Form.cloneRecord}.
+   * @property {string[]} [include] - The only attributes to copy. System attributes are only copied if they are included.
+   * @property {string[]} [exclude] - Additional attributes not to copy.
+   * @property {object} [values] - Values to set on the copy, as form parameters or Web API values depending on the mode.
+   * @property {'form' | 'webapi'} [mode] - Whether to open a new form with the values (default)
+   *   or to create the copy through the Web API.
+   * @property {CloneChildOptions[]} [children] - Related records to copy with the record, only in webapi mode.
+   * @property {boolean} [openForm] - Opens the form of the copy, only in webapi mode.
+   * @property {Xrm.Navigation.EntityFormOptions} [formOptions] - Options of the form to open.
+   */
+  export type CloneRecordOptions = {
+    include?: string[];
+    exclude?: string[];
+    values?: { [attribute: string]: any };
+    mode?: "form" | "webapi";
+    children?: CloneChildOptions[];
+    openForm?: boolean;
+    formOptions?: Xrm.Navigation.EntityFormOptions;
+  };
+  /**
+   * The copy created by {@link Form.cloneRecord} in webapi mode, with the ids of the copied related records by entity.
+   */
+  export type CloneRecordResult = EntityReference & {
+    children: { [entityName: string]: string[] };
+  };
+  /**The system attributes which are not copied unless they are included*/
+  const cloneExcludedAttributes = [
+    "createdon",
+    "createdby",
+    "createdonbehalfby",
+    "modifiedon",
+    "modifiedby",
+    "modifiedonbehalfby",
+    "overriddencreatedon",
+    "ownerid",
+    "owningbusinessunit",
+    "owninguser",
+    "owningteam",
+    "processid",
+    "stageid",
+    "traversedpath",
+    "statecode",
+    "statuscode",
+    "versionnumber",
+    "importsequencenumber",
+    "timezoneruleversionnumber",
+    "utcconversiontimezonecode",
+    "exchangerate",
+  ];
+  /**The participation type masks of the party list attributes of activities*/
+  const participationTypeMasks = {
+    from: 1,
+    to: 2,
+    cc: 3,
+    bcc: 4,
+    requiredattendees: 5,
+    optionalattendees: 6,
+    organizer: 7,
+    resources: 10,
+    customers: 11,
+  };
+  const isCloneable = (
+    attributeName: string,
+    options: { include?: string[]; exclude?: string[] },
+    excluded: string[]
+  ): boolean => {
+    if (options.include) return options.include.includes(attributeName);
+    return (
+      !excluded.includes(attributeName) &&
+      !cloneExcludedAttributes.includes(attributeName) &&
+      !attributeName.startsWith("transactioncurrency") &&
+      !options.exclude?.includes(attributeName)
+    );
+  };
+  const toDateOnly = (date: Date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}-${String(date.getDate()).padStart(2, "0")}`;
+  /**Returns the @odata.bind property and value of a lookup*/
+  const toODataBind = async (
+    entityName: string,
+    attributeName: string,
+    reference: EntityReference
+  ): Promise<[string, string]> => [
+    `${await Metadata.getNavigationProperty(
+      entityName,
+      attributeName,
+      reference.entityType
+    )}@odata.bind`,
+    `/${await Metadata.getEntitySetName(reference.entityType)}(${normalizeGuid(
+      reference.id
+    )})`,
+  ];
+  /**
+   * Converts a record retrieved through the Web API into the data to create a copy of it.
+   */
+  const toClonePayload = async (
+    entityName: string,
+    record: { [key: string]: any },
+    options: CloneChildOptions
+  ) => {
+    const names = Object.keys(record)
+      .filter((key) => !key.includes("@"))
+      .map((key) => /^_(.+)_value$/.exec(key)?.[1] ?? key);
+    const entity = await Metadata.getEntity(entityName, names);
+    const payload: { [key: string]: any } = {};
+    for (const key of Object.keys(record)) {
+      const value = record[key];
+      if (key.includes("@") || value === null || value === undefined) continue;
+      const lookup = /^_(.+)_value$/.exec(key)?.[1];
+      const name = lookup ?? key;
+      if (
+        !isCloneable(name, options, [entity.primaryIdAttribute, options.lookup])
+      )
+        continue;
+      if (entity.attributes[name]?.isValidForCreate === false) continue;
+      if (!lookup) {
+        payload[name] = value;
+        continue;
+      }
+      const entityType =
+        record[`${key}@Microsoft.Dynamics.CRM.lookuplogicalname`];
+      if (!entityType) continue;
+      const [property, bind] = await toODataBind(entityName, name, {
+        entityType,
+        id: value,
+      });
+      payload[property] = bind;
+    }
+    return { ...payload, ...options.values };
+  };
+
+  /**
+   * The value of an attribute in a {@link Form.getSnapshot snapshot} of the form.
+   * @property {any} value - The value.
+   * @property {Xrm.Attributes.AttributeType} attributeType - The type of the attribute.
+   * @property {string} text - The value as text, f.e. the label of an option or the names of a lookup.
+   */
+  export type SnapshotValue = {
+    value: any;
+    attributeType: Xrm.Attributes.AttributeType;
+    text: string;
+  };
+  /**
+   * The values of all attributes of the form by logical name.
+   */
+  export type FormSnapshot = { [attribute: string]: SnapshotValue };
+  /**
+   * A changed attribute, returned by {@link Form.getChanges}.
+   */
+  export type FieldChange = {
+    attribute: string;
+    attributeType: Xrm.Attributes.AttributeType;
+    oldValue: any;
+    newValue: any;
+    oldText: string;
+    newText: string;
+  };
+  /**Copies a value, so later changes of lookups, multi-selects and dates do not change it*/
+  const copyValue = (value: any): any => {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value))
+      return value.map((item) =>
+        item && typeof item === "object" ? { ...item } : item
+      );
+    return value;
+  };
+  /**Compares two values of an attribute. Lookups are compared by id, multi-selects regardless of order.*/
+  const attributeValueEquals = (a: any, b: any): boolean => {
+    if (a === b) return true;
+    if (a === null || a === undefined || b === null || b === undefined)
+      return false;
+    if (a instanceof Date && b instanceof Date)
+      return a.getTime() === b.getTime();
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const keys = (values: any[]) =>
+        values
+          .map((item) =>
+            item?.id !== undefined ? normalizeGuid(item.id) : String(item)
+          )
+          .sort()
+          .join(",");
+      return a.length === b.length && keys(a) === keys(b);
+    }
+    return false;
+  };
+  /**Returns the value of an attribute as text*/
+  const getAttributeText = (
+    attribute: Xrm.Attributes.Attribute,
+    value: any
+  ): string => {
+    if (value === null || value === undefined) return "";
+    const getOption = (v: number) =>
+      (attribute as Xrm.Attributes.OptionSetAttribute).getOption?.(v)?.text ??
+      String(v);
+    switch (attribute.getAttributeType()) {
+      case "optionset":
+        return getOption(value);
+      case "multiselectoptionset":
+        return (value as number[]).map(getOption).join("; ");
+      case "lookup":
+        return (value as Xrm.LookupValue[])
+          .map((reference) => reference.name ?? reference.id)
+          .join("; ");
+      case "datetime":
+        return new Date(value).toLocaleString();
+      default:
+        return String(value);
+    }
+  };
+  /**
+   * A handler of {@link Form.addOnSaveAsync}.
+   * Return or resolve false to cancel the save without an error, throw or reject to cancel it and show the error.
+   */
+  export type AsyncSaveHandler = (
+    executionContext: Xrm.Events.SaveEventContext
+  ) => void | boolean | PromiseLike<void | boolean>;
+  /**
+   * Options of {@link Form.addOnSaveAsync}.
+   * @property {number} [order] - Handlers run one after another in ascending order. Default: 0, handlers with the same order run in the order they were added.
+   * @property {number} [timeout] - The milliseconds after which the handler fails. Default: 10000.
+   */
+  export type AsyncSaveHandlerOptions = {
+    order?: number;
+    timeout?: number;
+  };
+  /**
+   * How {@link Form.addOnSaveAsync} waits for the handlers.
+   * - resave (default): cancels the save, runs the handlers and saves again once all of them succeeded.
+   *   Only Save, Save and Close, Save and New and AutoSave are handled this way. Saves of other commands,
+   *   f.e. Deactivate or Assign, are not cancelled and run without the handlers.
+   * - async: returns a promise to the platform. Only use it if the app setting "Async save handler" is enabled,
+   *   otherwise the record is saved without waiting for the handlers.
+   */
+  export type SavePipelineMode = "async" | "resave";
+  /**The save modes which the resave mode cancels and saves again: Save, Save and Close, Save and New and AutoSave*/
+  const resaveModes = [1, 2, 59, 70];
+  /**
+   * A step of {@link Form.onLoad}.
+   * @param results The results of the steps which finished, by name.
+   */
+  export type LoadStepHandler = (results: { [name: string]: any }) => any;
+  /**
+   * A step of {@link Form.onLoad} which depends on other steps.
+   * @property {LoadStepHandler} run - The step. It may return a promise.
+   * @property {string[]} [dependsOn] - The names of the steps which have to finish before this step starts.
+   */
+  export type LoadStep = {
+    run: LoadStepHandler;
+    dependsOn?: string[];
+  };
+  /**
+   * Options of {@link Form.onLoad}.
+   * @property {string | ResourceString | false} [progressMessage] - The message of the progress indicator or false to hide it. Default: the text "XrmEx.Form.loading" of {@link Resources}.
+   * @property {boolean} [showErrors] - Whether failed steps are shown with openErrorDialog. Default: true.
+   */
+  export type LoadOptions = {
+    progressMessage?: string | ResourceString | false;
+    showErrors?: boolean;
+  };
+  /**
+   * The outcome of a step of {@link Form.onLoad}. Steps are skipped when a step they depend on failed.
+   * @property {number} startTime - The milliseconds after the start of Form.onLoad at which the step started.
+   * @property {number} duration - The milliseconds the step took.
+   */
+  export type LoadStepResult = {
+    name: string;
+    status: "fulfilled" | "rejected" | "skipped";
+    value?: any;
+    error?: XrmExError;
+    startTime: number;
+    duration: number;
+  };
+  /**
+   * The outcome of {@link Form.onLoad}.
+   * @property {object} results - The results of the fulfilled steps by name.
+   * @property {LoadStepResult[]} steps - The outcome and timing of each step.
+   * @property {number} duration - The milliseconds all steps took.
+   */
+  export type LoadResult = {
+    results: { [name: string]: any };
+    steps: LoadStepResult[];
+    duration: number;
+  };
+  const withTimeout = <T>(
+    promise: PromiseLike<T>,
+    timeout: number,
+    method: string
+  ): Promise<T> =>
+    new Promise<T>((resolve, reject) => {
+      const timer = setTimeout(
+        () =>
+          reject(
+            new XrmExError(`The handler did not finish within ${timeout}ms.`, {
+              method,
+            })
+          ),
+        timeout
+      );
+      promise.then(
+        (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      );
+    });
+
+  /**
+   * Represents a form in Dynamics 365.
+   */
+  export class Form {
+    protected static _formContext: Xrm.FormContext;
+    protected static _executionContext: Xrm.Events.EventContext;
+    protected static _snapshot: {
+      entityName: string;
+      id: string;
+      values: FormSnapshot;
+    };
+    protected static _saveHandlers: (AsyncSaveHandlerOptions & {
+      handler: AsyncSaveHandler;
+    })[] = [];
+    protected static _savePipelineMode: SavePipelineMode = "resave";
+    protected static _saving = false;
+    protected static _resaving = false;
+    /**The unique id of the notification which shows errors of {@link Form.addOnSaveAsync}*/
+    static readonly saveNotificationId = "XrmEx.Form.save";
+    constructor() {}
+    /**Gets a reference to the current form context*/
+    static get formContext(): Xrm.FormContext {
+      return this._formContext;
+    }
+    /**Gets a reference to the current executio context*/
+    static get executionContext(): Xrm.Events.EventContext {
+      return this._executionContext;
+    }
+    /**Gets a lookup value that references the record.*/
+    static get entityReference() {
+      return Form.formContext.data.entity.getEntityReference();
+    }
+    /**Sets a reference to the current form context*/
+    static set formContext(context: Xrm.FormContext | Xrm.Events.EventContext) {
+      if (!context)
+        throw new XrmExError(
+          `The executionContext or formContext was not passed to the function.`,
+          { method: "Form.setFormContext" }
+        );
+      if ("getFormContext" in context) {
+        this._executionContext = context;
+        this._formContext = context.getFormContext();
+      } else if ("data" in context) this._formContext = context;
+      else
+        throw new XrmExError(
+          `The passed context is not an executionContext or formContext.`,
+          { method: "Form.setFormContext" }
+        );
+    }
+    /**Sets a reference to the current execution context*/
+    static set executionContext(
+      context: Xrm.FormContext | Xrm.Events.EventContext
+    ) {
+      if (!context)
+        throw new XrmExError(
+          `The executionContext or formContext was not passed to the function.`,
+          { method: "Form.setExecutionContext" }
+        );
+      if ("getFormContext" in context) {
+        this._executionContext = context;
+        this._formContext = context.getFormContext();
+      } else if ("data" in context) this._formContext = context;
+      else
+        throw new XrmExError(
+          `The passed context is not an executionContext or formContext.`,
+          { method: "Form.setExecutionContext" }
+        );
+    }
+    /**Returns true if form is from type create*/
+    static get IsCreate() {
+      return Form.formContext.ui.getFormType() == 1;
+    }
+    /**Returns true if form is from type update*/
+    static get IsUpdate() {
+      return Form.formContext.ui.getFormType() == 2;
+    }
+    /**Returns true if form is not from type create*/
+    static get IsNotCreate() {
+      return Form.formContext.ui.getFormType() != 1;
+    }
+    /**Returns true if form is not from type update*/
+    static get IsNotUpdate() {
+      return Form.formContext.ui.getFormType() != 2;
+    }
+
+    /**
+     * Displays a form level notification. Any number of notifications can be displayed and will remain until removed using clearFormNotification.
+     * The height of the notification area is limited so each new message will be added to the top.
+     * @param message The text of the notification message.
+     * @param level The level of the notification which defines how the message will be displayed, such as the icon.
+     * ERROR: Notification will use the system error icon.
+     * WARNING: Notification will use the system warning icon.
+     * INFO: Notification will use the system info icon.
+     * @param uniqueId Unique identifier for the notification which is used with clearFormNotification to remove the notification.
+     * @returns true if it succeeds, othenprwise false.
+     */
+    static addFormNotification(
+      message: string | ResourceString,
+      level: Xrm.FormNotificationLevel,
+      uniqueId: string
+    ) {
+      try {
+        return Form.formContext.ui.setFormNotification(
+          resolveMessage(message),
+          level,
+          uniqueId
+        );
+      } catch (error: any) {
+        throw XrmExError.from(error, XrmEx.getFunctionName());
+      }
+    }
+    /**
+     * Clears the form notification described by uniqueId.
+     * @param uniqueId Unique identifier.
+     * @returns True if it succeeds, otherwise false.
+     */
+    static removeFormNotification(uniqueId: string) {
+      try {
+        return Form.formContext.ui.clearFormNotification(uniqueId);
+      } catch (error: any) {
+        throw XrmExError.from(error, XrmEx.getFunctionName());
+      }
+    }
+    /**
+     * Adds a handler to be called when the record is saved.
+     */
+    static addOnSave(
+      handlers:
+        | Xrm.Events.ContextSensitiveHandler
+        | Xrm.Events.ContextSensitiveHandler[]
+    ) {
+      try {
+        if (!Array.isArray(handlers)) {
+          handlers = [handlers];
+        }
+        handlers.forEach((handler) => {
+          if (typeof handler !== "function") {
+            throw new Error(`'${handler}' is not a function`);
+          }
+          Form.formContext.data.entity.removeOnSave(handler);
+          Form.formContext.data.entity.addOnSave(handler);
+        });
+      } catch (error: any) {
+        throw XrmExError.from(error, XrmEx.getFunctionName());
+      }
+    }
+    /**
+     * Adds a function to be called after the OnSave is complete.
+     * @param handler The handler.
+     * @remarks Added in 9.2
+     * @see {@link https://docs.microsoft.com/en-us/powerapps/developer/model-driven-apps/clientapi/reference/events/postsave External Link: PostSave Event Documentation}
+     */
+    static addOnPostSave(
+      handlers:
+        | Xrm.Events.ContextSensitiveHandler
+        | Xrm.Events.ContextSensitiveHandler[]
+    ) {
+      try {
+        if (!Array.isArray(handlers)) {
+          handlers = [handlers];
+        }
+        handlers.forEach((handler) => {
+          if (typeof handler !== "function") {
+            throw new Error(`'${handler}' is not a function`);
+          }
+          Form.formContext.data.entity.removeOnPostSave(handler);
+          Form.formContext.data.entity.addOnPostSave(handler);
+        });
+      } catch (error: any) {
+        throw XrmExError.from(error, XrmEx.getFunctionName());
+      }
+    }
+    /**
+     * Adds a handler to be called when the record is saved and waits for it before the record is saved.
+     * Handlers run one after another. The save is cancelled when a handler returns false, throws, rejects or times out;
+     * errors are shown as a form notification.
+     * @param handler The handler. It may return a promise.
+     * @param options (Optional) The order and the timeout of the handler.
+     * @see {@link SavePipelineMode}
+     * @example
+     * XrmEx.Form.addOnSaveAsync(async () => {
+     *   const duplicates = await XrmEx.retrieveMultiple("contact", `?$select=contactid&$filter=emailaddress1 eq '${email}'`);
+     *   if (duplicates.entities.length) throw new Error("A contact with this email already exists.");
+     * });
+     */
+    static addOnSaveAsync(
+      handler: AsyncSaveHandler,
+      options?: AsyncSaveHandlerOptions
+    ) {
+      try {
+        if (typeof handler !== "function") {
+          throw new Error(`'${handler}' is not a function`);
+        }
+        Form._saveHandlers = [
+          ...Form._saveHandlers.filter((h) => h.handler !== handler),
+          {
+            handler,
+            order: options?.order ?? 0,
+            timeout: options?.timeout ?? 10000,
+          },
+        ];
+        Form.addOnSave(Form.runSavePipeline);
+      } catch (error: any) {
+        throw XrmExError.from(error, XrmEx.getFunctionName());
+      }
     }
     /**
-     * Set a stage as the active stage.
-     * @param stageId the Id of the stage to make the active stage.
-     * @returns returns callback response as Promise
+     * Removes a handler added with {@link Form.addOnSaveAsync}.
+     * @param handler The handler.
      */
-    static setActiveStage(stageId: string) {
-      return asPromise<Xrm.ProcessFlow.SetProcessInstanceDelegate>(
-        Form.formContext.data.process.setActiveStage,
-        Form.formContext.data.process,
-        stageId
+    static removeOnSaveAsync(handler: AsyncSaveHandler) {
+      try {
+        Form._saveHandlers = Form._saveHandlers.filter(
+          (h) => h.handler !== handler
+        );
+        if (!Form._saveHandlers.length)
+          Form.formContext.data.entity.removeOnSave(Form.runSavePipeline);
+      } catch (error: any) {
+        throw XrmExError.from(error, XrmEx.getFunctionName());
+      }
+    }
+    /**Gets how the handlers of {@link Form.addOnSaveAsync} are awaited*/
+    static get savePipelineMode(): SavePipelineMode {
+      return Form._savePipelineMode;
+    }
+    /**Sets how the handlers of {@link Form.addOnSaveAsync} are awaited*/
+    static set savePipelineMode(mode: SavePipelineMode) {
+      Form._savePipelineMode = mode;
+    }
+    protected static runSavePipeline(
+      executionContext: Xrm.Events.SaveEventContext
+    ): Promise<void> | void {
+      if (Form._resaving) return;
+      const eventArgs =
+        executionContext.getEventArgs() as Xrm.Events.SaveEventArguments & {
+          disableAsyncTimeout?: () => void;
+          preventDefaultOnError?: () => void;
+        };
+      if (Form._savePipelineMode === "async") {
+        eventArgs.preventDefaultOnError?.();
+        eventArgs.disableAsyncTimeout?.();
+        return Form.runSaveHandlers(executionContext).then(
+          (success) => {
+            if (!success) eventArgs.preventDefault();
+          },
+          (error) => {
+            Form.showSaveError(error);
+            throw error;
+          }
+        );
+      }
+      const saveMode = eventArgs.getSaveMode();
+      if (!resaveModes.includes(saveMode)) return;
+      eventArgs.preventDefault();
+      if (Form._saving) return;
+      Form._saving = true;
+      return Form.runSaveHandlers(executionContext)
+        .then(async (success) => {
+          if (!success) return;
+          Form._resaving = true;
+          try {
+            await Form.formContext.data.save();
+          } finally {
+            Form._resaving = false;
+          }
+          // 2: Save and Close, 59: Save and New
+          if (saveMode === 2) Form.formContext.ui.close();
+          else if (saveMode === 59)
+            await Xrm.Navigation.openForm({
+              entityName: Form.entityReference.entityType,
+            });
+        })
+        .catch((error) => Form.showSaveError(error))
+        .finally(() => (Form._saving = false));
+    }
+    protected static async runSaveHandlers(
+      executionContext: Xrm.Events.SaveEventContext
+    ): Promise<boolean> {
+      Form.formContext.ui.clearFormNotification(Form.saveNotificationId);
+      const handlers = [...Form._saveHandlers].sort(
+        (a, b) => a.order - b.order
+      );
+      for (const { handler, timeout } of handlers) {
+        const result = await withTimeout(
+          Promise.resolve().then(() => handler(executionContext)),
+          timeout,
+          "Form.addOnSaveAsync"
+        ).catch((error) => {
+          throw error instanceof XrmExError
+            ? error
+            : XrmExError.from(error, "Form.addOnSaveAsync");
+        });
+        if (result === false) return false;
+      }
+      return true;
+    }
+    protected static showSaveError(error: any) {
+      Form.formContext.ui.setFormNotification(
+        String(error?.message ?? error).replace(/^(XrmEx\.[^:\n]*:\n)+/, ""),
+        "ERROR",
+        Form.saveNotificationId
       );
     }
     /**
-     * Use this method to set the current status of the process instance
-     * @param status The new status for the process
-     * @returns returns callback response as Promise
+     * Adds a function to be called when form data is loaded.
+     * @param handler The function to be executed when the form data loads. The function will be added to the bottom of the event handler pipeline.
      */
-    static setStatus(status: Xrm.ProcessFlow.ProcessStatus) {
-      return asPromise<Xrm.ProcessFlow.SetProcessInstanceDelegate>(
-        Form.formContext.data.process.setStatus,
-        Form.formContext.data.process,
-        status
+    static addOnLoad(
+      handlers:
+        | Xrm.Events.ContextSensitiveHandler
+        | Xrm.Events.ContextSensitiveHandler[]
+    ) {
+      try {
+        if (!Array.isArray(handlers)) {
+          handlers = [handlers];
+        }
+        handlers.forEach((handler) => {
+          if (typeof handler !== "function") {
+            throw new Error(`'${handler}' is not a function`);
+          }
+          Form.formContext.data.removeOnLoad(handler);
+          Form.formContext.data.addOnLoad(handler);
+        });
+      } catch (error: any) {
+        throw XrmExError.from(error, XrmEx.getFunctionName());
+      }
+    }
+    /**
+     * Runs the steps of the OnLoad. Steps run in parallel unless they depend on other steps,
+     * while a progress indicator is shown. Failed steps are shown with openErrorDialog and the steps depending on them are skipped.
+     * The values of the form are captured with {@link Form.takeSnapshot} before the steps run.
+     * @param steps The steps by name.
+     * @param options (Optional) The progress message and whether errors are shown.
+     * @returns The results and the timing of the steps.
+     * @example
+     * export async function onLoad(executionContext: Xrm.Events.EventContext) {
+     *   XrmEx.Form.formContext = executionContext;
+     *   const { results } = await XrmEx.Form.onLoad({
+     *     roles: () => Xrm.Utility.getGlobalContext().userSettings.roles.get(),
+     *     accountId: () => XrmEx.getEnvironmentVariableValue("new_DefaultAccount"),
+     *     account: {
+     *       dependsOn: ["accountId"],
+     *       run: ({ accountId }) => Xrm.WebApi.retrieveRecord("account", accountId, "?$select=name"),
+     *     },
+     *   });
+     * }
+     */
+    static async onLoad(
+      steps: { [name: string]: LoadStepHandler | LoadStep },
+      options?: LoadOptions
+    ): Promise<LoadResult> {
+      const definitions: { [name: string]: LoadStep } = {};
+      for (const [name, step] of Object.entries(steps))
+        definitions[name] =
+          typeof step === "function" ? { run: step } : { ...step };
+      const visit = (name: string, path: string[]) => {
+        if (!definitions[name])
+          throw new XrmExError(
+            `The step '${
+              path[path.length - 1]
+            }' depends on the unknown step '${name}'.`,
+            { method: "Form.onLoad" }
+          );
+        if (path.includes(name))
+          throw new XrmExError(
+            `The steps have a circular dependency: ${[...path, name].join(
+              " -> "
+            )}.`,
+            { method: "Form.onLoad" }
+          );
+        definitions[name].dependsOn?.forEach((dependency) =>
+          visit(dependency, [...path, name])
+        );
+      };
+      Object.keys(definitions).forEach((name) => visit(name, []));
+      Form.takeSnapshot();
+      const start = Date.now();
+      const results: { [name: string]: any } = {};
+      const stepResults: { [name: string]: LoadStepResult } = {};
+      const running: { [name: string]: Promise<void> } = {};
+      const run = (name: string): Promise<void> =>
+        (running[name] ??= (async () => {
+          const dependsOn = definitions[name].dependsOn ?? [];
+          await Promise.all(dependsOn.map(run));
+          const startTime = Date.now() - start;
+          if (dependsOn.some((d) => stepResults[d].status !== "fulfilled")) {
+            stepResults[name] = {
+              name,
+              status: "skipped",
+              startTime,
+              duration: 0,
+            };
+            return;
+          }
+          try {
+            const value = await definitions[name].run(results);
+            results[name] = value;
+            stepResults[name] = {
+              name,
+              status: "fulfilled",
+              value,
+              startTime,
+              duration: Date.now() - start - startTime,
+            };
+          } catch (error: any) {
+            stepResults[name] = {
+              name,
+              status: "rejected",
+              error: XrmExError.from(error, `Form.onLoad.${name}`),
+              startTime,
+              duration: Date.now() - start - startTime,
+            };
+          }
+        })());
+      const progressMessage =
+        options?.progressMessage ?? Resources.get("XrmEx.Form.loading");
+      if (progressMessage !== false)
+        Xrm.Utility.showProgressIndicator(resolveMessage(progressMessage));
+      try {
+        await Promise.all(Object.keys(definitions).map(run));
+      } finally {
+        if (progressMessage !== false) Xrm.Utility.closeProgressIndicator();
+      }
+      const stepList = Object.keys(definitions).map(
+        (name) => stepResults[name]
       );
+      if (options?.showErrors ?? true)
+        for (const step of stepList.filter((s) => s.status === "rejected"))
+          await openErrorDialog(step.error).catch(() => {});
+      return { results, steps: stepList, duration: Date.now() - start };
     }
-  }
-
-  export class Fields {
     /**
-     * Adds a handler or an array of handlers to be called when the attribute's value is changed.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param handlers The function reference or an array of function references.
+     * Adds a handler to be called when the attribute's value is changed.
+     * @param handler The function reference.
      */
     static addOnChange(
       fields: Class.Field[],
-      handler: Xrm.Events.Attribute.ChangeEventHandler
-    ): void {
-      fields.forEach((field) => {
-        field.addOnChange(handler);
+      handlers:
+        | Xrm.Events.ContextSensitiveHandler
+        | Xrm.Events.ContextSensitiveHandler[],
+      execute?: boolean
+    ) {
+      try {
+        if (!Array.isArray(handlers)) {
+          handlers = [handlers];
+        }
+        handlers.forEach((handler) => {
+          if (typeof handler !== "function") {
+            throw new Error(`'${handler}' is not a function`);
+          }
+          fields.forEach((field) => {
+            field.removeOnChange(handler);
+            field.addOnChange(handler);
+          });
+        });
+        if (execute) {
+          fields.forEach((field) => {
+            field.Attribute.fireOnChange();
+          });
+        }
+      } catch (error: any) {
+        throw XrmExError.from(error, XrmEx.getFunctionName());
+      }
+    }
+
+    /**
+     * Captures the values of all attributes as the snapshot that {@link Form.getChanges} compares with.
+     * Call it in the OnLoad event, which {@link Form.onLoad} does before its steps run, and again f.e. after the record was saved.
+     * The snapshot belongs to the current record. The snapshot of a new record also belongs to it once it was created.
+     * @returns The snapshot.
+     */
+    static takeSnapshot(): FormSnapshot {
+      try {
+        const snapshot: FormSnapshot = {};
+        const entity = Form.formContext.data.entity;
+        entity.attributes.forEach((attribute) => {
+          const value = attribute.getValue();
+          snapshot[attribute.getName()] = {
+            value: copyValue(value),
+            attributeType: attribute.getAttributeType(),
+            text: getAttributeText(attribute, value),
+          };
+        });
+        Form._snapshot = {
+          entityName: entity.getEntityName(),
+          id: normalizeGuid(entity.getId() ?? ""),
+          values: snapshot,
+        };
+        return Form.getSnapshot();
+      } catch (error: any) {
+        throw XrmExError.from(error, "Form.takeSnapshot");
+      }
+    }
+    /**
+     * Returns the snapshot of the attribute values, captured by {@link Form.takeSnapshot}.
+     * @throws {XrmExError} - Throws an error if no snapshot was taken for the current record.
+     */
+    static getSnapshot(): FormSnapshot {
+      try {
+        return Object.fromEntries(
+          Object.entries(Form.currentSnapshot()).map(([name, snapshot]) => [
+            name,
+            { ...snapshot, value: copyValue(snapshot.value) },
+          ])
+        );
+      } catch (error: any) {
+        throw XrmExError.from(error, "Form.getSnapshot");
+      }
+    }
+    /**Returns the values of the snapshot if it belongs to the current record*/
+    protected static currentSnapshot(): FormSnapshot {
+      const entity = Form.formContext.data.entity;
+      const id = normalizeGuid(entity.getId() ?? "");
+      if (
+        Form._snapshot?.entityName !== entity.getEntityName() ||
+        (Form._snapshot.id && Form._snapshot.id !== id)
+      )
+        throw new Error(
+          `No snapshot was taken for the current record. Call Form.takeSnapshot in the OnLoad event.`
+        );
+      return Form._snapshot.values;
+    }
+    /**
+     * Returns the attributes whose values differ from the snapshot.
+     * @param fields (Optional) The fields to compare. Defaults to all attributes.
+     * @returns The changed attributes with their old and new values and texts.
+     * @throws {XrmExError} - Throws an error if no snapshot was taken for the current record.
+     * @example
+     * const changes = XrmEx.Form.getChanges();
+     * const note = changes.map((c) => `${c.attribute}: ${c.oldText} -> ${c.newText}`).join("\n");
+     */
+    static getChanges(fields?: Class.Field[]): FieldChange[] {
+      try {
+        const snapshot = Form.currentSnapshot();
+        const names = fields
+          ? fields.map((field) => field.Name)
+          : Object.keys(snapshot);
+        const changes: FieldChange[] = [];
+        for (const name of names) {
+          const attribute = Form.formContext.getAttribute(name);
+          const initial = snapshot[name];
+          if (!attribute || !initial) continue;
+          const value = attribute.getValue();
+          if (attributeValueEquals(initial.value, value)) continue;
+          changes.push({
+            attribute: name,
+            attributeType: initial.attributeType,
+            oldValue: copyValue(initial.value),
+            newValue: copyValue(value),
+            oldText: initial.text,
+            newText: getAttributeText(attribute, value),
+          });
+        }
+        return changes;
+      } catch (error: any) {
+        throw XrmExError.from(error, "Form.getChanges");
+      }
+    }
+    /**
+     * Restores the values of the snapshot and fires the OnChange event of every restored field.
+     * @param fields (Optional) The fields to restore. Defaults to all attributes.
+     */
+    static revertChanges(fields?: Class.Field[]): void {
+      try {
+        for (const change of Form.getChanges(fields)) {
+          const attribute = Form.formContext.getAttribute(change.attribute);
+          attribute.setValue(change.oldValue);
+          attribute.fireOnChange();
+        }
+      } catch (error: any) {
+        throw XrmExError.from(error, "Form.revertChanges");
+      }
+    }
+    /**
+     * Copies the current record. By default a new form is opened with the values of the record.
+     * In webapi mode the copy is created directly, optionally with copies of its related records
+     * whose lookups are set to the copy. The copies are created in one transaction,
+     * and attributes which are not valid for create are not copied.
+     * Empty values and system attributes like createdon, ownerid or statecode are not copied, but false and 0 are.
+     * @param options (Optional) The attributes to copy, the mode and the related records to copy.
+     * @returns The result of Xrm.Navigation.openForm, or in webapi mode the reference to the copy.
+     * @remarks Party lists can only be copied in webapi mode.
+     * @example
+     * await XrmEx.Form.cloneRecord({
+     *   mode: "webapi",
+     *   exclude: ["ordernumber"],
+     *   values: { name: `Copy of ${fields.Name.Value}` },
+     *   children: [{ entityName: "salesorderdetail", lookup: "salesorderid" }],
+     *   openForm: true,
+     * });
+     */
+    static cloneRecord(
+      options?: {
+        mode?: "form";
+      } & CloneRecordOptions
+    ): Promise<Xrm.Navigation.OpenFormResult>;
+    static cloneRecord(
+      options: { mode: "webapi" } & CloneRecordOptions
+    ): Promise<CloneRecordResult>;
+    static async cloneRecord(
+      options: CloneRecordOptions = {}
+    ): Promise<Xrm.Navigation.OpenFormResult | CloneRecordResult> {
+      try {
+        const entity = Form.formContext.data.entity;
+        const entityName = entity.getEntityName();
+        const id = normalizeGuid(entity.getId());
+        const webApi = options.mode === "webapi";
+        const primaryIdAttribute = webApi
+          ? await Metadata.getPrimaryIdAttribute(entityName)
+          : `${entityName}id`;
+        const metadata = webApi
+          ? await Metadata.getEntity(
+              entityName,
+              entity.attributes.get().map((attribute) => attribute.getName())
+            )
+          : undefined;
+        const values: { [key: string]: any } = {};
+        for (const attribute of entity.attributes.get()) {
+          const name = attribute.getName();
+          const value = attribute.getValue();
+          if (value === null || value === undefined || value === "") continue;
+          if (!isCloneable(name, options, [primaryIdAttribute])) continue;
+          if (metadata?.attributes[name]?.isValidForCreate === false) continue;
+          const type = attribute.getAttributeType();
+          if (type === "lookup") {
+            const references = value as Xrm.LookupValue[];
+            if (
+              (attribute as Xrm.Attributes.LookupAttribute).getIsPartyList()
+            ) {
+              if (!webApi || !participationTypeMasks[name]) continue;
+              const parties = (values[`${entityName}_activity_parties`] ??= []);
+              for (const reference of references) {
+                const [property, bind] = await toODataBind(
+                  "activityparty",
+                  "partyid",
+                  reference
+                );
+                parties.push({
+                  participationtypemask: participationTypeMasks[name],
+                  [property]: bind,
+                });
+              }
+            } else if (references.length > 0) {
+              const [reference] = references;
+              if (webApi) {
+                const [property, bind] = await toODataBind(
+                  entityName,
+                  name,
+                  reference
+                );
+                values[property] = bind;
+                continue;
+              }
+              values[name] = normalizeGuid(reference.id);
+              values[`${name}name`] = reference.name;
+              const targets = await Metadata.getTargets(entityName, name).catch(
+                () => (attribute as any).getLookupTypes?.() ?? []
+              );
+              if (targets.length !== 1)
+                values[`${name}type`] = reference.entityType;
+            }
+          } else if (type === "datetime") {
+            values[name] =
+              attribute.getFormat() === "date"
+                ? toDateOnly(new Date(value))
+                : new Date(value).toISOString();
+          } else if (type === "multiselectoptionset") {
+            values[name] = webApi ? (value as number[]).join(",") : value;
+          } else {
+            values[name] = value;
+          }
+        }
+        Object.assign(values, options.values);
+        if (!webApi) {
+          return await Xrm.Navigation.openForm(
+            { ...options.formOptions, entityName },
+            values
+          );
+        }
+        const result: CloneRecordResult = {
+          entityType: entityName,
+          id: crypto.randomUUID(),
+          children: {},
+        };
+        values[primaryIdAttribute] = result.id;
+        const requests: BatchOperation[] = [
+          { operation: "create", entityName, data: values },
+        ];
+        for (const child of options.children ?? []) {
+          const records = await retrieveAll(
+            child.entityName,
+            new Query().filter((f) => f.eq(`_${child.lookup}_value`, id))
+          );
+          result.children[child.entityName] = [];
+          for (const record of records) {
+            const payload = await toClonePayload(
+              child.entityName,
+              record,
+              child
+            );
+            const [property, bind] = await toODataBind(
+              child.entityName,
+              child.lookup,
+              result
+            );
+            payload[property] = bind;
+            const copyId = crypto.randomUUID();
+            payload[await Metadata.getPrimaryIdAttribute(child.entityName)] =
+              copyId;
+            requests.push({
+              operation: "create",
+              entityName: child.entityName,
+              data: payload,
+            });
+            result.children[child.entityName].push(copyId);
+          }
+        }
+        const failed = (
+          await executeBatch(requests, { transactional: true })
+        ).find((response) => !response.ok);
+        if (failed) throw failed.error;
+        if (options.openForm)
+          await Xrm.Navigation.openForm({
+            ...options.formOptions,
+            entityName,
+            entityId: result.id,
+          });
+        return result;
+      } catch (error: any) {
+        throw XrmExError.from(error, "Form.cloneRecord");
+      }
+    }
+  }
+
+  /**
+   * A condition of a {@link Rule}. Either a function of the form context, a condition over the value of a field,
+   * or a combination of conditions with all, any or not.
+   * @example
+   * { field: fields.Type, equals: 1 }
+   * { field: fields.Email, hasValue: true }
+   * { any: [{ field: fields.Type, in: [1, 2] }, (formContext) => formContext.ui.getFormType() === 1] }
+   */
+  export type RuleCondition =
+    | ((formContext: Xrm.FormContext) => boolean)
+    | {
+        field: Class.Field;
+        equals?: any;
+        notEquals?: any;
+        in?: any[];
+        hasValue?: boolean;
+      }
+    | { all: RuleCondition[] }
+    | { any: RuleCondition[] }
+    | { not: RuleCondition };
+  /**
+   * The effects of a {@link Rule} on a field while its condition matches.
+   * @property {Class.Field} field - The field.
+   * @property {boolean} [visible] - Shows or hides the controls of the field.
+   * @property {boolean} [disabled] - Disables or enables the controls of the field.
+   * @property {boolean} [required] - Makes the field required or optional.
+   * @property {any} [value] - The value of the field, f.e. null to clear it.
+   * @property {string | ResourceString | object} [notification] - A control notification, as message or with its level.
+   * @property {number[]} [options] - The only options of an optionset field which can be selected.
+   */
+  export type RuleEffect = {
+    field: Class.Field;
+    visible?: boolean;
+    disabled?: boolean;
+    required?: boolean;
+    value?: any;
+    notification?:
+      | string
+      | ResourceString
+      | {
+          message: string | ResourceString;
+          level?: "ERROR" | "RECOMMENDATION";
+        };
+    options?: number[];
+  };
+  /**
+   * A form rule for {@link Rules.define}.
+   * @property {string} [name] - The name of the rule, used for notification IDs and error messages.
+   * @property {RuleCondition} when - The condition.
+   * @property {RuleEffect | RuleEffect[]} then - The effects applied while the condition matches.
+   * @property {Class.Field[]} [dependsOn] - Additional fields whose changes evaluate the rule,
+   *   required if the condition is a function.
+   */
+  export type Rule = {
+    name?: string;
+    when: RuleCondition;
+    then: RuleEffect | RuleEffect[];
+    dependsOn?: Class.Field[];
+  };
+  /**
+   * The rules registered by {@link Rules.define}.
+   */
+  export type RuleSet = {
+    /**Evaluates all rules and applies or reverses their effects*/
+    evaluate(): void;
+    /**Removes the OnChange handlers and reverses all applied effects*/
+    dispose(): void;
+  };
+  /**
+   * Compares a field value with an expected value. Lookups are compared by id, dates by time.
+   */
+  const fieldValueEquals = (value: any, expected: any): boolean => {
+    if (Array.isArray(value) && value[0]?.id !== undefined) {
+      const id = typeof expected === "string" ? expected : expected?.id;
+      return !!id && normalizeGuid(value[0].id) === normalizeGuid(id);
+    }
+    if (value instanceof Date && expected instanceof Date)
+      return value.getTime() === expected.getTime();
+    return value === expected;
+  };
+  const hasFieldValue = (value: any): boolean =>
+    value !== null &&
+    value !== undefined &&
+    value !== "" &&
+    !(Array.isArray(value) && value.length === 0);
+  const evaluateCondition = (condition: RuleCondition): boolean => {
+    if (typeof condition === "function") return !!condition(Form.formContext);
+    if ("all" in condition) return condition.all.every(evaluateCondition);
+    if ("any" in condition) return condition.any.some(evaluateCondition);
+    if ("not" in condition) return !evaluateCondition(condition.not);
+    const value = condition.field.Value;
+    if ("equals" in condition && !fieldValueEquals(value, condition.equals))
+      return false;
+    if (
+      "notEquals" in condition &&
+      fieldValueEquals(value, condition.notEquals)
+    )
+      return false;
+    if (
+      condition.in &&
+      !condition.in.some((expected) => fieldValueEquals(value, expected))
+    )
+      return false;
+    if (
+      condition.hasValue !== undefined &&
+      hasFieldValue(value) !== condition.hasValue
+    )
+      return false;
+    return true;
+  };
+  const getConditionFields = (condition: RuleCondition): Class.Field[] => {
+    if (typeof condition === "function") return [];
+    if ("all" in condition) return condition.all.flatMap(getConditionFields);
+    if ("any" in condition) return condition.any.flatMap(getConditionFields);
+    if ("not" in condition) return getConditionFields(condition.not);
+    return [condition.field];
+  };
+  /**
+   * Applies an effect and returns a function which reverses it.
+   */
+  const applyRuleEffect = (effect: RuleEffect, uniqueId: string) => {
+    const { field } = effect;
+    const undo: (() => void)[] = [];
+    if (effect.visible !== undefined) {
+      const visible = field.controls.get().map((c) => c.getVisible());
+      field.setVisible(effect.visible);
+      undo.push(() =>
+        field.controls.forEach((c, i) => c.setVisible(visible[i] ?? true))
+      );
+    }
+    if (effect.disabled !== undefined) {
+      const disabled = field.controls.get().map((c) => c.getDisabled());
+      field.setDisabled(effect.disabled);
+      undo.push(() =>
+        field.controls.forEach((c, i) => c.setDisabled(disabled[i] ?? false))
+      );
+    }
+    if (effect.required !== undefined) {
+      const requiredLevel = field.getRequiredLevel();
+      field.setRequired(effect.required);
+      undo.push(() => field.setRequiredLevel(requiredLevel));
+    }
+    if (effect.options) {
+      const controls = field.controls.get() as Xrm.Controls.OptionSetControl[];
+      const options = controls.map((c) => [...c.getOptions()]);
+      const allowed = [
+        ...(field.Attribute as Xrm.Attributes.OptionSetAttribute).getOptions(),
+      ];
+      controls.forEach((c) => {
+        c.clearOptions();
+        allowed
+          .filter((option) => effect.options.includes(option.value))
+          .forEach((option) => c.addOption(option));
       });
+      if (field.Value !== null && !effect.options.includes(field.Value)) {
+        field.setValue(null);
+        field.fireOnChange();
+      }
+      undo.push(() =>
+        controls.forEach((c, i) => {
+          c.clearOptions();
+          options[i].forEach((option) => c.addOption(option));
+        })
+      );
+    }
+    if (effect.notification) {
+      const { message, level = "ERROR" } =
+        typeof effect.notification === "string" ||
+        effect.notification instanceof ResourceString
+          ? { message: effect.notification }
+          : effect.notification;
+      field.addNotification(message, level, uniqueId);
+      undo.push(() => field.removeNotification(uniqueId));
+    }
+    if ("value" in effect) {
+      const previous = field.Value;
+      if (!fieldValueEquals(previous, effect.value)) {
+        field.setValue(effect.value);
+        field.fireOnChange();
+        undo.push(() => {
+          if (!fieldValueEquals(field.Value, effect.value)) return;
+          field.setValue(previous);
+          field.fireOnChange();
+        });
+      }
+    }
+    return () => undo.reverse().forEach((reverse) => reverse());
+  };
+  /**
+   * Declarative form rules: effects on fields which are applied while a condition over field values matches.
+   */
+  export class Rules {
+    /**
+     * Defines form rules. Each rule is evaluated immediately and whenever one of the fields of its condition
+     * (or its dependsOn fields) changes. The effects are applied when the condition starts to match
+     * and reversed when it stops matching. Value effects fire the OnChange event of their field.
+     * @param rules The rules.
+     * @returns The registered rules, to evaluate them again or to remove them.
+     * @example
+     * XrmEx.Rules.define([
+     *   {
+     *     name: "phone",
+     *     when: { field: fields.PreferredContactMethod, equals: 3 },
+     *     then: [
+     *       { field: fields.Telephone, required: true, visible: true },
+     *       { field: fields.Fax, value: null, disabled: true },
+     *     ],
+     *   },
+     * ]);
+     */
+    static define(rules: Rule[]): RuleSet {
+      try {
+        if (!Array.isArray(rules)) throw new Error(`rules is not an Array`);
+        const states = rules.map((rule, index) => {
+          if (!rule?.when || !rule.then)
+            throw new Error(`rule ${rule?.name ?? index} has no when or then`);
+          return {
+            rule,
+            uniqueId: `XrmEx.Rules.${rule.name ?? index}`,
+            effects: Array.isArray(rule.then) ? rule.then : [rule.then],
+            reverse: null as () => void,
+          };
+        });
+        const fields = new Map<string, Class.Field>();
+        states.forEach(({ rule }) =>
+          [...getConditionFields(rule.when), ...(rule.dependsOn ?? [])].forEach(
+            (field) => fields.set(field.Name, field)
+          )
+        );
+        const evaluate = () => {
+          for (const state of states) {
+            try {
+              const matches = evaluateCondition(state.rule.when);
+              if (matches && !state.reverse) {
+                // Set before the effects are applied: value effects fire OnChange, which evaluates again
+                const reverses: (() => void)[] = [];
+                state.reverse = () =>
+                  reverses.reverse().forEach((reverse) => reverse());
+                state.effects.forEach((effect) =>
+                  reverses.push(applyRuleEffect(effect, state.uniqueId))
+                );
+              } else if (!matches && state.reverse) {
+                const reverse = state.reverse;
+                state.reverse = null;
+                reverse();
+              }
+            } catch (error: any) {
+              throw XrmExError.from(
+                error,
+                `Rules.${state.rule.name ?? "define"}`
+              );
+            }
+          }
+        };
+        fields.forEach((field) => field.addOnChange(evaluate));
+        evaluate();
+        return {
+          evaluate,
+          dispose: () => {
+            fields.forEach((field) => field.removeOnChange(evaluate));
+            states.forEach((state) => {
+              const reverse = state.reverse;
+              state.reverse = null;
+              reverse?.();
+            });
+          },
+        };
+      } catch (error: any) {
+        throw XrmExError.from(error, "Rules.define");
+      }
+    }
+  }
+
+  /**
+   * The result of a {@link Validator}: an error message if the value is invalid, otherwise null.
+   */
+  export type ValidationResult = string | ResourceString | null | undefined;
+  /**
+   * A validator for {@link Validation.register}.
+   * @property validate - Returns an error message if the value is invalid. It can be asynchronous, f.e. to check the value on the server.
+   * @property {Class.Field[]} [dependsOn] - Other fields whose changes validate the field again.
+   */
+  export type Validator = {
+    validate: (
+      value: any,
+      field: Class.Field
+    ) => ValidationResult | PromiseLike<ValidationResult>;
+    dependsOn?: Class.Field[];
+  };
+  /**
+   * An invalid field found by {@link Validation.validate}.
+   */
+  export type ValidationError = { field: Class.Field; message: string };
+  const isThenable = (value: any): value is PromiseLike<any> =>
+    typeof value?.then === "function";
+  /**
+   * Runs the validators in order until one returns an error message.
+   * Stays synchronous until the first asynchronous validator.
+   */
+  const runValidators = (
+    field: Class.Field,
+    validators: Validator[]
+  ): ValidationResult | PromiseLike<ValidationResult> => {
+    const value = field.Value;
+    for (let i = 0; i < validators.length; i++) {
+      const result = validators[i].validate(value, field);
+      if (isThenable(result))
+        return Promise.resolve(result).then(
+          (message) => message || runValidators(field, validators.slice(i + 1))
+        );
+      if (result) return result;
+    }
+    return null;
+  };
+  /**
+   * Validation of fields on change and on save, with control notifications and one form notification
+   * summarizing all invalid fields.
+   * @example
+   * XrmEx.Validation.register(fields.Email, XrmEx.Validation.regex(/^\S+@\S+$/, "Enter a valid email address."));
+   * XrmEx.Validation.register(fields.EndDate, [
+   *   XrmEx.Validation.requiredIf({ field: fields.Type, equals: 2 }),
+   *   XrmEx.Validation.dateAfter(fields.StartDate),
+   * ]);
+   */
+  export class Validation {
+    /**The unique ID of the control and form notifications*/
+    static readonly notificationId = "XrmEx.Validation";
+    protected static registrations = new Map<
+      string,
+      {
+        field: Class.Field;
+        validators: Validator[];
+        handler: Xrm.Events.ContextSensitiveHandler;
+      }
+    >();
+    protected static errors = new Map<string, ValidationError>();
+    protected static summaryVisible = false;
+    /**The form context of the registrations, which are reset when another record is loaded*/
+    protected static formContext?: Xrm.FormContext;
+    /**
+     * Requires a value while the condition matches.
+     * @param condition The condition, as for {@link Rules.define}.
+     * @param message (Optional) The error message.
+     */
+    static requiredIf(
+      condition: RuleCondition,
+      message: string | ResourceString = Resources.string(
+        "XrmEx.Validation.required"
+      )
+    ): Validator {
+      return {
+        validate: (value) =>
+          !hasFieldValue(value) && evaluateCondition(condition)
+            ? message
+            : null,
+        dependsOn: getConditionFields(condition),
+      };
+    }
+    /**
+     * Requires a text value to match a regular expression.
+     * @param pattern The regular expression.
+     * @param message (Optional) The error message.
+     */
+    static regex(
+      pattern: RegExp,
+      message: string | ResourceString = Resources.string(
+        "XrmEx.Validation.format"
+      )
+    ): Validator {
+      return {
+        validate: (value) =>
+          hasFieldValue(value) && !new RegExp(pattern).test(String(value))
+            ? message
+            : null,
+      };
     }
     /**
-     * Fire all "on change" event handlers.
-     * @param fields An array of fields to on which this method should be applied.
+     * Requires a number or date value to be within a range.
+     * @param min (Optional) The minimum value.
+     * @param max (Optional) The maximum value.
+     * @param message (Optional) The error message.
      */
-    static fireOnChange(fields: Class.Field[]): void {
-      fields.forEach((field) => {
-        field.fireOnChange();
-      });
+    static range(
+      min?: number | Date,
+      max?: number | Date,
+      message?: string | ResourceString
+    ): Validator {
+      return {
+        validate: (value) => {
+          if (!hasFieldValue(value)) return null;
+          const tooLow = min !== undefined && min !== null && value < min;
+          const tooHigh = max !== undefined && max !== null && value > max;
+          if (!tooLow && !tooHigh) return null;
+          if (message) return message;
+          if (min === undefined || min === null)
+            return Resources.string("XrmEx.Validation.max", { max });
+          if (max === undefined || max === null)
+            return Resources.string("XrmEx.Validation.min", { min });
+          return Resources.string("XrmEx.Validation.range", { min, max });
+        },
+      };
     }
     /**
-     * Removes the handler from the "on change" event.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param handler The handler.
+     * Requires a date value to be after the date of another field.
+     * @param other The other date field.
+     * @param message (Optional) The error message.
      */
-    static removeOnChange(
-      fields: Class.Field[],
-      handler: Xrm.Events.Attribute.ChangeEventHandler
-    ): void {
-      fields.forEach((field) => {
-        field.removeOnChange(handler);
-      });
+    static dateAfter(
+      other: Class.Field,
+      message?: string | ResourceString
+    ): Validator {
+      return {
+        validate: (value) => {
+          const otherValue = other.Value;
+          if (!hasFieldValue(value) || !hasFieldValue(otherValue)) return null;
+          if (new Date(value).getTime() > new Date(otherValue).getTime())
+            return null;
+          return (
+            message ??
+            Resources.string("XrmEx.Validation.dateAfter", {
+              field: other.controls.get(0)?.getLabel() ?? other.Name,
+            })
+          );
+        },
+        dependsOn: [other],
+      };
     }
     /**
-     * Sets the required level.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param requirementLevel The requirement level, as either "none", "required", or "recommended"
+     * A custom validator, f.e. an asynchronous check on the server.
+     * @param validate Returns an error message if the value is invalid.
+     * @param dependsOn (Optional) Other fields whose changes validate the field again.
+     * @example
+     * XrmEx.Validation.custom(async (value) => {
+     *   const result = await XrmEx.retrieveMultiple("account", `?$select=accountid&$filter=accountnumber eq '${value}'`);
+     *   return result.entities.length ? "The account number is already used." : null;
+     * });
      */
-    static setRequiredLevel(
-      fields: Class.Field[],
-      requirementLevel: Xrm.Attributes.RequirementLevel
-    ): void {
-      fields.forEach((field) => {
-        field.setRequiredLevel(requirementLevel);
-      });
+    static custom(
+      validate: Validator["validate"],
+      dependsOn?: Class.Field[]
+    ): Validator {
+      return { validate, dependsOn };
     }
     /**
-     * Sets the submit mode.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param submitMode The submit mode, as either "always", "never", or "dirty".
-     * @default submitMode "dirty"
-     * @see {@link XrmEnum.AttributeRequirementLevel}
+     * Registers validators for a field. They run when the field or one of their dependsOn fields changes,
+     * and on save, which is prevented while a field is invalid.
+     * @param field The field.
+     * @param validators The validator or an array of validators.
+     * Registrations of a previously loaded record are dropped, so registering in OnLoad does not add the validators again,
+     * and a validator which is already registered for the field is ignored.
+     * @remarks The save is only prevented after asynchronous validators if async OnSave handlers are enabled for the app.
      */
-    static setSubmitMode(
-      fields: Class.Field[],
-      submitMode: Xrm.SubmitMode
-    ): void {
-      fields.forEach((field) => {
-        field.setSubmitMode(submitMode);
-      });
+    static register(field: Class.Field, validators: Validator | Validator[]) {
+      try {
+        if (Validation.formContext !== Form.formContext) {
+          Validation.registrations.clear();
+          Validation.errors.clear();
+          Validation.summaryVisible = false;
+          Validation.formContext = Form.formContext;
+        }
+        const registration = Validation.registrations.get(field.Name) ?? {
+          field,
+          validators: [],
+          handler: () => Validation.validateField(field),
+        };
+        registration.validators.push(
+          ...(Array.isArray(validators) ? validators : [validators]).filter(
+            (validator) => !registration.validators.includes(validator)
+          )
+        );
+        Validation.registrations.set(field.Name, registration);
+        [
+          field,
+          ...registration.validators.flatMap((v) => v.dependsOn ?? []),
+        ].forEach((f) => f.addOnChange(registration.handler));
+        Form.addOnSave(Validation.onSave);
+      } catch (error: any) {
+        throw XrmExError.from(error, "Validation.register");
+      }
     }
     /**
-     * Sets the value.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param value The value.
-     * @remarks Attributes on Quick Create Forms will not save values set with this method.
+     * Removes the validators of a field and its notification.
+     * @param field The field.
      */
-    static setValue(fields: Class.Field[], value: any): void {
-      fields.forEach((field) => {
-        field.setValue(value);
-      });
+    static unregister(field: Class.Field) {
+      try {
+        const registration = Validation.registrations.get(field.Name);
+        if (!registration) return;
+        [
+          field,
+          ...registration.validators.flatMap((v) => v.dependsOn ?? []),
+        ].forEach((f) => f.removeOnChange(registration.handler));
+        Validation.registrations.delete(field.Name);
+        Validation.setFieldError(field, null);
+        if (Validation.registrations.size === 0)
+          Form.formContext.data.entity.removeOnSave(Validation.onSave);
+      } catch (error: any) {
+        throw XrmExError.from(error, "Validation.unregister");
+      }
     }
     /**
-     * Sets a value for a column to determine whether it is valid or invalid with a message
-     * @param fields An array of fields to on which this method should be applied.
-     * @param isValid Specify false to set the column value to invalid and true to set the value to valid.
-     * @param message The message to display.
-     * @see {@link https://learn.microsoft.com/en-us/power-apps/developer/model-driven-apps/clientapi/reference/attributes/setisvalid External Link: setIsValid (Client API reference)}
+     * Validates all registered fields and shows the form notification if a field is invalid.
+     * @returns The invalid fields with their error messages.
      */
-    static setIsValid(
-      fields: Class.Field[],
-      isValid: boolean,
-      message?: string
-    ): void {
-      fields.forEach((field) => {
-        field.setIsValid(isValid, message);
-      });
+    static async validate(): Promise<ValidationError[]> {
+      try {
+        await Promise.all(
+          [...Validation.registrations.values()].map(({ field }) =>
+            Validation.validateField(field)
+          )
+        );
+        Validation.summaryVisible = true;
+        Validation.updateSummary();
+        return [...Validation.errors.values()];
+      } catch (error: any) {
+        throw XrmExError.from(error, "Validation.validate");
+      }
     }
     /**
-     * Sets the required level.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param required The requirement level, as either false for "none" or true for "required"
+     * The OnSave handler registered by {@link Validation.register}.
+     * Validates all registered fields and prevents the save if a field is invalid.
+     * @param executionContext The execution context of the save event.
      */
-    static setRequired(fields: Class.Field[], required: boolean): void {
-      fields.forEach((field) => {
-        field.setRequired(required);
+    static onSave(
+      executionContext: Xrm.Events.SaveEventContext
+    ): void | Promise<void> {
+      const pending: PromiseLike<void>[] = [];
+      const pendingFields = new Set<string>();
+      Validation.registrations.forEach(({ field }) => {
+        const result = Validation.validateField(field);
+        if (!isThenable(result)) return;
+        pending.push(result);
+        pendingFields.add(field.Name);
       });
+      const finish = () => {
+        Validation.summaryVisible = true;
+        Validation.updateSummary();
+        const eventArgs = executionContext.getEventArgs();
+        if (Validation.errors.size && !eventArgs.isDefaultPrevented())
+          eventArgs.preventDefault();
+      };
+      const invalid = [...Validation.errors.keys()].some(
+        (name) => !pendingFields.has(name)
+      );
+      if (invalid || !pending.length) finish();
+      if (pending.length) return Promise.all(pending).then(finish);
     }
     /**
-     * Sets the state of the control to either enabled, or disabled.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param disabled true to disable, false to enable.
+     * Validates a field and shows or removes its control notification.
      */
-    static setDisabled(fields: Class.Field[], disabled: boolean): void {
-      fields.forEach((field) => {
-        field.setDisabled(disabled);
-      });
+    protected static validateField(
+      field: Class.Field
+    ): void | PromiseLike<void> {
+      const registration = Validation.registrations.get(field.Name);
+      if (!registration) return;
+      const result = runValidators(field, registration.validators);
+      if (!isThenable(result)) return Validation.setFieldError(field, result);
+      return result.then((message) => Validation.setFieldError(field, message));
+    }
+    protected static setFieldError(
+      field: Class.Field,
+      result: ValidationResult
+    ) {
+      if (result) {
+        const message = resolveMessage(result);
+        field.addNotification(message, "ERROR", Validation.notificationId);
+        Validation.errors.set(field.Name, { field, message });
+      } else {
+        if (Validation.errors.delete(field.Name))
+          field.removeNotification(Validation.notificationId);
+      }
+      if (Validation.summaryVisible) Validation.updateSummary();
     }
+    protected static updateSummary() {
+      if (Validation.errors.size === 0) {
+        Validation.summaryVisible = false;
+        Form.removeFormNotification(Validation.notificationId);
+        return;
+      }
+      const messages = [...Validation.errors.values()].map(
+        ({ field, message }) =>
+          `${field.controls.get(0)?.getLabel() ?? field.Name}: ${message}`
+      );
+      Form.addFormNotification(
+        messages.join("\n"),
+        "ERROR",
+        Validation.notificationId
+      );
+    }
+  }
+
+  /**
+   * The payloads of the {@link Events} by event name.
+   * Add custom events by augmenting the interface in a declaration file which merges into the XrmEx namespace:
+   * @example
+   * // Inside the declared XrmEx namespace of f.e. types/events.d.ts
+   * interface EventMap {
+   *   "account:selected": { id: string; name: string };
+   * }
+   */
+  export interface EventMap {
+    "field:change": { attribute: string; value: any };
+    "form:save": EntityReference & { saveMode: number };
+    "form:postsave": EntityReference & { isSaveSuccess: boolean };
+    "process:stagechange": {
+      stageId: string;
+      stageName: string;
+      direction: string;
+    };
+    "process:stageselected": { stageId: string; stageName: string };
+    "grid:load": { grid: string };
+  }
+  /**The name of an event of {@link EventMap} or of an untyped custom event*/
+  export type EventName = keyof EventMap | (string & {});
+  /**The payload of an event, typed for the events of {@link EventMap}*/
+  export type EventPayload<Name extends EventName> = Name extends keyof EventMap
+    ? EventMap[Name]
+    : any;
+  /**
+   * A subscriber of {@link Events}.
+   * @param payload The payload of the event.
+   * @param event The name of the event, the origin of the window which published it and whether it came from another window.
+   */
+  export type EventHandler<Name extends EventName> = (
+    payload: EventPayload<Name>,
+    event: { name: Name; origin: string; remote: boolean }
+  ) => void;
+  /**
+   * Options of {@link Events.forward}.
+   * @property {Class.Field[]} [fields] - Publishes field:change when one of the fields changes.
+   * @property {boolean} [save] - Publishes form:save when the record is saved.
+   * @property {boolean} [postSave] - Publishes form:postsave after the record was saved.
+   * @property {boolean} [process] - Publishes process:stagechange and process:stageselected.
+   * @property {Class.GridControl[]} [grids] - Publishes grid:load when one of the grids is loaded.
+   */
+  export type EventForwardOptions = {
+    fields?: Class.Field[];
+    save?: boolean;
+    postSave?: boolean;
+    process?: boolean;
+    grids?: Class.GridControl[];
+  };
+  /**
+   * A publish/subscribe bus for the form, its HTML web resources and PCF controls.
+   * Events are delivered to the subscribers of the current window and posted to all other windows of the page
+   * which load XrmEx, as long as their origin is allowed.
+   * @example
+   * // Form script
+   * XrmEx.Events.forward({ fields: [fields.Firstname], save: true });
+   * // HTML web resource
+   * XrmEx.Events.subscribe("field:change", ({ attribute, value }) => render(attribute, value));
+   */
+  export class Events {
+    /**The type of the messages posted to other windows*/
+    static readonly messageType = "XrmEx.Events";
+    protected static handlers = new Map<string, Set<EventHandler<any>>>();
+    protected static origins: string[] = [];
+    protected static listening = false;
+    protected static received: string[] = [];
     /**
-     * Sets the visibility state.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param visible true to show, false to hide.
+     * Allows other windows with these origins to publish events to this window and receives events of this window.
+     * The origin of the current window is always allowed.
+     * @param origins The origins, f.e. https://contoso.crm4.dynamics.com
      */
-    static setVisible(fields: Class.Field[], visible: boolean): void {
-      fields.forEach((field) => {
-        field.setVisible(visible);
-      });
+    static allowOrigins(...origins: string[]): void {
+      Events.origins = [...new Set([...Events.origins, ...origins])];
     }
     /**
-     * Sets a control-local notification message.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param message The message.
-     * @param uniqueId Unique identifier.
-     * @returns true if it succeeds, false if it fails.
-     * @remarks     When this method is used on Microsoft Dynamics CRM for tablets a red "X" icon
-     *              appears next to the control. Tapping on the icon will display the message.
+     * Subscribes to an event.
+     * @param name The name of the event.
+     * @param handler The handler.
+     * @returns A function which unsubscribes the handler.
      */
-    static setNotification(
-      fields: Class.Field[],
-      message: string,
-      uniqueId: string
+    static subscribe<Name extends EventName>(
+      name: Name,
+      handler: EventHandler<Name>
+    ): () => void {
+      if (typeof handler !== "function")
+        throw new XrmExError(`'${handler}' is not a function`, {
+          method: "Events.subscribe",
+        });
+      if (!Events.handlers.has(name)) Events.handlers.set(name, new Set());
+      Events.handlers.get(name).add(handler);
+      Events.listen();
+      return () => Events.unsubscribe(name, handler);
+    }
+    /**
+     * Removes a subscription.
+     * @param name The name of the event.
+     * @param handler The handler.
+     */
+    static unsubscribe<Name extends EventName>(
+      name: Name,
+      handler: EventHandler<Name>
     ): void {
-      fields.forEach((field) => {
-        field.setNotification(message, uniqueId);
-      });
+      Events.handlers.get(name)?.delete(handler);
     }
     /**
-     * Displays an error or recommendation notification for a control, and lets you specify actions to execute based on the notification.
-     * @param fields An array of fields to on which this method should be applied.
+     * Publishes an event to the subscribers of this and all other windows of the page.
+     * @param name The name of the event.
+     * @param payload The payload. It must be cloneable to be posted to other windows.
+     * @param options (Optional) local: true only delivers the event to the subscribers of this window.
      */
-    static addNotification(
-      fields: Class.Field[],
-      message: string,
-      notificationLevel: "ERROR" | "RECOMMENDATION",
-      uniqueId: string,
-      actions?: Xrm.Controls.ControlNotificationAction[]
+    static publish<Name extends EventName>(
+      name: Name,
+      payload?: EventPayload<Name>,
+      options?: { local?: boolean }
     ): void {
-      fields.forEach((field) => {
-        field.addNotification(message, notificationLevel, uniqueId, actions);
-      });
+      const origin = Events.ownOrigin;
+      Events.dispatch(name, payload, { name, origin, remote: false });
+      if (options?.local || typeof window === "undefined") return;
+      const message = {
+        type: Events.messageType,
+        id: `${Date.now()}-${Math.random().toString(36).substring(2)}`,
+        name,
+        payload,
+      };
+      for (const target of Events.windows) {
+        for (const targetOrigin of [origin, ...Events.origins]) {
+          try {
+            target.postMessage(message, targetOrigin);
+          } catch (error: any) {
+            console.error(XrmExError.from(error, "Events.publish"));
+          }
+        }
+      }
     }
     /**
-     * Clears the notification identified by uniqueId.
-     * @param fields An array of fields to on which this method should be applied.
-     * @param uniqueId (Optional) Unique identifier.
-     * @returns true if it succeeds, false if it fails.
-     * @remarks If the uniqueId parameter is not used, the current notification shown will be removed.
+     * Publishes the events of the form, its process and grids.
+     * @param options The events to publish.
      */
-    static removeNotification(fields: Class.Field[], uniqueId: string): void {
-      fields.forEach((field) => {
-        field.removeNotification(uniqueId);
-      });
+    static forward(options: EventForwardOptions): void {
+      try {
+        if (options.fields?.length)
+          Form.addOnChange(options.fields, Events.onFieldChange);
+        if (options.save) Form.addOnSave(Events.onSave);
+        if (options.postSave) Form.addOnPostSave(Events.onPostSave);
+        if (options.process) {
+          Process.addOnStageChange(Events.onStageChange);
+          Process.addOnStageSelected(Events.onStageSelected);
+        }
+        options.grids?.forEach((grid) => grid.addOnLoad(Events.onGridLoad));
+      } catch (error: any) {
+        throw XrmExError.from(error, "Events.forward");
+      }
     }
-  }
-
-  /**
-   * Represents a form in Dynamics 365.
-   */
-  export class Form {
-    protected static _formContext: Xrm.FormContext;
-    protected static _executionContext: Xrm.Events.EventContext;
-    constructor() {}
-    /**Gets a reference to the current form context*/
-    static get formContext(): Xrm.FormContext {
-      return this._formContext;
+    protected static onFieldChange(executionContext: Xrm.Events.EventContext) {
+      const attribute =
+        executionContext.getEventSource() as Xrm.Attributes.Attribute;
+      Events.publish("field:change", {
+        attribute: attribute.getName(),
+        value: attribute.getValue(),
+      });
     }
-    /**Gets a reference to the current executio context*/
-    static get executionContext(): Xrm.Events.EventContext {
-      return this._executionContext;
+    protected static onSave(executionContext: Xrm.Events.SaveEventContext) {
+      Events.publish("form:save", {
+        ...Form.entityReference,
+        saveMode: executionContext.getEventArgs().getSaveMode(),
+      });
     }
-    /**Gets a lookup value that references the record.*/
-    static get entityReference() {
-      return Form.formContext.data.entity.getEntityReference();
+    protected static onPostSave(
+      executionContext: Xrm.Events.PostSaveEventContext
+    ) {
+      Events.publish("form:postsave", {
+        ...Form.entityReference,
+        isSaveSuccess: executionContext.getEventArgs().getIsSaveSuccess(),
+      });
     }
-    /**Sets a reference to the current form context*/
-    static set formContext(context: Xrm.FormContext | Xrm.Events.EventContext) {
-      if (!context)
-        throw new Error(
-          `XrmEx.Form.setFormContext: The executionContext or formContext was not passed to the function.`
-        );
-      if ("getFormContext" in context) {
-        this._executionContext = context;
-        this._formContext = context.getFormContext();
-      } else if ("data" in context) this._formContext = context;
-      else
-        throw new Error(
-          `XrmEx.Form.setFormContext: The passed context is not an executionContext or formContext.`
-        );
+    protected static onStageChange(
+      executionContext: Xrm.Events.StageChangeEventContext
+    ) {
+      const eventArgs = executionContext.getEventArgs();
+      Events.publish("process:stagechange", {
+        stageId: eventArgs.getStage().getId(),
+        stageName: eventArgs.getStage().getName(),
+        direction: eventArgs.getDirection(),
+      });
     }
-    /**Sets a reference to the current execution context*/
-    static set executionContext(
-      context: Xrm.FormContext | Xrm.Events.EventContext
+    protected static onStageSelected(
+      executionContext: Xrm.Events.StageSelectedEventContext
     ) {
-      if (!context)
-        throw new Error(
-          `XrmEx.Form.setExecutionContext: The executionContext or formContext was not passed to the function.`
-        );
-      if ("getFormContext" in context) {
-        this._executionContext = context;
-        this._formContext = context.getFormContext();
-      } else if ("data" in context) this._formContext = context;
-      else
-        throw new Error(
-          `XrmEx.Form.setExecutionContext: The passed context is not an executionContext or formContext.`
-        );
+      const stage = executionContext.getEventArgs().getStage();
+      Events.publish("process:stageselected", {
+        stageId: stage.getId(),
+        stageName: stage.getName(),
+      });
     }
-    /**Returns true if form is from type create*/
-    static get IsCreate() {
-      return Form.formContext.ui.getFormType() == 1;
+    protected static onGridLoad(executionContext: Xrm.Events.EventContext) {
+      const grid = executionContext.getEventSource() as Xrm.Controls.Control;
+      Events.publish("grid:load", { grid: grid.getName() });
     }
-    /**Returns true if form is from type update*/
-    static get IsUpdate() {
-      return Form.formContext.ui.getFormType() == 2;
+    protected static get ownOrigin(): string {
+      return typeof window === "undefined" ? "" : window.location.origin;
     }
-    /**Returns true if form is not from type create*/
-    static get IsNotCreate() {
-      return Form.formContext.ui.getFormType() != 1;
+    /**All other windows of the page*/
+    protected static get windows(): Window[] {
+      const collect = (root: Window, depth: number): Window[] => {
+        const windows = [root];
+        if (depth < 5)
+          for (let i = 0; i < root.frames.length; i++)
+            windows.push(...collect(root.frames[i], depth + 1));
+        return windows;
+      };
+      return collect(window.top ?? window, 0).filter((w) => w !== window);
+    }
+    protected static listen() {
+      if (Events.listening || typeof window === "undefined") return;
+      window.addEventListener("message", Events.onMessage);
+      Events.listening = true;
+    }
+    protected static onMessage(event: MessageEvent) {
+      const message = event.data;
+      if (message?.type !== Events.messageType) return;
+      if (
+        event.origin !== Events.ownOrigin &&
+        !Events.origins.includes(event.origin)
+      )
+        return;
+      if (Events.received.includes(message.id)) return;
+      Events.received = [...Events.received.slice(-99), message.id];
+      Events.dispatch(message.name, message.payload, {
+        name: message.name,
+        origin: event.origin,
+        remote: true,
+      });
+    }
+    protected static dispatch(
+      name: string,
+      payload: any,
+      event: { name: string; origin: string; remote: boolean }
+    ) {
+      Events.handlers.get(name)?.forEach((handler) => {
+        try {
+          handler(payload, event);
+        } catch (error: any) {
+          console.error(XrmExError.from(error, `Events.${name}`));
+        }
+      });
+    }
+  }
+
+  /**
+   * A record of a grid, returned by {@link Class.GridControl}.
+   * @property {string} id - The normalized id of the record.
+   * @property {string} entityType - The logical name of the entity.
+   * @property {string} name - The value of the primary attribute.
+   * @property {object} attributes - The values of the columns of the grid by logical name.
+   */
+  export type GridRecord = {
+    id: string;
+    entityType: string;
+    name: string;
+    attributes: { [logicalName: string]: any };
+  };
+  /**
+   * A handler of {@link Class.GridControl.addOnRecordSelect}.
+   * @param record The selected record.
+   * @param executionContext The execution context of the OnRecordSelect event.
+   */
+  export type GridRecordSelectHandler = (
+    record: GridRecord,
+    executionContext: Xrm.Events.EventContext
+  ) => void;
+  const toGridRecord = (
+    entity: Xrm.Controls.Grid.GridEntity | Xrm.Entity
+  ): GridRecord => {
+    const attributes: { [logicalName: string]: any } = {};
+    (entity as any).attributes?.forEach(
+      (attribute: Xrm.Attributes.Attribute) =>
+        (attributes[attribute.getName()] = attribute.getValue())
+    );
+    return {
+      id: normalizeGuid(entity.getId()),
+      entityType: entity.getEntityName(),
+      name: entity.getPrimaryAttributeValue(),
+      attributes,
+    };
+  };
+
+  /**The entity of a row of an editable grid*/
+  export type GridRowEntity = (Xrm.Controls.Grid.GridEntity | Xrm.Entity) & {
+    attributes: Xrm.Collection.ItemCollection<Xrm.Attributes.Attribute>;
+  };
+  /**
+   * A rule of {@link EditableGrid.setCells}.
+   * @property {string[]} columns - The logical names of the columns.
+   * @property {Function} [when] - The rows the rule applies to. Cells of rows which do not match are not changed. Default: all rows.
+   * @property {boolean} [disabled] - Disables or enables the cells.
+   * @property {boolean | Xrm.Attributes.RequirementLevel} [required] - Sets the required level of the cells.
+   */
+  export type EditableGridCellRule = {
+    columns: string[];
+    when?: (record: GridRecord) => boolean;
+    disabled?: boolean;
+    required?: boolean | Xrm.Attributes.RequirementLevel;
+  };
+  /**
+   * A handler of {@link EditableGrid.addOnChange}.
+   * @param cell The changed cell.
+   * @param executionContext The execution context of the OnChange event.
+   */
+  export type EditableGridChangeHandler = (
+    cell: Class.GridCell,
+    executionContext: Xrm.Events.EventContext
+  ) => void;
+  /**
+   * Works with the rows of editable grids.
+   * The row of the current OnRecordSelect or OnChange event is used by {@link Class.GridCell}.
+   * Register XrmEx.Class.GridControl.onRecordSelect and XrmEx.EditableGrid.onChange as event handlers of the grid
+   * in the form designer, pass the execution context and the name of the grid as parameter, f.e. "Contacts".
+   * @example
+   * class ContactRow {
+   *   Email = new XrmEx.Class.GridCell("emailaddress1");
+   *   Phone = new XrmEx.Class.GridCell("telephone1");
+   * }
+   * const row = new ContactRow();
+   * XrmEx.EditableGrid.addOnChange(grids.Contacts, ["emailaddress1"], (cell) =>
+   *   row.Phone.setRequired(!cell.Value)
+   * );
+   * XrmEx.EditableGrid.setCells(grids.Contacts, {
+   *   columns: ["emailaddress1", "telephone1"],
+   *   when: (record) => record.attributes.statecode === 1,
+   *   disabled: true,
+   * });
+   */
+  export class EditableGrid {
+    protected static _row: GridRowEntity;
+    protected static changeHandlers = new Map<
+      string,
+      { columns: string[]; handler: EditableGridChangeHandler }[]
+    >();
+    protected static rules = new Map<string, EditableGridCellRule[]>();
+    /**Gets the entity of the current row*/
+    static get row(): GridRowEntity {
+      return (
+        EditableGrid._row ??
+        XrmEx.throwError(
+          `No row was selected. Set EditableGrid.executionContext in the OnRecordSelect or OnChange event of the grid.`
+        )
+      );
     }
-    /**Returns true if form is not from type update*/
-    static get IsNotUpdate() {
-      return Form.formContext.ui.getFormType() != 2;
+    /**Sets the current row from the execution context of an OnRecordSelect or OnChange event of the grid*/
+    static set executionContext(executionContext: Xrm.Events.EventContext) {
+      EditableGrid._row = executionContext.getFormContext().data
+        .entity as GridRowEntity;
     }
-
-    /**
-     * Displays a form level notification. Any number of notifications can be displayed and will remain until removed using clearFormNotification.
-     * The height of the notification area is limited so each new message will be added to the top.
-     * @param message The text of the notification message.
-     * @param level The level of the notification which defines how the message will be displayed, such as the icon.
-     * ERROR: Notification will use the system error icon.
-     * WARNING: Notification will use the system warning icon.
-     * INFO: Notification will use the system info icon.
-     * @param uniqueId Unique identifier for the notification which is used with clearFormNotification to remove the notification.
-     * @returns true if it succeeds, othenprwise false.
-     */
-    static addFormNotification(
-      message: string,
-      level: Xrm.FormNotificationLevel,
-      uniqueId: string
-    ) {
-      try {
-        return Form.formContext.ui.setFormNotification(
-          message,
-          level,
-          uniqueId
-        );
-      } catch (error: any) {
-        throw new Error(`XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`);
-      }
+    /**Gets the values of the current row*/
+    static get record(): GridRecord {
+      return toGridRecord(EditableGrid.row);
     }
     /**
-     * Clears the form notification described by uniqueId.
-     * @param uniqueId Unique identifier.
-     * @returns True if it succeeds, otherwise false.
+     * Adds a handler to be called when a cell of one of the columns changes.
+     * @param grid The grid.
+     * @param columns The logical names of the columns.
+     * @param handler The handler.
      */
-    static removeFormNotification(uniqueId: string) {
-      try {
-        return Form.formContext.ui.clearFormNotification(uniqueId);
-      } catch (error: any) {
-        throw new Error(`XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`);
-      }
+    static addOnChange(
+      grid: Class.GridControl,
+      columns: string[],
+      handler: EditableGridChangeHandler
+    ): void {
+      if (typeof handler !== "function")
+        throw new XrmExError(`'${handler}' is not a function`, {
+          method: "EditableGrid.addOnChange",
+        });
+      const handlers = EditableGrid.changeHandlers.get(grid.Name) ?? [];
+      EditableGrid.changeHandlers.set(grid.Name, [
+        ...handlers.filter((h) => h.handler !== handler),
+        { columns, handler },
+      ]);
     }
     /**
-     * Adds a handler to be called when the record is saved.
+     * Removes a handler added with addOnChange.
+     * @param grid The grid.
+     * @param handler The handler.
      */
-    static addOnSave(
-      handlers:
-        | Xrm.Events.ContextSensitiveHandler
-        | Xrm.Events.ContextSensitiveHandler[]
-    ) {
-      try {
-        if (!Array.isArray(handlers)) {
-          handlers = [handlers];
-        }
-        handlers.forEach((handler) => {
-          if (typeof handler !== "function") {
-            throw new Error(`'${handler}' is not a function`);
-          }
-          Form.formContext.data.entity.removeOnSave(handler);
-          Form.formContext.data.entity.addOnSave(handler);
-        });
-      } catch (error: any) {
-        throw new Error(`XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`);
-      }
+    static removeOnChange(
+      grid: Class.GridControl,
+      handler: EditableGridChangeHandler
+    ): void {
+      const handlers = EditableGrid.changeHandlers.get(grid.Name) ?? [];
+      EditableGrid.changeHandlers.set(
+        grid.Name,
+        handlers.filter((h) => h.handler !== handler)
+      );
     }
     /**
-     * Adds a function to be called after the OnSave is complete.
-     * @param handler The handler.
-     * @remarks Added in 9.2
-     * @see {@link https://docs.microsoft.com/en-us/powerapps/developer/model-driven-apps/clientapi/reference/events/postsave External Link: PostSave Event Documentation}
+     * The OnChange event handler to register in the form designer. Calls the handlers of addOnChange.
+     * @param executionContext The execution context.
+     * @param gridName The name of the grid.
      */
-    static addOnPostSave(
-      handlers:
-        | Xrm.Events.ContextSensitiveHandler
-        | Xrm.Events.ContextSensitiveHandler[]
-    ) {
+    static onChange(
+      executionContext: Xrm.Events.EventContext,
+      gridName: string
+    ): void {
       try {
-        if (!Array.isArray(handlers)) {
-          handlers = [handlers];
-        }
-        handlers.forEach((handler) => {
-          if (typeof handler !== "function") {
-            throw new Error(`'${handler}' is not a function`);
-          }
-          Form.formContext.data.entity.removeOnPostSave(handler);
-          Form.formContext.data.entity.addOnPostSave(handler);
-        });
+        EditableGrid.executionContext = executionContext;
+        const column = (
+          executionContext.getEventSource() as Xrm.Attributes.Attribute
+        ).getName();
+        const cell = new Class.GridCell(column, EditableGrid.row);
+        EditableGrid.changeHandlers
+          .get(gridName)
+          ?.filter((h) => h.columns.includes(column))
+          .forEach((h) => h.handler(cell, executionContext));
       } catch (error: any) {
-        throw new Error(`XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`);
+        throw XrmExError.from(error, "EditableGrid.onChange");
       }
     }
     /**
-     * Adds a function to be called when form data is loaded.
-     * @param handler The function to be executed when the form data loads. The function will be added to the bottom of the event handler pipeline.
+     * Disables cells or sets their required level for the loaded rows, after each load of the grid and when a row is selected.
+     * @param grid The grid.
+     * @param rule The columns, the rows and the state of the cells.
+     * @returns A function which removes the rule.
      */
-    static addOnLoad(
-      handlers:
-        | Xrm.Events.ContextSensitiveHandler
-        | Xrm.Events.ContextSensitiveHandler[]
-    ) {
+    static setCells(
+      grid: Class.GridControl,
+      rule: EditableGridCellRule
+    ): () => void {
       try {
-        if (!Array.isArray(handlers)) {
-          handlers = [handlers];
-        }
-        handlers.forEach((handler) => {
-          if (typeof handler !== "function") {
-            throw new Error(`'${handler}' is not a function`);
-          }
-          Form.formContext.data.removeOnLoad(handler);
-          Form.formContext.data.addOnLoad(handler);
-        });
+        EditableGrid.rules.set(grid.Name, [
+          ...(EditableGrid.rules.get(grid.Name) ?? []),
+          rule,
+        ]);
+        const apply = () =>
+          grid.Grid.getRows().forEach((row) =>
+            EditableGrid.applyRule(
+              rule,
+              row.getData().getEntity() as GridRowEntity
+            )
+          );
+        grid.addOnLoad(apply);
+        apply();
+        return () => {
+          grid.removeOnLoad(apply);
+          EditableGrid.rules.set(
+            grid.Name,
+            (EditableGrid.rules.get(grid.Name) ?? []).filter((r) => r !== rule)
+          );
+        };
       } catch (error: any) {
-        throw new Error(`XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`);
+        throw XrmExError.from(error, "EditableGrid.setCells");
       }
     }
     /**
-     * Adds a handler to be called when the attribute's value is changed.
-     * @param handler The function reference.
+     * Applies the rules of setCells to a row.
+     * @param gridName The name of the grid.
+     * @param row The entity of the row.
      */
-    static addOnChange(
-      fields: Class.Field[],
-      handlers:
-        | Xrm.Events.ContextSensitiveHandler
-        | Xrm.Events.ContextSensitiveHandler[],
-      execute?: boolean
-    ) {
-      try {
-        if (!Array.isArray(handlers)) {
-          handlers = [handlers];
-        }
-        handlers.forEach((handler) => {
-          if (typeof handler !== "function") {
-            throw new Error(`'${handler}' is not a function`);
-          }
-          fields.forEach((field) => {
-            field.removeOnChange(handler);
-            field.addOnChange(handler);
-          });
-        });
-        if (execute) {
-          fields.forEach((field) => {
-            field.Attribute.fireOnChange();
-          });
-        }
-      } catch (error: any) {
-        throw new Error(`XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`);
-      }
+    static applyRules(gridName: string, row: GridRowEntity): void {
+      EditableGrid.rules
+        .get(gridName)
+        ?.forEach((rule) => EditableGrid.applyRule(rule, row));
     }
-
-    static async cloneRecord() {
-      var entityFormOptions = {};
-      var formParameters = {};
-      var entityName = this.formContext.data.entity.getEntityName();
-      entityFormOptions["entityName"] = entityName;
-      this.formContext.data.entity.attributes.forEach((c) => {
-        var attributeType = c.getAttributeType();
-        var attributeName = c.getName();
-        var attributeValue = c.getValue();
-        if (
-          !attributeValue ||
-          attributeName === "createdon" ||
-          attributeName === "modifiedon" ||
-          attributeName === "createdby" ||
-          attributeName === "modifiedby" ||
-          attributeName === "processid" ||
-          attributeName === "stageid" ||
-          attributeName === "ownerid" ||
-          attributeName.startsWith("transactioncurrency")
-        )
-          return;
-        if (
-          attributeType === "lookup" &&
-          !(c as Xrm.Attributes.LookupAttribute).getIsPartyList() &&
-          attributeValue.length > 0
-        ) {
-          formParameters[attributeName] = attributeValue[0].id;
-          formParameters[attributeName + "name"] = attributeValue[0].name;
-          if (
-            attributeName === "customerid" ||
-            attributeName === "parentcustomerid" ||
-            (c.getAttributeType &&
-              c.getAttributeType() === "lookup" &&
-              typeof (c as any).getLookupTypes === "function" &&
-              Array.isArray((c as any).getLookupTypes()) &&
-              (c as any).getLookupTypes().length > 1)
-          ) {
-            formParameters[attributeName + "type"] =
-              attributeValue[0].entityType;
-          }
-        } else if (attributeType === "datetime") {
-          formParameters[attributeName] = new Date(
-            attributeValue
-          ).toISOString();
-        } else {
-          formParameters[attributeName] = attributeValue;
-        }
+    protected static applyRule(rule: EditableGridCellRule, row: GridRowEntity) {
+      if (rule.when && !rule.when(toGridRecord(row))) return;
+      rule.columns.forEach((column) => {
+        if (!row.attributes.get(column)) return;
+        const cell = new Class.GridCell(column, row);
+        if (rule.disabled !== undefined) cell.setDisabled(rule.disabled);
+        if (typeof rule.required === "boolean") cell.setRequired(rule.required);
+        else if (rule.required) cell.setRequiredLevel(rule.required);
       });
-      try {
-        var result = await Xrm.Navigation.openForm(
-          entityFormOptions,
-          formParameters
-        );
-        console.log(result);
-      } catch (error) {
-        console.error(error.message);
-        throw new Error(`XrmEx.${getFunctionName()}:\n${error.message}`);
-      }
     }
   }
 
@@ -1215,8 +6834,11 @@ export namespace XrmEx {
       getValue() {
         return this.Attribute.getValue();
       }
-      setIsValid(isValid: boolean, message?: string): void {
-        return this.Attribute.setIsValid(isValid, message);
+      setIsValid(isValid: boolean, message?: string | ResourceString): void {
+        return this.Attribute.setIsValid(
+          isValid,
+          message && resolveMessage(message)
+        );
       }
 
       public get Attribute(): Xrm.Attributes.Attribute {
@@ -1243,6 +6865,22 @@ export namespace XrmEx {
         this.Attribute.setValue(value);
       }
 
+      /**
+       * Gets the value formatted in the language, time zone and date format of the user, see {@link Format.value}.
+       * @param options (Optional) The options of dates and numbers.
+       * @returns The formatted value, or an empty string if the field has no value.
+       * @example
+       * fields.Birthday.getFormattedValue(); // "11/22/2000"
+       * fields.Revenue.getFormattedValue({ currencySymbol: "€" }); // "€1,234.50"
+       */
+      getFormattedValue(options?: FormatOptions): string {
+        try {
+          return Format.value(this.Attribute, this.Value, options);
+        } catch (error: any) {
+          throw XrmExError.from(error, XrmEx.getFunctionName());
+        }
+      }
+
       /**
        * Sets a control-local notification message.
        * @param message The message.
@@ -1251,18 +6889,20 @@ export namespace XrmEx {
        * @remarks     When this method is used on Microsoft Dynamics CRM for tablets a red "X" icon
        *              appears next to the control. Tapping on the icon will display the message.
        */
-      public setNotification(message: string, uniqueId: string): this {
+      public setNotification(
+        message: string | ResourceString,
+        uniqueId: string
+      ): this {
         try {
           if (!message) throw new Error(`no message was provided.`);
           if (!uniqueId) throw new Error(`no uniqueId was provided.`);
+          const text = resolveMessage(message);
           this.controls.forEach((control) =>
-            control.setNotification(message, uniqueId)
+            control.setNotification(text, uniqueId)
           );
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
 
@@ -1275,9 +6915,7 @@ export namespace XrmEx {
           this.controls.forEach((control) => control.setVisible(visible));
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
 
@@ -1290,9 +6928,7 @@ export namespace XrmEx {
           this.controls.forEach((control) => control.setDisabled(disabled));
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
 
@@ -1307,9 +6943,7 @@ export namespace XrmEx {
           this.Attribute.setRequiredLevel(requirementLevel);
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
 
@@ -1322,9 +6956,7 @@ export namespace XrmEx {
           this.Attribute.setRequiredLevel(required ? "required" : "none");
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
 
@@ -1334,9 +6966,7 @@ export namespace XrmEx {
           this.Attribute.fireOnChange();
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
 
@@ -1365,17 +6995,25 @@ export namespace XrmEx {
           }
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
 
+      /**
+       * Registers validators which run when the value changes and on save.
+       * @param validators The validators, f.e. from {@link Validation.regex}.
+       * @see {@link Validation.register}
+       */
+      public addValidators(...validators: Validator[]): this {
+        Validation.register(this, validators);
+        return this;
+      }
+
       /**
        * Displays an error or recommendation notification for a control, and lets you specify actions to execute based on the notification.
        */
       public addNotification(
-        message: string,
+        message: string | ResourceString,
         notificationLevel: "ERROR" | "RECOMMENDATION",
         uniqueId: string,
         actions?: Xrm.Controls.ControlNotificationAction[]
@@ -1388,7 +7026,7 @@ export namespace XrmEx {
             );
           this.controls.forEach((control) => {
             control.addNotification({
-              messages: [message],
+              messages: [resolveMessage(message)],
               notificationLevel: notificationLevel,
               uniqueId: uniqueId,
               actions: actions,
@@ -1396,9 +7034,7 @@ export namespace XrmEx {
           });
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
       /**
@@ -1414,9 +7050,7 @@ export namespace XrmEx {
           });
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
     }
@@ -1669,9 +7303,7 @@ export namespace XrmEx {
               : [lookupValue];
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
       /**
@@ -1718,41 +7350,54 @@ export namespace XrmEx {
        *   option in parentheses after the navigation property name. Use this for both single-valued and
        *   collection-valued navigation properties.
        * - You can also specify multiple query options by using & to separate the query options.
+       * - Instead of a string, a {@link Query} can be passed.
        * @example <caption>options example:</caption>
        * options: $select=name&$expand=primarycontactid($select=contactid,fullname)
+       * options: new XrmEx.Query().select("name").expand("primarycontactid", (q) => q.select("contactid", "fullname"))
+       * @param retryPolicy (Optional) A retry policy for this call.
        * @returns On success, returns a promise containing a JSON object with the retrieved attributes and their values.
        * @see {@link https://docs.microsoft.com/en-us/dynamics365/customer-engagement/developer/clientapi/reference/xrm-webapi/retrieverecord External Link: retrieveRecord (Client API reference)}
        */
-      async retrieve(options: string) {
+      async retrieve(options: string | Query, retryPolicy?: RetryPolicy) {
         try {
           if (!this.Id || !this.EntityType) return null;
-          const record = await Xrm.WebApi.retrieveRecord(
-            this.EntityType,
-            this.Id,
-            options
+          const record = await withRetry(
+            () =>
+              Xrm.WebApi.retrieveRecord(
+                this.EntityType,
+                this.Id,
+                options?.toString()
+              ),
+            true,
+            retryPolicy
           );
           return record;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
       /**
        * Adds an additional custom filter to the lookup, with the "AND" filter operator.
-       * @param filter Specifies the filter, as a serialized FetchXML "filter" node.
+       * @param filter Specifies the filter, as a serialized FetchXML "filter" node, a {@link FetchXmlFilterBuilder}
+       *               or a {@link FetchXml} whose filters are applied to its entity.
        * @param entityLogicalName (Optional) The logical name of the entity.
        * @remarks     If entityLogicalName is not specified, the filter will be applied to all entities
        *              valid for the Lookup control.
        * @example     Example filter: <filter type="and">
        *                              <condition attribute="address1_city" operator="eq" value="Redmond" />
        *                              </filter>
+       * @example     new XrmEx.FetchXmlFilterBuilder().condition("address1_city", "eq", "Redmond")
        */
       addPreFilterToLookup(
-        filterXml: string,
+        filterXml: string | FetchXmlFilterBuilder | FetchXml,
         entityLogicalName?: string
       ): this {
         try {
+          if (filterXml instanceof FetchXml) {
+            entityLogicalName ??= filterXml.entityName;
+            filterXml = filterXml.getFilterXml();
+          } else filterXml = filterXml?.toString();
+          if (!filterXml) throw new Error(`no filter was provided.`);
           _addCustomFilter.controls = this.controls;
           this.controls.forEach((control) => {
             control.addPreSearch(_addCustomFilter);
@@ -1760,14 +7405,12 @@ export namespace XrmEx {
           this._customFilters.push(_addCustomFilter);
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
 
         function _addCustomFilter() {
           _addCustomFilter.controls.forEach((control) => {
-            control.addCustomFilter(filterXml, entityLogicalName);
+            control.addCustomFilter(filterXml as string, entityLogicalName);
           });
         }
       }
@@ -1775,8 +7418,8 @@ export namespace XrmEx {
        * @deprecated Use {@link LookupField.addCustomView} instead, which provides more flexible filtering capabilities and better performance
        * Adds an additional custom filter to the lookup, with the "AND" filter operator.
        * @param entityLogicalName (Optional) The logical name of the entity.
-       * @param primaryAttributeIdName (Optional) The logical name of the primary key.
-       * @param fetchXml Specifies the FetchXML used to filter.
+       * @param primaryAttributeIdName (Optional) The logical name of the primary key. Defaults to the primary id attribute of the entity metadata.
+       * @param fetchXml Specifies the FetchXML used to filter, as a string or a {@link FetchXml}. All pages of the result are retrieved.
        * @remarks     If entityLogicalName is not specified, the filter will be applied to all entities
        *              valid for the Lookup control.
        * @example     Example fetchXml: <fetch>
@@ -1790,102 +7433,100 @@ export namespace XrmEx {
       async addPreFilterToLookupAdvanced(
         entityLogicalName: string,
         primaryAttributeIdName: string,
-        fetchXml: string
+        fetchXml: string | FetchXml
       ): Promise<void> {
+        let filterXml: string;
         try {
-          const result = await Xrm.WebApi.online.retrieveMultipleRecords(
-            entityLogicalName,
-            "?fetchXml=" + fetchXml
+          const query =
+            fetchXml instanceof FetchXml ? fetchXml : FetchXml.parse(fetchXml);
+          entityLogicalName ??= query.entityName;
+          primaryAttributeIdName ??= await Metadata.getPrimaryIdAttribute(
+            entityLogicalName
           );
-          const data = result.entities;
-          let filteredEntities = "";
+          const records = await retrieveAll(entityLogicalName, fetchXml);
+          const ids = records
+            .map((item) => item[primaryAttributeIdName])
+            .filter((id) => id);
+          const filter = new FetchXmlFilterBuilder("and");
+          if (ids.length) filter.condition(primaryAttributeIdName, "in", ids);
+          else filter.condition(primaryAttributeIdName, "null");
+          filterXml = filter.toString();
           _addCustomFilter.controls = this.controls;
-          data.forEach((item) => {
-            filteredEntities += `<value>${item[primaryAttributeIdName]}</value>`;
-          });
-          fetchXml = filteredEntities
-            ? `<filter><condition attribute='${primaryAttributeIdName}' operator='in'>${filteredEntities}</condition></filter>`
-            : `<filter><condition attribute='${primaryAttributeIdName}' operator='null'/></filter>`;
           this.controls.forEach((control) => {
             control.addPreSearch(_addCustomFilter);
           });
           this._customFilters.push(_addCustomFilter);
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
         function _addCustomFilter() {
           _addCustomFilter.controls.forEach((control) => {
-            control.addCustomFilter(fetchXml, entityLogicalName);
+            control.addCustomFilter(filterXml, entityLogicalName);
           });
         }
       }
       /**
        * Adds a custom view to filter the lookup using FetchXML
        * Only works for one table at a time, cannot add views for multiple tables at the same time
-       * @param fetchXml The complete FetchXML query including filtering conditions
-       * @returns The LookupField instance for method chaining
+       * The primary key of the view is read from the entity metadata.
+       * @param fetchXml The complete FetchXML query including filtering conditions, as a string or a {@link FetchXml}
+       * @returns The LookupField instance for method chaining, once the view was added
        */
-      addCustomView(fetchXml: string): this {
+      async addCustomView(fetchXml: string | FetchXml): Promise<this> {
         try {
           if (!fetchXml) {
             throw new Error("FetchXML is required");
           }
-          const targetEntity = this.extractEntityFromFetchXml(fetchXml);
-          const layoutXml = this.generateLayoutXml(fetchXml);
+          const query =
+            fetchXml instanceof FetchXml ? fetchXml : FetchXml.parse(fetchXml);
+          const layoutXml = this.generateLayoutXml(
+            query,
+            await Metadata.getPrimaryIdAttribute(query.entityName)
+          );
 
           this.controls.forEach((control) => {
             control.addCustomView(
               this.viewId,
-              targetEntity,
+              query.entityName,
               "Filtered View",
-              fetchXml,
+              // A string is passed as it is, attributes unknown to FetchXml would be lost
+              fetchXml.toString(),
               layoutXml,
               true
             );
           });
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
 
       /**
-       * Extracts entity name from fetchXml
+       * Generates layoutXml based on the attributes of the entity and aliased link-entities
        */
-      private extractEntityFromFetchXml(fetchXml: string): string {
-        const match = fetchXml.match(/<entity.*?name=['"](.*?)['"]/);
-        if (!match) {
-          throw new Error("Could not extract entity name from fetchXml");
-        }
-        return match[1];
-      }
-
-      /**
-       * Generates layoutXml based on fetchXml attributes
-       */
-      private generateLayoutXml(fetchXml: string): string {
-        const attributes: string[] = [];
-        const regex = /<attribute.*?name=['"](.*?)['"]/g;
-        let match;
-
-        // Get up to 3 non-id attributes
-        while (
-          (match = regex.exec(fetchXml)) !== null &&
-          attributes.length < 3
-        ) {
-          if (!match[1].endsWith("id")) {
-            attributes.push(match[1]);
-          }
-        }
+      private generateLayoutXml(
+        fetchXml: FetchXml,
+        primaryIdAttribute: string
+      ): string {
+        const attributes = [
+          ...fetchXml.entity.attributes.map((attribute) => attribute.name),
+          ...fetchXml
+            .getLinkEntities()
+            .filter((link) => link.alias)
+            .flatMap((link) =>
+              link.attributes.map(
+                (attribute) => `${link.alias}.${attribute.name}`
+              )
+            ),
+        ]
+          .filter((name) => name !== primaryIdAttribute)
+          .slice(0, 3);
 
-        // If we didn't get any attributes, try to get the first attribute even if it's an ID
+        // If we didn't get any attributes, fall back to the primary key or name
         if (attributes.length === 0) {
-          const firstMatch = regex.exec(fetchXml);
-          attributes.push(firstMatch ? firstMatch[1] : "name");
+          attributes.push(
+            fetchXml.entity.attributes.length ? primaryIdAttribute : "name"
+          );
         }
 
         // Generate cells based on available attributes
@@ -1897,7 +7538,7 @@ export namespace XrmEx {
           .join("\n        ");
 
         return `<grid name='resultset' object='1' jump='${attributes[0]}' select='1' icon='1' preview='1'>
-      <row name='result' id='${attributes[0]}'>
+      <row name='result' id='${primaryIdAttribute}'>
         ${cells}
       </row>
     </grid>`;
@@ -1916,9 +7557,7 @@ export namespace XrmEx {
           );
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
     }
@@ -2001,9 +7640,7 @@ export namespace XrmEx {
           }
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
       /**
@@ -2024,9 +7661,7 @@ export namespace XrmEx {
           }
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
       /**
@@ -2037,9 +7672,7 @@ export namespace XrmEx {
           this.control.clearOptions();
           return this;
         } catch (error: any) {
-          throw new Error(
-            `XrmEx.${XrmEx.getFunctionName()}:\n${error.message}`
-          );
+          throw XrmExError.from(error, XrmEx.getFunctionName());
         }
       }
     }
@@ -2151,6 +7784,150 @@ export namespace XrmEx {
       public get Grid(): Xrm.Controls.Grid {
         return this.GridControl.getGrid();
       }
+      protected static recordSelectHandlers = new Map<
+        string,
+        GridRecordSelectHandler[]
+      >();
+      /**Gets the records of the loaded page of the grid*/
+      getRecords(): GridRecord[] {
+        const records: GridRecord[] = [];
+        this.Grid.getRows().forEach((row) =>
+          records.push(toGridRecord(row.getData().getEntity()))
+        );
+        return records;
+      }
+      /**Gets the selected records of the grid*/
+      getSelectedRecords(): GridRecord[] {
+        const records: GridRecord[] = [];
+        this.Grid.getSelectedRows().forEach((row) =>
+          records.push(toGridRecord(row.getData().getEntity()))
+        );
+        return records;
+      }
+      /**
+       * Adds a handler to be called when a record of the editable grid is selected.
+       * Register XrmEx.Class.GridControl.onRecordSelect as OnRecordSelect event handler of the grid in the form designer,
+       * pass the execution context and the name of the grid as parameter, f.e. "Contacts".
+       * @param handler The handler.
+       */
+      addOnRecordSelect(handler: GridRecordSelectHandler): void {
+        const handlers = GridControl.recordSelectHandlers.get(this.Name) ?? [];
+        GridControl.recordSelectHandlers.set(this.Name, [
+          ...handlers.filter((h) => h !== handler),
+          handler,
+        ]);
+      }
+      /**
+       * Removes a handler added with addOnRecordSelect.
+       * @param handler The handler.
+       */
+      removeOnRecordSelect(handler: GridRecordSelectHandler): void {
+        const handlers = GridControl.recordSelectHandlers.get(this.Name) ?? [];
+        GridControl.recordSelectHandlers.set(
+          this.Name,
+          handlers.filter((h) => h !== handler)
+        );
+      }
+      /**
+       * The OnRecordSelect event handler to register in the form designer. Calls the handlers of addOnRecordSelect.
+       * @param executionContext The execution context.
+       * @param gridName The name of the grid.
+       */
+      static onRecordSelect(
+        executionContext: Xrm.Events.EventContext,
+        gridName: string
+      ): void {
+        try {
+          EditableGrid.executionContext = executionContext;
+          EditableGrid.applyRules(gridName, EditableGrid.row);
+          const record = EditableGrid.record;
+          GridControl.recordSelectHandlers
+            .get(gridName)
+            ?.forEach((handler) => handler(record, executionContext));
+        } catch (error: any) {
+          throw XrmExError.from(error, "GridControl.onRecordSelect");
+        }
+      }
+      /**
+       * Waits until the grid is loaded.
+       * @param options (Optional) reload: true refreshes the grid and waits for the new records. timeout: the milliseconds to wait, default 30000.
+       * @returns The total number of records.
+       */
+      whenLoaded(options?: {
+        reload?: boolean;
+        timeout?: number;
+      }): Promise<number> {
+        return new Promise((resolve, reject) => {
+          try {
+            if (!options?.reload && this.Grid.getTotalRecordCount() >= 0)
+              return resolve(this.Grid.getTotalRecordCount());
+            const onLoad = () => {
+              clearTimeout(timer);
+              this.removeOnLoad(onLoad);
+              resolve(this.Grid.getTotalRecordCount());
+            };
+            const timer = setTimeout(() => {
+              this.removeOnLoad(onLoad);
+              reject(
+                new XrmExError(`The grid '${this.Name}' did not load.`, {
+                  method: "GridControl.whenLoaded",
+                })
+              );
+            }, options?.timeout ?? 30000);
+            this.addOnLoad(onLoad);
+            if (options?.reload) this.refresh();
+          } catch (error: any) {
+            reject(XrmExError.from(error, "GridControl.whenLoaded"));
+          }
+        });
+      }
+      /**
+       * Replaces the filter of the grid and refreshes it.
+       * This uses the unsupported setFilterXml of the platform and throws if it is not available.
+       * @param filter The FetchXML filter node.
+       * @example
+       * grid.setFilterXml(new XrmEx.FetchXmlFilterBuilder().condition("statecode", "eq", 0));
+       */
+      setFilterXml(filter: string | FetchXmlFilterBuilder): void {
+        const gridControl = this.GridControl as Xrm.Controls.GridControl & {
+          setFilterXml?: (filterXml: string) => void;
+        };
+        if (typeof gridControl.setFilterXml !== "function")
+          throw new XrmExError(
+            `The grid '${this.Name}' does not support replacing its filter.`,
+            { method: "GridControl.setFilterXml" }
+          );
+        gridControl.setFilterXml(filter.toString());
+        this.refresh();
+      }
+      /**
+       * Replaces the filter of the grid with the filters of a FetchXML query and refreshes it.
+       * Only the filters of the entity are applied, queries with link-entities are not supported.
+       * @param fetchXml The FetchXML query for the entity of the grid.
+       */
+      setFetchXml(fetchXml: string | FetchXml): void {
+        const query =
+          typeof fetchXml === "string" ? FetchXml.parse(fetchXml) : fetchXml;
+        if (query.entityName !== this.getEntityName())
+          throw new XrmExError(
+            `The query is for '${
+              query.entityName
+            }' instead of '${this.getEntityName()}'.`,
+            { method: "GridControl.setFetchXml" }
+          );
+        if (query.entity.links.length)
+          throw new XrmExError(`link-entities are not supported.`, {
+            method: "GridControl.setFetchXml",
+          });
+        const filters = query.entity.filters;
+        this.setFilterXml(
+          new FetchXmlFilterBuilder(
+            filters.length === 1
+              ? filters[0]
+              : { type: "and", conditions: [], filters }
+          )
+        );
+      }
       addOnLoad(handler: Xrm.Events.GridControl.LoadEventHandler): void {
         this.GridControl.removeOnLoad(handler as any);
         return this.GridControl.addOnLoad(handler);
@@ -2210,5 +7987,39 @@ export namespace XrmEx {
         return this.GridControl.setVisible(visible);
       }
     }
+    /**
+     * A cell of a row of an editable grid, supporting the methods of {@link Field} which the platform supports for grid cells,
+     * f.e. setDisabled, setRequired and setNotification.
+     * @see {@link EditableGrid}
+     */
+    export class GridCell extends Field {
+      protected readonly _row?: Xrm.Controls.Grid.GridEntity | Xrm.Entity;
+      /**
+       * @param attributeName The logical name of the column.
+       * @param row (Optional) The entity of the row. Default: the row of the current event, see {@link EditableGrid.executionContext}.
+       */
+      constructor(
+        attributeName: string,
+        row?: Xrm.Controls.Grid.GridEntity | Xrm.Entity
+      ) {
+        super(attributeName);
+        this._row = row;
+      }
+      public get Attribute(): Xrm.Attributes.Attribute {
+        const row = (this._row ?? EditableGrid.row) as GridRowEntity;
+        return (
+          row.attributes.get(this.Name) ??
+          XrmEx.throwError(
+            `The column '${this.Name}' was not found in the row.`
+          )
+        );
+      }
+      /**Gets true if the cell is disabled*/
+      public get Disabled(): boolean {
+        return (
+          this.controls.get(0) as Xrm.Controls.StandardControl
+        )?.getDisabled();
+      }
+    }
   }
 }
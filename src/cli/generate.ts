@@ -0,0 +1,651 @@
+#!/usr/bin/env node
+/**
+ * Generates typed XrmEx classes for the fields, tabs, sections and grids of Dataverse entities.
+ *
+ * Reads entity metadata and form XML from:
+ * - the customizations.xml of an exported (and extracted) solution
+ * - saved Web API responses of EntityDefinitions (with expanded Attributes and OptionSets) and systemforms
+ * - form XML files
+ *
+ * @example
+ * npx xrm-ex-generate customizations.xml --out src/Contact.generated.ts --entity contact
+ * npx xrm-ex-generate contact.json contactforms.json --out src/Contact.generated.ts
+ */
+import {
+  readdirSync,
+  readFileSync,
+  realpathSync,
+  statSync,
+  writeFileSync,
+} from "fs";
+import { join } from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * An element of a parsed XML document.
+ * The CLI has a parser of its own, because XrmEx.ts is built as a script for web resources and cannot share modules.
+ */
+type XmlElement = {
+  name: string;
+  attributes: { [key: string]: string };
+  children: XmlElement[];
+  text: string;
+};
+const xmlEntities = {
+  lt: "<",
+  gt: ">",
+  amp: "&",
+  quot: '"',
+  apos: "'",
+};
+const decodeXml = (value: string): string =>
+  value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity: string) => {
+    if (entity.startsWith("#x"))
+      return String.fromCodePoint(parseInt(entity.substring(2), 16));
+    if (entity.startsWith("#"))
+      return String.fromCodePoint(parseInt(entity.substring(1), 10));
+    return xmlEntities[entity] ?? match;
+  });
+/**
+ * Parses an XML string into a tree of elements.
+ * Comments, processing instructions and doctypes are ignored.
+ * @param xml The XML string to parse.
+ * @returns {XmlElement} - The root element of the document.
+ * @throws {Error} - Throws an error if the XML is not well-formed.
+ */
+const parseXml = (xml: string): XmlElement => {
+  const document: XmlElement = {
+    name: "",
+    attributes: {},
+    children: [],
+    text: "",
+  };
+  const stack = [document];
+  const tokens =
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let position = 0;
+  let match: RegExpExecArray;
+  while ((match = tokens.exec(xml)) !== null) {
+    if (match.index !== position)
+      throw new Error(`invalid xml at position ${position}.`);
+    position = tokens.lastIndex;
+    const [, cdata, closingTag, openingTag, attributes, selfClosing, text] =
+      match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) current.text += cdata;
+    else if (text !== undefined) current.text += decodeXml(text);
+    else if (closingTag) {
+      if (stack.length === 1 || current.name !== closingTag)
+        throw new Error(`unexpected closing tag '${closingTag}'.`);
+      current.text = current.text.trim();
+      stack.pop();
+    } else if (openingTag) {
+      const element: XmlElement = {
+        name: openingTag,
+        attributes: {},
+        children: [],
+        text: "",
+      };
+      const attributeTokens = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute: RegExpExecArray;
+      while ((attribute = attributeTokens.exec(attributes)) !== null) {
+        element.attributes[attribute[1]] = decodeXml(
+          attribute[2] ?? attribute[3]
+        );
+      }
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  if (position !== xml.length)
+    throw new Error(`invalid xml at position ${position}.`);
+  if (stack.length > 1)
+    throw new Error(`missing closing tag '${stack[stack.length - 1].name}'.`);
+  if (document.children.length !== 1)
+    throw new Error(`the xml must have exactly one root element.`);
+  return document.children[0];
+};
+/**Returns the first child element with the given name (case-insensitive)*/
+const child = (element: XmlElement, name: string): XmlElement =>
+  element?.children.find((c) => c.name.toLowerCase() === name.toLowerCase());
+/**Returns all child elements with the given name (case-insensitive)*/
+const children = (element: XmlElement, name: string): XmlElement[] =>
+  element?.children.filter(
+    (c) => c.name.toLowerCase() === name.toLowerCase()
+  ) ?? [];
+/**Returns all descendant elements with the given name (case-insensitive)*/
+const descendants = (element: XmlElement, name: string): XmlElement[] =>
+  element.children.flatMap((c) => [
+    ...(c.name.toLowerCase() === name.toLowerCase() ? [c] : []),
+    ...descendants(c, name),
+  ]);
+
+/**
+ * The XrmEx class of a field.
+ */
+export type FieldKind =
+  | "TextField"
+  | "NumberField"
+  | "DateField"
+  | "BooleanField"
+  | "LookupField"
+  | "OptionsetField"
+  | "MultiSelectOptionSetField"
+  | "Field";
+/**
+ * An option of a choice column.
+ */
+export type OptionModel = { label: string; value: number };
+/**
+ * An attribute of an entity.
+ */
+export type AttributeModel = {
+  logicalName: string;
+  label?: string;
+  kind: FieldKind;
+  options?: OptionModel[];
+};
+/**
+ * A form of an entity with its tabs, sections and grids.
+ */
+export type FormModel = {
+  name: string;
+  tabs: {
+    name: string;
+    label?: string;
+    sections: { name: string; label?: string }[];
+  }[];
+  grids: { name: string; label?: string }[];
+};
+/**
+ * An entity with its attributes and forms.
+ */
+export type EntityModel = {
+  logicalName: string;
+  schemaName?: string;
+  attributes: AttributeModel[];
+  forms: FormModel[];
+};
+/**
+ * Options of {@link readMetadata} and {@link generate}.
+ * @property {number} [languageCode] - The language of the labels used for names. Defaults to 1033.
+ * @property {string} [entity] - The logical name of the entity of form XML files and the only entity to generate.
+ * @property {string} [reference] - The path to XrmEx.d.ts, emitted as triple-slash reference.
+ * @property {boolean} [exports] - Whether to export the generated classes.
+ */
+export type GenerateOptions = {
+  languageCode?: number;
+  entity?: string;
+  reference?: string;
+  exports?: boolean;
+};
+
+/**The class IDs of subgrid and editable grid controls*/
+const gridClassIds = [
+  "{e7a81278-8635-4d9e-8d4d-59480b391c5b}",
+  "{02d4264b-47e2-4b4c-aa95-f439f3f4d458}",
+];
+const solutionFieldKinds: { [type: string]: FieldKind } = {
+  nvarchar: "TextField",
+  ntext: "TextField",
+  memo: "TextField",
+  int: "NumberField",
+  bigint: "NumberField",
+  decimal: "NumberField",
+  float: "NumberField",
+  money: "NumberField",
+  datetime: "DateField",
+  bit: "BooleanField",
+  lookup: "LookupField",
+  customer: "LookupField",
+  owner: "LookupField",
+  partylist: "LookupField",
+  picklist: "OptionsetField",
+  state: "OptionsetField",
+  status: "OptionsetField",
+  multiselectpicklist: "MultiSelectOptionSetField",
+};
+const webApiFieldKinds: { [type: string]: FieldKind } = {
+  String: "TextField",
+  Memo: "TextField",
+  Integer: "NumberField",
+  BigInt: "NumberField",
+  Decimal: "NumberField",
+  Double: "NumberField",
+  Money: "NumberField",
+  DateTime: "DateField",
+  Boolean: "BooleanField",
+  Lookup: "LookupField",
+  Customer: "LookupField",
+  Owner: "LookupField",
+  PartyList: "LookupField",
+  Picklist: "OptionsetField",
+  State: "OptionsetField",
+  Status: "OptionsetField",
+};
+
+/**Returns the label of a solution element in the given language*/
+const xmlLabel = (
+  element: XmlElement,
+  containerName: string,
+  languageCode: number
+): string => {
+  if (!element) return undefined;
+  const labels = descendants(element, containerName)
+    .slice(0, 1)
+    .flatMap((container) => container.children);
+  const label =
+    labels.find((l) => l.attributes.languagecode === String(languageCode)) ??
+    labels[0];
+  return label?.attributes.description || undefined;
+};
+/**Returns the label of a Web API metadata label in the given language*/
+const webApiLabel = (label: any, languageCode: number): string =>
+  label?.LocalizedLabels?.find((l: any) => l.LanguageCode === languageCode)
+    ?.Label ??
+  label?.UserLocalizedLabel?.Label ??
+  undefined;
+
+const readXmlOptions = (
+  optionSet: XmlElement,
+  languageCode: number
+): OptionModel[] =>
+  ["option", "state", "status"]
+    .flatMap((name) => descendants(optionSet, name))
+    .filter((option) => option.attributes.value !== undefined)
+    .map((option) => ({
+      value: Number(option.attributes.value),
+      label:
+        xmlLabel(option, "labels", languageCode) ?? option.attributes.value,
+    }));
+
+const readXmlForm = (
+  systemForm: XmlElement,
+  languageCode: number
+): FormModel => {
+  const form =
+    systemForm.name.toLowerCase() === "form"
+      ? systemForm
+      : child(systemForm, "form");
+  const name =
+    systemForm.name.toLowerCase() === "form"
+      ? "Main"
+      : xmlLabel(systemForm, "LocalizedNames", languageCode) ??
+        child(systemForm, "formid")?.text ??
+        "Main";
+  return {
+    name,
+    tabs: descendants(form, "tab")
+      .filter((tab) => tab.attributes.name)
+      .map((tab) => ({
+        name: tab.attributes.name,
+        label: xmlLabel(tab, "labels", languageCode),
+        sections: descendants(tab, "section")
+          .filter((section) => section.attributes.name)
+          .map((section) => ({
+            name: section.attributes.name,
+            label: xmlLabel(section, "labels", languageCode),
+          })),
+      })),
+    grids: descendants(form, "control")
+      .filter((control) =>
+        gridClassIds.includes(control.attributes.classid?.toLowerCase())
+      )
+      .map((control) => ({
+        name: control.attributes.id,
+        label: xmlLabel(
+          descendants(form, "cell").find((cell) =>
+            cell.children.includes(control)
+          ),
+          "labels",
+          languageCode
+        ),
+      })),
+  };
+};
+
+const readCustomizations = (
+  root: XmlElement,
+  options: GenerateOptions
+): EntityModel[] => {
+  const languageCode = options.languageCode ?? 1033;
+  const globalOptionSets = new Map(
+    children(child(root, "optionsets"), "optionset").map((optionSet) => [
+      optionSet.attributes.Name?.toLowerCase(),
+      readXmlOptions(optionSet, languageCode),
+    ])
+  );
+  return children(child(root, "Entities"), "Entity").map((entityElement) => {
+    const entity = descendants(entityElement, "entity")[0];
+    const logicalName = (
+      entity?.attributes.Name ?? child(entityElement, "Name").text
+    ).toLowerCase();
+    const attributes = descendants(entity ?? entityElement, "attribute")
+      .filter((attribute) => child(attribute, "LogicalName"))
+      .map((attribute): AttributeModel => {
+        const type = child(attribute, "Type")?.text.toLowerCase();
+        const kind = solutionFieldKinds[type] ?? "Field";
+        const optionSet = child(attribute, "optionset");
+        const globalName = child(attribute, "OptionSetName")?.text;
+        return {
+          logicalName: child(attribute, "LogicalName").text,
+          label: xmlLabel(attribute, "displaynames", languageCode),
+          kind,
+          options:
+            kind === "OptionsetField" || kind === "MultiSelectOptionSetField"
+              ? (optionSet &&
+                  readXmlOptions(optionSet, languageCode).length &&
+                  readXmlOptions(optionSet, languageCode)) ||
+                globalOptionSets.get(globalName?.toLowerCase()) ||
+                []
+              : undefined,
+        };
+      });
+    return {
+      logicalName,
+      schemaName: child(entityElement, "Name")?.text,
+      attributes,
+      forms: descendants(
+        child(entityElement, "FormXml") ?? entityElement,
+        "systemform"
+      )
+        .filter((systemForm) => child(systemForm, "form"))
+        .map((systemForm) => readXmlForm(systemForm, languageCode)),
+    };
+  });
+};
+
+const readWebApiEntity = (
+  definition: any,
+  options: GenerateOptions
+): EntityModel => {
+  const languageCode = options.languageCode ?? 1033;
+  return {
+    logicalName: definition.LogicalName,
+    schemaName: definition.SchemaName,
+    attributes: (definition.Attributes ?? [])
+      .filter((attribute: any) => !attribute.AttributeOf)
+      .filter((attribute: any) => attribute.IsValidForForm !== false)
+      .map((attribute: any): AttributeModel => {
+        const kind =
+          attribute.AttributeTypeName?.Value === "MultiSelectPicklistType"
+            ? "MultiSelectOptionSetField"
+            : webApiFieldKinds[attribute.AttributeType] ?? "Field";
+        const optionSet = attribute.OptionSet ?? attribute.GlobalOptionSet;
+        return {
+          logicalName: attribute.LogicalName,
+          label: webApiLabel(attribute.DisplayName, languageCode),
+          kind,
+          options:
+            kind === "OptionsetField" || kind === "MultiSelectOptionSetField"
+              ? (optionSet?.Options ?? []).map((option: any) => ({
+                  value: option.Value,
+                  label:
+                    webApiLabel(option.Label, languageCode) ??
+                    String(option.Value),
+                }))
+              : undefined,
+        };
+      }),
+    forms: [],
+  };
+};
+
+/**
+ * Reads entity metadata and forms from the content of a file.
+ * @param content The content of a customizations.xml, a form XML or a JSON file with Web API metadata or systemforms.
+ * @param options (Optional) The language of the labels and the entity of form XML files.
+ * @returns The entities found in the file.
+ */
+export function readMetadata(
+  content: string,
+  options: GenerateOptions = {}
+): EntityModel[] {
+  const languageCode = options.languageCode ?? 1033;
+  const text = content.replace(/^\uFEFF/, "").trim();
+  if (text.startsWith("<")) {
+    const root = parseXml(text);
+    const name = root.name.toLowerCase();
+    if (name === "importexportxml") return readCustomizations(root, options);
+    if (name === "form" || name === "systemform")
+      return [
+        {
+          logicalName: options.entity ?? "form",
+          attributes: [],
+          forms: [readXmlForm(root, languageCode)],
+        },
+      ];
+    throw new Error(`'${root.name}' is not a supported root element.`);
+  }
+  const json = JSON.parse(text);
+  const items: any[] = Array.isArray(json) ? json : json.value ?? [json];
+  return items.map((item): EntityModel => {
+    if (item.formxml) {
+      const form = readXmlForm(parseXml(item.formxml), languageCode);
+      if (item.name) form.name = item.name;
+      return {
+        logicalName: item.objecttypecode ?? options.entity ?? "form",
+        attributes: [],
+        forms: [form],
+      };
+    }
+    if (item.LogicalName) return readWebApiEntity(item, options);
+    throw new Error(
+      `the JSON contains neither EntityDefinitions nor systemforms.`
+    );
+  });
+}
+
+/**Merges entities with the same logical name*/
+const mergeEntities = (entities: EntityModel[]): EntityModel[] => {
+  const merged = new Map<string, EntityModel>();
+  for (const entity of entities) {
+    const existing = merged.get(entity.logicalName);
+    if (!existing) {
+      merged.set(entity.logicalName, {
+        ...entity,
+        attributes: [...entity.attributes],
+        forms: [...entity.forms],
+      });
+      continue;
+    }
+    existing.schemaName ??= entity.schemaName;
+    for (const attribute of entity.attributes) {
+      if (
+        !existing.attributes.some(
+          (a) => a.logicalName === attribute.logicalName
+        )
+      )
+        existing.attributes.push(attribute);
+    }
+    existing.forms.push(...entity.forms);
+  }
+  return [...merged.values()];
+};
+
+/**Converts a label or logical name into a PascalCase identifier*/
+const toIdentifier = (value: string): string => {
+  const identifier = (value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.substring(1))
+    .join("");
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+};
+/**Returns a function which makes identifiers unique within a scope*/
+const uniqueNames = () => {
+  const used = new Set<string>();
+  return (...candidates: string[]): string => {
+    const base = candidates.map(toIdentifier).find(Boolean) || "_";
+    let name = base;
+    for (let i = 2; used.has(name); i++) name = `${base}${i}`;
+    used.add(name);
+    return name;
+  };
+};
+const quote = (value: string) => JSON.stringify(value);
+const comment = (label: string, indent: string) =>
+  label ? `${indent}/**${label.replace(/\*\//g, "* /")}*/\n` : "";
+
+/**
+ * Generates TypeScript classes with the XrmEx fields, tabs, sections and grids of entities.
+ * @param entities The entities, f.e. from {@link readMetadata}.
+ * @param options (Optional) The entity to generate, the reference to XrmEx.d.ts and whether to export the classes.
+ * @returns The TypeScript source.
+ */
+export function generate(
+  entities: EntityModel[],
+  options: GenerateOptions = {}
+): string {
+  const exported = options.exports ? "export " : "";
+  const lines: string[] = [];
+  if (options.reference)
+    lines.push(`/// <reference path=${quote(options.reference)} />`);
+  lines.push(
+    "// Generated by xrm-ex-generate. Changes will be overwritten.",
+    ""
+  );
+  const classNames = uniqueNames();
+  for (const entity of mergeEntities(entities).filter(
+    (e) => !options.entity || e.logicalName === options.entity
+  )) {
+    const prefix = toIdentifier(entity.schemaName ?? entity.logicalName);
+    if (entity.attributes.length) {
+      const fieldNames = uniqueNames();
+      lines.push(`${exported}class ${classNames(`${prefix}Fields`)} {`);
+      for (const attribute of [...entity.attributes].sort((a, b) =>
+        a.logicalName.localeCompare(b.logicalName)
+      )) {
+        const name = fieldNames(attribute.label, attribute.logicalName);
+        let options = "";
+        if (attribute.options) {
+          const optionNames = uniqueNames();
+          options = `, {\n${attribute.options
+            .map(
+              (option) =>
+                `    ${optionNames(option.label, `Option${option.value}`)}: ${
+                  option.value
+                },\n`
+            )
+            .join("")}  }`;
+        }
+        lines.push(
+          comment(attribute.label, "  ") +
+            `  ${name} = new XrmEx.Class.${attribute.kind}(${quote(
+              attribute.logicalName
+            )}${options});`
+        );
+      }
+      lines.push("}", "");
+    }
+    for (const form of entity.forms) {
+      const formPrefix = `${prefix}${toIdentifier(form.name)}`;
+      const tabNames = uniqueNames();
+      lines.push(`${exported}class ${classNames(`${formPrefix}Tabs`)} {`);
+      for (const tab of form.tabs) {
+        const sectionNames = uniqueNames();
+        const sections = tab.sections
+          .map(
+            (section) =>
+              comment(section.label, "    ") +
+              `    ${sectionNames(
+                section.label,
+                section.name
+              )}: new XrmEx.Class.Section(${quote(section.name)}),\n`
+          )
+          .join("");
+        lines.push(
+          comment(tab.label, "  ") +
+            `  ${tabNames(tab.label, tab.name)} = new XrmEx.Class.Tab(${quote(
+              tab.name
+            )}, {\n${sections}  });`
+        );
+      }
+      lines.push("}", "");
+      if (!form.grids.length) continue;
+      const gridNames = uniqueNames();
+      lines.push(`${exported}class ${classNames(`${formPrefix}Grids`)} {`);
+      for (const grid of form.grids) {
+        lines.push(
+          comment(grid.label, "  ") +
+            `  ${gridNames(
+              grid.label,
+              grid.name
+            )} = new XrmEx.Class.GridControl(${quote(grid.name)});`
+        );
+      }
+      lines.push("}", "");
+    }
+  }
+  return lines.join("\n");
+}
+
+/**Reads a file, or the customizations.xml of an extracted solution folder*/
+const readInput = (path: string): string => {
+  if (!statSync(path).isDirectory()) return readFileSync(path, "utf8");
+  const file = readdirSync(path).find(
+    (name) => name.toLowerCase() === "customizations.xml"
+  );
+  if (!file) throw new Error(`'${path}' contains no customizations.xml.`);
+  return readFileSync(join(path, file), "utf8");
+};
+
+const usage = `Usage: xrm-ex-generate <files...> [options]
+
+Files:
+  customizations.xml (or an extracted solution folder), form XML files and JSON files
+  with EntityDefinitions (expand Attributes and OptionSets) or systemforms of the Web API.
+
+Options:
+  --out <file>          Writes the classes to a file instead of stdout
+  --entity <name>       Generates only this entity, also used for form XML files
+  --language <code>     The language code of the labels used for names (default 1033)
+  --reference <path>    Adds a reference to XrmEx.d.ts
+  --export              Exports the generated classes
+  --help                Shows this help`;
+
+/**
+ * Runs the command line interface.
+ * @param args The command line arguments.
+ */
+export function main(args: string[]): void {
+  const files: string[] = [];
+  const options: GenerateOptions = {};
+  let out: string;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--help" || arg === "-h") return console.log(usage);
+    else if (arg === "--out") out = args[++i];
+    else if (arg === "--entity") options.entity = args[++i]?.toLowerCase();
+    else if (arg === "--language") options.languageCode = Number(args[++i]);
+    else if (arg === "--reference") options.reference = args[++i];
+    else if (arg === "--export") options.exports = true;
+    else if (arg.startsWith("--")) throw new Error(`unknown option '${arg}'.`);
+    else files.push(arg);
+  }
+  if (!files.length) return console.log(usage);
+  const entities = files.flatMap((file) => {
+    try {
+      return readMetadata(readInput(file), options);
+    } catch (error: any) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  });
+  const source = generate(entities, options);
+  if (out) writeFileSync(out, source, "utf8");
+  else console.log(source);
+}
+
+if (
+  process.argv[1] &&
+  realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error: any) {
+    console.error(`xrm-ex-generate: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
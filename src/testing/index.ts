@@ -0,0 +1,1348 @@
+/// <reference types="xrm" />
+/**
+ * An in-memory fake of the Xrm object for unit tests of form scripts which use XrmEx.
+ *
+ * Builds a form from a declarative description of its attributes, controls, tabs, sections, grids and
+ * business process flow, and a Web API backed by an in-memory record store which records all requests.
+ *
+ * @example
+ * import { createFakeXrm } from "xrm-ex/testing";
+ *
+ * const fake = createFakeXrm({
+ *   form: {
+ *     entityName: "contact",
+ *     attributes: [
+ *       { name: "firstname", value: "Joe" },
+ *       { name: "parentcustomerid", type: "lookup", targets: ["account", "contact"] },
+ *     ],
+ *   },
+ *   webApi: { responses: { new_CheckCredit: { Approved: true } } },
+ * });
+ * XrmEx.Form.formContext = fake.executionContext;
+ * await onLoad(fake.executionContext);
+ * fake.assertRequired("parentcustomerid", "required");
+ * fake.assertNotification("firstname", "Must start with an uppercase letter.");
+ */
+
+/**
+ * An attribute of the fake form.
+ * @property {string} name - The logical name.
+ * @property {Xrm.Attributes.AttributeType} [type] - The type. Default: string.
+ * @property {string} [format] - The format, f.e. email or date.
+ * @property {Array} [options] - The options of optionset, multiselectoptionset and boolean attributes.
+ * @property {string[]} [targets] - The entities of a lookup.
+ * @property {string[]} [controls] - The names of the controls. Default: one control with the name of the attribute.
+ */
+export type FakeAttributeDescription = {
+  name: string;
+  type?: Xrm.Attributes.AttributeType;
+  format?: string;
+  value?: any;
+  label?: string;
+  requiredLevel?: Xrm.Attributes.RequirementLevel;
+  options?: Xrm.OptionSetValue[];
+  targets?: string[];
+  maxLength?: number;
+  disabled?: boolean;
+  visible?: boolean;
+  controls?: string[];
+};
+/**A section of a tab of the fake form*/
+export type FakeSectionDescription = {
+  name: string;
+  label?: string;
+  visible?: boolean;
+};
+/**A tab of the fake form*/
+export type FakeTabDescription = {
+  name: string;
+  label?: string;
+  visible?: boolean;
+  expanded?: boolean;
+  sections?: FakeSectionDescription[];
+};
+/**
+ * A grid of the fake form.
+ * @property {string} entityName - The entity of the records.
+ * @property {Array} [rows] - The records. The id is read from id or <entityName>id.
+ * @property {string[]} [selected] - The ids of the selected records.
+ * @property {string} [primaryAttribute] - The attribute returned by getPrimaryAttributeValue. Default: name.
+ */
+export type FakeGridDescription = {
+  name: string;
+  entityName: string;
+  label?: string;
+  rows?: { [attribute: string]: any }[];
+  selected?: string[];
+  primaryAttribute?: string;
+};
+/**A stage of the business process flow of the fake form*/
+export type FakeStageDescription = {
+  id?: string;
+  name: string;
+  entityName?: string;
+  steps?: { name: string; attribute?: string; required?: boolean }[];
+};
+/**
+ * The business process flow of the fake form.
+ * @property {string} [activeStage] - The name of the active stage. Default: the first stage.
+ */
+export type FakeProcessDescription = {
+  id?: string;
+  name?: string;
+  stages: FakeStageDescription[];
+  activeStage?: string;
+};
+/**
+ * The fake form.
+ * @property {number} [formType] - The form type. Default: 2 (update) if an id is provided, otherwise 1 (create).
+ * @property {boolean} [asyncSaveHandlers] - Whether the app setting "Async save handler" is enabled. Only then the save waits for promises returned by OnSave handlers.
+ */
+export type FakeFormDescription = {
+  entityName: string;
+  id?: string;
+  primaryAttribute?: string;
+  formType?: XrmEnum.FormType;
+  attributes?: FakeAttributeDescription[];
+  tabs?: FakeTabDescription[];
+  grids?: FakeGridDescription[];
+  process?: FakeProcessDescription;
+  asyncSaveHandlers?: boolean;
+};
+/**
+ * A canned response of a custom API, action or function. A function receives the request.
+ */
+export type FakeResponse = any | ((request: FakeRequest) => any);
+/**
+ * The fake Web API.
+ * @property {object} [records] - The records by entity name. The id is read from id or <entityName>id.
+ * retrieveMultipleRecords supports $filter conditions with eq or ne joined by and, and FetchXML without filters, and throws for other queries.
+ * @property {object} [responses] - The responses of Xrm.WebApi.online.execute by operation name.
+ * @property {object} [metadata] - The results of Xrm.Utility.getEntityMetadata by entity name.
+ */
+export type FakeWebApiDescription = {
+  records?: { [entityName: string]: { [attribute: string]: any }[] };
+  responses?: { [operationName: string]: FakeResponse };
+  metadata?: { [entityName: string]: any };
+};
+/**
+ * The user of Xrm.Utility.getGlobalContext.
+ * @property {Array} [roles] - The security roles.
+ */
+export type FakeUserDescription = {
+  id?: string;
+  name?: string;
+  languageId?: number;
+  roles?: { id: string; name: string }[];
+};
+/**Options of {@link createFakeXrm}*/
+export type FakeXrmOptions = {
+  form?: FakeFormDescription;
+  webApi?: FakeWebApiDescription;
+  user?: FakeUserDescription;
+  clientUrl?: string;
+  /**Installs the fake as globalThis.Xrm. Default: true.*/
+  global?: boolean;
+};
+/**A request recorded by the fake Web API*/
+export type FakeRequest = {
+  method:
+    | "createRecord"
+    | "retrieveRecord"
+    | "retrieveMultipleRecords"
+    | "updateRecord"
+    | "deleteRecord"
+    | "execute";
+  entityName?: string;
+  id?: string;
+  data?: any;
+  options?: string;
+  operationName?: string;
+  parameters?: { [name: string]: any };
+};
+/**A dialog opened with Xrm.Navigation*/
+export type FakeDialog = {
+  method: string;
+  options: any;
+};
+
+type Handler = (...args: any[]) => any;
+
+const newGuid = (): string => globalThis.crypto.randomUUID();
+const normalizeId = (id: string): string =>
+  id?.toLowerCase().replace(/[{}]/g, "");
+
+const createCollection = <T>(
+  items: T[],
+  getName: (item: T) => string
+): Xrm.Collection.ItemCollection<T> =>
+  ({
+    get: (arg?: any): any => {
+      if (arg === undefined) return [...items];
+      if (typeof arg === "number") return items[arg] ?? null;
+      if (typeof arg === "function") return items.filter(arg);
+      return items.find((item) => getName(item) === arg) ?? null;
+    },
+    forEach: (callback: (item: T, index: number) => void) =>
+      items.forEach(callback),
+    getLength: () => items.length,
+  } as any);
+
+const createEventContext = (
+  formContext: () => Xrm.FormContext,
+  source: any,
+  eventArgs?: any
+): any => {
+  const sharedVariables: { [key: string]: any } = {};
+  return {
+    getFormContext: formContext,
+    getEventSource: () => source,
+    getEventArgs: () => eventArgs,
+    getContext: () => Xrm.Utility.getGlobalContext(),
+    getDepth: () => 1,
+    getSharedVariable: (key: string) => sharedVariables[key],
+    setSharedVariable: (key: string, value: any) =>
+      (sharedVariables[key] = value),
+  };
+};
+
+/**A control of the fake form*/
+export class FakeControl {
+  label: string;
+  visible: boolean;
+  disabled: boolean;
+  /**The notifications by unique id*/
+  notifications: {
+    [uniqueId: string]: { message: string; level: string; actions?: any[] };
+  } = {};
+  options?: Xrm.OptionSetValue[];
+  parent: any;
+  readonly name: string;
+  readonly attribute: FakeAttribute;
+  constructor(
+    name: string,
+    attribute: FakeAttribute,
+    description: FakeAttributeDescription
+  ) {
+    this.name = name;
+    this.attribute = attribute;
+    this.label = description.label ?? name;
+    this.visible = description.visible ?? true;
+    this.disabled = description.disabled ?? false;
+    if (description.options) this.options = [...description.options];
+  }
+  getName = () => this.name;
+  getControlType = () =>
+    this.attribute.type === "optionset" ? "optionset" : "standard";
+  getAttribute = () => this.attribute;
+  getLabel = () => this.label;
+  setLabel = (label: string) => {
+    this.label = label;
+  };
+  getVisible = () => this.visible;
+  setVisible = (visible: boolean) => {
+    this.visible = visible;
+  };
+  getDisabled = () => this.disabled;
+  setDisabled = (disabled: boolean) => {
+    this.disabled = disabled;
+  };
+  getParent = () => this.parent;
+  setFocus = () => {};
+  setNotification = (message: string, uniqueId = "") => {
+    this.notifications[uniqueId] = { message, level: "ERROR" };
+    return true;
+  };
+  addNotification = (
+    notification: Xrm.Controls.AddControlNotificationOptions
+  ) => {
+    this.notifications[notification.uniqueId] = {
+      message: notification.messages.join("\n"),
+      level: notification.notificationLevel ?? "ERROR",
+      actions: notification.actions,
+    };
+  };
+  clearNotification = (uniqueId?: string) => {
+    if (uniqueId === undefined) this.notifications = {};
+    else delete this.notifications[uniqueId];
+    return true;
+  };
+  getOptions = () => this.options ?? [];
+  addOption = (option: Xrm.OptionSetValue, index?: number) => {
+    this.options ??= [];
+    this.options.splice(index ?? this.options.length, 0, option);
+  };
+  removeOption = (value: number) => {
+    this.options = (this.options ?? []).filter((o) => o.value !== value);
+  };
+  clearOptions = () => {
+    this.options = [];
+  };
+}
+
+/**An attribute of the fake form or of a grid row*/
+export class FakeAttribute {
+  readonly type: Xrm.Attributes.AttributeType;
+  value: any;
+  initialValue: any;
+  requiredLevel: Xrm.Attributes.RequirementLevel;
+  submitMode: Xrm.SubmitMode = "dirty";
+  isDirty = false;
+  readonly controls: Xrm.Collection.ItemCollection<FakeControl>;
+  protected readonly handlers: Handler[] = [];
+  readonly name: string;
+  protected readonly description: FakeAttributeDescription;
+  protected readonly formContext: () => Xrm.FormContext;
+  protected readonly parent?: any;
+  constructor(
+    name: string,
+    description: FakeAttributeDescription,
+    formContext: () => Xrm.FormContext,
+    parent?: any
+  ) {
+    this.name = name;
+    this.description = description;
+    this.formContext = formContext;
+    this.parent = parent;
+    this.type = description.type ?? "string";
+    this.value = description.value ?? null;
+    this.initialValue = this.value;
+    this.requiredLevel = description.requiredLevel ?? "none";
+    this.controls = createCollection(
+      (description.controls ?? [name]).map(
+        (controlName) => new FakeControl(controlName, this, description)
+      ),
+      (control) => control.name
+    );
+  }
+  getName = () => this.name;
+  getAttributeType = () => this.type;
+  getFormat = () =>
+    this.description.format ??
+    (this.type === "datetime"
+      ? "datetime"
+      : this.type === "string"
+      ? "text"
+      : null);
+  getValue = () => this.value;
+  setValue = (value: any) => {
+    this.value = value;
+    this.isDirty = true;
+  };
+  getInitialValue = () => this.initialValue;
+  getIsDirty = () => this.isDirty;
+  getRequiredLevel = () => this.requiredLevel;
+  setRequiredLevel = (level: Xrm.Attributes.RequirementLevel) => {
+    this.requiredLevel = level;
+  };
+  getSubmitMode = () => this.submitMode;
+  setSubmitMode = (mode: Xrm.SubmitMode) => {
+    this.submitMode = mode;
+  };
+  getUserPrivilege = () => ({
+    canRead: true,
+    canUpdate: true,
+    canCreate: true,
+  });
+  getParent = () => this.parent ?? this.formContext().data.entity;
+  getMaxLength = () => this.description.maxLength ?? 100;
+  isValid = true;
+  setIsValid = (isValid: boolean) => {
+    this.isValid = isValid;
+  };
+  getLookupTypes = () => this.description.targets ?? [];
+  getOptions = () => this.description.options ?? [];
+  getOption = (value: number | string) =>
+    this.getOptions().find((o) =>
+      typeof value === "number" ? o.value === value : o.text === value
+    ) ?? null;
+  getText = () =>
+    Array.isArray(this.value)
+      ? this.value.map((v) => this.getOption(v)?.text)
+      : this.getOption(this.value)?.text ?? null;
+  getSelectedOption = () =>
+    Array.isArray(this.value)
+      ? this.value.map((v) => this.getOption(v))
+      : this.getOption(this.value);
+  addOnChange = (handler: Handler) => {
+    this.handlers.push(handler);
+  };
+  removeOnChange = (handler: Handler) => {
+    const index = this.handlers.indexOf(handler);
+    if (index >= 0) this.handlers.splice(index, 1);
+  };
+  fireOnChange = () => {
+    const context = createEventContext(this.formContext, this);
+    [...this.handlers].forEach((handler) => handler(context));
+  };
+}
+
+/**A section of the fake form*/
+export class FakeSection {
+  label: string;
+  visible: boolean;
+  readonly name: string;
+  readonly parent: FakeTab;
+  constructor(
+    name: string,
+    description: FakeSectionDescription,
+    parent: FakeTab
+  ) {
+    this.name = name;
+    this.parent = parent;
+    this.label = description.label ?? name;
+    this.visible = description.visible ?? true;
+  }
+  controls = createCollection<FakeControl>([], (c) => c.name);
+  getName = () => this.name;
+  getParent = () => this.parent;
+  getLabel = () => this.label;
+  setLabel = (label: string) => {
+    this.label = label;
+  };
+  getVisible = () => this.visible;
+  setVisible = (visible: boolean) => {
+    this.visible = visible;
+  };
+}
+
+/**A tab of the fake form*/
+export class FakeTab {
+  label: string;
+  visible: boolean;
+  displayState: Xrm.DisplayState;
+  readonly sections: Xrm.Collection.ItemCollection<FakeSection>;
+  protected readonly handlers: Handler[] = [];
+  readonly name: string;
+  protected readonly formContext: () => Xrm.FormContext;
+  constructor(
+    name: string,
+    description: FakeTabDescription,
+    formContext: () => Xrm.FormContext
+  ) {
+    this.name = name;
+    this.formContext = formContext;
+    this.label = description.label ?? name;
+    this.visible = description.visible ?? true;
+    this.displayState =
+      description.expanded === false ? "collapsed" : "expanded";
+    this.sections = createCollection(
+      (description.sections ?? []).map(
+        (section) => new FakeSection(section.name, section, this)
+      ),
+      (section) => section.name
+    );
+  }
+  getName = () => this.name;
+  getParent = () => this.formContext().ui;
+  getLabel = () => this.label;
+  setLabel = (label: string) => {
+    this.label = label;
+  };
+  getVisible = () => this.visible;
+  setVisible = (visible: boolean) => {
+    this.visible = visible;
+  };
+  getDisplayState = () => this.displayState;
+  setDisplayState = (displayState: Xrm.DisplayState) => {
+    this.displayState = displayState;
+    const context = createEventContext(this.formContext, this);
+    this.handlers.forEach((handler) => handler(context));
+  };
+  setFocus = () => {};
+  addTabStateChange = (handler: Handler) => {
+    this.handlers.push(handler);
+  };
+  removeTabStateChange = (handler: Handler) => {
+    const index = this.handlers.indexOf(handler);
+    if (index >= 0) this.handlers.splice(index, 1);
+  };
+}
+
+/**A row of a grid of the fake form*/
+export class FakeGridRow {
+  readonly entity: any;
+  readonly data: any;
+  constructor(
+    record: { [attribute: string]: any },
+    description: FakeGridDescription,
+    formContext: () => Xrm.FormContext
+  ) {
+    const id = record.id ?? record[`${description.entityName}id`] ?? newGuid();
+    const entity: any = {
+      getId: () => `{${normalizeId(id).toUpperCase()}}`,
+      getEntityName: () => description.entityName,
+      getPrimaryAttributeValue: () =>
+        record[description.primaryAttribute ?? "name"] ?? null,
+      getEntityReference: () => ({
+        id: entity.getId(),
+        entityType: description.entityName,
+        name: entity.getPrimaryAttributeValue(),
+      }),
+    };
+    entity.attributes = createCollection(
+      Object.keys(record)
+        .filter((key) => key !== "id")
+        .map(
+          (key) =>
+            new FakeAttribute(
+              key,
+              { name: key, value: record[key] },
+              formContext,
+              entity
+            )
+        ),
+      (attribute) => attribute.name
+    );
+    this.entity = entity;
+    this.data = { entity, getEntity: () => entity };
+  }
+  getData = () => this.data;
+}
+
+/**A grid of the fake form*/
+export class FakeGridControl {
+  label: string;
+  visible = true;
+  /**The filter passed to setFilterXml*/
+  filterXml?: string;
+  rows: FakeGridRow[];
+  selected: string[];
+  protected readonly handlers: Handler[] = [];
+  readonly name: string;
+  protected readonly description: FakeGridDescription;
+  protected readonly formContext: () => Xrm.FormContext;
+  constructor(
+    name: string,
+    description: FakeGridDescription,
+    formContext: () => Xrm.FormContext
+  ) {
+    this.name = name;
+    this.description = description;
+    this.formContext = formContext;
+    this.label = description.label ?? name;
+    this.setRows(description.rows ?? [], description.selected);
+  }
+  /**
+   * Replaces the records of the grid. Call refresh to fire OnLoad.
+   * @param rows The records.
+   * @param selected (Optional) The ids of the selected records.
+   */
+  setRows(rows: { [attribute: string]: any }[], selected: string[] = []) {
+    this.rows = rows.map(
+      (row) => new FakeGridRow(row, this.description, this.formContext)
+    );
+    this.selected = selected.map(normalizeId);
+  }
+  getName = () => this.name;
+  getControlType = () => "subgrid";
+  getEntityName = () => this.description.entityName;
+  getLabel = () => this.label;
+  setLabel = (label: string) => {
+    this.label = label;
+  };
+  getVisible = () => this.visible;
+  setVisible = (visible: boolean) => {
+    this.visible = visible;
+  };
+  getParent = () => null;
+  getContextType = () => 1;
+  getFetchXml = () =>
+    `<fetch><entity name="${this.getEntityName()}" /></fetch>`;
+  getRelationship = () => null;
+  getUrl = () => "";
+  getViewSelector = () => null;
+  openRelatedGrid = () => {};
+  refreshRibbon = () => {};
+  setFilterXml = (filterXml: string) => {
+    this.filterXml = filterXml;
+  };
+  getGrid = () => ({
+    getRows: () => createCollection(this.rows, (row) => row.entity.getId()),
+    getSelectedRows: () =>
+      createCollection(
+        this.rows.filter((row) =>
+          this.selected.includes(normalizeId(row.entity.getId()))
+        ),
+        (row) => row.entity.getId()
+      ),
+    getTotalRecordCount: () => this.rows.length,
+  });
+  addOnLoad = (handler: Handler) => {
+    this.handlers.push(handler);
+  };
+  removeOnLoad = (handler: Handler) => {
+    const index = this.handlers.indexOf(handler);
+    if (index >= 0) this.handlers.splice(index, 1);
+  };
+  /**Fires OnLoad*/
+  refresh = () => {
+    const context = createEventContext(this.formContext, this);
+    [...this.handlers].forEach((handler) => handler(context));
+  };
+}
+
+/**The business process flow of the fake form*/
+export class FakeProcess {
+  readonly stages: any[];
+  active: number;
+  status: Xrm.ProcessFlow.ProcessStatus = "active";
+  protected readonly handlers: { [event: string]: Handler[] } = {};
+  protected readonly formContext: () => Xrm.FormContext;
+  constructor(
+    description: FakeProcessDescription,
+    formContext: () => Xrm.FormContext
+  ) {
+    this.formContext = formContext;
+    const process = {
+      getId: () => description.id ?? "process",
+      getName: () => description.name ?? "Process",
+      getStages: () => createCollection(this.stages, (s) => s.getName()),
+      isRendered: () => true,
+    };
+    this.stages = description.stages.map((stage, index) => ({
+      getId: () => stage.id ?? `stage${index + 1}`,
+      getName: () => stage.name,
+      getCategory: () => ({ getValue: () => index }),
+      getEntityName: () => stage.entityName ?? "",
+      getStatus: () => (index < this.active ? "inactive" : "active"),
+      getSteps: () =>
+        (stage.steps ?? []).map((step) => ({
+          getName: () => step.name,
+          getAttribute: () => step.attribute ?? null,
+          isRequired: () => step.required ?? false,
+          getProgress: () => 0,
+          setProgress: () => "",
+        })),
+      getNavigationBehavior: () => ({ allowCreateNew: () => true }),
+      getProcess: () => process,
+    }));
+    this.process = process;
+    this.active = Math.max(
+      0,
+      description.stages.findIndex((s) => s.name === description.activeStage)
+    );
+  }
+  readonly process: any;
+  protected on = (event: string) => (handler: Handler) => {
+    this.handlers[event] = [...(this.handlers[event] ?? []), handler];
+  };
+  protected off = (event: string) => (handler: Handler) => {
+    this.handlers[event] = (this.handlers[event] ?? []).filter(
+      (h) => h !== handler
+    );
+  };
+  protected fire(event: string, eventArgs?: any) {
+    const context = createEventContext(this.formContext, this, eventArgs);
+    [...(this.handlers[event] ?? [])].forEach((handler) => handler(context));
+  }
+  protected move(direction: "Next" | "Previous", callback?: Handler) {
+    const next = direction === "Next" ? this.active + 1 : this.active - 1;
+    if (next < 0 || next >= this.stages.length) return callback?.("end");
+    let prevented = false;
+    const eventArgs = {
+      getDirection: () => direction,
+      getStage: () => this.stages[next],
+      preventDefault: () => (prevented = true),
+      isDefaultPrevented: () => prevented,
+    };
+    this.fire("prestagechange", eventArgs);
+    if (prevented) return callback?.("preventDefault");
+    this.active = next;
+    this.fire("stagechange", {
+      ...eventArgs,
+      getStage: () => this.stages[next],
+    });
+    callback?.("success");
+  }
+  getActiveProcess = () => this.process;
+  getActiveStage = () => this.stages[this.active];
+  getActivePath = () => createCollection(this.stages, (s) => s.getName());
+  getSelectedStage = () => this.stages[this.active];
+  getInstanceId = () => "instance";
+  getInstanceName = () => this.process.getName();
+  getStatus = () => this.status;
+  setStatus = (status: Xrm.ProcessFlow.ProcessStatus, callback?: Handler) => {
+    this.status = status;
+    callback?.(status);
+  };
+  moveNext = (callback?: Handler) => this.move("Next", callback);
+  movePrevious = (callback?: Handler) => this.move("Previous", callback);
+  setActiveStage = (stageId: string, callback?: Handler) => {
+    const index = this.stages.findIndex((s) => s.getId() === stageId);
+    if (index < 0) return callback?.("invalid");
+    this.active = index;
+    this.fire("stageselected", { getStage: () => this.stages[index] });
+    callback?.("success");
+  };
+  setActiveProcess = (_: string, callback?: Handler) => callback?.("success");
+  setActiveProcessInstance = (_: string, callback?: Handler) =>
+    callback?.("success");
+  getEnabledProcesses = (callback: Handler) =>
+    callback({ [this.process.getId()]: this.process.getName() });
+  getProcessInstances = (callback: Handler) => callback({});
+  addOnPreStageChange = this.on("prestagechange");
+  removeOnPreStageChange = this.off("prestagechange");
+  addOnStageChange = this.on("stagechange");
+  removeOnStageChange = this.off("stagechange");
+  addOnStageSelected = this.on("stageselected");
+  removeOnStageSelected = this.off("stageselected");
+  addOnProcessStatusChange = this.on("processstatuschange");
+  removeOnProcessStatusChange = this.off("processstatuschange");
+  addOnPreProcessStatusChange = this.on("preprocessstatuschange");
+  removeOnPreProcessStatusChange = this.off("preprocessstatuschange");
+}
+
+/**
+ * The fake Xrm object with the fake form, the in-memory records and the recorded requests.
+ */
+export class FakeXrm {
+  /**The fake Xrm object, installed as globalThis.Xrm by default*/
+  readonly Xrm: any;
+  /**The form context of the fake form*/
+  readonly formContext: Xrm.FormContext;
+  /**An execution context of the fake form*/
+  readonly executionContext: Xrm.Events.EventContext;
+  /**The records of the fake Web API by entity name*/
+  readonly records: { [entityName: string]: { [attribute: string]: any }[] };
+  /**The requests sent to the fake Web API*/
+  readonly requests: FakeRequest[] = [];
+  /**The dialogs opened with Xrm.Navigation*/
+  readonly dialogs: FakeDialog[] = [];
+  /**The form notifications by unique id*/
+  readonly formNotifications: {
+    [uniqueId: string]: { message: string; level: string };
+  } = {};
+  /**The app notifications of Xrm.App.addGlobalNotification by id*/
+  readonly globalNotifications: { [id: string]: Xrm.App.Notification } = {};
+  /**The messages of Xrm.Utility.showProgressIndicator, null when it was closed*/
+  readonly progress: (string | null)[] = [];
+  /**The canned responses of Xrm.WebApi.online.execute by operation name*/
+  readonly responses: { [operationName: string]: FakeResponse };
+  /**The canned results of dialogs by method, f.e. openConfirmDialog*/
+  readonly dialogResults: { [method: string]: any } = {
+    openConfirmDialog: { confirmed: true },
+  };
+  readonly attributes: FakeAttribute[];
+  readonly tabs: FakeTab[];
+  readonly grids: FakeGridControl[];
+  readonly process?: FakeProcess;
+  protected readonly handlers: { [event: string]: Handler[] } = {};
+  protected formType: XrmEnum.FormType;
+  protected id: string;
+  protected closed = false;
+  protected globalNotificationCount = 0;
+
+  protected readonly options: FakeXrmOptions;
+
+  constructor(options: FakeXrmOptions = {}) {
+    this.options = options;
+    const form = options.form ?? { entityName: "account" };
+    const getFormContext = () => this.formContext;
+    this.id = form.id ? normalizeId(form.id) : "";
+    this.formType = form.formType ?? (form.id ? 2 : 1);
+    this.records = Object.fromEntries(
+      Object.entries(options.webApi?.records ?? {}).map(([entity, records]) => [
+        entity,
+        records.map((record) => ({ ...record })),
+      ])
+    );
+    this.responses = { ...options.webApi?.responses };
+    this.attributes = (form.attributes ?? []).map(
+      (attribute) =>
+        new FakeAttribute(attribute.name, attribute, getFormContext)
+    );
+    this.tabs = (form.tabs ?? []).map(
+      (tab) => new FakeTab(tab.name, tab, getFormContext)
+    );
+    this.grids = (form.grids ?? []).map(
+      (grid) => new FakeGridControl(grid.name, grid, getFormContext)
+    );
+    if (form.process)
+      this.process = new FakeProcess(form.process, getFormContext);
+    const controls: any[] = [
+      ...this.attributes.flatMap((attribute) => attribute.controls.get()),
+      ...this.grids,
+    ];
+    const entity = {
+      attributes: createCollection(this.attributes, (a) => a.name),
+      getEntityName: () => form.entityName,
+      getId: () => (this.id ? `{${this.id.toUpperCase()}}` : ""),
+      getEntityReference: () => ({
+        id: entity.getId(),
+        entityType: form.entityName,
+        name: entity.getPrimaryAttributeValue(),
+      }),
+      getPrimaryAttributeValue: () =>
+        this.attributes
+          .find((a) => a.name === (form.primaryAttribute ?? "name"))
+          ?.getValue() ?? null,
+      getIsDirty: () => this.attributes.some((a) => a.isDirty),
+      getDataXml: () => "",
+      isValid: () => true,
+      save: (saveMode?: any) => this.save(saveMode),
+      addOnSave: this.on("save"),
+      removeOnSave: this.on("save", true),
+      addOnPostSave: this.on("postsave"),
+      removeOnPostSave: this.on("postsave", true),
+    };
+    const getItem = (items: any[], getName: (item: any) => string) =>
+      ((arg?: any) => createCollection(items, getName).get(arg)) as any;
+    this.formContext = {
+      data: {
+        entity,
+        process: this.process,
+        attributes: entity.attributes,
+        isValid: () => true,
+        getIsDirty: entity.getIsDirty,
+        save: (saveOptions?: Xrm.SaveOptions) =>
+          this.save(saveOptions?.saveMode ?? 1),
+        refresh: (save?: boolean) =>
+          (save ? this.save(1) : Promise.resolve()).then(() =>
+            this.fire("load", { getDataLoadState: () => 3 })
+          ),
+        addOnLoad: this.on("load"),
+        removeOnLoad: this.on("load", true),
+      },
+      ui: {
+        tabs: createCollection(this.tabs, (t) => t.name),
+        controls: createCollection(controls, (c) => c.name),
+        process: {
+          getVisible: () => !!this.process,
+          setVisible: () => {},
+          getDisplayState: () => "expanded",
+          setDisplayState: () => {},
+        },
+        formSelector: {
+          getCurrentItem: () => null,
+          items: createCollection([], () => ""),
+        },
+        navigation: { items: createCollection([], () => "") },
+        getFormType: () => this.formType,
+        getViewPortHeight: () => 800,
+        getViewPortWidth: () => 1200,
+        setFormNotification: (
+          message: string,
+          level: string,
+          uniqueId: string
+        ) => {
+          this.formNotifications[uniqueId] = { message, level };
+          return true;
+        },
+        clearFormNotification: (uniqueId: string) => {
+          delete this.formNotifications[uniqueId];
+          return true;
+        },
+        close: () => {
+          this.closed = true;
+        },
+        refreshRibbon: () => {},
+        setFormEntityName: () => {},
+        addOnLoad: this.on("uiload"),
+        removeOnLoad: this.on("uiload", true),
+      },
+      getAttribute: getItem(this.attributes, (a) => a.name),
+      getControl: getItem(controls, (c) => c.name),
+    } as any;
+    this.executionContext = createEventContext(getFormContext, null);
+    this.Xrm = this.createXrm();
+    if (options.global ?? true) (globalThis as any).Xrm = this.Xrm;
+  }
+
+  /**Gets true if the form was closed*/
+  get isClosed(): boolean {
+    return this.closed;
+  }
+  /**
+   * Gets an attribute of the form.
+   * @param name The logical name.
+   */
+  getAttribute(name: string): FakeAttribute {
+    const attribute = this.attributes.find((a) => a.name === name);
+    if (!attribute) throw new Error(`The attribute '${name}' does not exist.`);
+    return attribute;
+  }
+  /**
+   * Gets a control of the form.
+   * @param name The name of the control.
+   */
+  getControl(name: string): FakeControl {
+    const control = this.attributes
+      .flatMap((a) => a.controls.get())
+      .find((c) => c.name === name);
+    if (!control) throw new Error(`The control '${name}' does not exist.`);
+    return control;
+  }
+  /**
+   * Gets a grid of the form.
+   * @param name The name of the grid.
+   */
+  getGrid(name: string): FakeGridControl {
+    const grid = this.grids.find((g) => g.name === name);
+    if (!grid) throw new Error(`The grid '${name}' does not exist.`);
+    return grid;
+  }
+  /**
+   * Sets the value of an attribute and fires OnChange, like a user would.
+   * @param name The logical name.
+   * @param value The value.
+   */
+  setValue(name: string, value: any): void {
+    const attribute = this.getAttribute(name);
+    attribute.setValue(value);
+    attribute.fireOnChange();
+  }
+  /**
+   * Saves the form: runs the OnSave handlers, stores the record unless the save was prevented and runs the OnPostSave handlers.
+   * Save and Close (2) closes the form afterwards and Save and New (59) opens a new form with Xrm.Navigation.openForm.
+   * @param saveMode The save mode. Default: 1 (save).
+   * @returns Rejects if the save was prevented or a handler rejected.
+   */
+  async save(saveMode: number = 1): Promise<void> {
+    let prevented = false;
+    const eventArgs: any = {
+      getSaveMode: () => saveMode,
+      preventDefault: () => (prevented = true),
+      isDefaultPrevented: () => prevented,
+      preventDefaultOnError: () => {},
+      getEntityReference: () =>
+        this.formContext.data.entity.getEntityReference(),
+    };
+    if (this.options.form?.asyncSaveHandlers)
+      eventArgs.disableAsyncTimeout = () => {};
+    const results = this.fire("save", eventArgs);
+    if (this.options.form?.asyncSaveHandlers)
+      try {
+        await Promise.all(results);
+      } catch {
+        prevented = true;
+      }
+    if (prevented)
+      throw { errorCode: 0x80040265, message: "Saving was canceled." };
+    const entityName = this.formContext.data.entity.getEntityName();
+    const data = Object.fromEntries(
+      this.attributes
+        .filter(
+          (a) =>
+            a.submitMode === "always" || (a.isDirty && a.submitMode !== "never")
+        )
+        .map((a) => [a.name, a.value])
+    );
+    if (this.id) this.updateStore(entityName, this.id, data);
+    else {
+      this.id = newGuid();
+      this.formType = 2;
+      this.store(entityName).push({ [`${entityName}id`]: this.id, ...data });
+    }
+    this.attributes.forEach((a) => (a.isDirty = false));
+    this.fire("postsave", {
+      getIsSaveSuccess: () => true,
+      getSaveErrorInfo: () => null,
+      getEntityReference: () =>
+        this.formContext.data.entity.getEntityReference(),
+    });
+    if (saveMode === 2) this.formContext.ui.close();
+    else if (saveMode === 59)
+      await this.Xrm.Navigation.openForm({ entityName });
+  }
+  /**
+   * Fires the OnLoad event of the form data.
+   */
+  load(): void {
+    this.fire("load", { getDataLoadState: () => 1 });
+  }
+
+  /**
+   * Throws if the control does not have a notification.
+   * @param name The name of the control.
+   * @param message (Optional) The expected message.
+   */
+  assertNotification(name: string, message?: string): void {
+    const messages = Object.values(this.getControl(name).notifications).map(
+      (n) => n.message
+    );
+    if (message === undefined ? !messages.length : !messages.includes(message))
+      throw new Error(
+        `Expected '${name}' to have the notification '${
+          message ?? "any"
+        }', but it has ${JSON.stringify(messages)}.`
+      );
+  }
+  /**
+   * Throws if the control has a notification.
+   * @param name The name of the control.
+   */
+  assertNoNotification(name: string): void {
+    const messages = Object.values(this.getControl(name).notifications).map(
+      (n) => n.message
+    );
+    if (messages.length)
+      throw new Error(
+        `Expected '${name}' to have no notification, but it has ${JSON.stringify(
+          messages
+        )}.`
+      );
+  }
+  /**
+   * Throws if no form notification with this message is shown.
+   * @param message The expected message.
+   * @param level (Optional) The expected level, f.e. ERROR.
+   */
+  assertFormNotification(message: string, level?: string): void {
+    const notifications = Object.values(this.formNotifications);
+    if (
+      !notifications.some(
+        (n) => n.message === message && (!level || n.level === level)
+      )
+    )
+      throw new Error(
+        `Expected the form notification '${message}', but the form has ${JSON.stringify(
+          notifications
+        )}.`
+      );
+  }
+  /**
+   * Throws if the control, tab, section or grid does not have this visibility.
+   * @param name The name of the control, tab, grid or section.
+   * @param visible The expected visibility. Default: true.
+   */
+  assertVisible(name: string, visible = true): void {
+    const item = this.findVisual(name);
+    if (item.getVisible() !== visible)
+      throw new Error(
+        `Expected '${name}' to be ${visible ? "visible" : "hidden"}.`
+      );
+  }
+  /**
+   * Throws if the control does not have this disabled state.
+   * @param name The name of the control.
+   * @param disabled The expected state. Default: true.
+   */
+  assertDisabled(name: string, disabled = true): void {
+    if (this.getControl(name).getDisabled() !== disabled)
+      throw new Error(
+        `Expected '${name}' to be ${disabled ? "disabled" : "enabled"}.`
+      );
+  }
+  /**
+   * Throws if the attribute does not have this required level.
+   * @param name The logical name.
+   * @param level The expected level. Default: required.
+   */
+  assertRequired(
+    name: string,
+    level: Xrm.Attributes.RequirementLevel = "required"
+  ): void {
+    const actual = this.getAttribute(name).getRequiredLevel();
+    if (actual !== level)
+      throw new Error(
+        `Expected '${name}' to be ${level}, but it is ${actual}.`
+      );
+  }
+  /**
+   * Throws if the attribute does not have this value.
+   * @param name The logical name.
+   * @param value The expected value, compared as JSON.
+   */
+  assertValue(name: string, value: any): void {
+    const actual = this.getAttribute(name).getValue();
+    if (JSON.stringify(actual) !== JSON.stringify(value))
+      throw new Error(
+        `Expected '${name}' to be ${JSON.stringify(
+          value
+        )}, but it is ${JSON.stringify(actual)}.`
+      );
+  }
+
+  protected findVisual(name: string): { getVisible: () => boolean } {
+    const sections = this.tabs.flatMap((tab) => tab.sections.get());
+    const item =
+      this.attributes
+        .flatMap((a) => a.controls.get())
+        .find((c) => c.name === name) ??
+      this.tabs.find((t) => t.name === name) ??
+      sections.find((s) => s.name === name) ??
+      this.grids.find((g) => g.name === name);
+    if (!item)
+      throw new Error(`The control, tab or section '${name}' does not exist.`);
+    return item;
+  }
+  protected on(event: string, remove = false) {
+    return (handler: Handler) => {
+      const handlers = (this.handlers[event] ?? []).filter(
+        (h) => h !== handler
+      );
+      this.handlers[event] = remove ? handlers : [...handlers, handler];
+    };
+  }
+  protected fire(event: string, eventArgs?: any): any[] {
+    const context = createEventContext(() => this.formContext, null, eventArgs);
+    return [...(this.handlers[event] ?? [])].map((handler) => handler(context));
+  }
+  protected store(entityName: string) {
+    return (this.records[entityName] ??= []);
+  }
+  protected getId(entityName: string, record: { [attribute: string]: any }) {
+    return normalizeId(record[`${entityName}id`] ?? record.id ?? "");
+  }
+  protected findRecord(entityName: string, id: string) {
+    const record = this.store(entityName).find(
+      (r) => this.getId(entityName, r) === normalizeId(id)
+    );
+    if (!record)
+      throw {
+        errorCode: 0x80040217,
+        status: 404,
+        message: `${entityName} With Id = ${normalizeId(id)} Does Not Exist`,
+      };
+    return record;
+  }
+  protected updateStore(entityName: string, id: string, data: any) {
+    const record = this.store(entityName).find(
+      (r) => this.getId(entityName, r) === normalizeId(id)
+    );
+    if (record) Object.assign(record, data);
+    else this.store(entityName).push({ [`${entityName}id`]: id, ...data });
+  }
+  protected createXrm() {
+    const select = (record: any, query?: string) => {
+      const attributes = new URLSearchParams(query?.replace(/^\?/, ""))
+        .get("$select")
+        ?.split(",");
+      return attributes
+        ? Object.fromEntries(
+            Object.entries(record).filter(
+              ([key]) => attributes.includes(key) || key.startsWith("@")
+            )
+          )
+        : { ...record };
+    };
+    const parseFilter = (filter: string | null) => {
+      // Splits on "and" outside of string literals, where an even number of quotes follows
+      const conditions = (
+        filter ? filter.split(/\s+and\s+(?=(?:[^']*'[^']*')*[^']*$)/i) : []
+      ).map((condition) => {
+        const match = condition
+          .trim()
+          .replace(/^\(|\)$/g, "")
+          .match(
+            /^(\w+)\s+(eq|ne)\s+('(?:[^']|'')*'|null|true|false|-?\d+(?:\.\d+)?|\{?[0-9a-f-]{36}\}?)$/i
+          );
+        if (!match)
+          throw new Error(
+            `The filter condition '${condition.trim()}' is not supported. Only conditions with eq or ne, joined by and, are supported.`
+          );
+        const [, attribute, operator, literal] = match;
+        const value =
+          literal === "null"
+            ? null
+            : /^'.*'$/.test(literal)
+            ? literal.slice(1, -1).replace(/''/g, "'")
+            : literal === "true" || literal === "false"
+            ? literal === "true"
+            : isNaN(Number(literal))
+            ? normalizeId(literal)
+            : Number(literal);
+        return (record: any) => {
+          const actual =
+            typeof record[attribute] === "string" && typeof value === "string"
+              ? normalizeId(record[attribute]) === normalizeId(value)
+              : (record[attribute] ?? null) === value;
+          return operator.toLowerCase() === "eq" ? actual : !actual;
+        };
+      });
+      return (record: any) => conditions.every((matches) => matches(record));
+    };
+    const webApi = {
+      createRecord: async (entityName: string, data: any) => {
+        this.requests.push({ method: "createRecord", entityName, data });
+        const id = this.getId(entityName, data) || newGuid();
+        this.store(entityName).push({ ...data, [`${entityName}id`]: id });
+        return { entityType: entityName, id };
+      },
+      retrieveRecord: async (
+        entityName: string,
+        id: string,
+        options?: string
+      ) => {
+        this.requests.push({
+          method: "retrieveRecord",
+          entityName,
+          id,
+          options,
+        });
+        return select(this.findRecord(entityName, id), options);
+      },
+      retrieveMultipleRecords: async (
+        entityName: string,
+        options?: string,
+        maxPageSize?: number
+      ) => {
+        this.requests.push({
+          method: "retrieveMultipleRecords",
+          entityName,
+          options,
+        });
+        const params = new URLSearchParams(options?.replace(/^\?/, ""));
+        if (
+          /<(filter|condition|link-entity)\b/.test(params.get("fetchXml") ?? "")
+        )
+          throw new Error(
+            "FetchXML with filters or linked entities is not supported. Use an OData $filter instead."
+          );
+        const top = Number(params.get("$top") ?? maxPageSize ?? 5000);
+        const entities = this.store(entityName)
+          .filter(parseFilter(params.get("$filter")))
+          .slice(0, top)
+          .map((record) => select(record, options));
+        return { entities };
+      },
+      updateRecord: async (entityName: string, id: string, data: any) => {
+        this.requests.push({ method: "updateRecord", entityName, id, data });
+        Object.assign(this.findRecord(entityName, id), data);
+        return { entityType: entityName, id: normalizeId(id) };
+      },
+      deleteRecord: async (entityName: string, id: string) => {
+        this.requests.push({ method: "deleteRecord", entityName, id });
+        const record = this.findRecord(entityName, id);
+        this.store(entityName).splice(
+          this.store(entityName).indexOf(record),
+          1
+        );
+        return { entityType: entityName, id: normalizeId(id) };
+      },
+    };
+    const execute = async (request: any) => {
+      const { operationName } = request.getMetadata();
+      const parameters = Object.fromEntries(
+        Object.entries(request).filter(([key]) => key !== "getMetadata")
+      );
+      const recorded: FakeRequest = {
+        method: "execute",
+        operationName,
+        parameters,
+      };
+      this.requests.push(recorded);
+      if (!(operationName in this.responses))
+        throw {
+          errorCode: 0x80040265,
+          status: 404,
+          message: `No response was defined for '${operationName}'.`,
+        };
+      const response = this.responses[operationName];
+      const value =
+        typeof response === "function" ? await response(recorded) : response;
+      return {
+        ok: true,
+        status: value === undefined ? 204 : 200,
+        json: async () => value,
+      };
+    };
+    const user = this.options.user ?? {};
+    const roles = user.roles ?? [];
+    const globalContext = {
+      getClientUrl: () =>
+        this.options.clientUrl ?? "https://org.crm.dynamics.com",
+      getVersion: () => "9.2.0.0",
+      getUserId: () =>
+        `{${(
+          user.id ?? "00000000-0000-0000-0000-000000000001"
+        ).toUpperCase()}}`,
+      getUserName: () => user.name ?? "Test User",
+      getUserLcid: () => user.languageId ?? 1033,
+      userSettings: {
+        userId: `{${(
+          user.id ?? "00000000-0000-0000-0000-000000000001"
+        ).toUpperCase()}}`,
+        userName: user.name ?? "Test User",
+        languageId: user.languageId ?? 1033,
+        roles: createCollection(
+          roles.map((role) => ({ id: role.id, name: role.name })),
+          (role) => role.name
+        ),
+        securityRoles: roles.map((role) => role.id),
+        getTimeZoneOffsetMinutes: () => 0,
+      },
+      organizationSettings: {
+        languageId: 1033,
+        uniqueName: "org",
+        baseCurrencyId: "",
+      },
+      getQueryStringParameters: () => ({}),
+    };
+    const dialog =
+      (method: string, result?: any) =>
+      async (...options: any[]) => {
+        this.dialogs.push({
+          method,
+          options: options.length > 1 ? options : options[0],
+        });
+        return this.dialogResults[method] ?? result;
+      };
+    return {
+      WebApi: {
+        ...webApi,
+        online: {
+          ...webApi,
+          execute,
+          executeMultiple: (requests: any[]) =>
+            Promise.all(requests.map(execute)),
+        },
+        offline: webApi,
+      },
+      Utility: {
+        getGlobalContext: () => globalContext,
+        getEntityMetadata: async (entityName: string) =>
+          this.options.webApi?.metadata?.[entityName] ?? {
+            LogicalName: entityName,
+            EntitySetName: `${entityName}s`,
+            PrimaryIdAttribute: `${entityName}id`,
+            PrimaryNameAttribute: "name",
+            Attributes: createCollection([], () => ""),
+          },
+        showProgressIndicator: (message: string) => this.progress.push(message),
+        closeProgressIndicator: () => this.progress.push(null),
+        lookupObjects: dialog("lookupObjects", []),
+        getResourceString: (_: string, key: string) => key,
+        refreshParentGrid: () => {},
+      },
+      Navigation: {
+        openAlertDialog: dialog("openAlertDialog", undefined),
+        openConfirmDialog: dialog("openConfirmDialog", { confirmed: true }),
+        openErrorDialog: dialog("openErrorDialog", undefined),
+        openForm: dialog("openForm", { savedEntityReference: [] }),
+        navigateTo: dialog("navigateTo", undefined),
+        openUrl: dialog("openUrl", undefined),
+        openWebResource: dialog("openWebResource", undefined),
+        openFile: dialog("openFile", undefined),
+      },
+      Device: {},
+      Encoding: {
+        xmlEncode: (value: string) =>
+          value.replace(/[<>&'"]/g, (c) => `&#${c.charCodeAt(0)};`),
+        htmlEncode: (value: string) =>
+          value.replace(/[<>&'"]/g, (c) => `&#${c.charCodeAt(0)};`),
+      },
+      Panel: {},
+      App: {
+        addGlobalNotification: async (notification: Xrm.App.Notification) => {
+          const id = `${++this.globalNotificationCount}`;
+          this.globalNotifications[id] = notification;
+          return id;
+        },
+        clearGlobalNotification: async (id: string) => {
+          delete this.globalNotifications[id];
+        },
+      },
+    };
+  }
+}
+
+/**
+ * Creates a fake Xrm object with a fake form and an in-memory Web API, and installs it as globalThis.Xrm.
+ * @param options The form, the records, the canned responses and the user.
+ * @returns The fake with the form context, the recorded requests and assertion helpers.
+ */
+export function createFakeXrm(options?: FakeXrmOptions): FakeXrm {
+  return new FakeXrm(options);
+}
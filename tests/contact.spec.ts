@@ -98,4 +98,1267 @@ test.describe("Test XrmEx", () => {
       expect(tabs.General.Section.Section1.getVisible()).toBe(true);
     })
   });
+  test.describe("Test Query builder", () => {
+    test("Select, filter, expand, order and top", () => {
+      const query = new XrmEx.Query()
+        .select("name", "revenue")
+        .filter((f) =>
+          f.eq("statecode", 0).or((o) => o.contains("name", "O'Neil").gt("revenue", 1000))
+        )
+        .expand("primarycontactid", (q) => q.select("fullname"))
+        .orderBy("name", "desc")
+        .top(10)
+        .count();
+      expect(query.toString()).toBe(
+        "?$select=name,revenue&$filter=statecode eq 0 and (contains(name,'O''Neil') or revenue gt 1000)&$expand=primarycontactid($select=fullname)&$orderby=name desc&$top=10&$count=true"
+      );
+    })
+    test("Escapes values and normalizes GUIDs", () => {
+      const query = new XrmEx.Query().filter((f) =>
+        f
+          .eq("_parentcustomerid_value", "{726A2976-5195-4FEC-9BB4-523D3FA1A7C7}")
+          .eq("contactid", XrmEx.Types.guid("{0B7F3C8E-6A63-4C07-9C0A-7E3A5F5C8D11}"))
+          .eq("name", "A&B #1")
+          .ge("createdon", new Date("2000-01-01T00:00:00Z"))
+          .isNull("telephone1")
+      );
+      expect(query.toString()).toBe(
+        "?$filter=_parentcustomerid_value eq 726a2976-5195-4fec-9bb4-523d3fa1a7c7 and contactid eq 0b7f3c8e-6a63-4c07-9c0a-7e3a5f5c8d11 and name eq 'A%26B%20%231' and createdon ge 2000-01-01T00%3A00%3A00.000Z and telephone1 eq null"
+      );
+    })
+    test("Quotes GUID text in text columns", () => {
+      const guid = "726a2976-5195-4fec-9bb4-523d3fa1a7c7";
+      const filter = new XrmEx.QueryFilter("or").eq("description", guid).contains("name", guid);
+      expect(filter.toString()).toBe(`description eq '${guid}' or contains(name,'${guid}')`);
+      expect(new XrmEx.Query().filter(filter).toString()).toBe(
+        `?$filter=(description eq '${guid}' or contains(name,'${guid}'))`
+      );
+    })
+    test("Nested expand filter and in condition", () => {
+      const query = new XrmEx.Query()
+        .filter((f) => f.in("statuscode", [1, 2]))
+        .expand("contact_customer_accounts", (q) =>
+          q.select("fullname").filter((f) => f.eq("statecode", 0)).top(5)
+        );
+      expect(query.toString()).toBe(
+        "?$filter=(statuscode eq 1 or statuscode eq 2)&$expand=contact_customer_accounts($select=fullname;$filter=statecode eq 0;$top=5)"
+      );
+      expect(new XrmEx.Query().toString()).toBe("");
+    })
+  });
+  test.describe("Test FetchXml", () => {
+    test("Build FetchXml", () => {
+      const fetchXml = new XrmEx.FetchXml("contact", { top: 50 })
+        .select("fullname", "parentcustomerid")
+        .where("lastname", "like", "%O'Neil%")
+        .filter("or", (f) => f.condition("statecode", "eq", 0).condition("statuscode", "in", [1, 2]))
+        .link("account", "accountid", "parentcustomerid", (l) => l.select("name").where("address1_country", "eq", "Switzerland"), { alias: "a" })
+        .orderBy("fullname", true);
+      expect(fetchXml.toString()).toBe(
+        `<fetch top="50"><entity name="contact"><attribute name="fullname" /><attribute name="parentcustomerid" /><order attribute="fullname" descending="true" /><filter type="and"><condition attribute="lastname" operator="like" value="%O&apos;Neil%" /></filter><filter type="or"><condition attribute="statecode" operator="eq" value="0" /><condition attribute="statuscode" operator="in"><value>1</value><value>2</value></condition></filter><link-entity name="account" from="accountid" to="parentcustomerid" alias="a"><attribute name="name" /><filter type="and"><condition attribute="address1_country" operator="eq" value="Switzerland" /></filter></link-entity></entity></fetch>`
+      );
+    })
+    test("Parse FetchXml", () => {
+      const fetchXml = XrmEx.FetchXml.parse(`<?xml version="1.0"?>
+        <fetch distinct='true'>
+          <!-- contacts of swiss accounts -->
+          <entity name='contact'>
+            <attribute name='parentcustomerid' />
+            <attribute name='contactid' />
+            <filter><condition attribute='lastname' operator='like' value='%Test%' /></filter>
+            <link-entity name='account' from='accountid' to='parentcustomerid' alias='acc' link-type='outer'>
+              <attribute name='name' />
+            </link-entity>
+          </entity>
+        </fetch>`);
+      expect(fetchXml.entityName).toBe("contact");
+      expect(fetchXml.options.distinct).toBe("true");
+      expect(fetchXml.entity.attributes.map((a) => a.name)).toEqual(["parentcustomerid", "contactid"]);
+      expect(fetchXml.entity.filters[0].conditions[0]).toMatchObject({ attribute: "lastname", operator: "like", value: "%Test%" });
+      expect(fetchXml.getLinkEntities()[0]).toMatchObject({ name: "account", alias: "acc", linkType: "outer" });
+      expect(XrmEx.FetchXml.parse(fetchXml.toString()).toString()).toBe(fetchXml.toString());
+      expect(() => XrmEx.FetchXml.parse("<fetch><entity name='contact'></fetch>")).toThrow();
+    })
+    test("Add custom view from FetchXml", async () => {
+      let view: any;
+      XrmEx.Metadata.clear();
+      (Xrm.Utility as any).getEntityMetadata = async (entityName: string) => ({ LogicalName: entityName, PrimaryIdAttribute: entityName === "email" ? "activityid" : `${entityName}id` });
+      fields.Customer.controls.forEach((c: any) => (c.addCustomView = (...args: any[]) => (view = args)));
+      const fetchXml = `<fetch><entity name="contact"><attribute name="contactid" /><attribute name="parentcustomerid" /><filter hint="union"><condition attribute="parentcustomerid" operator="eq" value="{1}" uiname="Contoso" uitype="account" /></filter><link-entity name="account" from="accountid" to="parentcustomerid" alias="a"><attribute name="name" /></link-entity></entity></fetch>`;
+      expect(await fields.Customer.addCustomView(fetchXml)).toBe(fields.Customer);
+      expect(view[1]).toBe("contact");
+      expect(view[3]).toBe(fetchXml);
+      expect(view[4]).toContain(`<row name='result' id='contactid'>`);
+      expect(view[4]).toContain(`<cell name='parentcustomerid' width='200' />`);
+      expect(view[4]).toContain(`<cell name='a.name' width='100' />`);
+      await fields.Customer.addCustomView(`<fetch><entity name="email"><attribute name="subject" /></entity></fetch>`);
+      expect(view[4]).toContain(`<row name='result' id='activityid'>`);
+      XrmEx.Metadata.clear();
+    })
+    test("Keeps FetchXML attributes which are not modeled", () => {
+      const filters: string[] = [];
+      fields.Customer.controls.forEach((c: any) => {
+        c.addPreSearch = (handler: () => void) => handler();
+        c.addCustomFilter = (filter: string) => filters.push(filter);
+      });
+      const fetchXml = XrmEx.FetchXml.parse(`<fetch><entity name="account" enableprefiltering="1"><filter type="and" hint="union"><condition attribute="primarycontactid" operator="eq" value="{1}" uiname="Joe" uitype="contact" /></filter><link-entity name="contact" from="contactid" to="primarycontactid" link-type="outer" alias="c" enableprefiltering="1"><attribute name="createdon" dategrouping="month" /><order attribute="fullname" entityname="c" /></link-entity></entity></fetch>`);
+      fields.Customer.addPreFilterToLookup(fetchXml);
+      expect(filters[0]).toBe(`<filter type="and" hint="union"><condition attribute="primarycontactid" operator="eq" value="{1}" uiname="Joe" uitype="contact" /></filter>`);
+      expect(fetchXml.toString()).toContain(`<entity name="account" enableprefiltering="1">`);
+      expect(fetchXml.toString()).toContain(`<link-entity name="contact" from="contactid" to="primarycontactid" alias="c" link-type="outer" enableprefiltering="1"><attribute name="createdon" dategrouping="month" /><order attribute="fullname" entityname="c" /></link-entity>`);
+    })
+  });
+  test.describe("Test paging", () => {
+    test("Follow nextLink for OData queries", async () => {
+      const calls: string[] = [];
+      Xrm.WebApi.retrieveMultipleRecords = (async (_entity: string, options: string) => {
+        calls.push(options);
+        return options.includes("$skiptoken")
+          ? { entities: [{ id: 3 }, { id: 4 }], nextLink: "https://org/api/data/v9.2/contacts?$select=fullname&$skiptoken=2" }
+          : { entities: [{ id: 1 }, { id: 2 }], nextLink: "https://org/api/data/v9.2/contacts?$select=fullname&$skiptoken=1" };
+      }) as any;
+      const records = await XrmEx.retrieveAll("contact", new XrmEx.Query().select("fullname"), { maxRecords: 5 });
+      expect(records.map((r) => r.id)).toEqual([1, 2, 3, 4, 3]);
+      expect(calls).toEqual(["?$select=fullname", "?$select=fullname&$skiptoken=1", "?$select=fullname&$skiptoken=2"]);
+    })
+    test("Use paging cookies for FetchXML queries", async () => {
+      const queries: XrmEx.FetchXml[] = [];
+      const raw: string[] = [];
+      const cookie = encodeURIComponent(encodeURIComponent(`<cookie page="1"><contactid last="{2}" first="{1}" /></cookie>`));
+      Xrm.WebApi.retrieveMultipleRecords = (async (_entity: string, options: string) => {
+        raw.push(decodeURIComponent(options.substring("?fetchXml=".length)));
+        const query = XrmEx.FetchXml.parse(raw[raw.length - 1]);
+        queries.push(query);
+        return query.options.page === "1"
+          ? { entities: [{ id: 1 }, { id: 2 }], fetchXmlPagingCookie: `<cookie pagenumber="2" pagingcookie="${cookie}" istracking="False" />` }
+          : { entities: [{ id: 3 }] };
+      }) as any;
+      const ids: number[] = [];
+      for await (const record of XrmEx.retrieveAllIterator("contact", `<fetch><entity name="contact"><attribute name="createdon" dategrouping="month" usertimezone="true" /><order attribute="fullname" entityname="contact" /></entity></fetch>`, { maxPageSize: 2 })) {
+        ids.push(record.id);
+      }
+      expect(ids).toEqual([1, 2, 3]);
+      expect(queries[0].options).toEqual({ count: "2", page: "1" });
+      expect(queries[1].options["paging-cookie"]).toBe(`<cookie page="1"><contactid last="{2}" first="{1}" /></cookie>`);
+      expect(queries[1].options.page).toBe("2");
+      expect(raw[1]).toContain(`<entity name="contact"><attribute name="createdon" dategrouping="month" usertimezone="true" /><order attribute="fullname" entityname="contact" /></entity>`);
+    })
+  });
+  test.describe("Test executeBatch", () => {
+    test("Transactional batch with CRUD descriptors", async () => {
+      let batch: any[] = [];
+      (Xrm.WebApi as any).online = {
+        executeMultiple: async (requests: any[]) => {
+          batch = requests;
+          return [
+            { ok: true, status: 200, json: async () => ({ contactid: "1" }) },
+            { ok: true, status: 204, json: async () => { throw new Error("empty"); } },
+            { ok: false, status: 400, json: async () => ({ message: "Bad" }) },
+          ];
+        },
+      };
+      const results = await XrmEx.executeBatch(
+        [
+          { operation: "create", entityName: "contact", data: { lastname: "Doe" } },
+          { operation: "delete", entityName: "contact", id: "{726A2976-5195-4FEC-9BB4-523D3FA1A7C7}" },
+          XrmEx.buildRequestObject("new_DoSomething", { Amount: 5 }, 0),
+        ],
+        { transactional: true }
+      );
+      expect(batch.length).toBe(1);
+      expect(batch[0].map((r: any) => r.getMetadata().operationName)).toEqual(["Create", "Delete", "new_DoSomething"]);
+      expect(batch[0][1].entityReference).toEqual({ entityType: "contact", id: "726a2976-5195-4fec-9bb4-523d3fa1a7c7" });
+      expect(results.slice(0, 2)).toEqual([
+        { index: 0, ok: true, status: 200, data: { contactid: "1" } },
+        { index: 1, ok: true, status: 204, data: undefined },
+      ]);
+      expect(results[2]).toMatchObject({ index: 2, ok: false, status: 400 });
+      expect(results[2].error).toBeInstanceOf(XrmEx.XrmExError);
+      expect(results[2].error).toMatchObject({ message: "XrmEx.executeBatch:\nBad", status: 400 });
+    })
+    test("Functions cannot be part of a changeset", async () => {
+      await expect(
+        XrmEx.executeBatch([XrmEx.buildRequestObject("WhoAmI", {}, 1)], { transactional: true })
+      ).rejects.toThrow("cannot be part of a changeset");
+    })
+  });
+  test.describe("Test defineApi", () => {
+    const calculatePrice = XrmEx.defineApi({
+      name: "new_CalculatePrice",
+      binding: "contact",
+      params: {
+        Amount: { type: "Money", required: true },
+        Quantity: "Integer",
+        Product: { type: "EntityReference", entityType: "product" },
+        ExternalId: "Guid",
+      },
+      response: { Price: "Decimal", CalculatedOn: "DateTime" },
+    });
+    const contact = { entityType: "contact", id: "{726A2976-5195-4FEC-9BB4-523D3FA1A7C7}" };
+    test("Validates parameters before sending", () => {
+      expect(() => calculatePrice.buildRequest({ Quantity: 1 } as any, contact)).toThrow("'Amount' is required");
+      expect(() => calculatePrice.buildRequest({ Amount: 1, Quantity: 1.5 }, contact)).toThrow("'Quantity' is not a valid Integer");
+      expect(() => calculatePrice.buildRequest({ Amount: 1, Product: { entityType: "account", id: contact.id } }, contact)).toThrow("must reference 'product'");
+      expect(() => calculatePrice.buildRequest({ Amount: 1, Unknown: 1 } as any, contact)).toThrow("'Unknown' is not a parameter");
+      expect(() => calculatePrice.buildRequest({ Amount: 1 })).toThrow("a bound entity of 'contact' is required");
+    })
+    test("Maps declared types and shapes the response", async () => {
+      const request = calculatePrice.buildRequest({ Amount: 12.5, ExternalId: "{0B7F3C8E-6A63-4C07-9C0A-7E3A5F5C8D11}" }, contact);
+      expect(request.getMetadata()).toEqual({
+        boundParameter: "entity",
+        operationType: 0,
+        operationName: "new_CalculatePrice",
+        parameterTypes: {
+          Amount: { typeName: "Edm.Decimal", structuralProperty: 1 },
+          ExternalId: { typeName: "Edm.Guid", structuralProperty: 1 },
+          entity: { typeName: "mscrm.contact", structuralProperty: 5 },
+        },
+      });
+      expect(request.ExternalId).toBe("0b7f3c8e-6a63-4c07-9c0a-7e3a5f5c8d11");
+      (Xrm.WebApi as any).online = {
+        execute: async () => ({ ok: true, json: async () => ({ Price: "13.75", CalculatedOn: "2024-01-01T00:00:00Z", Ignored: 1 }) }),
+      };
+      const response = await calculatePrice({ Amount: 12.5 }, contact);
+      expect(response).toEqual({ Price: 13.75, CalculatedOn: new Date("2024-01-01T00:00:00Z") });
+    })
+  });
+  test.describe("Test parameter types", () => {
+    test("Infers types from plain values", () => {
+      const request = XrmEx.buildRequestObject(
+        "new_Test",
+        { Count: 5, Amount: 12.5, Id: "{0B7F3C8E-6A63-4C07-9C0A-7E3A5F5C8D11}", Names: ["contact", "account"], Numbers: [1, 2] },
+        0
+      );
+      const types = request.getMetadata().parameterTypes;
+      expect(types.Count.typeName).toBe("Edm.Int32");
+      expect(types.Amount.typeName).toBe("Edm.Decimal");
+      expect(types.Id.typeName).toBe("Edm.Guid");
+      expect(types.Names).toEqual({ typeName: "Collection(Edm.String)", structuralProperty: 4 });
+      expect(types.Numbers.typeName).toBe("Collection(Edm.Int32)");
+      expect(XrmEx.getTypeName([{ accountid: "1" }])).toBe("Collection(mscrm.crmbaseentity)");
+    })
+    test("Recognizes Types helpers", () => {
+      const request = XrmEx.buildRequestObject(
+        "new_Test",
+        {
+          Amount: XrmEx.Types.money(12),
+          Ratio: XrmEx.Types.float(0.5),
+          Tags: XrmEx.Types.stringArray(["a"]),
+          Account: XrmEx.Types.entityRef("account", "{726A2976-5195-4FEC-9BB4-523D3FA1A7C7}"),
+        },
+        0
+      );
+      const types = request.getMetadata().parameterTypes;
+      expect(types.Amount.typeName).toBe("Edm.Decimal");
+      expect(types.Ratio.typeName).toBe("Edm.Double");
+      expect(types.Tags).toEqual({ typeName: "Collection(Edm.String)", structuralProperty: 4 });
+      expect(types.Account).toEqual({ typeName: "mscrm.account", structuralProperty: 5 });
+      expect(request.Amount).toBe(12);
+      expect(request.Account).toEqual({ entityType: "account", id: "726a2976-5195-4fec-9bb4-523d3fa1a7c7" });
+      expect(() => XrmEx.Types.guid("no guid")).toThrow();
+    })
+  });
+
+  test.describe("Test XrmExError", () => {
+    test("Keeps code, status, inner error and cause", async () => {
+      const original = {
+        message: "Bad",
+        raw: JSON.stringify({ error: { code: "0x80040237", message: "A duplicate was found", innererror: { type: "DuplicateRecord" } } }),
+        status: 412,
+      };
+      const error = XrmEx.XrmExError.from(original, "createRecord");
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toBe("XrmEx.createRecord:\nA duplicate was found");
+      expect(error).toMatchObject({ code: "0x80040237", status: 412, method: "createRecord", innerError: { type: "DuplicateRecord" }, cause: original });
+      expect(error.errorCode).toBe(0x80040237);
+      expect(XrmEx.isDuplicateError(error)).toBe(true);
+      expect(XrmEx.isConcurrencyError(error)).toBe(true);
+      expect(XrmEx.isPrivilegeError(error)).toBe(false);
+    })
+    test("Reads numeric error codes of Xrm.WebApi errors", async () => {
+      const error = XrmEx.XrmExError.from({ errorCode: -2147220960, message: "No privilege" });
+      expect(error.code).toBe("0x80040220");
+      expect(error.message).toBe("No privilege");
+      expect(XrmEx.isPrivilegeError(error)).toBe(true);
+    })
+    test("Wraps errors of execute", async () => {
+      (Xrm.WebApi as any).online = {
+        execute: () => Promise.reject({ errorCode: -2147088254, message: "Concurrency" }),
+      };
+      const error = await XrmEx.execute({ getMetadata: () => ({}) } as any).catch((e) => e);
+      expect(error).toBeInstanceOf(XrmEx.XrmExError);
+      expect(error.method).toBe("execute");
+      expect(XrmEx.isConcurrencyError(error)).toBe(true);
+    })
+  })
+
+  test.describe("Test retry policy", () => {
+    test("Retries throttled actions after Retry-After", async () => {
+      let attempts = 0;
+      (Xrm.WebApi as any).online = {
+        execute: () =>
+          ++attempts < 3
+            ? Promise.reject({ errorCode: -2147015902, message: "Too many requests", retryAfter: 0 })
+            : Promise.resolve({ ok: true, json: () => Promise.resolve({ done: true }) }),
+      };
+      await expect(XrmEx.executeAction("new_DoSomething", {})).rejects.toThrow("Too many requests");
+      expect(attempts).toBe(1);
+      expect(await XrmEx.executeAction("new_DoSomething", {}, undefined, { maxAttempts: 3 })).toEqual({ done: true });
+      expect(attempts).toBe(3);
+    })
+    test("Fails when Retry-After is longer than maxDelay", async () => {
+      let attempts = 0;
+      (Xrm.WebApi as any).online = {
+        execute: () => (++attempts, Promise.reject({ status: 429, retryAfter: 300, message: "Throttled" })),
+      };
+      await expect(XrmEx.executeAction("new_DoSomething", {}, undefined, { maxAttempts: 2, maxDelay: 1000 })).rejects.toMatchObject({ status: 429, retryAfter: 300 });
+      expect(attempts).toBe(1);
+    })
+    test("Retries server errors of functions only", async () => {
+      let attempts = 0;
+      (Xrm.WebApi as any).online = {
+        execute: () => (++attempts, Promise.reject({ status: 503, message: "Unavailable" })),
+      };
+      const policy = { maxAttempts: 3, baseDelay: 1, jitter: false };
+      await expect(XrmEx.executeFunction("WhoAmI", {}, undefined, policy)).rejects.toThrow("Unavailable");
+      expect(attempts).toBe(3);
+      attempts = 0;
+      await expect(XrmEx.executeAction("new_DoSomething", {}, undefined, policy)).rejects.toMatchObject({ status: 503 });
+      expect(attempts).toBe(1);
+      attempts = 0;
+      await expect(XrmEx.executeAction("new_DoSomething", {}, undefined, { ...policy, idempotent: true })).rejects.toThrow();
+      expect(attempts).toBe(3);
+    })
+    test("Applies the global retry policy", async () => {
+      let attempts = 0;
+      (Xrm.WebApi as any).online = {
+        execute: () => (++attempts, Promise.reject({ status: 429, retryAfter: 0, message: "Throttled" })),
+      };
+      const previous = XrmEx.getRetryPolicy();
+      XrmEx.setRetryPolicy({ maxAttempts: 2 });
+      try {
+        const error = await XrmEx.executeCRUD("Create", {}).catch((e) => e);
+        expect(XrmEx.isThrottlingError(error)).toBe(true);
+        expect(attempts).toBe(2);
+      } finally {
+        XrmEx.setRetryPolicy(previous);
+      }
+    })
+  })
+
+  test.describe("Test Rules", () => {
+    test("Applies effects on load and reverses them", async () => {
+      fields.Weight.setRequired(false);
+      const rules = XrmEx.Rules.define([
+        {
+          name: "phone",
+          when: { field: fields.PreferredContactMethod, equals: 3 },
+          then: [
+            { field: fields.Weight, required: true, notification: "Weight is needed" },
+            { field: fields.Firstname, visible: false, disabled: true, value: null },
+          ],
+        },
+        {
+          when: { not: { field: fields.DoNotEmail, equals: true } },
+          then: { field: fields.PreferredContactMethod, options: [1, 2, 3] },
+        },
+      ]);
+      const options = () => (fields.PreferredContactMethod.control as any).getOptions().map((o) => o.value);
+      expect(fields.Weight.getRequiredLevel()).toBe("none");
+      expect(options()).toEqual([1, 2, 3]);
+      fields.PreferredContactMethod.Value = 3;
+      fields.PreferredContactMethod.fireOnChange();
+      expect(fields.Weight.getRequiredLevel()).toBe("required");
+      expect(fields.Firstname.Value).toBe(null);
+      expect(fields.Firstname.controls.get()[0].getVisible()).toBe(false);
+      expect(fields.Firstname.controls.get()[0].getDisabled()).toBe(true);
+      fields.PreferredContactMethod.Value = 1;
+      fields.PreferredContactMethod.fireOnChange();
+      expect(fields.Weight.getRequiredLevel()).toBe("none");
+      expect(fields.Firstname.Value).toBe("Joe");
+      expect(fields.Firstname.controls.get()[0].getVisible()).toBe(true);
+      expect(fields.Firstname.controls.get()[0].getDisabled()).toBe(false);
+      fields.DoNotEmail.Value = true;
+      fields.DoNotEmail.fireOnChange();
+      expect(options()).toEqual([1, 2, 3, 4, 5]);
+      fields.DoNotEmail.Value = false;
+      rules.evaluate();
+      expect(options()).toEqual([1, 2, 3]);
+      rules.dispose();
+      expect(options()).toEqual([1, 2, 3, 4, 5]);
+    })
+    test("Applies a rule once when its value effects change a watched field", () => {
+      fields.Weight.setDisabled(false);
+      const rules = XrmEx.Rules.define([
+        {
+          when: { field: fields.PreferredContactMethod, equals: 3 },
+          dependsOn: [fields.Firstname],
+          then: [{ field: fields.Firstname, value: null }, { field: fields.Weight, disabled: true }],
+        },
+      ]);
+      fields.PreferredContactMethod.Value = 3;
+      fields.PreferredContactMethod.fireOnChange();
+      expect(fields.Firstname.Value).toBe(null);
+      expect(fields.Weight.controls.get()[0].getDisabled()).toBe(true);
+      fields.PreferredContactMethod.Value = 1;
+      fields.PreferredContactMethod.fireOnChange();
+      expect(fields.Firstname.Value).toBe("Joe");
+      expect(fields.Weight.controls.get()[0].getDisabled()).toBe(false);
+      rules.dispose();
+    })
+    test("Supports function conditions with dependsOn", async () => {
+      XrmEx.Rules.define([
+        {
+          when: () => fields.Weight.Value > 100,
+          dependsOn: [fields.Weight],
+          then: { field: fields.Firstname, required: true },
+        },
+      ]);
+      expect(fields.Firstname.getRequiredLevel()).not.toBe("required");
+      fields.Weight.Value = 120;
+      fields.Weight.fireOnChange();
+      expect(fields.Firstname.getRequiredLevel()).toBe("required");
+    })
+    test("Compares lookups by id", async () => {
+      XrmEx.Rules.define([
+        {
+          when: { field: fields.Customer, equals: "{726A2976-5195-4FEC-9BB4-523D3FA1A7C7}" },
+          then: { field: fields.Weight, disabled: true },
+        },
+      ]);
+      expect(fields.Weight.controls.get()[0].getDisabled()).toBe(true);
+    })
+  })
+
+  test.describe("Test Validation", () => {
+    const saveContext = () => {
+      let prevented = false;
+      return {
+        getEventArgs: () => ({ preventDefault: () => (prevented = true), isDefaultPrevented: () => prevented }),
+        get prevented() {
+          return prevented;
+        },
+      };
+    };
+    test.afterEach(() => {
+      [fields.Firstname, fields.Weight, fields.Birthday].forEach((field) => XrmEx.Validation.unregister(field));
+    });
+    test("Validates on change and prevents the save", async () => {
+      fields.Firstname.addValidators(XrmEx.Validation.regex(/^[A-Z]/, "Must start with an uppercase letter."));
+      XrmEx.Validation.register(fields.Weight, [
+        XrmEx.Validation.requiredIf({ field: fields.DoNotEmail, equals: true }),
+        XrmEx.Validation.range(10, 200),
+      ]);
+      const notifications = () => (fields.Firstname.controls.get(0) as any).notifications ?? [];
+      fields.Firstname.Value = "joe";
+      fields.Firstname.fireOnChange();
+      expect(JSON.stringify(notifications())).toContain("Must start with an uppercase letter.");
+      const context = saveContext();
+      XrmEx.Validation.onSave(context as any);
+      expect(context.prevented).toBe(true);
+      fields.Firstname.Value = "Joe";
+      fields.Firstname.fireOnChange();
+      fields.Weight.Value = null;
+      fields.DoNotEmail.Value = true;
+      fields.DoNotEmail.fireOnChange();
+      expect((await XrmEx.Validation.validate()).map((e) => e.message)).toEqual(["This field is required."]);
+      fields.Weight.Value = 300;
+      expect((await XrmEx.Validation.validate()).map((e) => e.message)).toEqual(["The value must be between 10 and 200."]);
+      fields.Weight.Value = 80;
+      const valid = saveContext();
+      XrmEx.Validation.onSave(valid as any);
+      expect(valid.prevented).toBe(false);
+    })
+    test("Supports dates and asynchronous validators", async () => {
+      XrmMockGenerator.Attribute.createDate("anniversary", new Date("1790-01-01"));
+      const anniversary = new XrmEx.Class.DateField("anniversary");
+      XrmEx.Validation.register(fields.Birthday, [
+        XrmEx.Validation.dateAfter(anniversary),
+        XrmEx.Validation.custom(async (value: Date) => (value.getFullYear() < 1900 ? "Too old." : null)),
+      ]);
+      anniversary.Value = new Date("2010-01-01");
+      anniversary.fireOnChange();
+      expect((await XrmEx.Validation.validate())[0].message).toBe("The date must be after anniversary.");
+      anniversary.Value = new Date("1790-01-01");
+      fields.Birthday.Value = new Date("1800-01-01");
+      const context = saveContext();
+      const result = XrmEx.Validation.onSave(context as any);
+      expect(context.prevented).toBe(false);
+      await result;
+      expect(context.prevented).toBe(true);
+      expect(await XrmEx.Validation.validate()).toHaveLength(1);
+    })
+    test("Registers the validators again when another record is loaded", async () => {
+      const values: any[] = [];
+      const validator = XrmEx.Validation.custom((value) => (values.push(value), "Invalid."));
+      XrmEx.Validation.register(fields.Firstname, validator);
+      XrmEx.Validation.register(fields.Firstname, validator);
+      XrmMockGenerator.initialise();
+      XrmMockGenerator.Attribute.createString("firstname", "Jane");
+      XrmEx.Form.executionContext = XrmMockGenerator.getEventContext();
+      const firstname = new XrmEx.Class.TextField("firstname");
+      XrmEx.Validation.register(firstname, validator);
+      expect((await XrmEx.Validation.validate()).map((e) => e.message)).toEqual(["Invalid."]);
+      expect(values).toEqual(["Jane"]);
+    })
+  })
+
+  test.describe("Test Metadata", () => {
+    const label = (Label: string, LanguageCode = 1033) => ({ UserLocalizedLabel: { Label, LanguageCode }, LocalizedLabels: [{ Label, LanguageCode }, { Label: `${Label} (de)`, LanguageCode: 1031 }] });
+    let calls: string[][];
+    test.beforeEach(() => {
+      calls = [];
+      XrmEx.Metadata.clear();
+      (Xrm.Utility as any).getEntityMetadata = (entityName: string, attributes: string[]) => {
+        calls.push(attributes);
+        const all = [
+          { LogicalName: "parentcustomerid", AttributeType: 1, DisplayName: "Company Name", Targets: ["account", "contact"] },
+          { LogicalName: "preferredcontactmethodcode", AttributeType: 11, DisplayName: "Preferred Method", OptionSet: [{ Value: 1, Label: label("Any") }, { Value: 2, Label: label("Email") }] },
+          { LogicalName: "donotemail", AttributeType: 0, DisplayName: "Do not Email", OptionSet: { FalseOption: { Value: 0, Label: label("Allow") }, TrueOption: { Value: 1, Label: label("Do Not Allow") } } },
+        ];
+        return Promise.resolve({
+          LogicalName: entityName,
+          EntitySetName: "contacts",
+          PrimaryIdAttribute: "contactid",
+          PrimaryNameAttribute: "fullname",
+          DisplayName: label("Contact"),
+          Attributes: { getAll: () => all.filter((a) => attributes.includes(a.LogicalName)) },
+        });
+      };
+    });
+    test("Returns typed metadata and caches it", async () => {
+      expect(await XrmEx.Metadata.getEntitySetName("contact")).toBe("contacts");
+      expect(await XrmEx.Metadata.getPrimaryNameAttribute("contact")).toBe("fullname");
+      expect(await XrmEx.Metadata.getAttributeType("contact", "parentcustomerid")).toBe("Customer");
+      expect(await XrmEx.Metadata.getTargets("contact", "parentcustomerid")).toEqual(["account", "contact"]);
+      expect(await XrmEx.Metadata.getOptions("contact", "preferredcontactmethodcode")).toEqual([{ value: 1, label: "Any" }, { value: 2, label: "Email" }]);
+      expect(await XrmEx.Metadata.getOptionLabel("contact", "preferredcontactmethodcode", 2, 1031)).toBe("Email (de)");
+      expect(await XrmEx.Metadata.getOptionLabel("contact", "donotemail", 1)).toBe("Do Not Allow");
+      expect(await XrmEx.Metadata.getPrimaryIdAttribute("contact")).toBe("contactid");
+      expect(calls).toEqual([[], ["parentcustomerid"], ["preferredcontactmethodcode"], ["donotemail"]]);
+      await expect(XrmEx.Metadata.getAttribute("contact", "unknown")).rejects.toThrow("'unknown' is not an attribute of 'contact'");
+    })
+    test("Uses the sessionStorage per version", async () => {
+      const items = new Map<string, string>();
+      (globalThis as any).sessionStorage = {
+        get length() { return items.size; },
+        key: (i: number) => [...items.keys()][i] ?? null,
+        getItem: (key: string) => items.get(key) ?? null,
+        setItem: (key: string, value: string) => items.set(key, value),
+        removeItem: (key: string) => items.delete(key),
+      };
+      try {
+        XrmEx.Metadata.setVersion("1.0");
+        await XrmEx.Metadata.getTargets("contact", "parentcustomerid");
+        expect([...items.keys()]).toEqual(["XrmEx.Metadata.1.0.contact"]);
+        (XrmEx.Metadata as any).entities.clear();
+        expect(await XrmEx.Metadata.getTargets("contact", "parentcustomerid")).toEqual(["account", "contact"]);
+        expect(calls.length).toBe(1);
+        XrmEx.Metadata.setVersion("1.1");
+        expect(items.size).toBe(0);
+        await XrmEx.Metadata.getTargets("contact", "parentcustomerid");
+        expect(calls.length).toBe(2);
+      } finally {
+        delete (globalThis as any).sessionStorage;
+        XrmEx.Metadata.setVersion("");
+      }
+    })
+  })
+
+  test.describe("Test cloneRecord", () => {
+    let created: { entityName: string; data: any }[];
+    let opened: any[];
+    let requestedUrls: string[];
+    test.beforeEach(() => {
+      created = [];
+      opened = [];
+      requestedUrls = [];
+      XrmEx.Metadata.clear();
+      (Xrm.Utility as any).getEntityMetadata = (entityName: string, attributes: string[]) =>
+        Promise.resolve({
+          LogicalName: entityName,
+          EntitySetName: `${entityName}s`,
+          PrimaryIdAttribute: `${entityName}id`,
+          Attributes: {
+            getAll: () =>
+              [
+                { LogicalName: "parentcustomerid", AttributeType: 1, Targets: ["account", "contact"] },
+                { LogicalName: "new_total", AttributeType: 8, IsValidForCreate: false },
+                { LogicalName: "weight", AttributeType: 8, IsValidForCreate: false },
+              ].filter((a) => attributes.includes(a.LogicalName)),
+          },
+        });
+      (Xrm.Utility as any).getGlobalContext = () => ({ getClientUrl: () => "https://org.crm.dynamics.com", getVersion: () => "9.1.0.24041" });
+      (globalThis as any).fetch = async (url: string) => (requestedUrls.push(url), {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => ({
+          value: url.includes("LogicalName='new_line'")
+            ? [{ ReferencingAttribute: "new_contactid", ReferencedEntity: "contact", ReferencingEntityNavigationPropertyName: "new_ContactId" }]
+            : [
+                { ReferencingAttribute: "parentcustomerid", ReferencedEntity: "account", ReferencingEntityNavigationPropertyName: "parentcustomerid_account" },
+                { ReferencingAttribute: "parentcustomerid", ReferencedEntity: "contact", ReferencingEntityNavigationPropertyName: "parentcustomerid_contact" },
+              ],
+        }),
+      });
+      (Xrm.Navigation as any).openForm = (options: any, parameters: any) => {
+        opened.push({ options, parameters });
+        return Promise.resolve({ savedEntityReference: [] });
+      };
+      (Xrm.WebApi as any).createRecord = (entityName: string, data: any) => {
+        created.push({ entityName, data });
+        return Promise.resolve({ entityType: entityName, id: `{00000000-0000-0000-0000-00000000000${created.length}}` });
+      };
+      (Xrm.WebApi.online as any).executeMultiple = (batch: any[]) => {
+        batch.flat().forEach((request) => created.push({ entityName: request.etn, data: request.payload }));
+        return Promise.resolve(batch.flat().map(() => ({ ok: true, status: 204, json: async () => undefined })));
+      };
+    });
+    test.afterEach(() => {
+      delete (globalThis as any).fetch;
+    });
+    test("Opens a form with the values, keeping false and 0", async () => {
+      fields.Weight.Value = 0;
+      await XrmEx.Form.cloneRecord({ exclude: ["firstname"], values: { description: "Copy" } });
+      expect(opened[0].options).toEqual({ entityName: "contact" });
+      expect(opened[0].parameters).toMatchObject({
+        parentcustomerid: "726a2976-5195-4fec-9bb4-523d3fa1a7c7",
+        parentcustomeridname: "Company",
+        parentcustomeridtype: "account",
+        weight: 0,
+        donotemail: false,
+        preferredcontactmethodcode: 1,
+        description: "Copy",
+      });
+      expect(opened[0].parameters.firstname).toBeUndefined();
+      await XrmEx.Form.cloneRecord({ include: ["firstname"] });
+      expect(opened[1].parameters).toEqual({ firstname: "Joe" });
+    })
+    test("Creates the copy and its related records through the Web API", async () => {
+      (Xrm.WebApi as any).retrieveMultipleRecords = (entityName: string, options: string) => {
+        expect(options).toContain("_new_contactid_value eq deadbeef-dead-beef-dead-beefdeadbeaf");
+        return Promise.resolve({
+          entities: [
+            {
+              "@odata.etag": "W/1",
+              new_lineid: "11111111-1111-1111-1111-111111111111",
+              new_name: "Line 1",
+              new_quantity: 0,
+              new_total: 100,
+              _new_contactid_value: "deadbeef-dead-beef-dead-beefdeadbeaf",
+              "_new_contactid_value@Microsoft.Dynamics.CRM.lookuplogicalname": "contact",
+              _createdby_value: "22222222-2222-2222-2222-222222222222",
+            },
+          ],
+        });
+      };
+      const result = await XrmEx.Form.cloneRecord({
+        mode: "webapi",
+        include: ["firstname", "parentcustomerid", "donotemail", "weight"],
+        children: [{ entityName: "new_line", lookup: "new_contactid" }],
+        openForm: true,
+      });
+      const [lineId] = result.children.new_line;
+      expect(requestedUrls[0]).toMatch(/^https:\/\/org\.crm\.dynamics\.com\/api\/data\/v9\.1\/EntityDefinitions/);
+      expect(created[0]).toEqual({
+        entityName: "contact",
+        data: { contactid: result.id, firstname: "Joe", "parentcustomerid_account@odata.bind": "/accounts(726a2976-5195-4fec-9bb4-523d3fa1a7c7)", donotemail: false },
+      });
+      expect(created[1]).toEqual({
+        entityName: "new_line",
+        data: { new_lineid: lineId, new_name: "Line 1", new_quantity: 0, "new_ContactId@odata.bind": `/contacts(${result.id})` },
+      });
+      expect(result.entityType).toBe("contact");
+      expect(opened[0].options).toEqual({ entityName: "contact", entityId: result.id });
+      (Xrm.WebApi.online as any).executeMultiple = () => Promise.resolve([{ ok: false, status: 400, json: async () => ({ error: { message: "Invalid" } }) }, { ok: false, status: 400, json: async () => ({}) }]);
+      await expect(XrmEx.Form.cloneRecord({ mode: "webapi", children: [{ entityName: "new_line", lookup: "new_contactid" }] })).rejects.toThrow("Invalid");
+    })
+  })
+
+  test.describe("Test form snapshot", () => {
+    test("Reports and reverts changes since load", async () => {
+      await XrmEx.Form.onLoad({}, { progressMessage: false });
+      expect(XrmEx.Form.getChanges()).toEqual([]);
+      expect(XrmEx.Form.getSnapshot().preferredcontactmethodcode).toEqual({ value: 1, attributeType: "optionset", text: "Any" });
+      fields.Firstname.Value = "John";
+      fields.PreferredContactMethod.Value = 2;
+      fields.Customer.Value = [{ entityType: "account", id: "{726A2976-5195-4FEC-9BB4-523D3FA1A7C7}", name: "Company" }];
+      fields.Birthday.Value = new Date("2000-01-01");
+      fields.DoNotEmail.Value = true;
+      const changes = XrmEx.Form.getChanges();
+      expect(changes.map((c) => c.attribute)).toEqual(["firstname", "preferredcontactmethodcode", "donotemail"]);
+      expect(changes[1]).toEqual({ attribute: "preferredcontactmethodcode", attributeType: "optionset", oldValue: 1, newValue: 2, oldText: "Any", newText: "Email" });
+      expect(XrmEx.Form.getChanges([fields.Firstname])).toEqual([
+        { attribute: "firstname", attributeType: "string", oldValue: "Joe", newValue: "John", oldText: "Joe", newText: "John" },
+      ]);
+      fields.Customer.Value = [{ entityType: "contact", id: "{11111111-1111-1111-1111-111111111111}", name: "Other" }];
+      expect(XrmEx.Form.getChanges([fields.Customer])[0]).toMatchObject({ oldText: "Company", newText: "Other" });
+      XrmEx.Form.revertChanges([fields.Firstname, fields.Customer]);
+      expect(fields.Firstname.Value).toBe("Joe");
+      expect(fields.Customer.Value[0].name).toBe("Company");
+      XrmEx.Form.revertChanges();
+      expect(XrmEx.Form.getChanges()).toEqual([]);
+      fields.Weight.Value = 80;
+      XrmEx.Form.executionContext = XrmMockGenerator.getEventContext();
+      expect(XrmEx.Form.getChanges().map((c) => c.attribute)).toEqual(["weight"]);
+      XrmEx.Form.takeSnapshot();
+      expect(XrmEx.Form.getChanges()).toEqual([]);
+    })
+    test("Rejects the snapshot of another record", () => {
+      XrmEx.Form.takeSnapshot();
+      (XrmEx.Form.formContext.data.entity as any).id = "{11111111-1111-1111-1111-111111111111}";
+      expect(() => XrmEx.Form.getChanges()).toThrow("No snapshot was taken for the current record.");
+      expect(() => XrmEx.Form.getSnapshot()).toThrow("No snapshot was taken for the current record.");
+      XrmEx.Form.takeSnapshot();
+      expect(XrmEx.Form.getChanges()).toEqual([]);
+    })
+  })
+  test.describe("Test Events", () => {
+    test("Publishes typed form events and custom events", () => {
+      const received: any[] = [];
+      const unsubscribe = XrmEx.Events.subscribe("field:change", (payload, event) => received.push([payload.attribute, payload.value, event.remote]));
+      XrmEx.Events.subscribe("custom:event", () => {
+        throw new Error("Ignored");
+      });
+      XrmEx.Events.forward({ fields: [fields.Firstname] });
+      fields.Firstname.Value = "Joe";
+      fields.Firstname.fireOnChange();
+      XrmEx.Events.publish("custom:event", { any: "payload" });
+      unsubscribe();
+      fields.Firstname.fireOnChange();
+      expect(received).toEqual([["firstname", "Joe", false]]);
+    })
+    test("Posts events to other windows and checks the origin", () => {
+      const posted: any[] = [];
+      let listener: (event: any) => void;
+      const other = { frames: [], postMessage: (message: any, origin: string) => posted.push([message.name, origin]) };
+      const self: any = { location: { origin: "https://org.crm.dynamics.com" }, addEventListener: (_: string, handler: any) => (listener = handler) };
+      self.top = { frames: [self, other], postMessage: () => {} };
+      self.frames = [];
+      (globalThis as any).window = self;
+      try {
+        const received: any[] = [];
+        XrmEx.Events.subscribe("grid:load", (payload, event) => received.push([payload.grid, event.origin, event.remote]));
+        XrmEx.Events.publish("grid:load", { grid: "Contacts" }, { local: true });
+        XrmEx.Events.publish("form:postsave", { entityType: "contact", id: "1", name: "", isSaveSuccess: true });
+        expect(posted).toEqual([["form:postsave", "https://org.crm.dynamics.com"]]);
+        const message = { type: XrmEx.Events.messageType, id: "1", name: "grid:load", payload: { grid: "Accounts" } };
+        listener({ origin: "https://evil.example.com", data: message });
+        listener({ origin: "https://org.crm.dynamics.com", data: message });
+        listener({ origin: "https://org.crm.dynamics.com", data: message });
+        XrmEx.Events.allowOrigins("https://portal.example.com");
+        listener({ origin: "https://portal.example.com", data: { ...message, id: "2" } });
+        expect(received).toEqual([
+          ["Contacts", "https://org.crm.dynamics.com", false],
+          ["Accounts", "https://org.crm.dynamics.com", true],
+          ["Accounts", "https://portal.example.com", true],
+        ]);
+      } finally {
+        delete (globalThis as any).window;
+      }
+    })
+  });
+  test.describe("Test async OnSave", () => {
+    const saveContext = (saveMode = 1, async = false) => {
+      let prevented = false;
+      const eventArgs: any = {
+        preventDefault: () => (prevented = true),
+        isDefaultPrevented: () => prevented,
+        getSaveMode: () => saveMode,
+      };
+      if (async) {
+        eventArgs.disableAsyncTimeout = () => {};
+        eventArgs.preventDefaultOnError = () => {};
+      }
+      return { getEventArgs: () => eventArgs, get prevented() { return prevented; } };
+    };
+    const runPipeline = (context: any): Promise<void> => (XrmEx.Form as any).runSavePipeline(context);
+    test("Waits for the handlers in order and saves again", async () => {
+      const calls: string[] = [];
+      let saved = 0;
+      (XrmEx.Form.formContext.data as any).save = async () => {
+        saved++;
+        await runPipeline(saveContext());
+      };
+      const second = async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        calls.push("second");
+      };
+      const first = () => {
+        calls.push("first");
+      };
+      XrmEx.Form.addOnSaveAsync(second, { order: 2 });
+      XrmEx.Form.addOnSaveAsync(first, { order: 1 });
+      const context = saveContext();
+      await runPipeline(context);
+      expect(context.prevented).toBe(true);
+      expect(calls).toEqual(["first", "second"]);
+      expect(saved).toBe(1);
+      XrmEx.Form.removeOnSaveAsync(first);
+      XrmEx.Form.removeOnSaveAsync(second);
+    })
+    test("Lets saves of other commands through", async () => {
+      let saved = 0;
+      (XrmEx.Form.formContext.data as any).save = async () => saved++;
+      const calls: string[] = [];
+      const handler = () => {
+        calls.push("handler");
+      };
+      XrmEx.Form.addOnSaveAsync(handler);
+      // 5: Deactivate, 47: Assign
+      for (const saveMode of [5, 47]) {
+        const context = saveContext(saveMode);
+        await runPipeline(context);
+        expect(context.prevented).toBe(false);
+      }
+      expect(calls).toEqual([]);
+      expect(saved).toBe(0);
+      XrmEx.Form.removeOnSaveAsync(handler);
+    })
+    test("Cancels the save on errors, false and timeouts", async () => {
+      let saved = 0;
+      (XrmEx.Form.formContext.data as any).save = async () => saved++;
+      const notifications: string[] = [];
+      (XrmEx.Form.formContext.ui as any).setFormNotification = (message: string) => notifications.push(message);
+      const failing = async () => {
+        throw new Error("Credit limit exceeded.");
+      };
+      XrmEx.Form.addOnSaveAsync(failing);
+      await runPipeline(saveContext());
+      XrmEx.Form.removeOnSaveAsync(failing);
+      const slow = () => new Promise<void>((resolve) => setTimeout(resolve, 100));
+      XrmEx.Form.addOnSaveAsync(slow, { timeout: 10 });
+      await runPipeline(saveContext());
+      XrmEx.Form.removeOnSaveAsync(slow);
+      const cancel = () => false;
+      XrmEx.Form.addOnSaveAsync(cancel);
+      await runPipeline(saveContext());
+      expect(saved).toBe(0);
+      expect(notifications).toEqual(["Credit limit exceeded.", "The handler did not finish within 10ms."]);
+      XrmEx.Form.savePipelineMode = "async";
+      const asyncContext = saveContext(1, true);
+      await runPipeline(asyncContext);
+      expect(asyncContext.prevented).toBe(true);
+      XrmEx.Form.savePipelineMode = "resave";
+      XrmEx.Form.removeOnSaveAsync(cancel);
+    })
+  });
+  test.describe("Test Form.onLoad", () => {
+    test("Runs steps in dependency order and reports failures", async () => {
+      const progress: string[] = [];
+      const dialogs: string[] = [];
+      (Xrm.Utility as any).showProgressIndicator = (message: string) => progress.push(message);
+      (Xrm.Utility as any).closeProgressIndicator = () => progress.push("closed");
+      (Xrm.Navigation as any).openErrorDialog = async (options: any) => dialogs.push(options.message);
+      const order: string[] = [];
+      const delay = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+      const { results, steps } = await XrmEx.Form.onLoad({
+        account: {
+          dependsOn: ["settings", "roles"],
+          run: ({ settings }) => {
+            order.push("account");
+            return `account-${settings}`;
+          },
+        },
+        settings: async () => {
+          await delay(20);
+          order.push("settings");
+          return "a";
+        },
+        roles: async () => {
+          order.push("roles");
+          return ["admin"];
+        },
+        contact: async () => {
+          throw new Error("Not found");
+        },
+        opportunity: { dependsOn: ["contact"], run: () => order.push("opportunity") },
+      });
+      expect(order).toEqual(["roles", "settings", "account"]);
+      expect(results).toEqual({ account: "account-a", settings: "a", roles: ["admin"] });
+      expect(steps.map((s) => [s.name, s.status])).toEqual([
+        ["account", "fulfilled"],
+        ["settings", "fulfilled"],
+        ["roles", "fulfilled"],
+        ["contact", "rejected"],
+        ["opportunity", "skipped"],
+      ]);
+      expect(steps[1].duration).toBeGreaterThanOrEqual(15);
+      expect(steps[0].startTime).toBeGreaterThanOrEqual(steps[1].duration);
+      expect(progress).toEqual(["Loading...", "closed"]);
+      expect(dialogs).toEqual(["XrmEx.Form.onLoad.contact:\nNot found"]);
+      await expect(XrmEx.Form.onLoad({ a: { dependsOn: ["b"], run: () => {} }, b: { dependsOn: ["a"], run: () => {} } })).rejects.toThrow("circular dependency: a -> b -> a");
+      await expect(XrmEx.Form.onLoad({ a: { dependsOn: ["c"], run: () => {} } })).rejects.toThrow("unknown step 'c'");
+    })
+  });
+  test.describe("Test GridControl helpers", () => {
+    const row = (id: string, name: string, email: string) => ({
+      getData: () => ({
+        getEntity: () => ({
+          getId: () => `{${id.toUpperCase()}}`,
+          getEntityName: () => "contact",
+          getPrimaryAttributeValue: () => name,
+          attributes: [
+            { getName: () => "fullname", getValue: () => name },
+            { getName: () => "emailaddress1", getValue: () => email },
+          ],
+        }),
+      }),
+    });
+    const fakeGrid = (rows: any[], selected: any[]) => {
+      const onLoad: any[] = [];
+      const fake: any = {
+        filterXml: undefined,
+        count: -1,
+        getGrid: () => ({ getRows: () => rows, getSelectedRows: () => selected, getTotalRecordCount: () => fake.count }),
+        addOnLoad: (handler: any) => onLoad.push(handler),
+        removeOnLoad: (handler: any) => onLoad.includes(handler) && onLoad.splice(onLoad.indexOf(handler), 1),
+        refresh: () => {
+          fake.count = rows.length;
+          [...onLoad].forEach((handler) => handler());
+        },
+        getEntityName: () => "contact",
+        setFilterXml: (xml: string) => (fake.filterXml = xml),
+        onLoad,
+      };
+      (grids.ContactSubgrid as any)._gridControl = fake;
+      return fake;
+    };
+    test("Reads records and waits for the grid", async () => {
+      const rows = [row("a", "Joe", "joe@test.com"), row("b", "Ann", null)];
+      const fake = fakeGrid(rows, [rows[1]]);
+      expect(grids.ContactSubgrid.getRecords()).toEqual([
+        { id: "a", entityType: "contact", name: "Joe", attributes: { fullname: "Joe", emailaddress1: "joe@test.com" } },
+        { id: "b", entityType: "contact", name: "Ann", attributes: { fullname: "Ann", emailaddress1: null } },
+      ]);
+      expect(grids.ContactSubgrid.getSelectedRecords().map((r) => r.id)).toEqual(["b"]);
+      const loaded = grids.ContactSubgrid.whenLoaded();
+      fake.refresh();
+      expect(await loaded).toBe(2);
+      expect(fake.onLoad.length).toBe(0);
+      expect(await grids.ContactSubgrid.whenLoaded()).toBe(2);
+      expect(await grids.ContactSubgrid.whenLoaded({ reload: true })).toBe(2);
+      fake.count = -1;
+      await expect(grids.ContactSubgrid.whenLoaded({ timeout: 10 })).rejects.toThrow("The grid 'Test' did not load.");
+    })
+    test("Dispatches OnRecordSelect and replaces the filter", () => {
+      const fake = fakeGrid([], []);
+      const selected: string[] = [];
+      const handler = (record: XrmEx.GridRecord) => selected.push(record.name);
+      grids.ContactSubgrid.addOnRecordSelect(handler);
+      const context: any = { getFormContext: () => ({ data: { entity: row("a", "Joe", "").getData().getEntity() } }) };
+      XrmEx.Class.GridControl.onRecordSelect(context, "Test");
+      XrmEx.Class.GridControl.onRecordSelect(context, "Other");
+      grids.ContactSubgrid.removeOnRecordSelect(handler);
+      XrmEx.Class.GridControl.onRecordSelect(context, "Test");
+      expect(selected).toEqual(["Joe"]);
+      grids.ContactSubgrid.setFetchXml(new XrmEx.FetchXml("contact").where("statecode", "eq", 0));
+      expect(fake.filterXml).toBe(`<filter type="and"><condition attribute="statecode" operator="eq" value="0" /></filter>`);
+      expect(() => grids.ContactSubgrid.setFetchXml(`<fetch><entity name="account" /></fetch>`)).toThrow("instead of 'contact'");
+      delete fake.setFilterXml;
+      expect(() => grids.ContactSubgrid.setFilterXml(`<filter />`)).toThrow("does not support replacing its filter");
+    })
+  });
+  test.describe("Test EditableGrid", () => {
+    const collection = (items: any[]) => ({
+      get: (key: any) => (typeof key === "number" ? items[key] : items.find((item) => item.getName() === key)),
+      forEach: (callback: any) => items.forEach(callback),
+    });
+    const gridRow = (id: string, statecode: number) => {
+      const attribute = (name: string, value: any) => {
+        const control = { disabled: false, notifications: {} as any, getDisabled: () => control.disabled, setDisabled: (d: boolean) => (control.disabled = d), setNotification: (m: string, i: string) => (control.notifications[i] = m), clearNotification: (i: string) => delete control.notifications[i] };
+        let requiredLevel = "none";
+        return { getName: () => name, getValue: () => value, setValue: (v: any) => (value = v), getRequiredLevel: () => requiredLevel, setRequiredLevel: (level: string) => (requiredLevel = level), controls: collection([control]) };
+      };
+      const entity = { getId: () => id, getEntityName: () => "contact", getPrimaryAttributeValue: () => id, attributes: collection([attribute("emailaddress1", `${id}@test.com`), attribute("telephone1", null), attribute("statecode", statecode)]) };
+      return { getData: () => ({ getEntity: () => entity }), entity };
+    };
+    test("Applies cell rules and dispatches row events", () => {
+      const rows = [gridRow("a", 0), gridRow("b", 1)];
+      const onLoad: any[] = [];
+      (grids.ContactSubgrid as any)._gridControl = { getGrid: () => ({ getRows: () => collection(rows) }), addOnLoad: (h: any) => onLoad.push(h), removeOnLoad: (h: any) => onLoad.includes(h) && onLoad.splice(onLoad.indexOf(h), 1) };
+      const remove = XrmEx.EditableGrid.setCells(grids.ContactSubgrid, { columns: ["emailaddress1", "telephone1"], when: (record) => record.attributes.statecode === 1, disabled: true });
+      const cells = (row: any) => [new XrmEx.Class.GridCell("emailaddress1", row.entity).Disabled, new XrmEx.Class.GridCell("telephone1", row.entity).Disabled];
+      expect(rows.map(cells)).toEqual([[false, false], [true, true]]);
+      const context = (row: any, column?: string) => ({ getFormContext: () => ({ data: { entity: row.entity } }), getEventSource: () => row.entity.attributes.get(column) });
+      XrmEx.EditableGrid.setCells(grids.ContactSubgrid, { columns: ["telephone1"], required: true });
+      XrmEx.Class.GridControl.onRecordSelect(context(rows[0]) as any, "Test");
+      const phone = new XrmEx.Class.GridCell("telephone1");
+      expect(phone.getRequiredLevel()).toBe("required");
+      const changed: string[] = [];
+      XrmEx.EditableGrid.addOnChange(grids.ContactSubgrid, ["emailaddress1"], (cell) => {
+        changed.push(cell.Value);
+        phone.setRequired(!cell.Value).setNotification("Phone or email is required.", "contact");
+      });
+      XrmEx.EditableGrid.onChange(context(rows[1], "telephone1") as any, "Test");
+      XrmEx.EditableGrid.onChange(context(rows[1], "emailaddress1") as any, "Test");
+      expect(changed).toEqual(["b@test.com"]);
+      expect(XrmEx.EditableGrid.record.id).toBe("b");
+      expect(new XrmEx.Class.GridCell("telephone1", rows[1].entity).getRequiredLevel()).toBe("none");
+      expect((rows[1].entity.attributes.get("telephone1").controls.get(0) as any).notifications).toEqual({ contact: "Phone or email is required." });
+      expect(() => new XrmEx.Class.GridCell("fullname").Value).toThrow("The column 'fullname' was not found in the row.");
+      remove();
+      expect(onLoad.length).toBe(1);
+    })
+  });
+  test.describe("Test Process helpers", () => {
+    const stage = (id: string, name: string, steps: string[] = []) => ({ getId: () => id, getName: () => name, getSteps: () => steps.map((step) => ({ getName: () => step, getAttribute: () => step.toLowerCase() })) });
+    const fakeProcess = () => {
+      const stages = [stage("1", "Qualify", ["Budget"]), stage("2", "Develop", ["Timeframe"]), stage("3", "Propose")];
+      const preStageChange: any[] = [];
+      let active = 0;
+      const move = (direction: string, callback: any) => {
+        const next = direction === "Next" ? active + 1 : active - 1;
+        let prevented = false;
+        const context = { getEventArgs: () => ({ getDirection: () => direction, getStage: () => stages[next], preventDefault: () => (prevented = true) }) };
+        preStageChange.forEach((handler) => handler(context));
+        if (prevented) return callback("preventDefault");
+        active = next;
+        callback("success");
+      };
+      (XrmEx.Form.formContext.data as any).process = {
+        getActiveProcess: () => ({ getStages: () => ({ forEach: (fn: any) => stages.forEach(fn) }) }),
+        getActivePath: () => ({ forEach: (fn: any) => stages.forEach(fn) }),
+        getActiveStage: () => stages[active],
+        moveNext: (callback: any) => move("Next", callback),
+        movePrevious: (callback: any) => move("Previous", callback),
+        addOnPreStageChange: (handler: any) => preStageChange.push(handler),
+        removeOnPreStageChange: (handler: any) => preStageChange.includes(handler) && preStageChange.splice(preStageChange.indexOf(handler), 1),
+      };
+    };
+    test("Finds stages and steps by name and moves to a stage", async () => {
+      fakeProcess();
+      expect(XrmEx.Process.getStage("develop")?.getId()).toBe("2");
+      expect(XrmEx.Process.getStage("Close")).toBeUndefined();
+      expect(XrmEx.Process.getStep("Timeframe")?.getAttribute()).toBe("timeframe");
+      expect(XrmEx.Process.getStep("Timeframe", "Qualify")).toBeUndefined();
+      expect(XrmEx.Process.getActivePath().map((s) => s.getName())).toEqual(["Qualify", "Develop", "Propose"]);
+      expect(await XrmEx.Process.moveToStage("Propose")).toBe("success");
+      expect(XrmEx.Form.formContext.data.process.getActiveStage().getName()).toBe("Propose");
+      expect(await XrmEx.Process.moveToStage("Qualify")).toBe("success");
+      expect(XrmEx.Form.formContext.data.process.getActiveStage().getName()).toBe("Qualify");
+      await expect(XrmEx.Process.moveToStage("Close")).rejects.toThrow("The stage 'Close' is not in the active path.");
+    })
+    test("Stops when a move does not change the stage", async () => {
+      fakeProcess();
+      (XrmEx.Form.formContext.data.process as any).moveNext = (callback: any) => callback("success");
+      await expect(XrmEx.Process.moveToStage("Propose")).rejects.toThrow("The process did not move from the stage 'Qualify'.");
+    })
+    test("Enforces stage requirements", async () => {
+      fakeProcess();
+      const notifications: string[] = [];
+      (XrmEx.Form.formContext.ui as any).setFormNotification = (message: string) => notifications.push(message);
+      fields.Weight.Value = null;
+      XrmEx.Process.setStageRequirements("Develop", [fields.Weight, fields.Firstname]);
+      expect(await XrmEx.Process.moveToStage("Propose")).toBe("preventDefault");
+      expect(XrmEx.Form.formContext.data.process.getActiveStage().getName()).toBe("Qualify");
+      expect(notifications.length).toBe(1);
+      expect(notifications[0]).toMatch(/^Fill in .* to move to Develop\.$/);
+      expect(JSON.stringify((fields.Weight.controls.get(0) as any).notifications)).toContain("This field is required.");
+      fields.Weight.Value = 80;
+      fields.Weight.fireOnChange();
+      expect(await XrmEx.Process.moveToStage("Propose")).toBe("success");
+      XrmEx.Process.removeStageRequirements("Develop");
+    })
+  });
+  test.describe("Test Resources", () => {
+    test.afterEach(() => {
+      XrmEx.Resources.clear();
+      XrmEx.Resources.languageId = undefined;
+    });
+    test("Gets texts with placeholders, plurals and fallback language", () => {
+      XrmEx.Resources.languageId = 1031;
+      XrmEx.Resources.add(1033, { Orders: { Open: { "=0": "No open orders", one: "{count} open order", other: "{count} open orders" } }, Greeting: "Hello {0}", OnlyEnglish: "English" });
+      XrmEx.Resources.add(1031, { Greeting: "Hallo {name}" });
+      expect(XrmEx.Resources.get("Greeting", { name: "Joe" })).toBe("Hallo Joe");
+      expect(XrmEx.Resources.get("OnlyEnglish")).toBe("English");
+      expect(XrmEx.Resources.get("Orders.Open", { count: 0 })).toBe("No open orders");
+      expect(XrmEx.Resources.get("Orders.Open", { count: 1 })).toBe("1 open order");
+      expect(XrmEx.Resources.get("Orders.Open", { count: 3 })).toBe("3 open orders");
+      expect(XrmEx.Resources.get("Missing")).toBe("Missing");
+      expect(XrmEx.Resources.has("OnlyEnglish")).toBe(true);
+      expect(XrmEx.Resources.get("XrmEx.Validation.min", { min: 5 })).toBe("Der Wert darf nicht kleiner als 5 sein.");
+      let invalidMessage: string | undefined;
+      (fields.Firstname.Attribute as any).setIsValid = (isValid: boolean, message?: string) => (invalidMessage = message);
+      fields.Firstname.setIsValid(false, XrmEx.Resources.string("Greeting", { name: "Joe" }));
+      expect(invalidMessage).toBe("Hallo Joe");
+      XrmEx.Resources.languageId = 1033;
+      expect(XrmEx.Resources.get("Greeting", ["Joe"])).toBe("Hello Joe");
+    })
+    test("Loads RESX web resources and translates messages when they are shown", async () => {
+      const requests: string[] = [];
+      const fetch = globalThis.fetch;
+      globalThis.fetch = (async (url: string) => {
+        requests.push(url);
+        if (!url.includes(".1031.")) return { ok: false, status: 404, statusText: "Not Found" };
+        return { ok: true, status: 200, text: async () => `<?xml version="1.0" encoding="utf-8"?><root><data name="NameMissing" xml:space="preserve"><value>Bitte {field} eingeben.</value></data><data name="Days.one"><value>{count} Tag</value></data><data name="Days.other"><value>{count} Tage</value></data></root>` };
+      }) as any;
+      try {
+        XrmEx.Resources.languageId = 1031;
+        await XrmEx.Resources.load("new_/strings/messages.{languageId}.resx");
+      } finally {
+        globalThis.fetch = fetch;
+      }
+      expect(requests.map((url) => url.slice(url.indexOf("/WebResources/")))).toEqual(["/WebResources/new_/strings/messages.1031.resx", "/WebResources/new_/strings/messages.1033.resx"]);
+      expect(XrmEx.Resources.get("Days", { count: 2 })).toBe("2 Tage");
+      fields.Firstname.setNotification(XrmEx.Resources.string("NameMissing", { field: "Vorname" }), "name");
+      expect(JSON.stringify((fields.Firstname.controls.get(0) as any).notifications)).toContain("Bitte Vorname eingeben.");
+    })
+  });
+  test.describe("Test Dialogs", () => {
+    let calls: any[][];
+    let returnValue: any;
+    test.beforeEach(() => {
+      calls = [];
+      (globalThis as any).document = { createElement: () => ({ getContext: () => ({ measureText: (text: string) => ({ width: text.length * 8 }) }) }) };
+      (Xrm.Navigation as any).openConfirmDialog = async (...args: any[]) => (calls.push(args), { confirmed: true });
+      (Xrm.Navigation as any).navigateTo = async (...args: any[]) => (calls.push(args), { returnValue });
+      (Xrm.Utility as any).lookupObjects = async (...args: any[]) => (calls.push(args), [{ id: "{A1B2C3D4-0000-0000-0000-000000000001}", entityType: "account", name: "Contoso" }]);
+    });
+    test.afterEach(() => {
+      delete (globalThis as any).document;
+    });
+    test("Confirms and chooses with sized dialogs", async () => {
+      expect(await XrmEx.Dialogs.confirm("Delete", "Delete the contact?", { confirmLabel: "Delete" })).toBe(true);
+      expect(calls[0][0]).toEqual({ title: "Delete", text: "Delete the contact?", confirmButtonLabel: "Delete", cancelButtonLabel: "Cancel" });
+      expect(calls[0][1]).toEqual({ height: 129, width: 152 });
+      returnValue = { index: 1 };
+      const priority = { High: 1, Low: 2 };
+      expect(await XrmEx.Dialogs.choose("Priority", "Choose the priority.", [{ label: "High", value: priority.High }, { label: "Low", value: priority.Low }])).toBe(priority.Low);
+      const [pageInput, navigationOptions] = calls[1];
+      expect(pageInput.webresourceName).toBe("xrmex_/dialog.html");
+      expect(JSON.parse(pageInput.data)).toEqual({ confirmButtonLabel: "Ok", cancelButtonLabel: "Cancel", type: "choice", choices: ["High", "Low"], text: "Choose the priority." });
+      expect(navigationOptions).toMatchObject({ target: 2, title: "Priority", height: { value: 217, unit: "px" }, width: { value: 448, unit: "px" } });
+      returnValue = undefined;
+      expect(await XrmEx.Dialogs.choose("Priority", "Choose the priority.", [{ label: "High", value: 1 }])).toBeNull();
+      await expect(XrmEx.Dialogs.choose("Priority", "", [])).rejects.toThrow("no choices were provided.");
+    })
+    test("Prompts for typed values", async () => {
+      returnValue = { value: "12.5" };
+      expect(await XrmEx.Dialogs.prompt("Discount", "Enter the discount.", { type: "number", min: 0, max: 100, precision: 1 })).toBe(12.5);
+      expect(JSON.parse(calls[0][0].data)).toMatchObject({ type: "number", min: 0, max: 100, step: 0.1, required: false, value: "" });
+      returnValue = { value: "2024-03-01" };
+      const date = await XrmEx.Dialogs.prompt("Follow up", "Due date", { type: "date", defaultValue: new Date(2024, 1, 29) });
+      expect(date).toEqual(new Date(2024, 2, 1));
+      expect(JSON.parse(calls[1][0].data).value).toBe("2024-02-29");
+      returnValue = { value: "Joe" };
+      expect(await XrmEx.Dialogs.prompt("Name", "Enter a name.")).toBe("Joe");
+      returnValue = undefined;
+      expect(await XrmEx.Dialogs.prompt("Name", "Enter a name.")).toBeNull();
+      expect(await XrmEx.Dialogs.prompt("Account", "", { type: "lookup", entityTypes: ["account"] })).toEqual([{ id: "a1b2c3d4-0000-0000-0000-000000000001", entityType: "account", name: "Contoso" }]);
+      expect(calls[4][0]).toMatchObject({ entityTypes: ["account"], defaultEntityType: "account", allowMultiSelect: false });
+    })
+  });
+  test.describe("Test Notifications", () => {
+    let app: { [id: string]: any };
+    let form: { [id: string]: any };
+    test.beforeEach(() => {
+      app = {};
+      form = {};
+      let count = 0;
+      (Xrm as any).App = {
+        addGlobalNotification: async (notification: any) => ((app[++count] = notification), `${count}`),
+        clearGlobalNotification: async (id: string) => delete app[id],
+      };
+      (XrmEx.Form.formContext.ui as any).setFormNotification = (message: string, level: string, uniqueId: string) => (form[uniqueId] = { message, level });
+      (XrmEx.Form.formContext.ui as any).clearFormNotification = (uniqueId: string) => delete form[uniqueId];
+    });
+    test.afterEach(() => XrmEx.Notifications.clear());
+    test("Replaces and deduplicates notifications by key", async () => {
+      const clicked: string[] = [];
+      const action = { actionLabel: "Open", eventHandler: () => clicked.push("open") };
+      const id = await XrmEx.Notifications.show("credit", "Limit exceeded.", { level: "WARNING", action });
+      expect(await XrmEx.Notifications.show("credit", "Limit exceeded.", { level: "WARNING", action })).toBe(id);
+      expect(Object.values(app)).toEqual([{ type: 2, level: 3, message: "Limit exceeded.", showCloseButton: false, action }]);
+      app[id].action.eventHandler();
+      expect(clicked).toEqual(["open"]);
+      await XrmEx.Notifications.show("credit", "Limit exceeded by 100.", { level: "ERROR" });
+      expect(Object.values(app).map((n) => n.message)).toEqual(["Limit exceeded by 100."]);
+      XrmEx.Notifications.showOnForm("credit", "On the form.", { level: "SUCCESS" });
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(app).toEqual({});
+      expect(form).toEqual({ credit: { message: "On the form.", level: "INFO" } });
+      await XrmEx.Notifications.remove("credit");
+      expect(form).toEqual({});
+      expect(XrmEx.Notifications.has("credit")).toBe(false);
+    })
+    test("Dismisses notifications after a timeout and clears them by owner", async () => {
+      await XrmEx.Notifications.show("saved", "Saved.", { level: "SUCCESS", timeout: 20 });
+      XrmEx.Notifications.showOnForm("sync", "Synchronizing...", { timeout: 20 });
+      await XrmEx.Notifications.show("a", "From script A.", { owner: "A" });
+      XrmEx.Notifications.showOnForm("b", "From script B.", { owner: "B" });
+      expect(XrmEx.Notifications.keys).toEqual(["saved", "sync", "a", "b"]);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(XrmEx.Notifications.keys).toEqual(["a", "b"]);
+      await XrmEx.Notifications.clear("A");
+      expect(XrmEx.Notifications.keys).toEqual(["b"]);
+      expect(app).toEqual({});
+      expect(Object.keys(form)).toEqual(["b"]);
+    })
+    test("Keeps only the last of concurrent notifications with the same key", async () => {
+      await Promise.all([
+        XrmEx.Notifications.show("sync", "Step 1."),
+        XrmEx.Notifications.show("sync", "Step 2."),
+        XrmEx.Notifications.show("sync", "Step 3."),
+      ]);
+      expect(Object.values(app).map((n) => n.message)).toEqual(["Step 3."]);
+      await XrmEx.Notifications.remove("sync");
+      expect(app).toEqual({});
+    })
+  });
+  test.describe("Test Format", () => {
+    const german = {
+      ShortDatePattern: "dd.MM.yyyy", ShortTimePattern: "HH:mm", DateSeparator: ".", TimeSeparator: ":", AmDesignator: "", PmDesignator: "",
+      MonthNames: [], AbbreviatedMonthNames: [], DayNames: [], AbbreviatedDayNames: [],
+    };
+    const us = { ...german, ShortDatePattern: "M/d/yyyy", ShortTimePattern: "h:mm tt", DateSeparator: "/", AmDesignator: "AM", PmDesignator: "PM" };
+    const userSettings = (languageId: number, dateFormattingInfo: any) => {
+      (Xrm.Utility as any).getGlobalContext = () => ({
+        userSettings: { languageId, dateFormattingInfo, getTimeZoneOffsetMinutes: () => 60, transactionCurrency: { id: "{C1}", entityType: "transactioncurrency" } },
+      });
+    };
+    test.afterEach(() => {
+      XrmEx.Resources.languageId = undefined;
+    });
+    test("Formats dates, numbers and currencies with the user settings", async () => {
+      userSettings(1031, german);
+      const date = new Date(2000, 10, 22, 14, 30);
+      expect(XrmEx.Format.date(date)).toBe("22.11.2000 14:30");
+      expect(XrmEx.Format.date(date, { time: false })).toBe("22.11.2000");
+      expect(XrmEx.Format.date("2000-11-22T23:30:00Z")).toBe("23.11.2000 00:30");
+      expect(XrmEx.Format.date("2000-11-22T23:30:00Z", { behavior: "TimeZoneIndependent" })).toBe("22.11.2000 23:30");
+      expect(XrmEx.Format.date("2000-11-22")).toBe("22.11.2000");
+      expect(XrmEx.Format.number(1234.5, 2)).toBe("1.234,50");
+      expect(XrmEx.Format.currency(1234.5, "€")).toBe("1.234,50\u00a0€");
+      userSettings(1033, us);
+      expect(XrmEx.Format.date(date)).toBe("11/22/2000 2:30 PM");
+      expect(XrmEx.Format.number(1234.5)).toBe("1,234.5");
+      expect(XrmEx.Format.currency(-5, "$", 0)).toBe("-$5");
+      (Xrm.WebApi as any).retrieveRecord = async (entityName: string, id: string) => ({ currencysymbol: entityName === "transactioncurrency" && id === "c1" ? "$" : "?" });
+      expect(await XrmEx.Format.getCurrencySymbol()).toBe("$");
+    })
+    test("Formats field values and parses user input", () => {
+      userSettings(1031, german);
+      fields.Birthday.Value = new Date(2000, 10, 22, 14, 30);
+      expect(fields.Birthday.getFormattedValue()).toBe("22.11.2000");
+      expect(fields.Birthday.getFormattedValue({ time: true })).toBe("22.11.2000 14:30");
+      expect(fields.PreferredContactMethod.getFormattedValue()).toBe("Any");
+      expect(fields.Customer.getFormattedValue()).toBe("Company");
+      (fields.Weight.Attribute as any).getAttributeType = () => "money";
+      (fields.Weight.Attribute as any).getPrecision = () => 2;
+      expect(fields.Weight.getFormattedValue({ currencySymbol: "€" })).toBe("70,00\u00a0€");
+      fields.Firstname.Value = null;
+      expect(fields.Firstname.getFormattedValue()).toBe("");
+      expect(XrmEx.Format.parseNumber("1.234,5")).toBe(1234.5);
+      expect(XrmEx.Format.parseNumber("-12,50 €")).toBe(-12.5);
+      expect(XrmEx.Format.parseNumber("abc")).toBeNull();
+      expect(XrmEx.Format.parseDate("22.11.2000 14:30")).toEqual(new Date(2000, 10, 22, 14, 30));
+      expect(XrmEx.Format.parseDate("2000-11-22", { behavior: "UTC" })).toEqual(new Date(Date.UTC(2000, 10, 22)));
+      expect(XrmEx.Format.parseDate("31.02.2000")).toBeNull();
+      userSettings(1033, us);
+      expect(XrmEx.Format.parseDate("11/22/00 2:30 PM")).toEqual(new Date(2000, 10, 22, 14, 30));
+      expect(XrmEx.Format.parseNumber("1,234.5")).toBe(1234.5);
+    })
+  });
 });
\ No newline at end of file
@@ -0,0 +1,111 @@
+import { expect, test } from "@playwright/test";
+
+import { generate, readMetadata } from "../testBuild/src/cli/generate";
+
+const customizations = `<?xml version="1.0" encoding="utf-8"?>
+<ImportExportXml>
+  <Entities>
+    <Entity>
+      <Name LocalizedName="Contact" OriginalName="Contact">Contact</Name>
+      <EntityInfo>
+        <entity Name="contact">
+          <attributes>
+            <attribute PhysicalName="FirstName">
+              <Type>nvarchar</Type>
+              <Name>firstname</Name>
+              <LogicalName>firstname</LogicalName>
+              <displaynames>
+                <displayname description="Vorname" languagecode="1031" />
+                <displayname description="First Name" languagecode="1033" />
+              </displaynames>
+            </attribute>
+            <attribute PhysicalName="ParentCustomerId">
+              <Type>customer</Type>
+              <LogicalName>parentcustomerid</LogicalName>
+              <displaynames><displayname description="Company Name" languagecode="1033" /></displaynames>
+            </attribute>
+            <attribute PhysicalName="PreferredContactMethodCode">
+              <Type>picklist</Type>
+              <LogicalName>preferredcontactmethodcode</LogicalName>
+              <displaynames><displayname description="Preferred Method of Contact" languagecode="1033" /></displaynames>
+              <optionset Name="contact_preferredcontactmethodcode">
+                <options>
+                  <option value="1"><labels><label description="Any" languagecode="1033" /></labels></option>
+                  <option value="2"><labels><label description="E-mail" languagecode="1033" /></labels></option>
+                </options>
+              </optionset>
+            </attribute>
+            <attribute PhysicalName="new_Region">
+              <Type>picklist</Type>
+              <LogicalName>new_region</LogicalName>
+              <OptionSetName>new_region</OptionSetName>
+            </attribute>
+          </attributes>
+        </entity>
+      </EntityInfo>
+      <FormXml>
+        <forms type="main">
+          <systemform>
+            <formid>{1fed44d1-ae68-4a41-bd2b-f13acac4acfa}</formid>
+            <form>
+              <tabs>
+                <tab name="SUMMARY_TAB" id="{a}">
+                  <labels><label description="Summary" languagecode="1033" /></labels>
+                  <columns><column><sections>
+                    <section name="CONTACT_INFORMATION"><labels><label description="Contact Information" languagecode="1033" /></labels></section>
+                    <section name="SUMMARY_TAB_section_2"><labels><label description="" languagecode="1033" /></labels>
+                      <rows><row><cell><labels><label description="Related Contacts" languagecode="1033" /></labels>
+                        <control id="subgrid_contacts" classid="{E7A81278-8635-4d9e-8D4D-59480B391C5B}" />
+                      </cell></row></rows>
+                    </section>
+                  </sections></column></columns>
+                </tab>
+              </tabs>
+            </form>
+            <LocalizedNames><LocalizedName description="Contact" languagecode="1033" /></LocalizedNames>
+          </systemform>
+        </forms>
+      </FormXml>
+    </Entity>
+  </Entities>
+  <optionsets>
+    <optionset Name="new_region">
+      <options><option value="100000000"><labels><label description="North" languagecode="1033" /></labels></option></options>
+    </optionset>
+  </optionsets>
+</ImportExportXml>`;
+
+test.describe("Test class generator", () => {
+  test("Reads a solution and generates fields, tabs and grids", () => {
+    const entities = readMetadata(customizations);
+    expect(entities[0].logicalName).toBe("contact");
+    expect(entities[0].attributes.map((a) => a.kind)).toEqual(["TextField", "LookupField", "OptionsetField", "OptionsetField"]);
+    const source = generate(entities);
+    expect(source).toContain(`class ContactFields {`);
+    expect(source).toContain(`  FirstName = new XrmEx.Class.TextField("firstname");`);
+    expect(source).toContain(`  CompanyName = new XrmEx.Class.LookupField("parentcustomerid");`);
+    expect(source).toContain(`  PreferredMethodOfContact = new XrmEx.Class.OptionsetField("preferredcontactmethodcode", {\n    Any: 1,\n    EMail: 2,\n  });`);
+    expect(source).toContain(`  NewRegion = new XrmEx.Class.OptionsetField("new_region", {\n    North: 100000000,\n  });`);
+    expect(source).toContain(`  Summary = new XrmEx.Class.Tab("SUMMARY_TAB", {\n    /**Contact Information*/\n    ContactInformation: new XrmEx.Class.Section("CONTACT_INFORMATION"),\n    SUMMARYTABSection2: new XrmEx.Class.Section("SUMMARY_TAB_section_2"),\n  });`);
+    expect(source).toContain(`class ContactContactGrids {\n  /**Related Contacts*/\n  RelatedContacts = new XrmEx.Class.GridControl("subgrid_contacts");\n}`);
+    expect(generate(readMetadata(customizations, { languageCode: 1031 }))).toContain(`  Vorname = new XrmEx.Class.TextField("firstname");`);
+  })
+  test("Reads Web API metadata and systemforms", () => {
+    const metadata = JSON.stringify({
+      LogicalName: "account",
+      SchemaName: "Account",
+      Attributes: [
+        { LogicalName: "name", AttributeType: "String", DisplayName: { UserLocalizedLabel: { Label: "Account Name" } } },
+        { LogicalName: "primarycontactidname", AttributeType: "String", AttributeOf: "primarycontactid" },
+        { LogicalName: "new_tags", AttributeType: "Virtual", AttributeTypeName: { Value: "MultiSelectPicklistType" }, DisplayName: { UserLocalizedLabel: { Label: "Tags" } }, OptionSet: { Options: [{ Value: 1, Label: { UserLocalizedLabel: { Label: "1st" } } }] } },
+      ],
+    });
+    const forms = JSON.stringify({
+      value: [{ name: "Account Quick", objecttypecode: "account", formxml: `<form><tabs><tab name="tab_1"><columns /></tab></tabs></form>` }],
+    });
+    const source = generate([...readMetadata(metadata), ...readMetadata(forms)], { exports: true, reference: "node_modules/xrm-ex/src/XrmEx.d.ts" });
+    expect(source.startsWith(`/// <reference path="node_modules/xrm-ex/src/XrmEx.d.ts" />`)).toBe(true);
+    expect(source).toContain(`export class AccountFields {\n  /**Account Name*/\n  AccountName = new XrmEx.Class.TextField("name");\n  /**Tags*/\n  Tags = new XrmEx.Class.MultiSelectOptionSetField("new_tags", {\n    _1st: 1,\n  });\n}`);
+    expect(source).toContain(`export class AccountAccountQuickTabs {\n  Tab1 = new XrmEx.Class.Tab("tab_1", {\n  });\n}`);
+  })
+});
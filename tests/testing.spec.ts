@@ -0,0 +1,90 @@
+import { expect, test } from "@playwright/test";
+
+import { createFakeXrm } from "../testBuild/src/testing/index";
+import { XrmEx } from "../testBuild/src/XrmEx";
+
+const createContactForm = () =>
+  createFakeXrm({
+    form: {
+      entityName: "contact",
+      id: "{5C6F3A1E-0000-0000-0000-000000000001}",
+      primaryAttribute: "fullname",
+      attributes: [
+        { name: "fullname", value: "Joe Doe" },
+        { name: "emailaddress1", format: "email" },
+        { name: "parentcustomerid", type: "lookup", targets: ["account", "contact"] },
+        { name: "preferredcontactmethodcode", type: "optionset", value: 1, options: [{ text: "Any", value: 1 }, { text: "Email", value: 2 }] },
+      ],
+      tabs: [{ name: "general", sections: [{ name: "details" }] }],
+      grids: [{ name: "Orders", entityName: "salesorder", rows: [{ salesorderid: "a", name: "Order A", totalamount: 100 }], selected: ["a"] }],
+      process: { stages: [{ name: "Qualify" }, { name: "Develop" }] },
+    },
+    webApi: {
+      records: { account: [{ accountid: "1", name: "Contoso", statecode: 0 }, { accountid: "2", name: "Fabrikam", statecode: 1 }] },
+      responses: { new_CheckCredit: (request) => ({ Approved: request.parameters.Amount < 1000 }) },
+    },
+  });
+
+test.describe("Test fake Xrm", () => {
+  test("Builds a form which works with XrmEx", async () => {
+    const fake = createContactForm();
+    XrmEx.Form.formContext = fake.executionContext;
+    const email = new XrmEx.Class.TextField("emailaddress1");
+    const method = new XrmEx.Class.OptionsetField("preferredcontactmethodcode", { Any: 1, Email: 2 });
+    method.addOnChange(() => email.setRequired(method.Value === method.Option.Email).setNotification("Enter an email address.", "email"));
+    fake.setValue("preferredcontactmethodcode", 2);
+    fake.assertRequired("emailaddress1");
+    fake.assertNotification("emailaddress1", "Enter an email address.");
+    new XrmEx.Class.Tab("general", { Details: new XrmEx.Class.Section("details") }).Section.Details.setVisible(false);
+    fake.assertVisible("details", false);
+    expect(() => fake.assertVisible("general", false)).toThrow("Expected 'general' to be hidden.");
+    expect(new XrmEx.Class.GridControl("Orders").getSelectedRecords()).toEqual([{ id: "a", entityType: "salesorder", name: "Order A", attributes: { salesorderid: "a", name: "Order A", totalamount: 100 } }]);
+    XrmEx.Process.setStageRequirements("Develop", [email]);
+    expect(await XrmEx.Process.moveToStage("Develop")).toBe("preventDefault");
+    fake.assertFormNotification("Fill in emailaddress1 to move to Develop.", "ERROR");
+    fake.setValue("emailaddress1", "joe@test.com");
+    expect(await XrmEx.Process.moveToStage("Develop")).toBe("success");
+    XrmEx.Process.removeStageRequirements("Develop");
+  })
+  test("Closes the form or opens a new one depending on the save mode", async () => {
+    const fake = createContactForm();
+    XrmEx.Form.formContext = fake.executionContext;
+    await fake.save(59);
+    expect(fake.dialogs.map((d) => [d.method, d.options])).toEqual([["openForm", { entityName: "contact" }]]);
+    expect(fake.isClosed).toBe(false);
+    const calls: string[] = [];
+    const checkCredit = async () => {
+      calls.push("checkCredit");
+    };
+    XrmEx.Form.addOnSaveAsync(checkCredit);
+    await expect(fake.save(2)).rejects.toEqual(expect.objectContaining({ message: "Saving was canceled." }));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    XrmEx.Form.removeOnSaveAsync(checkCredit);
+    expect(calls).toEqual(["checkCredit"]);
+    expect(fake.isClosed).toBe(true);
+  })
+  test("Saves records and answers Web API requests", async () => {
+    const fake = createContactForm();
+    XrmEx.Form.formContext = fake.executionContext;
+    const result = await XrmEx.retrieveMultiple("account", "?$select=name&$filter=statecode eq 0");
+    expect(result.entities).toEqual([{ name: "Contoso" }]);
+    fake.records.account.push({ accountid: "3", name: "Smith and Sons", statecode: 0 });
+    expect((await XrmEx.retrieveMultiple("account", "?$select=accountid&$filter=name eq 'Smith and Sons' and statecode eq 0")).entities).toEqual([{ accountid: "3" }]);
+    await expect(XrmEx.retrieveMultiple("account", "?$filter=contains(name,'Con')")).rejects.toThrow("The filter condition 'contains(name,'Con')' is not supported.");
+    await expect(XrmEx.retrieveMultiple("account", "?$filter=statecode eq 0 or statecode eq 1")).rejects.toThrow("is not supported");
+    await expect(XrmEx.retrieveMultiple("account", `?fetchXml=<fetch><entity name="account"><filter><condition attribute="statecode" operator="eq" value="0" /></filter></entity></fetch>`)).rejects.toThrow("FetchXML with filters");
+    expect(await XrmEx.executeAction("new_CheckCredit", { Amount: 500 })).toEqual({ Approved: true });
+    expect(await XrmEx.executeAction("new_CheckCredit", { Amount: 5000 })).toEqual({ Approved: false });
+    await expect(XrmEx.executeAction("new_Unknown", {})).rejects.toThrow("No response was defined for 'new_Unknown'.");
+    expect(fake.requests.map((r) => r.operationName ?? r.method)).toEqual(["retrieveMultipleRecords", "retrieveMultipleRecords", "retrieveMultipleRecords", "retrieveMultipleRecords", "retrieveMultipleRecords", "new_CheckCredit", "new_CheckCredit", "new_Unknown"]);
+    XrmEx.Form.addOnSave(() => fake.Xrm.Utility.showProgressIndicator("Saving"));
+    fake.setValue("fullname", "Jane Doe");
+    await fake.save();
+    expect(fake.records.contact).toEqual([{ contactid: "5c6f3a1e-0000-0000-0000-000000000001", fullname: "Jane Doe" }]);
+    expect(fake.progress).toEqual(["Saving"]);
+    XrmEx.Form.addOnSave((context: Xrm.Events.SaveEventContext) => context.getEventArgs().preventDefault());
+    await expect(fake.save()).rejects.toEqual(expect.objectContaining({ message: "Saving was canceled." }));
+    await XrmEx.openErrorDialog(new Error("Failed"));
+    expect(fake.dialogs.map((d) => [d.method, d.options.message])).toEqual([["openErrorDialog", "Failed"]]);
+  })
+});